@@ -10,11 +10,14 @@ import platform from '../../phet-core/js/platform.js';
 import { Color, HBox, HBoxOptions } from '../../scenery/js/imports.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import audioManager from './audioManager.js';
+import commandRegistry from './commandRegistry.js';
 import joist from './joist.js';
+import JoistStrings from './JoistStrings.js';
 import KeyboardHelpButton from './KeyboardHelpButton.js';
 import NavigationBarAudioToggleButton from './NavigationBarAudioToggleButton.js';
 import NavigationBarPreferencesButton from './preferences/NavigationBarPreferencesButton.js';
 import Sim from './Sim.js';
+import TimeControlsNode from './TimeControlsNode.js';
 import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
 import optionize, { EmptySelfOptions } from '../../phet-core/js/optionize.js';
 import StrictOmit from '../../phet-core/js/types/StrictOmit.js';
@@ -37,6 +40,11 @@ class A11yButtonsHBox extends HBox {
     // list of optional buttons added for a11y
     const a11yButtons = [];
 
+    // Sim-wide time controls are not for a11y, but are optional buttons in the same place
+    if ( sim.timeController && sim.timeController.controlsEnabled ) {
+      a11yButtons.push( new TimeControlsNode( sim.timeController ) );
+    }
+
     if ( sim.preferencesModel.shouldShowDialog() ) {
 
       const preferencesButton = new NavigationBarPreferencesButton( sim.preferencesModel, backgroundColorProperty, {
@@ -46,6 +54,12 @@ class A11yButtonsHBox extends HBox {
       } );
 
       a11yButtons.push( preferencesButton );
+
+      commandRegistry.register( {
+        id: 'joist.openPreferences',
+        nameProperty: JoistStrings.commands.openPreferencesStringProperty,
+        execute: preferencesButton.showDialog
+      } );
     }
 
     const supportsAudioPreferences = sim.preferencesModel.supportsAudioPreferences();
@@ -79,6 +93,12 @@ class A11yButtonsHBox extends HBox {
       // only show the keyboard help button if the sim supports interactive description and we are not in mobile safari
       if ( phet.chipper.queryParameters.supportsInteractiveDescription && !platform.mobileSafari ) {
         a11yButtons.push( keyboardHelpButton );
+
+        commandRegistry.register( {
+          id: 'joist.openKeyboardHelp',
+          nameProperty: JoistStrings.commands.openKeyboardHelpStringProperty,
+          execute: keyboardHelpButton.showDialog
+        } );
       }
     }
 
@@ -18,6 +18,7 @@ import Dialog, { DialogOptions } from '../../sun/js/Dialog.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import CreditsNode, { CreditsData } from './CreditsNode.js';
 import joist from './joist.js';
+import JoistColors from './JoistColors.js';
 import JoistStrings from './JoistStrings.js';
 import packageJSON from './packageJSON.js';
 import updateCheck from './updateCheck.js';
@@ -56,6 +57,7 @@ export default class AboutDialog extends Dialog {
       topMargin: 26,
       bottomMargin: 26,
       leftMargin: 26,
+      fill: JoistColors.dialogFillColorProperty,
       phetioReadOnly: true, // the AboutDialog should not be settable
       phetioDynamicElement: true,
       tandem: Tandem.REQUIRED
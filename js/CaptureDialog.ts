@@ -0,0 +1,321 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Dialog opened from the PhetMenu with options for screenshots and recordings: the region to capture, the scale,
+ * whether to include the navigation bar, and the format of recordings. See ScreenshotGenerator and ScreenRecorder.
+ *
+ * For the "Selected object" region, the dialog is hidden and the user clicks the object to capture in the sim, or
+ * moves the focus to it and presses Enter. The "Screen" scale matches the pixels of the display
+ * (window.devicePixelRatio), while the other scales are relative to CSS pixels, so 1× is blurry on high-resolution
+ * displays. While recording, the dialog is hidden and a Stop Recording button is shown above the sim. Popups (like
+ * this dialog) are not included in screenshots or recordings.
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import PatternStringProperty from '../../axon/js/PatternStringProperty.js';
+import Property from '../../axon/js/Property.js';
+import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
+import merge from '../../phet-core/js/merge.js';
+import optionize, { EmptySelfOptions } from '../../phet-core/js/optionize.js';
+import stripEmbeddingMarks from '../../phet-core/js/stripEmbeddingMarks.js';
+import PhetFont from '../../scenery-phet/js/PhetFont.js';
+import { FocusManager, HBox, KeyboardUtils, Node, Rectangle, SceneryEvent, Text, VBox } from '../../scenery/js/imports.js';
+import AquaRadioButtonGroup from '../../sun/js/AquaRadioButtonGroup.js';
+import TextPushButton from '../../sun/js/buttons/TextPushButton.js';
+import Checkbox from '../../sun/js/Checkbox.js';
+import Dialog, { DialogOptions } from '../../sun/js/Dialog.js';
+import Panel from '../../sun/js/Panel.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import joist from './joist.js';
+import JoistColors from './JoistColors.js';
+import JoistStrings from './JoistStrings.js';
+import saveToFile from './saveToFile.js';
+import ScreenRecorder, { ScreenRecorderFormat } from './ScreenRecorder.js';
+import ScreenshotGenerator, { ScreenshotOptions, ScreenshotRegion } from './ScreenshotGenerator.js';
+import Sim from './Sim.js';
+
+// constants
+const captureStrings = JoistStrings.capture;
+const FONT = new PhetFont( 16 );
+const SCALES = [ null, 1, 2, 4 ]; // null for the scale of the display, see ScreenshotOptions
+const MAX_TEXT_WIDTH = 300;
+
+type CaptureRegion = 'display' | 'screenView' | 'node';
+
+/**
+ * Covers the sim until the user clicks it, then calls back with the clicked object: the nearest Node under the pointer
+ * that has input listeners (like a button or a draggable object), or else the Node under the pointer. With the
+ * keyboard, Enter selects the Node that has focus. Calls back with null if the user cancels, with Escape or the Cancel
+ * button.
+ */
+export const pickNode = ( sim: Sim, callback: ( node: Node | null ) => void ): void => {
+  const bounds = sim.boundsProperty.value!;
+
+  const hintText = new Text( captureStrings.selectObjectHintStringProperty, {
+    font: FONT,
+    fill: 'white',
+    maxWidth: MAX_TEXT_WIDTH
+  } );
+  const cancelButton = new TextPushButton( captureStrings.cancelStringProperty, {
+    font: FONT,
+    maxTextWidth: MAX_TEXT_WIDTH,
+    listener: () => done( null ),
+    tandem: Tandem.OPT_OUT
+  } );
+  const hintPanel = new Panel( new VBox( { spacing: 10, children: [ hintText, cancelButton ] } ), {
+    fill: 'black',
+    stroke: null,
+    centerX: bounds.centerX,
+    top: bounds.minY + 10,
+    tandem: Tandem.OPT_OUT
+  } );
+  const overlay = new Rectangle( bounds, {
+    fill: 'rgba( 0, 0, 0, 0.2 )',
+    cursor: 'crosshair',
+    children: [ hintPanel ]
+  } );
+
+  // Handled before the sim receives the key, so that Enter doesn't also activate the focused Node
+  const keydownListener = ( event: KeyboardEvent ) => {
+    const focusedNode = FocusManager.pdomFocusedNode;
+    if ( KeyboardUtils.isKeyEvent( event, KeyboardUtils.KEY_ESCAPE ) ) {
+      event.preventDefault();
+      event.stopPropagation();
+      done( null );
+    }
+    else if ( KeyboardUtils.isKeyEvent( event, KeyboardUtils.KEY_ENTER ) && focusedNode && focusedNode !== cancelButton ) {
+      event.preventDefault();
+      event.stopPropagation();
+      done( focusedNode );
+    }
+  };
+
+  const done = ( node: Node | null ) => {
+    window.removeEventListener( 'keydown', keydownListener, true );
+    sim.topLayer.removeChild( overlay );
+    overlay.dispose();
+    hintPanel.dispose();
+    cancelButton.dispose();
+    hintText.dispose();
+    callback( node );
+  };
+
+  overlay.addInputListener( {
+    down: ( event: SceneryEvent ) => {
+      if ( event.target === overlay ) {
+        event.handle();
+
+        // Find what is under the overlay
+        overlay.pickable = false;
+        const trail = sim.rootNode.hitTest( event.pointer.point, true, false );
+        done( trail ? _.findLast( trail.nodes.slice( 1 ), node => node.inputListeners.length > 0 ) || trail.lastNode() : null );
+      }
+    }
+  } );
+  window.addEventListener( 'keydown', keydownListener, true );
+  sim.topLayer.addChild( overlay );
+  cancelButton.focus();
+};
+
+/**
+ * A button above the sim that stops a recording, since the dialog is hidden while recording. Removes itself when the
+ * recording stops.
+ */
+const showStopRecordingButton = ( sim: Sim, recorder: ScreenRecorder ): void => {
+  const bounds = sim.boundsProperty.value!;
+  const stopButton = new TextPushButton( captureStrings.stopRecordingStringProperty, {
+    font: FONT,
+    maxTextWidth: MAX_TEXT_WIDTH,
+    listener: () => recorder.stop(),
+    centerX: bounds.centerX,
+    top: bounds.minY + 10,
+    tandem: Tandem.OPT_OUT
+  } );
+
+  const isRecordingListener = ( isRecording: boolean ) => {
+    if ( !isRecording ) {
+      recorder.isRecordingProperty.unlink( isRecordingListener );
+      sim.topLayer.removeChild( stopButton );
+      stopButton.dispose();
+    }
+  };
+  recorder.isRecordingProperty.lazyLink( isRecordingListener );
+  sim.topLayer.addChild( stopButton );
+};
+
+type SelfOptions = EmptySelfOptions;
+export type CaptureDialogOptions = SelfOptions & DialogOptions;
+
+class CaptureDialog extends Dialog {
+
+  public constructor( sim: Sim, providedOptions?: CaptureDialogOptions ) {
+
+    const regionProperty = new Property<CaptureRegion>( 'display' );
+    const scaleProperty = new Property<number | null>( null );
+    const includeNavigationBarProperty = new BooleanProperty( true );
+    const formatProperty = new Property<ScreenRecorderFormat>( ScreenRecorder.isWebMSupported() ? 'webm' : 'frames' );
+    const isRecordingProperty = new BooleanProperty( false );
+
+    const createLabel = ( stringProperty: TReadOnlyProperty<string> ) => {
+      return new Text( stringProperty, { font: FONT, maxWidth: MAX_TEXT_WIDTH } );
+    };
+    const createHeading = ( stringProperty: TReadOnlyProperty<string> ) => {
+      return new Text( stringProperty, { font: new PhetFont( { size: 16, weight: 'bold' } ), maxWidth: MAX_TEXT_WIDTH } );
+    };
+    const buttonOptions = {
+      font: FONT,
+      maxTextWidth: MAX_TEXT_WIDTH,
+      tandem: Tandem.OPT_OUT
+    };
+    const radioButtonGroupOptions = {
+      orientation: 'horizontal' as const,
+      spacing: 15,
+      tandem: Tandem.OPT_OUT
+    };
+
+    const regionRadioButtonGroup = new AquaRadioButtonGroup<CaptureRegion>( regionProperty, [
+      { value: 'display', createNode: () => createLabel( captureStrings.wholeSimulationStringProperty ) },
+      { value: 'screenView', createNode: () => createLabel( captureStrings.screenAreaStringProperty ) },
+      { value: 'node', createNode: () => createLabel( captureStrings.selectedObjectStringProperty ) }
+    ], radioButtonGroupOptions );
+
+    const scaleRadioButtonGroup = new AquaRadioButtonGroup<number | null>( scaleProperty, SCALES.map( scale => {
+      return {
+        value: scale,
+        createNode: () => createLabel( scale === null ?
+          new PatternStringProperty( captureStrings.screenResolutionPatternStringProperty, { scale: window.devicePixelRatio || 1 } ) :
+          new PatternStringProperty( captureStrings.scalePatternStringProperty, { scale: scale } ) )
+      };
+    } ), radioButtonGroupOptions );
+
+    const includeNavigationBarCheckbox = new Checkbox( includeNavigationBarProperty,
+      createLabel( captureStrings.includeNavigationBarStringProperty ), {
+        tandem: Tandem.OPT_OUT
+      } );
+
+    const getScreenshotOptions = ( region: ScreenshotRegion ): ScreenshotOptions => {
+      return {
+        region: region,
+        scale: scaleProperty.value,
+        includeNavigationBar: includeNavigationBarProperty.value,
+        includePopups: false
+      };
+    };
+    const filename = () => `${stripEmbeddingMarks( sim.simNameProperty.value )} screenshot`;
+
+    // Video is only offered if the browser supports it
+    const formatItems = [
+      { value: 'webm' as const, createNode: () => createLabel( captureStrings.videoStringProperty ) },
+      { value: 'frames' as const, createNode: () => createLabel( captureStrings.frameSequenceStringProperty ) }
+    ].filter( item => item.value !== 'webm' || ScreenRecorder.isWebMSupported() );
+    const formatRadioButtonGroup = new AquaRadioButtonGroup<ScreenRecorderFormat>( formatProperty, formatItems, merge( {
+      enabledProperty: DerivedProperty.not( isRecordingProperty )
+    }, radioButtonGroupOptions ) );
+
+    const content = new VBox( {
+      align: 'left',
+      spacing: 10,
+      children: [
+        createHeading( captureStrings.regionStringProperty ),
+        regionRadioButtonGroup,
+        createHeading( captureStrings.scaleStringProperty ),
+        scaleRadioButtonGroup,
+        includeNavigationBarCheckbox
+      ]
+    } );
+
+    const options = optionize<CaptureDialogOptions, SelfOptions, DialogOptions>()( {
+      title: new Text( captureStrings.titleStringProperty, { font: new PhetFont( 24 ), maxWidth: MAX_TEXT_WIDTH } ),
+      fill: JoistColors.dialogFillColorProperty,
+      tandem: Tandem.OPT_OUT
+    }, providedOptions );
+
+    super( content, options );
+
+    // Calls back with the selected region. For 'node', the dialog is hidden so that the user can click the object, and
+    // shown again if the user cancels.
+    const withRegion = ( callback: ( region: ScreenshotRegion ) => void ) => {
+      if ( regionProperty.value === 'node' ) {
+        this.hide();
+        pickNode( sim, node => node ? callback( node ) : this.show() );
+      }
+      else {
+        callback( regionProperty.value );
+      }
+    };
+
+    const savePNGButton = new TextPushButton( captureStrings.savePNGStringProperty, merge( {
+      listener: () => withRegion( region => {
+        saveToFile( ScreenshotGenerator.generateScreenshotBlob( sim, 'image/png', getScreenshotOptions( region ) ), `${filename()}.png` );
+      } )
+    }, buttonOptions ) );
+
+    const saveSVGButton = new TextPushButton( captureStrings.saveSVGStringProperty, merge( {
+      listener: () => withRegion( region => {
+        saveToFile( ScreenshotGenerator.generateSVG( sim, getScreenshotOptions( region ) ), `${filename()}.svg`, 'image/svg+xml' );
+      } )
+    }, buttonOptions ) );
+
+    // Shown when a recording ended before a frame was captured
+    const nothingRecordedText = new Text( captureStrings.nothingRecordedStringProperty, {
+      font: FONT,
+      maxWidth: MAX_TEXT_WIDTH,
+      visible: false
+    } );
+
+    let recorder: ScreenRecorder | null = null;
+    const recordStringProperty = new DerivedProperty(
+      [ isRecordingProperty, captureStrings.startRecordingStringProperty, captureStrings.stopRecordingStringProperty ],
+      ( isRecording, startString, stopString ) => isRecording ? stopString : startString
+    );
+    const recordButton = new TextPushButton( recordStringProperty, merge( {
+      listener: () => {
+        if ( recorder ) {
+          recorder.stop();
+        }
+        else {
+
+          // Hide the dialog so that the user can interact with the sim while recording
+          regionProperty.value !== 'node' && this.hide();
+          nothingRecordedText.visible = false;
+
+          withRegion( region => {
+            recorder = new ScreenRecorder( sim, merge( {
+              format: formatProperty.value,
+              onComplete: ( result: Blob | Blob[] | null ) => {
+                if ( result ) {
+                  ScreenRecorder.saveRecording( sim, result );
+                }
+                else {
+                  nothingRecordedText.visible = true;
+                  this.show();
+                }
+              }
+            }, getScreenshotOptions( region ) ) );
+            recorder.isRecordingProperty.lazyLink( isRecording => {
+              isRecordingProperty.value = isRecording;
+              if ( !isRecording ) {
+                recorder = null;
+              }
+            } );
+            showStopRecordingButton( sim, recorder );
+            recorder.start();
+          } );
+        }
+      }
+    }, buttonOptions ) );
+
+    content.children = [
+      ...content.children,
+      new HBox( { spacing: 10, children: [ savePNGButton, saveSVGButton ] } ),
+      createHeading( captureStrings.recordingStringProperty ),
+      formatRadioButtonGroup,
+      recordButton,
+      nothingRecordedText
+    ];
+  }
+}
+
+joist.register( 'CaptureDialog', CaptureDialog );
+export default CaptureDialog;
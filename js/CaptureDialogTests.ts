@@ -0,0 +1,54 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for selecting the object to capture in CaptureDialog, with a stand-in for the Sim.
+ */
+
+import Property from '../../axon/js/Property.js';
+import Bounds2 from '../../dot/js/Bounds2.js';
+import { Display, Node } from '../../scenery/js/imports.js';
+import { pickNode } from './CaptureDialog.js';
+import Sim from './Sim.js';
+
+// Since these are tests, it is simpler to typecast than to create an actual Sim. The Display is needed for focus.
+const createSim = () => {
+  const topLayer = new Node();
+  const rootNode = new Node( { children: [ topLayer ] } );
+  const display = new Display( rootNode );
+  document.body.appendChild( display.domElement );
+  return {
+    rootNode: rootNode,
+    topLayer: topLayer,
+    boundsProperty: new Property( new Bounds2( 0, 0, 200, 100 ) ),
+    dispose: () => {
+      document.body.removeChild( display.domElement );
+      display.dispose();
+    }
+  };
+};
+
+const dispatchKeydown = ( code: string ) => {
+  window.dispatchEvent( new KeyboardEvent( 'keydown', { key: code, code: code, bubbles: true } ) );
+};
+
+QUnit.module( 'CaptureDialog' );
+
+QUnit.test( 'cancel selecting an object', assert => {
+  const sim = createSim();
+  const results: ( Node | null )[] = [];
+
+  pickNode( sim as unknown as Sim, node => results.push( node ) );
+  assert.equal( sim.topLayer.children.length, 1, 'the sim is covered' );
+
+  dispatchKeydown( 'KeyA' );
+  assert.equal( results.length, 0, 'other keys are ignored' );
+
+  dispatchKeydown( 'Escape' );
+  assert.deepEqual( results, [ null ], 'Escape cancels' );
+  assert.equal( sim.topLayer.children.length, 0, 'the sim is uncovered' );
+
+  dispatchKeydown( 'Escape' );
+  assert.equal( results.length, 1, 'keys are ignored afterwards' );
+
+  sim.dispose();
+} );
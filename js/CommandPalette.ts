@@ -0,0 +1,164 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * A searchable list of the enabled commands of the commandRegistry, opened with the joist.commandPalette command. It
+ * is an HTML overlay above the sim: typing filters the commands by name, the arrow keys select one, Enter executes it
+ * and Escape closes the palette. The shortcut of each command is shown next to its name.
+ */
+
+import commandRegistry, { Command, CommandRegistry } from './commandRegistry.js';
+import joist from './joist.js';
+import JoistStrings from './JoistStrings.js';
+
+// constants
+const commandPaletteStrings = JoistStrings.commandPalette;
+const SELECTED_BACKGROUND = '#d6edf9';
+
+class CommandPalette {
+
+  private readonly domElement: HTMLDivElement;
+  private readonly searchInput: HTMLInputElement;
+  private readonly listElement: HTMLDivElement;
+
+  // the commands that match the search, and the index of the one that Enter executes
+  private matchingCommands: Command[] = [];
+  private selectedIndex = 0;
+
+  // focused again when the palette is closed
+  private previousFocus: HTMLElement | null = null;
+
+  public constructor() {
+
+    // covers the sim, so a click outside of the palette closes it
+    this.domElement = CommandPalette.createElement( 'div', 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; ' +
+                                                           'z-index: 10001; display: none; justify-content: center; ' +
+                                                           'align-items: flex-start; background: rgba(0,0,0,0.2);' );
+    this.domElement.addEventListener( 'mousedown', event => event.target === this.domElement && this.hide() );
+
+    const paletteElement = CommandPalette.createElement( 'div', 'margin-top: 10vh; width: 420px; max-width: 90vw; ' +
+                                                                'background: white; border: 1px solid #888; ' +
+                                                                'border-radius: 6px; font: 14px sans-serif; color: black;' );
+    paletteElement.setAttribute( 'role', 'dialog' );
+
+    this.searchInput = CommandPalette.createElement( 'input', 'box-sizing: border-box; width: 100%; padding: 8px; ' +
+                                                              'border: none; border-bottom: 1px solid #ccc; font: inherit;' );
+    this.searchInput.type = 'search';
+    this.searchInput.setAttribute( 'role', 'combobox' );
+    this.searchInput.setAttribute( 'aria-label', commandPaletteStrings.placeholderStringProperty.value );
+    this.searchInput.addEventListener( 'input', () => {
+      this.selectedIndex = 0;
+      this.refresh();
+    } );
+    this.searchInput.addEventListener( 'keydown', event => this.handleKeydown( event ) );
+
+    this.listElement = CommandPalette.createElement( 'div', 'max-height: 50vh; overflow-y: auto;' );
+    this.listElement.setAttribute( 'role', 'listbox' );
+
+    paletteElement.append( this.searchInput, this.listElement );
+    this.domElement.appendChild( paletteElement );
+    document.body.appendChild( this.domElement );
+
+    commandRegistry.commandsChangedEmitter.addListener( () => this.isShowing() && this.refresh() );
+  }
+
+  public show(): void {
+    if ( !this.isShowing() ) {
+      this.previousFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+      this.searchInput.placeholder = commandPaletteStrings.placeholderStringProperty.value;
+      this.searchInput.value = '';
+      this.selectedIndex = 0;
+      this.domElement.style.display = 'flex';
+      this.refresh();
+    }
+    this.searchInput.focus();
+  }
+
+  public hide(): void {
+    this.domElement.style.display = 'none';
+    this.previousFocus && this.previousFocus.focus();
+    this.previousFocus = null;
+  }
+
+  public isShowing(): boolean {
+    return this.domElement.style.display !== 'none';
+  }
+
+  private handleKeydown( event: KeyboardEvent ): void {
+    if ( event.key === 'ArrowDown' || event.key === 'ArrowUp' ) {
+      event.preventDefault();
+      const count = this.matchingCommands.length;
+      if ( count > 0 ) {
+        this.selectedIndex = ( this.selectedIndex + ( event.key === 'ArrowDown' ? 1 : -1 ) + count ) % count;
+        this.refresh();
+      }
+    }
+    else if ( event.key === 'Enter' ) {
+      event.preventDefault();
+      const command = this.matchingCommands[ this.selectedIndex ];
+      command && this.executeCommand( command );
+    }
+    else if ( event.key === 'Escape' ) {
+      event.preventDefault();
+      this.hide();
+    }
+
+    // Keep keys in the palette from reaching the sim
+    event.stopPropagation();
+  }
+
+  // Closed first, so that commands that open a Dialog can take the focus
+  private executeCommand( command: Command ): void {
+    this.hide();
+    commandRegistry.execute( command.id );
+  }
+
+  // Lists the enabled commands whose names contain every word of the search
+  private refresh(): void {
+    const words = this.searchInput.value.toLowerCase().split( /\s+/ ).filter( word => word.length > 0 );
+    this.matchingCommands = commandRegistry.getCommands( true ).filter( command => {
+      const name = command.nameProperty.value.toLowerCase();
+      return _.every( words, word => name.includes( word ) );
+    } );
+    this.selectedIndex = Math.min( this.selectedIndex, Math.max( this.matchingCommands.length - 1, 0 ) );
+
+    const rows = this.matchingCommands.map( ( command, index ) => {
+      const selected = index === this.selectedIndex;
+      const row = CommandPalette.createElement( 'div', `display: flex; padding: 6px 8px; cursor: pointer; background: ${selected ? SELECTED_BACKGROUND : 'white'};` );
+      row.setAttribute( 'role', 'option' );
+      row.setAttribute( 'aria-selected', `${selected}` );
+
+      const nameElement = CommandPalette.createElement( 'span', 'flex: 1;' );
+      nameElement.textContent = command.nameProperty.value;
+      row.appendChild( nameElement );
+
+      const shortcut = commandRegistry.getShortcut( command.id );
+      if ( shortcut ) {
+        const shortcutElement = CommandPalette.createElement( 'span', 'margin-left: 12px; color: #666;' );
+        shortcutElement.textContent = CommandRegistry.getShortcutLabel( shortcut );
+        row.appendChild( shortcutElement );
+      }
+
+      row.addEventListener( 'mousedown', event => event.preventDefault() );
+      row.addEventListener( 'click', () => this.executeCommand( command ) );
+      return row;
+    } );
+
+    if ( rows.length === 0 ) {
+      const noMatchesElement = CommandPalette.createElement( 'div', 'padding: 6px 8px; color: #666;' );
+      noMatchesElement.textContent = commandPaletteStrings.noMatchesStringProperty.value;
+      rows.push( noMatchesElement );
+    }
+
+    this.listElement.innerHTML = '';
+    this.listElement.append( ...rows );
+  }
+
+  private static createElement<K extends keyof HTMLElementTagNameMap>( tagName: K, style: string ): HTMLElementTagNameMap[ K ] {
+    const element = document.createElement( tagName );
+    element.style.cssText = style;
+    return element;
+  }
+}
+
+joist.register( 'CommandPalette', CommandPalette );
+export default CommandPalette;
@@ -0,0 +1,73 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Keyboard help for the commands of the commandRegistry that have a shortcut, added to the KeyboardHelpDialog after
+ * the content of each screen. It is rebuilt when commands or shortcuts change, so that it shows the shortcuts that the
+ * user chose.
+ */
+
+import KeyboardHelpIconFactory from '../../scenery-phet/js/keyboard/help/KeyboardHelpIconFactory.js';
+import KeyboardHelpSection from '../../scenery-phet/js/keyboard/help/KeyboardHelpSection.js';
+import KeyboardHelpSectionRow from '../../scenery-phet/js/keyboard/help/KeyboardHelpSectionRow.js';
+import LetterKeyNode from '../../scenery-phet/js/keyboard/LetterKeyNode.js';
+import TextKeyNode from '../../scenery-phet/js/keyboard/TextKeyNode.js';
+import { Node, NodeOptions } from '../../scenery/js/imports.js';
+import commandRegistry, { CommandRegistry } from './commandRegistry.js';
+import joist from './joist.js';
+import JoistStrings from './JoistStrings.js';
+
+class CommandsKeyboardHelpNode extends Node {
+  private readonly disposeCommandsKeyboardHelpNode: () => void;
+
+  public constructor( providedOptions?: NodeOptions ) {
+    super( providedOptions );
+
+    let section: KeyboardHelpSection | null = null;
+    const update = () => {
+      if ( section ) {
+        this.removeChild( section );
+        section.dispose();
+        section = null;
+      }
+
+      const rows = commandRegistry.getCommands( true ).filter( command => commandRegistry.getShortcut( command.id ) ).map( command => {
+        const icon = CommandsKeyboardHelpNode.createShortcutIcon( commandRegistry.getShortcut( command.id )! );
+        return KeyboardHelpSectionRow.labelWithIcon( command.nameProperty, icon );
+      } );
+      if ( rows.length > 0 ) {
+        section = new KeyboardHelpSection( JoistStrings.keyboardShortcuts.commandsStringProperty, rows );
+        this.addChild( section );
+      }
+    };
+    commandRegistry.commandsChangedEmitter.addListener( update );
+    update();
+
+    this.disposeCommandsKeyboardHelpNode = () => {
+      commandRegistry.commandsChangedEmitter.removeListener( update );
+      section && section.dispose();
+    };
+  }
+
+  /**
+   * Creates the keys of a shortcut, like Alt + Shift + P.
+   */
+  public static createShortcutIcon( shortcut: string ): Node {
+    const { modifiers, code } = CommandRegistry.parseShortcut( shortcut );
+    const keyLabel = CommandRegistry.getKeyLabel( code );
+    const icons = [
+      ...modifiers.map( modifier => modifier === 'alt' ? TextKeyNode.altOrOption() :
+                                    modifier === 'shift' ? TextKeyNode.shift() :
+                                    new TextKeyNode( CommandRegistry.getModifierLabel( modifier ) ) ),
+      keyLabel.length === 1 ? new LetterKeyNode( keyLabel ) : new TextKeyNode( keyLabel )
+    ];
+    return icons.length > 1 ? KeyboardHelpIconFactory.iconPlusIconRow( icons ) : icons[ 0 ];
+  }
+
+  public override dispose(): void {
+    this.disposeCommandsKeyboardHelpNode();
+    super.dispose();
+  }
+}
+
+joist.register( 'CommandsKeyboardHelpNode', CommandsKeyboardHelpNode );
+export default CommandsKeyboardHelpNode;
@@ -0,0 +1,73 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Contrast of colors as defined by WCAG 2.1 (https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio), used to warn when a
+ * ColorTheme makes the text of joist UI hard to read. The text of the navigation bar and the home screen uses the
+ * foreground color, and the selected screen uses the accent color, both on the background color.
+ */
+
+import { Color } from '../../scenery/js/imports.js';
+import joist from './joist.js';
+import { ColorTheme } from './preferences/colorThemeManager.js';
+
+// Minimum contrast ratio for text, WCAG 2.1 success criterion 1.4.3 (level AA)
+const MINIMUM_TEXT_CONTRAST = 4.5;
+
+// Colors with a lower relative luminance have more contrast with white than with black
+const DARK_LUMINANCE = Math.sqrt( 1.05 * 0.05 ) - 0.05;
+
+export type ContrastIssue = {
+
+  // 'foreground' for the text of the navigation bar and the home screen, 'accent' for the selected screen
+  color: 'foreground' | 'accent';
+  ratio: number;
+  minimumRatio: number;
+};
+
+class ContrastChecker {
+
+  /**
+   * Relative luminance of a color, from 0 for black to 1 for white. Alpha is ignored.
+   */
+  public static getRelativeLuminance( color: Color | string ): number {
+    const toColor = Color.toColor( color );
+    const linear = ( channel: number ) => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : Math.pow( ( value + 0.055 ) / 1.055, 2.4 );
+    };
+    return 0.2126 * linear( toColor.r ) + 0.7152 * linear( toColor.g ) + 0.0722 * linear( toColor.b );
+  }
+
+  /**
+   * Contrast ratio of two colors, from 1 for the same colors to 21 for black and white. The order doesn't matter.
+   */
+  public static getContrastRatio( color1: Color | string, color2: Color | string ): number {
+    const luminance1 = ContrastChecker.getRelativeLuminance( color1 );
+    const luminance2 = ContrastChecker.getRelativeLuminance( color2 );
+    return ( Math.max( luminance1, luminance2 ) + 0.05 ) / ( Math.min( luminance1, luminance2 ) + 0.05 );
+  }
+
+  /**
+   * Whether white has more contrast on a color than black, so that icons and text on it should be light.
+   */
+  public static isDarkColor( color: Color | string ): boolean {
+    return ContrastChecker.getRelativeLuminance( color ) < DARK_LUMINANCE;
+  }
+
+  /**
+   * Returns the colors of a theme that don't have enough contrast with its background to be read as text.
+   */
+  public static checkColorTheme( colorTheme: ColorTheme ): ContrastIssue[] {
+    const issues: ContrastIssue[] = [];
+    ( [ 'foreground', 'accent' ] as const ).forEach( color => {
+      const ratio = ContrastChecker.getContrastRatio( colorTheme[ color ], colorTheme.background );
+      if ( ratio < MINIMUM_TEXT_CONTRAST ) {
+        issues.push( { color: color, ratio: ratio, minimumRatio: MINIMUM_TEXT_CONTRAST } );
+      }
+    } );
+    return issues;
+  }
+}
+
+joist.register( 'ContrastChecker', ContrastChecker );
+export default ContrastChecker;
@@ -0,0 +1,33 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for ContrastChecker.
+ */
+
+import ContrastChecker from './ContrastChecker.js';
+import { HIGH_CONTRAST_COLOR_THEME } from './preferences/colorThemeManager.js';
+
+QUnit.module( 'ContrastChecker' );
+
+QUnit.test( 'getContrastRatio', assert => {
+  assert.equal( ContrastChecker.getContrastRatio( 'black', 'white' ), 21, 'black and white' );
+  assert.equal( ContrastChecker.getContrastRatio( 'white', 'black' ), 21, 'the order does not matter' );
+  assert.equal( ContrastChecker.getContrastRatio( '#336699', '#336699' ), 1, 'the same color' );
+  assert.ok( Math.abs( ContrastChecker.getContrastRatio( '#767676', 'white' ) - 4.54 ) < 0.01, 'the darkest gray that passes on white' );
+} );
+
+QUnit.test( 'isDarkColor', assert => {
+  assert.ok( ContrastChecker.isDarkColor( 'black' ) );
+  assert.ok( ContrastChecker.isDarkColor( '#1b2a49' ) );
+  assert.ok( !ContrastChecker.isDarkColor( 'white' ) );
+  assert.ok( !ContrastChecker.isDarkColor( 'yellow' ) );
+} );
+
+QUnit.test( 'checkColorTheme', assert => {
+  assert.deepEqual( ContrastChecker.checkColorTheme( HIGH_CONTRAST_COLOR_THEME ), [], 'high contrast has no issues' );
+
+  const issues = ContrastChecker.checkColorTheme( { background: '#808080', foreground: '#909090', accent: '#000000' } );
+  assert.equal( issues.length, 1, 'only the foreground is hard to read' );
+  assert.equal( issues[ 0 ].color, 'foreground' );
+  assert.ok( issues[ 0 ].ratio < issues[ 0 ].minimumRatio );
+} );
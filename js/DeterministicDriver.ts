@@ -0,0 +1,279 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Drives the Sim with a fixed dt instead of the wall clock, and records and replays input as traces of DOM events
+ * keyed by frame number. This supports regression testing in a headless browser without PhET-iO playback mode: a trace
+ * that is replayed in two builds with the same ?randomSeed produces the same frames, so screenshots can be diffed.
+ *
+ * Enable it with ?deterministicStepping (and optionally ?deterministicDT). By default the animation loop steps one
+ * frame per animation frame, so that a person can record a trace. A test harness takes control of stepping with:
+ *
+ *   const driver = phet.joist.sim.deterministicDriver;
+ *   driver.autoStep = false;
+ *   const screenshots = driver.runTrace( trace, [ 60, 120 ] ); // { 60: dataURL, 120: dataURL }
+ *
+ * Traces are recorded with driver.startRecording() and driver.stopRecording() (or downloadTrace()). Pointer events
+ * are replayed at the element under their coordinates, so the window size must match the recording. Keyboard events
+ * are replayed at the element with the recorded id, or the focused element. Touch events are not recorded.
+ */
+
+import animationFrameTimer from '../../axon/js/animationFrameTimer.js';
+import joist from './joist.js';
+import joistQueryParameters from './joistQueryParameters.js';
+import packageJSON from './packageJSON.js';
+import saveToFile from './saveToFile.js';
+import ScreenshotGenerator from './ScreenshotGenerator.js';
+import Sim from './Sim.js';
+
+// Increment when the trace format changes in a way that older traces can't be replayed
+const TRACE_VERSION = 1;
+
+// DOM events that are recorded. Mouse events are only used by scenery when pointer events are not supported.
+const POINTER_EVENT_TYPES = window.PointerEvent ?
+  [ 'pointerdown', 'pointerup', 'pointermove', 'pointerover', 'pointerout', 'pointercancel' ] :
+  [ 'mousedown', 'mouseup', 'mousemove', 'mouseover', 'mouseout' ];
+const EVENT_TYPES = [ ...POINTER_EVENT_TYPES, 'wheel', 'keydown', 'keyup', 'focusin' ];
+
+// Properties of DOM events that are copied into the trace, if the event has them
+const EVENT_PROPERTIES = [
+  'altKey', 'ctrlKey', 'metaKey', 'shiftKey',
+  'clientX', 'clientY', 'screenX', 'screenY', 'button', 'buttons',
+  'pointerId', 'pointerType', 'isPrimary', 'width', 'height', 'pressure',
+  'deltaX', 'deltaY', 'deltaZ', 'deltaMode',
+  'key', 'code', 'location', 'repeat'
+];
+
+type EventClassName = 'PointerEvent' | 'WheelEvent' | 'MouseEvent' | 'KeyboardEvent' | 'FocusEvent';
+
+export type InputTraceEvent = {
+
+  // The number of frames stepped since the start of the recording when the event occurred
+  frame: number;
+
+  type: string;
+  eventClass: EventClassName;
+
+  // id of the target element, for events that are not located by their coordinates
+  targetId?: string;
+
+  init: Record<string, string | number | boolean>;
+};
+
+export type InputTrace = {
+  version: number;
+  simName: string;
+  simVersion: string;
+  randomSeed: number;
+  dt: number;
+
+  // The number of frames stepped during the recording
+  frameCount: number;
+
+  events: InputTraceEvent[];
+};
+
+class DeterministicDriver {
+
+  private readonly sim: Sim;
+
+  // The fixed dt (in seconds) of each frame
+  public readonly dt: number;
+
+  // Whether the animation loop steps one frame per animation frame. Set to false for the caller to control stepping.
+  public autoStep = true;
+
+  // The number of frames stepped by this driver
+  public frameNumber = 0;
+
+  // The frameNumber at the start of the current recording or replay, null if there is none
+  private recordingStartFrame: number | null = null;
+  private replayStartFrame: number | null = null;
+
+  private recordedEvents: InputTraceEvent[] = [];
+  private replayEvents: InputTraceEvent[] = [];
+
+  // Whether events are being dispatched from a trace, so that they are not recorded
+  private isDispatching = false;
+
+  // Added to the window (in the capture phase) for the events of EVENT_TYPES while recording. Adding it again when
+  // recording restarts has no effect.
+  private readonly recordListener: ( event: Event ) => void;
+
+  public constructor( sim: Sim, dt: number = joistQueryParameters.deterministicDT ) {
+    assert && assert( dt > 0, `dt must be positive: ${dt}` );
+
+    this.sim = sim;
+    this.dt = dt;
+    this.recordListener = event => this.record( event );
+  }
+
+  /**
+   * Steps the sim by a number of frames with the fixed dt, dispatching replayed input before each frame.
+   */
+  public step( frames = 1 ): void {
+    for ( let i = 0; i < frames; i++ ) {
+      this.dispatchReplayEvents();
+
+      this.sim.stepSimulation( this.dt );
+      animationFrameTimer.emit( this.dt );
+      this.frameNumber++;
+    }
+  }
+
+  public get isRecording(): boolean {
+    return this.recordingStartFrame !== null;
+  }
+
+  public get isReplaying(): boolean {
+    return this.replayStartFrame !== null;
+  }
+
+  // Starts recording input, discarding what was recorded if there is a recording already
+  public startRecording(): void {
+    this.recordingStartFrame = this.frameNumber;
+    this.recordedEvents = [];
+    EVENT_TYPES.forEach( type => window.addEventListener( type, this.recordListener, true ) );
+  }
+
+  /**
+   * Stops recording, and returns the trace of what was recorded.
+   */
+  public stopRecording(): InputTrace {
+    assert && assert( this.isRecording, 'not recording' );
+
+    const trace = {
+      version: TRACE_VERSION,
+      simName: packageJSON.name,
+      simVersion: packageJSON.version,
+      randomSeed: phet.chipper.queryParameters.randomSeed,
+      dt: this.dt,
+      frameCount: this.frameNumber - this.recordingStartFrame!,
+      events: this.recordedEvents
+    };
+    this.recordingStartFrame = null;
+    this.recordedEvents = [];
+    EVENT_TYPES.forEach( type => window.removeEventListener( type, this.recordListener, true ) );
+    return trace;
+  }
+
+  /**
+   * Stops recording, and saves the trace to a JSON file.
+   */
+  public downloadTrace(): void {
+    saveToFile( JSON.stringify( this.stopRecording() ), `${packageJSON.name}-input-trace.json` );
+  }
+
+  /**
+   * Starts replaying a trace. Its events are dispatched as the following frames are stepped.
+   */
+  public replay( trace: InputTrace ): void {
+    assert && assert( trace.version === TRACE_VERSION, `unsupported trace version: ${trace.version}` );
+
+    if ( trace.dt !== this.dt ) {
+      console.warn( `Trace was recorded with dt=${trace.dt}, but replaying with dt=${this.dt}` );
+    }
+    if ( trace.randomSeed !== phet.chipper.queryParameters.randomSeed ) {
+      console.warn( `Trace was recorded with randomSeed=${trace.randomSeed}, use the same ?randomSeed to replay it` );
+    }
+
+    this.replayStartFrame = this.frameNumber;
+    this.replayEvents = _.sortBy( trace.events, event => event.frame );
+  }
+
+  /**
+   * Replays a trace to its end, and returns screenshots (as data URLs) taken after each of the requested numbers of
+   * frames. Stepping continues past the end of the trace if a screenshot is requested there.
+   */
+  public runTrace( trace: InputTrace, screenshotFrames: number[] = [], mimeType = 'image/png' ): Record<number, string> {
+    const screenshots: Record<number, string> = {};
+    const lastFrame = Math.max( trace.frameCount, ...screenshotFrames );
+
+    this.replay( trace );
+    for ( let frame = 0; frame <= lastFrame; frame++ ) {
+      if ( screenshotFrames.includes( frame ) ) {
+        screenshots[ frame ] = ScreenshotGenerator.generateScreenshot( this.sim, mimeType );
+      }
+      frame < lastFrame && this.step();
+    }
+    this.replayStartFrame = null;
+
+    return screenshots;
+  }
+
+  private record( event: Event ): void {
+    if ( this.isDispatching ) {
+      return;
+    }
+
+    const init: Record<string, string | number | boolean> = {};
+    EVENT_PROPERTIES.forEach( property => {
+      const value = ( event as unknown as Record<string, unknown> )[ property ];
+      if ( typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean' ) {
+        init[ property ] = value;
+      }
+    } );
+
+    const traceEvent: InputTraceEvent = {
+      frame: this.frameNumber - this.recordingStartFrame!,
+      type: event.type,
+      eventClass: getEventClassName( event ),
+      init: init
+    };
+    if ( !( event instanceof MouseEvent ) && event.target instanceof Element && event.target.id ) {
+      traceEvent.targetId = event.target.id;
+    }
+    this.recordedEvents.push( traceEvent );
+  }
+
+  private dispatchReplayEvents(): void {
+    if ( !this.isReplaying ) {
+      return;
+    }
+    const frame = this.frameNumber - this.replayStartFrame!;
+
+    this.isDispatching = true;
+    while ( this.replayEvents.length && this.replayEvents[ 0 ].frame <= frame ) {
+      dispatchTraceEvent( this.replayEvents.shift()! );
+    }
+    this.isDispatching = false;
+  }
+}
+
+const getEventClassName = ( event: Event ): EventClassName => {
+
+  // Subclasses are checked before their parent classes
+  return window.PointerEvent && event instanceof PointerEvent ? 'PointerEvent' :
+         event instanceof WheelEvent ? 'WheelEvent' :
+         event instanceof MouseEvent ? 'MouseEvent' :
+         event instanceof KeyboardEvent ? 'KeyboardEvent' :
+         'FocusEvent';
+};
+
+const dispatchTraceEvent = ( traceEvent: InputTraceEvent ): void => {
+  const init = { bubbles: true, cancelable: true, composed: true, ...traceEvent.init };
+
+  let target: Element | null;
+  if ( traceEvent.eventClass === 'KeyboardEvent' || traceEvent.eventClass === 'FocusEvent' ) {
+    target = ( traceEvent.targetId && document.getElementById( traceEvent.targetId ) ) || document.activeElement;
+  }
+  else {
+    target = document.elementFromPoint( init.clientX as number, init.clientY as number );
+  }
+  target = target || document.body;
+
+  // Focus is moved by the browser, so that the focused element is the target of later keyboard events
+  if ( traceEvent.type === 'focusin' ) {
+    target instanceof HTMLElement && target.focus();
+    return;
+  }
+
+  const event = traceEvent.eventClass === 'PointerEvent' ? new PointerEvent( traceEvent.type, init ) :
+                traceEvent.eventClass === 'WheelEvent' ? new WheelEvent( traceEvent.type, init ) :
+                traceEvent.eventClass === 'MouseEvent' ? new MouseEvent( traceEvent.type, init ) :
+                traceEvent.eventClass === 'KeyboardEvent' ? new KeyboardEvent( traceEvent.type, init ) :
+                new FocusEvent( traceEvent.type, init );
+  target.dispatchEvent( event );
+};
+
+joist.register( 'DeterministicDriver', DeterministicDriver );
+export default DeterministicDriver;
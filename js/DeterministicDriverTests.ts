@@ -0,0 +1,94 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for recording and replaying input traces with DeterministicDriver, with a stand-in for the Sim.
+ */
+
+import DeterministicDriver from './DeterministicDriver.js';
+import Sim from './Sim.js';
+
+const DT = 0.02;
+
+// Since these are tests, it is simpler to typecast than to create an actual Sim. Records the dt of each step.
+const createSim = () => {
+  const dts: number[] = [];
+  return {
+    dts: dts,
+    stepSimulation: ( dt: number ) => dts.push( dt )
+  };
+};
+
+const dispatchKeyEvent = ( type: string, code: string ) => {
+  document.body.dispatchEvent( new KeyboardEvent( type, { key: code, code: code, bubbles: true } ) );
+};
+
+QUnit.module( 'DeterministicDriver' );
+
+QUnit.test( 'record and replay', assert => {
+  const sim = createSim();
+  const driver = new DeterministicDriver( sim as unknown as Sim, DT );
+
+  driver.step( 3 );
+  driver.startRecording();
+  driver.step( 2 );
+  dispatchKeyEvent( 'keydown', 'KeyA' );
+  driver.step( 3 );
+  dispatchKeyEvent( 'keyup', 'KeyA' );
+  driver.step();
+  const trace = driver.stopRecording();
+
+  assert.equal( trace.dt, DT );
+  assert.equal( trace.frameCount, 6, 'frames are counted from the start of the recording' );
+  assert.deepEqual( trace.events.map( event => [ event.frame, event.type, event.eventClass, event.init.code ] ), [
+    [ 2, 'keydown', 'KeyboardEvent', 'KeyA' ],
+    [ 5, 'keyup', 'KeyboardEvent', 'KeyA' ]
+  ], 'events are recorded with the frame in which they occurred' );
+
+  // Replay in a new driver, and note how many frames were stepped when each event arrives
+  const replaySim = createSim();
+  const replayDriver = new DeterministicDriver( replaySim as unknown as Sim, DT );
+  replayDriver.step( 10 );
+
+  const replayed: [ number, string ][] = [];
+  const listener = ( event: Event ) => replayed.push( [ replaySim.dts.length - 10, event.type ] );
+  document.addEventListener( 'keydown', listener );
+  document.addEventListener( 'keyup', listener );
+
+  replayDriver.startRecording();
+  replayDriver.replay( trace );
+  replayDriver.step( trace.frameCount );
+  const replayRecording = replayDriver.stopRecording();
+
+  document.removeEventListener( 'keydown', listener );
+  document.removeEventListener( 'keyup', listener );
+
+  assert.deepEqual( replayed, [ [ 2, 'keydown' ], [ 5, 'keyup' ] ], 'events are replayed before the frame that they were recorded in' );
+  assert.ok( _.every( replaySim.dts, dt => dt === DT ), 'every frame is stepped with the fixed dt' );
+  assert.equal( replaySim.dts.length, 16 );
+  assert.equal( replayRecording.events.length, 0, 'replayed events are not recorded' );
+} );
+
+QUnit.test( 'window listeners', assert => {
+  const driver = new DeterministicDriver( createSim() as unknown as Sim, DT );
+
+  // Counts the capture listeners on the window
+  let listenerCount = 0;
+  const addEventListener = window.addEventListener;
+  const removeEventListener = window.removeEventListener;
+  window.addEventListener = ( ( ...args: Parameters<typeof addEventListener> ) => {
+    args[ 2 ] === true && listenerCount++;
+    addEventListener.apply( window, args );
+  } ) as typeof addEventListener;
+  window.removeEventListener = ( ( ...args: Parameters<typeof removeEventListener> ) => {
+    args[ 2 ] === true && listenerCount--;
+    removeEventListener.apply( window, args );
+  } ) as typeof removeEventListener;
+
+  driver.startRecording();
+  assert.ok( listenerCount > 0, 'listeners are added when recording starts' );
+  driver.stopRecording();
+  assert.equal( listenerCount, 0, 'listeners are removed when recording stops' );
+
+  window.addEventListener = addEventListener;
+  window.removeEventListener = removeEventListener;
+} );
@@ -0,0 +1,307 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Collects diagnostics that help with problem reports: SimInfo, the selected screen, the query parameters, recent
+ * errors and warnings, memory usage, frame times, Profiler summaries (with ?profiler) and optionally a screenshot.
+ * The bundle is shown in the DiagnosticsDialog, which opens from "Report a Problem" in the PhetMenu. It can be copied
+ * to the clipboard, or saved as a JSON file or as a ZIP file (with the screenshot as a PNG file) that a user can
+ * attach to a report.
+ *
+ * Errors are kept in a ring buffer from the start of the Sim. Uncaught errors and unhandled promise rejections are
+ * always recorded, with passive listeners on the window. Failed assertions are uncaught errors, and are recorded with
+ * the 'assertion' type. With ?diagnostics, console.error and console.warn calls are also recorded, which replaces
+ * those functions. Recording is started with startLogging and startConsoleLogging, before the Sim is constructed, and
+ * stopLogging restores the console.
+ *
+ * Memory usage is sampled about once per second, for browsers that report it.
+ */
+
+import animationFrameTimer from '../../axon/js/animationFrameTimer.js';
+import Utils from '../../dot/js/Utils.js';
+import joist from './joist.js';
+import packageJSON from './packageJSON.js';
+import createZip, { ZipFile } from './createZip.js';
+import { ProfilerScreenSummary } from './Profiler.js';
+import saveToFile from './saveToFile.js';
+import ScreenshotGenerator from './ScreenshotGenerator.js';
+import Sim from './Sim.js';
+import { SimInfoState } from './SimInfo.js';
+
+// Version of the layout of DiagnosticsBundle, increment when it changes
+const DIAGNOSTICS_VERSION = 1;
+
+// number of log entries that are kept, older entries are dropped
+const MAX_LOG_ENTRIES = 50;
+
+// number of frames that are used for frame statistics
+const MAX_FRAME_TIMES = 300;
+
+// Screenshots are taken while the DiagnosticsDialog is open, which is not included
+const SCREENSHOT_OPTIONS = { includePopups: false };
+
+// in seconds, and the number of memory samples that are used for the average
+const MEMORY_SAMPLE_INTERVAL = 1;
+const MAX_MEMORY_SAMPLES = 60;
+
+export type DiagnosticsLogEntry = {
+  type: 'error' | 'warning' | 'assertion' | 'unhandledRejection';
+  message: string;
+  stack: string | null;
+
+  // Date.now() when the entry was recorded
+  timestamp: number;
+};
+
+export type DiagnosticsBundle = {
+  diagnosticsVersion: number;
+  timestamp: string;
+  simInfo: SimInfoState;
+  buildTimestamp: string | null;
+  selectedScreen: string;
+  queryParameters: Record<string, string>;
+  queryParameterWarnings: Warning[]; // eslint-disable-line no-undef
+
+  // null if errors are not recorded, see startLogging. Warnings are only recorded with ?diagnostics.
+  log: DiagnosticsLogEntry[] | null;
+
+  // bytes of JS heap used, null if the browser doesn't report memory. The average is of the recent samples.
+  memory: {
+    usedJSHeapSize: number | null;
+    averageUsedJSHeapSize: number | null;
+  };
+
+  // in milliseconds, for the most recent frames
+  frames: {
+    count: number;
+    averageFPS: number;
+    averageFrameTime: number;
+    maxFrameTime: number;
+  };
+  profiler: ProfilerScreenSummary[] | null;
+
+  // data URL of a PNG, null if not requested. In the ZIP file, the name of the PNG file.
+  screenshot: string | null;
+};
+
+// Recorded errors and warnings, oldest first. Module-level since recording starts before the Sim is constructed.
+const log: DiagnosticsLogEntry[] = [];
+
+// Undo startLogging and startConsoleLogging, null when those are not recording
+let restoreLogging: ( () => void ) | null = null;
+let restoreConsoleLogging: ( () => void ) | null = null;
+
+// Bytes of JS heap used, null if the browser doesn't report memory
+const getUsedJSHeapSize = (): number | null => {
+
+  // @ts-ignore Until we make typescript know about performance.memory
+  const memory = window.performance && window.performance.memory;
+  return memory && memory.usedJSHeapSize ? memory.usedJSHeapSize : null;
+};
+
+const addLogEntry = ( type: DiagnosticsLogEntry['type'], args: unknown[] ): void => {
+  const error = _.find( args, arg => arg instanceof Error ) as Error | undefined;
+  log.push( {
+    type: type,
+    message: args.map( arg => arg instanceof Error ? arg.message : `${arg}` ).join( ' ' ),
+    stack: error && error.stack ? error.stack : null,
+    timestamp: Date.now()
+  } );
+  log.length > MAX_LOG_ENTRIES && log.shift();
+};
+
+class Diagnostics {
+
+  private readonly sim: Sim;
+  private readonly frameTimes: number[] = [];
+  private readonly memorySamples: number[] = [];
+  private readonly frameListener: ( dt: number ) => void;
+
+  // in seconds, so that memory is sampled on the first frame
+  private timeSinceMemorySample = MEMORY_SAMPLE_INTERVAL;
+
+  public constructor( sim: Sim ) {
+    this.sim = sim;
+
+    this.frameListener = dt => {
+      this.frameTimes.push( dt * 1000 );
+      this.frameTimes.length > MAX_FRAME_TIMES && this.frameTimes.shift();
+
+      this.timeSinceMemorySample += dt;
+      if ( this.timeSinceMemorySample >= MEMORY_SAMPLE_INTERVAL ) {
+        this.timeSinceMemorySample = 0;
+        const usedJSHeapSize = getUsedJSHeapSize();
+        if ( usedJSHeapSize !== null ) {
+          this.memorySamples.push( usedJSHeapSize );
+          this.memorySamples.length > MAX_MEMORY_SAMPLES && this.memorySamples.shift();
+        }
+      }
+    };
+    animationFrameTimer.addListener( this.frameListener );
+  }
+
+  public dispose(): void {
+    animationFrameTimer.removeListener( this.frameListener );
+  }
+
+  /**
+   * Starts recording uncaught errors and unhandled promise rejections. Called by the Sim before anything else, so that
+   * errors during startup are recorded. Clears entries from earlier recordings.
+   */
+  public static startLogging(): void {
+    if ( restoreLogging ) {
+      return;
+    }
+    log.length = 0;
+
+    const errorListener = ( event: ErrorEvent ) => {
+      const isAssertion = event.message && event.message.includes( 'Assertion failed' );
+      addLogEntry( isAssertion ? 'assertion' : 'error', [ event.error || event.message ] );
+    };
+    const rejectionListener = ( event: PromiseRejectionEvent ) => addLogEntry( 'unhandledRejection', [ event.reason ] );
+    window.addEventListener( 'error', errorListener, { passive: true } );
+    window.addEventListener( 'unhandledrejection', rejectionListener, { passive: true } );
+
+    restoreLogging = () => {
+      window.removeEventListener( 'error', errorListener );
+      window.removeEventListener( 'unhandledrejection', rejectionListener );
+    };
+  }
+
+  /**
+   * Also records console.error and console.warn calls, which still reach the console. Called by the Sim with
+   * ?diagnostics, after startLogging.
+   */
+  public static startConsoleLogging(): void {
+    assert && assert( restoreLogging, 'startLogging must be called first' );
+    if ( restoreConsoleLogging ) {
+      return;
+    }
+
+    const consoleError = console.error;
+    const consoleWarn = console.warn;
+    console.error = ( ...args: unknown[] ) => {
+      addLogEntry( 'error', args );
+      consoleError.apply( console, args );
+    };
+    console.warn = ( ...args: unknown[] ) => {
+      addLogEntry( 'warning', args );
+      consoleWarn.apply( console, args );
+    };
+
+    restoreConsoleLogging = () => {
+      console.error = consoleError;
+      console.warn = consoleWarn;
+    };
+  }
+
+  /**
+   * Stops recording errors and warnings, and restores the console. The recorded entries are kept.
+   */
+  public static stopLogging(): void {
+    restoreConsoleLogging && restoreConsoleLogging();
+    restoreConsoleLogging = null;
+    restoreLogging && restoreLogging();
+    restoreLogging = null;
+  }
+
+  // Whether errors are recorded, see startLogging
+  public static isLogging(): boolean {
+    return restoreLogging !== null;
+  }
+
+  // Whether console errors and warnings are recorded, see startConsoleLogging
+  public static isConsoleLogging(): boolean {
+    return restoreConsoleLogging !== null;
+  }
+
+  /**
+   * Gets the recorded errors and warnings, oldest first.
+   */
+  public getLog(): DiagnosticsLogEntry[] {
+    return log.slice();
+  }
+
+  public getBundle( includeScreenshot = false ): DiagnosticsBundle {
+    const sim = this.sim;
+
+
+    const queryParameters: Record<string, string> = {};
+    new URLSearchParams( window.location.search ).forEach( ( value, key ) => {
+      queryParameters[ key ] = value;
+    } );
+
+    const frameCount = this.frameTimes.length;
+    const averageFrameTime = frameCount > 0 ? _.mean( this.frameTimes ) : 0;
+
+    return {
+      diagnosticsVersion: DIAGNOSTICS_VERSION,
+      timestamp: new Date().toISOString(),
+      simInfo: sim.simInfo.info,
+      buildTimestamp: phet.chipper.buildTimestamp || null,
+      selectedScreen: sim.selectedScreenProperty.value.tandem.name,
+      queryParameters: queryParameters,
+      queryParameterWarnings: QueryStringMachine.warnings,
+      log: Diagnostics.isLogging() ? this.getLog() : null,
+      memory: {
+        usedJSHeapSize: getUsedJSHeapSize(),
+        averageUsedJSHeapSize: this.memorySamples.length > 0 ? Utils.roundSymmetric( _.mean( this.memorySamples ) ) : null
+      },
+      frames: {
+        count: frameCount,
+        averageFPS: averageFrameTime > 0 ? Utils.toFixedNumber( 1000 / averageFrameTime, 1 ) : 0,
+        averageFrameTime: Utils.toFixedNumber( averageFrameTime, 2 ),
+        maxFrameTime: Utils.toFixedNumber( frameCount > 0 ? _.max( this.frameTimes )! : 0, 2 )
+      },
+      profiler: sim.profiler ? sim.profiler.getScreenSummaries() : null,
+      screenshot: includeScreenshot ? ScreenshotGenerator.generateScreenshot( sim, 'image/png', SCREENSHOT_OPTIONS ) : null
+    };
+  }
+
+  public getBundleJSON( includeScreenshot = false ): string {
+    return JSON.stringify( this.getBundle( includeScreenshot ), null, 2 );
+  }
+
+  /**
+   * Copies the bundle as JSON to the clipboard. The callback is called with false if the browser doesn't allow it.
+   */
+  public copyToClipboard( includeScreenshot = false, callback?: ( success: boolean ) => void ): void {
+    const done = ( success: boolean ) => callback && callback( success );
+    if ( navigator.clipboard ) {
+      navigator.clipboard.writeText( this.getBundleJSON( includeScreenshot ) ).then( () => done( true ), () => done( false ) );
+    }
+    else {
+      done( false );
+    }
+  }
+
+  /**
+   * Gets the bundle as a ZIP file with diagnostics.json, and with screenshot.png if the screenshot is included.
+   */
+  public getBundleZip( includeScreenshot = false ): Uint8Array {
+    const bundle = this.getBundle( false );
+    const files: ZipFile[] = [];
+    if ( includeScreenshot ) {
+      bundle.screenshot = 'screenshot.png';
+      files.push( { name: bundle.screenshot, content: ScreenshotGenerator.generateScreenshotBytes( this.sim, 'image/png', SCREENSHOT_OPTIONS ) } );
+    }
+    return createZip( [ { name: 'diagnostics.json', content: JSON.stringify( bundle, null, 2 ) }, ...files ] );
+  }
+
+  /**
+   * Saves the bundle to a JSON file.
+   */
+  public download( includeScreenshot = false ): void {
+    saveToFile( this.getBundleJSON( includeScreenshot ), `${packageJSON.name}-diagnostics-${Date.now()}.json` );
+  }
+
+  /**
+   * Saves the bundle to a ZIP file, see getBundleZip.
+   */
+  public downloadZip( includeScreenshot = false ): void {
+    saveToFile( new window.Blob( [ this.getBundleZip( includeScreenshot ) ], { type: 'application/zip' } ),
+      `${packageJSON.name}-diagnostics-${Date.now()}.zip` );
+  }
+}
+
+joist.register( 'Diagnostics', Diagnostics );
+export default Diagnostics;
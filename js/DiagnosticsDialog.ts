@@ -0,0 +1,154 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Dialog opened from "Report a Problem" in the PhetMenu. It shows a summary of the Diagnostics bundle, and lets the
+ * user copy it or save it to a file to include in the problem report, before continuing to the report. The summary is
+ * updated each time the dialog is shown.
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import StringProperty from '../../axon/js/StringProperty.js';
+import merge from '../../phet-core/js/merge.js';
+import optionize from '../../phet-core/js/optionize.js';
+import PhetFont from '../../scenery-phet/js/PhetFont.js';
+import { HBox, RichText, Text, VBox } from '../../scenery/js/imports.js';
+import TextPushButton from '../../sun/js/buttons/TextPushButton.js';
+import Checkbox from '../../sun/js/Checkbox.js';
+import Dialog, { DialogOptions } from '../../sun/js/Dialog.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import Diagnostics, { DiagnosticsBundle } from './Diagnostics.js';
+import joist from './joist.js';
+import JoistColors from './JoistColors.js';
+import JoistStrings from './JoistStrings.js';
+import Sim from './Sim.js';
+
+// constants
+const diagnosticsStrings = JoistStrings.diagnostics;
+const FONT = new PhetFont( 16 );
+const SUMMARY_FONT = new PhetFont( 12 );
+const MAX_TEXT_WIDTH = 500;
+
+// number of log entries that are shown in the summary, all are included in the bundle
+const MAX_SUMMARY_LOG_ENTRIES = 5;
+
+type SelfOptions = {
+
+  // Opens the problem report, null if the dialog is not part of reporting a problem
+  reportAProblem?: ( () => void ) | null;
+};
+export type DiagnosticsDialogOptions = SelfOptions & DialogOptions;
+
+class DiagnosticsDialog extends Dialog {
+
+  private readonly sim: Sim;
+  private readonly summaryBox: VBox;
+  private readonly statusStringProperty: StringProperty;
+  private readonly notLoggingText: Text;
+
+  public constructor( sim: Sim, providedOptions?: DiagnosticsDialogOptions ) {
+
+    const options = optionize<DiagnosticsDialogOptions, SelfOptions, DialogOptions>()( {
+      reportAProblem: null,
+      title: new Text( diagnosticsStrings.titleStringProperty, { font: new PhetFont( 24 ), maxWidth: MAX_TEXT_WIDTH } ),
+      fill: JoistColors.dialogFillColorProperty,
+      tandem: Tandem.OPT_OUT
+    }, providedOptions );
+
+    const includeScreenshotProperty = new BooleanProperty( false );
+    const statusStringProperty = new StringProperty( '' );
+
+    const descriptionText = new RichText( diagnosticsStrings.descriptionStringProperty, {
+      font: FONT,
+      lineWrap: MAX_TEXT_WIDTH
+    } );
+
+    const summaryBox = new VBox( { align: 'left', spacing: 2 } );
+
+    // Shown when the sim was started without ?diagnostics, so that only uncaught errors are recorded
+    const notLoggingText = new RichText( diagnosticsStrings.notLoggingStringProperty, {
+      font: SUMMARY_FONT,
+      lineWrap: MAX_TEXT_WIDTH
+    } );
+
+    const includeScreenshotCheckbox = new Checkbox( includeScreenshotProperty,
+      new Text( diagnosticsStrings.includeScreenshotStringProperty, { font: FONT, maxWidth: MAX_TEXT_WIDTH } ), {
+        tandem: Tandem.OPT_OUT
+      } );
+
+    const buttonOptions = {
+      font: FONT,
+      maxTextWidth: 200,
+      tandem: Tandem.OPT_OUT
+    };
+    const copyButton = new TextPushButton( diagnosticsStrings.copyStringProperty, merge( {
+      listener: () => sim.diagnostics.copyToClipboard( includeScreenshotProperty.value, success => {
+        statusStringProperty.value = success ? diagnosticsStrings.copiedStringProperty.value : diagnosticsStrings.copyFailedStringProperty.value;
+      } )
+    }, buttonOptions ) );
+    const saveButton = new TextPushButton( diagnosticsStrings.saveStringProperty, merge( {
+      listener: () => sim.diagnostics.download( includeScreenshotProperty.value )
+    }, buttonOptions ) );
+    const saveZipButton = new TextPushButton( diagnosticsStrings.saveZipStringProperty, merge( {
+      listener: () => sim.diagnostics.downloadZip( includeScreenshotProperty.value )
+    }, buttonOptions ) );
+    const buttons = [ copyButton, saveButton, saveZipButton ];
+
+    // The dialog stays open, so that the bundle can still be copied or saved while writing the report
+    if ( options.reportAProblem ) {
+      buttons.push( new TextPushButton( JoistStrings.menuItem.reportAProblemStringProperty, merge( {
+        listener: options.reportAProblem
+      }, buttonOptions ) ) );
+    }
+
+    const statusText = new Text( statusStringProperty, { font: FONT, maxWidth: MAX_TEXT_WIDTH } );
+
+    const content = new VBox( {
+      align: 'left',
+      spacing: 10,
+      children: [
+        descriptionText,
+        summaryBox,
+        notLoggingText,
+        includeScreenshotCheckbox,
+        new HBox( { spacing: 10, children: buttons } ),
+        statusText
+      ]
+    } );
+
+    super( content, options );
+
+    this.sim = sim;
+    this.summaryBox = summaryBox;
+    this.statusStringProperty = statusStringProperty;
+    this.notLoggingText = notLoggingText;
+  }
+
+  public override show(): void {
+    this.statusStringProperty.value = '';
+    this.notLoggingText.visible = !Diagnostics.isConsoleLogging();
+    this.summaryBox.children = DiagnosticsDialog.getSummaryLines( this.sim.diagnostics.getBundle() ).map( line => {
+      return new Text( line, { font: SUMMARY_FONT, maxWidth: MAX_TEXT_WIDTH } );
+    } );
+    super.show();
+  }
+
+  // The technical data is not translated, so that reports can be read by developers
+  private static getSummaryLines( bundle: DiagnosticsBundle ): string[] {
+    const simInfo = bundle.simInfo;
+    const log = bundle.log ? bundle.log.slice( -MAX_SUMMARY_LOG_ENTRIES ) : [];
+    return [
+      `${simInfo.simName} ${simInfo.simVersion} ${bundle.buildTimestamp || ''}`,
+      `screen: ${bundle.selectedScreen}`,
+      `url: ${simInfo.url}`,
+      `userAgent: ${simInfo.userAgent}`,
+      `window: ${simInfo.window}, pixelRatio: ${simInfo.pixelRatio}`,
+      `frames: ${bundle.frames.averageFPS} fps, max ${bundle.frames.maxFrameTime} ms`,
+      `memory: ${bundle.memory.usedJSHeapSize === null ? 'unknown' : `${Math.ceil( bundle.memory.usedJSHeapSize / 1024 / 1024 )}MB`}`,
+      `log: ${bundle.log ? `${bundle.log.length} entries` : 'not recorded'}`,
+      ...log.map( entry => `  ${entry.type}: ${entry.message}` )
+    ];
+  }
+}
+
+joist.register( 'DiagnosticsDialog', DiagnosticsDialog );
+export default DiagnosticsDialog;
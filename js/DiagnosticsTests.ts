@@ -0,0 +1,103 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for the contents of the Diagnostics bundle and the recording of errors and warnings, with a stand-in for
+ * the Sim.
+ */
+
+import animationFrameTimer from '../../axon/js/animationFrameTimer.js';
+import Property from '../../axon/js/Property.js';
+import Diagnostics from './Diagnostics.js';
+import Sim from './Sim.js';
+
+// Since these are tests, it is simpler to typecast than to create an actual Sim
+const createDiagnostics = () => {
+  const sim = {
+    simInfo: { info: { simName: 'test-sim', simVersion: '1.0.0' } },
+    selectedScreenProperty: new Property( { tandem: { name: 'labScreen' } } ),
+    profiler: null
+  };
+  return new Diagnostics( sim as unknown as Sim );
+};
+
+QUnit.module( 'Diagnostics' );
+
+QUnit.test( 'bundle contents', assert => {
+  const diagnostics = createDiagnostics();
+  animationFrameTimer.emit( 0.02 );
+  animationFrameTimer.emit( 0.04 );
+
+  const bundle = diagnostics.getBundle();
+  diagnostics.dispose();
+
+  assert.equal( bundle.diagnosticsVersion, 1 );
+  assert.deepEqual( bundle.simInfo, { simName: 'test-sim', simVersion: '1.0.0' }, 'includes SimInfo' );
+  assert.equal( bundle.selectedScreen, 'labScreen' );
+  assert.deepEqual( bundle.frames, { count: 2, averageFPS: 33.3, averageFrameTime: 30, maxFrameTime: 40 }, 'frame statistics' );
+  // @ts-ignore Until we make typescript know about performance.memory
+  const reportsMemory = !!( window.performance.memory && window.performance.memory.usedJSHeapSize );
+  assert.equal( bundle.memory.averageUsedJSHeapSize !== null, reportsMemory, 'memory is sampled on the first frame' );
+  assert.equal( bundle.profiler, null, 'no Profiler' );
+  assert.equal( bundle.screenshot, null, 'no screenshot unless requested' );
+  assert.equal( bundle.log, null, 'errors are only recorded after startLogging' );
+  assert.deepEqual( JSON.parse( diagnostics.getBundleJSON() ).frames, bundle.frames, 'JSON has the same contents' );
+
+  animationFrameTimer.emit( 0.1 );
+  assert.equal( diagnostics.getBundle().frames.count, 2, 'frames are not recorded after dispose' );
+} );
+
+QUnit.test( 'recording errors and warnings', assert => {
+
+  // Keep the console quiet, and check that it is restored
+  const consoleError = console.error;
+  const consoleWarn = console.warn;
+  console.error = _.noop;
+  console.warn = _.noop;
+
+  Diagnostics.startLogging();
+  const diagnostics = createDiagnostics();
+  assert.ok( Diagnostics.isLogging() );
+
+  console.warn( 'not recorded without ?diagnostics' );
+  assert.deepEqual( diagnostics.getBundle().log, [], 'the console is only recorded after startConsoleLogging' );
+  assert.equal( console.warn, _.noop, 'the console is not replaced' );
+
+  Diagnostics.startConsoleLogging();
+  assert.ok( Diagnostics.isConsoleLogging() );
+  console.warn( 'low', 'memory' );
+  console.error( 'failed:', new Error( 'boom' ) );
+
+  const log = diagnostics.getBundle().log!;
+  assert.equal( log.length, 2 );
+  assert.equal( log[ 0 ].type, 'warning' );
+  assert.equal( log[ 0 ].message, 'low memory' );
+  assert.equal( log[ 0 ].stack, null, 'no stack without an Error' );
+  assert.equal( log[ 1 ].type, 'error' );
+  assert.equal( log[ 1 ].message, 'failed: boom' );
+  assert.ok( log[ 1 ].stack, 'the stack of the Error' );
+
+  Diagnostics.stopLogging();
+  assert.ok( !Diagnostics.isLogging() && !Diagnostics.isConsoleLogging() );
+  assert.equal( console.error, _.noop, 'console.error restored' );
+  assert.equal( console.warn, _.noop, 'console.warn restored' );
+  console.warn( 'not recorded' );
+  assert.equal( diagnostics.getLog().length, 2, 'nothing is recorded after stopLogging' );
+  assert.equal( diagnostics.getBundle().log, null );
+
+  diagnostics.dispose();
+  console.error = consoleError;
+  console.warn = consoleWarn;
+} );
+
+QUnit.test( 'ZIP bundle', assert => {
+  const diagnostics = createDiagnostics();
+  const zip = diagnostics.getBundleZip();
+  diagnostics.dispose();
+
+  // Files are stored without compression, so their contents can be found in the archive
+  const text = new TextDecoder().decode( zip );
+  assert.equal( new DataView( zip.buffer ).getUint32( 0, true ), 0x04034b50, 'a ZIP archive' );
+  assert.ok( text.includes( 'diagnostics.json' ), 'includes diagnostics.json' );
+  assert.ok( text.includes( '"selectedScreen": "labScreen"' ), 'with the bundle' );
+  assert.notOk( text.includes( 'screenshot.png' ), 'no screenshot unless requested' );
+} );
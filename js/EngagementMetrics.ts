@@ -1,205 +1,296 @@
 // Copyright 2019-2022, University of Colorado Boulder
 
 /**
- * Monitors the engagement as it relates to time spent on each screen of a sim. Mainly this is to provide this information
- * to a PhET-iO wrapper frame.
+ * Monitors the engagement as it relates to time spent on each screen of a sim, for research studies. Enable it with
+ * ?engagementMetrics. It works in any brand, and does not require the PhET-iO data stream.
  *
- * The main output of this file is powered by the data stream. As a result the finest granularity of this data is based on
- * the most frequent events that are emitting. As of this writing, when emitting high frequency events, that is every
- * frame on the "stepSimulation" event. Note that this Type requires high frequency events to be emitted.
+ * Time is accumulated from the dt of each step of the sim, and is only counted while the browser tab is visible. The
+ * user is considered idle after ?idleTimeout seconds without input (see IdleMonitor). For each screen this records:
+ * - visits: the number of times the screen was selected
+ * - dwellTime: seconds that the screen was shown
+ * - activeTime: seconds that the screen was shown while the user was not idle
+ * - engagedTime: the number of distinct seconds in which a down or keydown event occurred (see TemporalCounter)
+ *
+ * The summary is available from phet.joist.sim.engagementMetrics.getEngagementMetrics(), and can be downloaded as
+ * JSON or CSV. When the sim is in an iframe, the summary is posted to the parent frame when the tab is hidden and when
+ * the parent posts a { type: 'requestEngagementMetrics' } message. The parent must have one of the origins in
+ * ?embeddingOrigins, other requests are ignored and the summary is only posted to those origins.
  *
  * @author Michael Kauzmann (PhET Interactive Simulations)
  * @author Chris Klusendorf (PhET Interactive Simulations)
  * @author Sam Reid (PhET Interactive Simulations)
  */
 
-import Property from '../../axon/js/Property.js';
-import IntentionalAny from '../../phet-core/js/types/IntentionalAny.js';
+import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
+import Utils from '../../dot/js/Utils.js';
+import optionize from '../../phet-core/js/optionize.js';
+import { globalKeyStateTracker } from '../../scenery/js/imports.js';
+import IdleMonitor from './IdleMonitor.js';
 import joist from './joist.js';
+import joistQueryParameters from './joistQueryParameters.js';
+import packageJSON from './packageJSON.js';
+import saveToFile from './saveToFile.js';
+import Screen from './Screen.js';
 import Sim from './Sim.js';
 import TemporalCounter from './TemporalCounter.js';
 
-/////////////////////////////////
-// TODO: Duplication alert! MK doesn't want to import from phet-io into joist, so we will just duplicate the type for now. https://github.com/phetsims/joist/issues/553
-type PhetioEventData = Record<string, IntentionalAny>;
-type PhetioEvent = {
-  index: number;
-  time: number;
-  type: string;
-  phetioID: string;
-  name: string;
-  componentType: string;
-  children?: PhetioEvent[];
-  data?: PhetioEventData;
-  metadata?: PhetioEventData;
-};
-////////////////////////////////
+// The longest step (in seconds) that is counted. Steps can be much longer than a frame after the sim was in a hidden
+// tab or was inactive, and that time should not be counted.
+const MAX_STEP_DT = 1;
+
+// The message that the parent frame can send to request the summary
+const REQUEST_MESSAGE_TYPE = 'requestEngagementMetrics';
 
 type ScreenDataType = {
   name: string;
-  totalTime: number;
+  visits: number;
+  dwellTime: number;
+  activeTime: number;
   engagedTime: number;
-  firstTimestamp: number;
-  lastTimestamp: number;
 };
-type EngagementMetricsData = {
+export type EngagementMetricsData = {
   sim: {
+    name: string;
+    version: string;
 
-    // the timestamp of the first received model step
+    // Date.now() when the sim started recording, and when this summary was created
     startTimestamp: number;
+    currentTimestamp: number;
 
-    // number of seconds since startTimestamp
+    // number of seconds that the sim was stepped while the tab was visible
     elapsedTime: number;
 
+    // number of seconds in which the user was not idle
+    activeTime: number;
+
     // number of seconds in which "engagement" occurred
     engagedTime: number;
 
-    // the timestamp of the first time the sim is engaged with
-    firstEngagementTimestamp: number;
+    // elapsedTime at the first engagement with the sim, null if there was no engagement yet
+    firstEngagementTime: number | null;
 
-    // current time of the sim
-    currentTimestamp: number;
+    // number of seconds without input after which the user is considered idle
+    idleTimeout: number;
   };
   screens: ScreenDataType[];
 };
 
+type EngagementMetricsOptions = {
+
+  // number of seconds without input after which the user is considered idle
+  idleTimeout?: number;
+
+  // Origins of the parent frame that may receive the summary, '*' allows any origin
+  allowedOrigins?: string[];
+};
 
 class EngagementMetrics {
 
-  private readonly screens: ScreenData[] = []; // {ScreenData[]}
+  private readonly sim: Sim;
+  private readonly screens: ScreenData[] = [];
+  private readonly idleMonitor: IdleMonitor;
+
+  private readonly startTimestamp = Date.now();
+
+  // Seconds that have been counted since startTimestamp, the time base for all other values
+  private elapsedTime = 0;
+  private activeTime = 0;
+  private firstEngagementTime: number | null = null;
+
+  // Counts seconds of engagement across all screens, so that a second in which the screen changed is counted once
+  private readonly temporalCounter = new TemporalCounter( 1000 );
+
+  // True when there has been no input for idleTimeout seconds
+  public readonly isIdleProperty: TReadOnlyProperty<boolean>;
 
-  private startTimestamp: number | null = null; // number, the timestamp of the start of the sim.
+  private readonly allowedOrigins: string[];
 
-  public constructor( sim: Sim ) {
-    const dataStream = phet && phet.phetio && phet.phetio.dataStream;
-    assert && assert( dataStream, 'cannot add dataStream listener because dataStream is not defined' );
+  public constructor( sim: Sim, providedOptions?: EngagementMetricsOptions ) {
 
-    let currentScreenEntry = this.screens[ sim.screens.indexOf( sim.selectedScreenProperty.value ) ];
+    const options = optionize<EngagementMetricsOptions>()( {
+      idleTimeout: joistQueryParameters.idleTimeout,
+      allowedOrigins: joistQueryParameters.embeddingOrigins
+    }, providedOptions );
+
+    this.sim = sim;
+    this.allowedOrigins = options.allowedOrigins;
+    this.idleMonitor = new IdleMonitor( sim, options.idleTimeout );
+    this.isIdleProperty = this.idleMonitor.isIdleProperty;
 
     sim.screens.forEach( screen => {
       this.screens.push( new ScreenData( screen.tandem.name ) );
     } );
 
-    const updateCurrentScreenEntry = ( event: PhetioEvent ) => {
-      currentScreenEntry = this.screens[ sim.screens.indexOf( sim.selectedScreenProperty.value ) ];
-
-      // initial condition if first time on this screen
-      currentScreenEntry.firstTimestamp = currentScreenEntry.firstTimestamp! || event.time;
-    };
+    sim.selectedScreenProperty.link( screen => {
+      this.getScreenData( screen ).visits++;
+    } );
 
-    // phet-io data stream listener for every sim event.
-    dataStream.addAllEventListener( ( event: PhetioEvent ) => {
+    sim.display.addInputListener( {
+      down: () => this.onEngagedEvent()
+    } );
+    globalKeyStateTracker.keydownEmitter.addListener( () => this.onEngagedEvent() );
 
-      // initial condition
-      if ( this.startTimestamp === null ) {
-        this.startTimestamp = event.time;
-        updateCurrentScreenEntry( event );
-      }
+    // Send the summary to the parent frame when the tab is hidden, since that may be the end of the session
+    sim.browserTabVisibleProperty.lazyLink( visible => {
+      !visible && this.postToParent();
+    } );
 
-      // screenIndex changedr
-      if ( event.phetioID === sim.selectedScreenProperty.tandem.phetioID &&
-           event.name === Property.CHANGED_EVENT_NAME ) {
-        updateCurrentScreenEntry( event );
+    window.addEventListener( 'message', message => {
+      if ( message.source !== window.parent || !this.isAllowedOrigin( message.origin ) ) {
+        return;
       }
 
-      // Handle the case if the event signifies engagement with the simulation.
-      this.isEngagedEvent( event ) && currentScreenEntry.onEngagedEvent( event, this.startTimestamp );
-
-      if ( event.phetioID === sim.stepSimulationAction.tandem.phetioID ) {
-
-        // TODO: counted even when not in the active browser tab, perhaps we need to use browserTabVisibleProperty, https://github.com/phetsims/joist/issues/553
-        // TODO: or just be adding up dt values instead of trying to use event.time, which is just from Date.now(), https://github.com/phetsims/joist/issues/553
-        currentScreenEntry.lastTimestamp = event.time;
-        currentScreenEntry.totalTime += Math.floor( event.data!.dt * 1000 );
+      let data = message.data;
+      if ( typeof data === 'string' ) {
+        try {
+          data = JSON.parse( data );
+        }
+        catch( e ) {
+          return;
+        }
       }
+      data && data.type === REQUEST_MESSAGE_TYPE && this.postToParent( message.origin );
     } );
   }
 
   /**
-   * Returns true if the event signifies that the student is "engaged." The current definition is just pointer down
-   * events.
+   * Accumulates time. Called by the Sim for each step with the dt before it is scaled or capped.
+   * (joist-internal)
    */
-  private isEngagedEvent( event: PhetioEvent ): boolean {
-    let engaged = false;
-    [ 'mouseDownAction', 'touchDownAction', 'keydownAction', 'penDownAction' ].forEach( eventName => {
-      if ( window.phetio.PhetioIDUtils.getComponentName( event.phetioID ) === eventName ) {
-        engaged = true;
-      }
-    } );
-    return engaged;
+  public step( dt: number ): void {
+    if ( !this.sim.browserTabVisibleProperty.value ) {
+      return;
+    }
+    dt = Math.min( dt, MAX_STEP_DT );
+
+    this.elapsedTime += dt;
+
+    const screenData = this.getScreenData( this.sim.selectedScreenProperty.value );
+    screenData.dwellTime += dt;
+    if ( !this.isIdleProperty.value ) {
+      this.activeTime += dt;
+      screenData.activeTime += dt;
+    }
+  }
+
+  /**
+   * Called when the user is "engaged" with the simulation. The current definition is just down events from a pointer
+   * or the keyboard.
+   */
+  private onEngagedEvent(): void {
+    const time = Math.floor( this.elapsedTime * 1000 );
+    this.temporalCounter.onEvent( time );
+    this.getScreenData( this.sim.selectedScreenProperty.value ).temporalCounter.onEvent( time );
+
+    if ( this.firstEngagementTime === null ) {
+      this.firstEngagementTime = this.elapsedTime;
+    }
+  }
+
+  private getScreenData( screen: Screen ): ScreenData {
+    const screenData = this.screens[ this.sim.screens.indexOf( screen ) ];
+    assert && assert( screenData, 'no data for screen' );
+    return screenData;
   }
 
   /**
    * get the current engagement data of the simulation.
    */
   public getEngagementMetrics(): EngagementMetricsData {
-    const screens = this.screens;
     return {
       sim: {
+        name: packageJSON.name,
+        version: packageJSON.version,
+        startTimestamp: this.startTimestamp,
+        currentTimestamp: Date.now(),
+        elapsedTime: toSeconds( this.elapsedTime ),
+        activeTime: toSeconds( this.activeTime ),
+        engagedTime: this.temporalCounter.counts,
+        firstEngagementTime: this.firstEngagementTime === null ? null : toSeconds( this.firstEngagementTime ),
+        idleTimeout: this.idleMonitor.idleTimeout
+      },
+      screens: this.screens.map( screen => screen.getData() )
+    };
+  }
 
-        // the timestamp of the first received model step
-        startTimestamp: this.startTimestamp!,
+  /**
+   * Gets the per-screen data as CSV, with a header row and a final row for the whole sim.
+   */
+  public getEngagementMetricsCSV(): string {
+    const data = this.getEngagementMetrics();
+    const rows = [
+      [ 'screen', 'visits', 'dwellTime', 'activeTime', 'engagedTime' ],
+      ...data.screens.map( screen => [ screen.name, screen.visits, screen.dwellTime, screen.activeTime, screen.engagedTime ] ),
+      [ 'sim', _.sum( data.screens.map( screen => screen.visits ) ), data.sim.elapsedTime, data.sim.activeTime, data.sim.engagedTime ]
+    ];
+    return rows.map( row => row.join( ',' ) ).join( '\n' );
+  }
 
-        // number of seconds since startTimestamp
-        elapsedTime: _.sum( screens.map( screen => screen.totalTime ) ),
+  /**
+   * Saves the summary to a file, named for the sim and the start of the session.
+   */
+  public download( format: 'json' | 'csv' = 'json' ): void {
+    const filename = `${packageJSON.name}-engagement-${this.startTimestamp}.${format}`;
+    if ( format === 'csv' ) {
+      saveToFile( this.getEngagementMetricsCSV(), filename, 'text/csv' );
+    }
+    else {
+      saveToFile( JSON.stringify( this.getEngagementMetrics(), null, 2 ), filename );
+    }
+  }
 
-        // number of seconds in which "engagement" occurred
-        engagedTime: _.sum( screens.map( screen => screen.engagedTime ) ),
+  /**
+   * Posts the summary to the parent frame, if there is one and it has an allowed origin.
+   * @param [origin] - the origin of the parent frame, if it is known. Otherwise the summary is posted to each allowed
+   *                   origin, and the browser only delivers it if the parent has that origin.
+   */
+  public postToParent( origin?: string ): void {
+    if ( window.parent === window ) {
+      return;
+    }
+    const message = JSON.stringify( {
+      type: 'engagementMetrics',
+      data: this.getEngagementMetrics()
+    } );
 
-        // the timestamp of the first time the sim is engaged with
-        firstEngagementTimestamp: _.min( screens.map( screen => screen.firstTimestamp ) )!,
+    // Sandboxed frames have an opaque origin, which can't be used as a postMessage target
+    const targetOrigins = origin ? [ origin === 'null' ? '*' : origin ] : this.allowedOrigins;
+    targetOrigins.forEach( targetOrigin => window.parent.postMessage( message, targetOrigin ) );
+  }
 
-        // current time of the sim
-        currentTimestamp: _.max( screens.map( screen => screen.lastTimestamp ) )!
-      },
-      screens: screens.map( screen => screen.getData() )
-    };
+  private isAllowedOrigin( origin: string ): boolean {
+    return this.allowedOrigins.includes( '*' ) || this.allowedOrigins.includes( origin );
   }
 }
 
+const toSeconds = ( time: number ) => Utils.toFixedNumber( time, 3 );
+
 // private class to keep track of data for each screen.
 class ScreenData {
 
-  public name: string;
-  public firstTimestamp: number | null = null;
-  public lastTimestamp: number | null = null;
-  public totalTime = 0;
-  public firstEngagedTimestamp = null;
+  public readonly name: string;
+  public visits = 0;
+  public dwellTime = 0;
+  public activeTime = 0;
   public readonly temporalCounter = new TemporalCounter( 1000 );
 
   public constructor( name: string ) {
     this.name = name;
   }
 
-  /**
-   * Getter to keep things a bit more modular
-   * @returns - the ms of engagement for the sim
-   */
-  public get engagedTime(): number {
-    return this.temporalCounter.counts * 1000;
-  }
-
-  public onEngagedEvent( event: PhetioEvent, simStartTimestamp: number ): void {
-
-    this.temporalCounter.onEvent( event.time - simStartTimestamp );
-
-    // case for first engaged event
-    this.firstTimestamp = this.firstTimestamp! || event.time;
-  }
-
   /**
    * Public facing info, mainer getter for this POJSO.
    */
   public getData(): ScreenDataType {
     return {
       name: this.name,
-      totalTime: this.totalTime,
-      engagedTime: this.engagedTime,
-      firstTimestamp: this.firstTimestamp!,
-      lastTimestamp: this.lastTimestamp!
+      visits: this.visits,
+      dwellTime: toSeconds( this.dwellTime ),
+      activeTime: toSeconds( this.activeTime ),
+      engagedTime: this.temporalCounter.counts
     };
   }
 }
 
 joist.register( 'EngagementMetrics', EngagementMetrics );
-export default EngagementMetrics;
\ No newline at end of file
+export default EngagementMetrics;
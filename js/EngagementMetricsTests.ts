@@ -0,0 +1,92 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for the time accounting of EngagementMetrics, with a stand-in for the Sim.
+ */
+
+import animationFrameTimer from '../../axon/js/animationFrameTimer.js';
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import Property from '../../axon/js/Property.js';
+import EngagementMetrics from './EngagementMetrics.js';
+import Screen from './Screen.js';
+import Sim from './Sim.js';
+
+const IDLE_TIMEOUT = 10;
+
+// Since these are tests, it is simpler to typecast than to create an actual Sim
+const createSim = () => {
+  const screens = [ 'introScreen', 'labScreen' ].map( name => ( { tandem: { name: name } } as unknown as Screen ) );
+  const inputListeners: { down?: () => void }[] = [];
+  return {
+    screens: screens,
+    selectedScreenProperty: new Property( screens[ 0 ] ),
+    browserTabVisibleProperty: new BooleanProperty( true ),
+    display: {
+      addInputListener: ( listener: { down?: () => void } ) => inputListeners.push( listener )
+    },
+
+    // a down event on the sim
+    down: () => inputListeners.forEach( listener => listener.down && listener.down() )
+  };
+};
+
+const createEngagementMetrics = ( sim: ReturnType<typeof createSim> ) => {
+  return new EngagementMetrics( sim as unknown as Sim, { idleTimeout: IDLE_TIMEOUT, allowedOrigins: [] } );
+};
+
+QUnit.module( 'EngagementMetrics' );
+
+QUnit.test( 'dwell time and visits', assert => {
+  const sim = createSim();
+  const engagementMetrics = createEngagementMetrics( sim );
+
+  engagementMetrics.step( 2 );
+  sim.selectedScreenProperty.value = sim.screens[ 1 ];
+  engagementMetrics.step( 0.5 );
+  engagementMetrics.step( 0.5 );
+
+  const data = engagementMetrics.getEngagementMetrics();
+  assert.equal( data.sim.elapsedTime, 2, 'a long step is capped' );
+  assert.deepEqual( data.screens.map( screen => screen.dwellTime ), [ 1, 1 ] );
+  assert.deepEqual( data.screens.map( screen => screen.visits ), [ 1, 1 ] );
+} );
+
+QUnit.test( 'hidden tab', assert => {
+  const sim = createSim();
+  const engagementMetrics = createEngagementMetrics( sim );
+
+  engagementMetrics.step( 0.5 );
+  sim.browserTabVisibleProperty.value = false;
+  engagementMetrics.step( 0.5 );
+  sim.browserTabVisibleProperty.value = true;
+  engagementMetrics.step( 0.25 );
+
+  const data = engagementMetrics.getEngagementMetrics();
+  assert.equal( data.sim.elapsedTime, 0.75, 'time in a hidden tab is not counted' );
+  assert.equal( data.screens[ 0 ].dwellTime, 0.75 );
+} );
+
+QUnit.test( 'idle and engaged time', assert => {
+  const sim = createSim();
+  const engagementMetrics = createEngagementMetrics( sim );
+
+  sim.down();
+  engagementMetrics.step( 1 );
+  assert.ok( !engagementMetrics.isIdleProperty.value );
+
+  animationFrameTimer.emit( IDLE_TIMEOUT + 1 );
+  assert.ok( engagementMetrics.isIdleProperty.value, 'idle without input' );
+  engagementMetrics.step( 1 );
+
+  sim.down();
+  assert.ok( !engagementMetrics.isIdleProperty.value, 'input ends idle' );
+  engagementMetrics.step( 0.5 );
+  sim.down();
+
+  const data = engagementMetrics.getEngagementMetrics();
+  assert.equal( data.sim.elapsedTime, 2.5 );
+  assert.equal( data.sim.activeTime, 1.5, 'idle time is not active' );
+  assert.equal( data.screens[ 0 ].activeTime, 1.5 );
+  assert.equal( data.sim.engagedTime, 2, 'down events in 2 distinct seconds' );
+  assert.equal( data.sim.firstEngagementTime, 0 );
+} );
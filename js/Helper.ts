@@ -42,9 +42,18 @@ import optionize from '../../phet-core/js/optionize.js';
 import Multilink from '../../axon/js/Multilink.js';
 import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
 import IntentionalAny from '../../phet-core/js/types/IntentionalAny.js';
+import localeProperty from './i18n/localeProperty.js';
+import LayoutAudit, { LayoutAuditIssue, LayoutAuditResult } from './LayoutAudit.js';
 
 const round = ( n: number, places = 2 ) => Utils.toFixed( n, places );
 
+// Highlight colors for the issues of a LayoutAudit
+const LAYOUT_AUDIT_COLORS: Record<LayoutAuditIssue[ 'type' ], Color> = {
+  overflow: new Color( 230, 120, 0 ),
+  outsideLayoutBounds: new Color( 220, 0, 0 ),
+  overlap: new Color( 160, 0, 220 )
+};
+
 class PointerAreaType extends EnumerationValue {
   public static MOUSE = new PointerAreaType();
   public static TOUCH = new PointerAreaType();
@@ -431,6 +440,30 @@ export default class Helper {
     } );
     const getHelperNodeVisibleCheckbox = new HelperCheckbox( this.getHelperNodeVisibleProperty, 'getHelperNode()' );
 
+    // The most recent LayoutAudit, with its issues highlighted for the selected screen and locale
+    const layoutAuditResultProperty = new TinyProperty<LayoutAuditResult | null>( null );
+    const layoutAuditVisibleProperty = new BooleanProperty( true, {
+      tandem: Tandem.OPT_OUT
+    } );
+    const layoutAuditVisibleCheckbox = new HelperCheckbox( layoutAuditVisibleProperty, 'Layout Audit', {
+      labelOptions: {
+        fill: LAYOUT_AUDIT_COLORS.overflow
+      }
+    } );
+    const layoutAuditButton = new RectangularPushButton( {
+      content: new Text( 'Audit Layout', { fontSize: 12 } ),
+      listener: () => {
+        layoutAuditResultProperty.value = new LayoutAudit( sim ).run();
+      },
+      tandem: Tandem.OPT_OUT
+    } );
+    const saveLayoutAuditButton = new RectangularPushButton( {
+      content: new Text( 'Save Audit', { fontSize: 12 } ),
+      listener: () => LayoutAudit.download( layoutAuditResultProperty.value! ),
+      enabledProperty: new DerivedProperty( [ layoutAuditResultProperty ], result => !!result ),
+      tandem: Tandem.OPT_OUT
+    } );
+
     const pointerAreaTypeRadioButtonGroup = new AquaRadioButtonGroup<PointerAreaType>( this.pointerAreaTypeProperty, [
       {
         value: PointerAreaType.MOUSE,
@@ -576,6 +609,21 @@ export default class Helper {
       highlightPath.shape = shape;
     } );
 
+    const layoutAuditNode = new Node( {
+      visibleProperty: layoutAuditVisibleProperty
+    } );
+    Multilink.multilink( [ layoutAuditResultProperty, this.screenViewProperty, layoutBoundsProperty ], ( result, view ) => {
+      const screenName = sim.selectedScreenProperty.value.tandem.name;
+      const report = result && view && _.find( result.reports, report => {
+        return report.screen === screenName && report.locale === localeProperty.value;
+      } );
+      layoutAuditNode.children = report ? report.issues.map( issue => new Path( Shape.bounds( view!.localToGlobalBounds( issue.bounds ) ), {
+        stroke: LAYOUT_AUDIT_COLORS[ issue.type ],
+        fill: LAYOUT_AUDIT_COLORS[ issue.type ].withAlpha( 0.1 ),
+        lineDash: [ 2, 2 ]
+      } ) ) : [];
+    } );
+
     const helperNodeContainer = new Node( {
       visibleProperty: this.getHelperNodeVisibleProperty
     } );
@@ -596,6 +644,7 @@ export default class Helper {
     // this.useLeafNodeProperty = new BooleanProperty( false, { tandem: Tandem.OPT_OUT } );
     // this.pointerAreaTypeProperty = new EnumerationProperty( PointerAreaType.MOUSE, { tandem: Tandem.OPT_OUT } );
 
+    helperRoot.addChild( layoutAuditNode );
     helperRoot.addChild( boundsPath );
     helperRoot.addChild( selfBoundsPath );
     helperRoot.addChild( highlightPath );
@@ -644,6 +693,13 @@ export default class Helper {
                 visualTreeVisibleCheckbox,
                 ...( simDisplay._accessible ? [ pdomTreeVisibleCheckbox ] : [] )
               ]
+            } ),
+            new HBox( {
+              spacing: 10,
+              children: [
+                layoutAuditButton,
+                saveLayoutAuditButton
+              ]
             } )
           ]
         } ),
@@ -680,7 +736,8 @@ export default class Helper {
                 boundsVisibleCheckbox,
                 selfBoundsVisibleCheckbox
               ]
-            } )
+            } ),
+            layoutAuditVisibleCheckbox
           ]
         } )
       ],
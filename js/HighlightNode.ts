@@ -7,17 +7,22 @@
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
+import ReadOnlyProperty from '../../axon/js/ReadOnlyProperty.js';
+import TinyProperty from '../../axon/js/TinyProperty.js';
 import optionize from '../../phet-core/js/optionize.js';
 import { Color, HBox, HBoxOptions, TColor, LinearGradient, Rectangle } from '../../scenery/js/imports.js';
 import joist from './joist.js';
 
 type SelfOptions = {
   highlightWidth?: number;
+
+  // The gradient is updated when a Property changes, for the colorThemeManager
   fill?: TColor;
 };
 type HighlightNodeOptions = SelfOptions & HBoxOptions;
 
 class HighlightNode extends HBox {
+  private readonly disposeHighlightNode: () => void;
 
   /**
    * @param width - can be mutated with the `spacing` property.
@@ -35,22 +40,41 @@ class HighlightNode extends HBox {
     assert && assert( options.spacing === undefined, 'HighlightNode sets spacing' );
     options.spacing = width;
 
-    const innerColor = options.fill;
-    const outerColor = Color.toColor( innerColor ).withAlpha( 0 ); // transparent
+    const leftBar = new Rectangle( 0, 0, options.highlightWidth, height );
+    const rightBar = new Rectangle( 0, 0, options.highlightWidth, height );
 
-    const barOptions = {
-      fill: new LinearGradient( 0, 0, 0, height )
+    const updateGradient = ( fill: Color | string | null ) => {
+      assert && assert( fill !== null, 'HighlightNode requires a fill' );
+      const innerColor = Color.toColor( fill! );
+      const outerColor = innerColor.withAlpha( 0 ); // transparent
+      leftBar.fill = rightBar.fill = new LinearGradient( 0, 0, 0, height )
         .addColorStop( 0, outerColor )
         .addColorStop( 0.5, innerColor )
-        .addColorStop( 1, outerColor )
+        .addColorStop( 1, outerColor );
     };
-    const leftBar = new Rectangle( 0, 0, options.highlightWidth, height, barOptions );
-    const rightBar = new Rectangle( 0, 0, options.highlightWidth, height, barOptions );
+
+    const fill = options.fill;
+    const fillProperty = ( fill instanceof ReadOnlyProperty || fill instanceof TinyProperty ) ? fill : null;
+    if ( fillProperty ) {
+      fillProperty.link( updateGradient );
+    }
+    else {
+      updateGradient( fill as Color | string | null );
+    }
 
     assert && assert( !options.children, 'HighlightNode sets children' );
     options.children = [ leftBar, rightBar ];
 
     super( options );
+
+    this.disposeHighlightNode = () => {
+      fillProperty && fillProperty.unlink( updateGradient );
+    };
+  }
+
+  public override dispose(): void {
+    this.disposeHighlightNode();
+    super.dispose();
   }
 }
 
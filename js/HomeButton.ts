@@ -13,6 +13,7 @@ import { Color, FocusHighlightPath, Node, Path, Rectangle } from '../../scenery/
 import homeSolidShape from '../../sherpa/js/fontawesome-5/homeSolidShape.js';
 import ButtonInteractionState from '../../sun/js/buttons/ButtonInteractionState.js';
 import Utterance from '../../utterance-queue/js/Utterance.js';
+import ContrastChecker from './ContrastChecker.js';
 import joist from './joist.js';
 import JoistButton, { JoistButtonOptions } from './JoistButton.js';
 import JoistStrings from './JoistStrings.js';
@@ -87,7 +88,7 @@ export default class HomeButton extends JoistButton {
 
     Multilink.multilink( [ this.interactionStateProperty, navigationBarFillProperty ],
       ( interactionState, navigationBarFill ) => {
-        if ( navigationBarFill.equals( Color.BLACK ) ) {
+        if ( ContrastChecker.isDarkColor( navigationBarFill ) ) {
           homeIcon.fill = interactionState === ButtonInteractionState.PRESSED ? 'gray' : 'white';
         }
         else {
@@ -15,15 +15,20 @@ import HomeScreenKeyboardHelpContent from './HomeScreenKeyboardHelpContent.js';
 import HomeScreenModel from './HomeScreenModel.js';
 import HomeScreenView from './HomeScreenView.js';
 import joist from './joist.js';
+import JoistColors from './JoistColors.js';
 import JoistStrings from './JoistStrings.js';
 import Screen, { ScreenOptions } from './Screen.js';
+import TourPlayer from './TourPlayer.js';
 
 // constants
 const homeStringProperty = JoistStrings.a11y.homeStringProperty;
+
+// The background with the 'default' color theme. The background follows JoistColors.homeScreenBackgroundColorProperty.
 const BACKGROUND_COLOR = Color.BLACK;
 
 type SelfOptions = {
   warningNode: Node | null;
+  tourPlayer: TourPlayer | null;
 };
 type HomeScreenOptions = SelfOptions & ScreenOptions;
 
@@ -40,8 +45,9 @@ class HomeScreen extends Screen<HomeScreenModel, HomeScreenView> {
 
     const options = optionize<HomeScreenOptions, SelfOptions, ScreenOptions>()( {
 
-      // TODO get this color from LookAndFeel, see https://github.com/phetsims/joist/issues/222
-      backgroundColorProperty: new Property( BACKGROUND_COLOR ),
+      // Set from JoistColors below, so that it changes with the color profile and the colorThemeManager.
+      // See https://github.com/phetsims/joist/issues/222
+      backgroundColorProperty: new Property<Color>( JoistColors.homeScreenBackgroundColorProperty.value ),
 
       name: homeStringProperty,
 
@@ -57,10 +63,17 @@ class HomeScreen extends Screen<HomeScreenModel, HomeScreenView> {
       () => new HomeScreenModel( getScreenProperty(), simScreens, activeSimScreensProperty, options.tandem.createTandem( 'model' ) ),
       model => new HomeScreenView( simNameProperty, model, {
         warningNode: options.warningNode,
+        tourPlayer: options.tourPlayer,
         tandem: options.tandem.createTandem( 'view' )
       } ),
       options
     );
+
+    // The HomeScreen exists for the lifetime of the sim, so this doesn't need to be unlinked.
+    const backgroundColorProperty = this.backgroundColorProperty as Property<Color>;
+    JoistColors.homeScreenBackgroundColorProperty.lazyLink( backgroundColor => {
+      backgroundColorProperty.value = backgroundColor;
+    } );
   }
 }
 
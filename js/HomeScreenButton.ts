@@ -23,6 +23,7 @@ import Tandem from '../../tandem/js/Tandem.js';
 import Frame from './Frame.js';
 import HomeScreenModel from './HomeScreenModel.js';
 import joist from './joist.js';
+import JoistColors from './JoistColors.js';
 import Screen from './Screen.js';
 import Utterance from '../../utterance-queue/js/Utterance.js';
 
@@ -138,7 +139,9 @@ class HomeScreenButton extends Voicing( VBox ) {
       const opacity = ( isSelectedProperty.value || isHighlightedProperty.value ) ? 1 : 0.5;
       largeIcon.opacity = opacity;
       smallIcon.opacity = opacity;
-      text.fill = ( isSelectedProperty.value || isHighlightedProperty.value ) ? 'white' : 'gray';
+      text.fill = ( isSelectedProperty.value || isHighlightedProperty.value ) ?
+                  JoistColors.homeScreenSelectedTextColorProperty.value :
+                  JoistColors.homeScreenUnselectedTextColorProperty.value;
     };
 
     // update pieces that change when the button is selected or unselected
@@ -159,6 +162,10 @@ class HomeScreenButton extends Voicing( VBox ) {
       setOpacityAndFill();
     } );
 
+    // The HomeScreenButtons exist for the lifetime of the sim, so these don't need to be unlinked.
+    JoistColors.homeScreenSelectedTextColorProperty.lazyLink( setOpacityAndFill );
+    JoistColors.homeScreenUnselectedTextColorProperty.lazyLink( setOpacityAndFill );
+
     // Create a new Utterance that isn't registered through Voicing so that it isn't silenced when the
     // home screen is hidden upon selection. (invisible nodes have their voicing silenced).
     const buttonSelectionUtterance = new Utterance();
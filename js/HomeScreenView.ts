@@ -14,6 +14,7 @@ import soundManager from '../../tambo/js/soundManager.js';
 import HomeScreenButton from './HomeScreenButton.js';
 import HomeScreenSoundGenerator from './HomeScreenSoundGenerator.js';
 import joist from './joist.js';
+import JoistColors from './JoistColors.js';
 import JoistStrings from './JoistStrings.js';
 import ScreenView, { ScreenViewOptions } from './ScreenView.js';
 import Screen from './Screen.js';
@@ -23,11 +24,18 @@ import optionize from '../../phet-core/js/optionize.js';
 import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
 import PickRequired from '../../phet-core/js/types/PickRequired.js';
 import PatternStringProperty from '../../axon/js/PatternStringProperty.js';
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import TextPushButton from '../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import TourPlayer from './TourPlayer.js';
 
 type SelfOptions = {
 
   // to display below the icons as a warning if available
   warningNode?: Node | null;
+
+  // to show a "Take a Tour" button for a tour without a screen, if available
+  tourPlayer?: TourPlayer | null;
 };
 
 type HomeScreenViewOptions = SelfOptions & PickRequired<ScreenViewOptions, 'tandem'>;
@@ -56,6 +64,7 @@ class HomeScreenView extends ScreenView {
     const options = optionize<HomeScreenViewOptions, SelfOptions, ScreenViewOptions>()( {
       layoutBounds: HomeScreenView.LAYOUT_BOUNDS,
       warningNode: null,
+      tourPlayer: null,
 
       // Remove the "normal" PDOM structure Nodes like the screen summary, play area, and control area Nodes from the
       // HomeScreen. The HomeScreen handles its own description.
@@ -76,7 +85,7 @@ class HomeScreenView extends ScreenView {
         size: 52,
         family: HomeScreenView.TITLE_FONT_FAMILY
       } ),
-      fill: 'white',
+      fill: JoistColors.homeScreenTitleColorProperty,
       y: 130,
       maxWidth: this.layoutBounds.width - 10, // To support PhET-iO Clients setting this
       tandem: options.tandem.createTandem( 'titleText' ),
@@ -173,6 +182,24 @@ class HomeScreenView extends ScreenView {
       warningNode.centerX = this.layoutBounds.centerX;
       warningNode.bottom = this.layoutBounds.maxY - 2;
     }
+
+    if ( options.tourPlayer ) {
+      const tourPlayer = options.tourPlayer;
+      const tourButton = new TextPushButton( JoistStrings.tour.startStringProperty, {
+        font: new PhetFont( 18 ),
+        maxTextWidth: 250,
+        listener: () => {
+          const tour = tourPlayer.getTour( null );
+          tour && tourPlayer.start( tour );
+        },
+        visibleProperty: new DerivedProperty( [ tourPlayer.toursProperty, tourPlayer.tourProperty ],
+          ( tours, tour ) => !tour && !!tourPlayer.getTour( null ) ),
+        tandem: Tandem.OPT_OUT
+      } );
+      this.addChild( tourButton );
+      tourButton.centerX = this.layoutBounds.centerX;
+      tourButton.bottom = ( options.warningNode ? options.warningNode.top : this.layoutBounds.maxY ) - 10;
+    }
   }
 
   /**
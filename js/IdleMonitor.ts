@@ -0,0 +1,66 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Determines whether the user is idle, meaning that there has been no input to the sim for a number of seconds.
+ * Pointer, wheel and keyboard input count as activity. Time is measured with the animationFrameTimer, so it is not
+ * affected by the sim's speed or by pausing the sim.
+ */
+
+import animationFrameTimer from '../../axon/js/animationFrameTimer.js';
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
+import { globalKeyStateTracker } from '../../scenery/js/imports.js';
+import joist from './joist.js';
+import joistQueryParameters from './joistQueryParameters.js';
+import Sim from './Sim.js';
+
+class IdleMonitor {
+
+  // number of seconds without input after which the user is idle
+  public readonly idleTimeout: number;
+
+  private secondsSinceInput = 0;
+
+  private readonly _isIdleProperty = new BooleanProperty( false );
+  public readonly isIdleProperty: TReadOnlyProperty<boolean> = this._isIdleProperty;
+
+  private readonly disposeIdleMonitor: () => void;
+
+  public constructor( sim: Sim, idleTimeout: number = joistQueryParameters.idleTimeout ) {
+    assert && assert( idleTimeout > 0, `idleTimeout must be positive: ${idleTimeout}` );
+
+    this.idleTimeout = idleTimeout;
+
+    const onActivity = () => {
+      this.secondsSinceInput = 0;
+      this._isIdleProperty.value = false;
+    };
+    const inputListener = {
+      down: onActivity,
+      move: onActivity,
+      wheel: onActivity
+    };
+    sim.display.addInputListener( inputListener );
+    globalKeyStateTracker.keydownEmitter.addListener( onActivity );
+
+    const timerListener = ( dt: number ) => {
+      this.secondsSinceInput += dt;
+      this._isIdleProperty.value = this.secondsSinceInput > this.idleTimeout;
+    };
+    animationFrameTimer.addListener( timerListener );
+
+    this.disposeIdleMonitor = () => {
+      sim.display.removeInputListener( inputListener );
+      globalKeyStateTracker.keydownEmitter.removeListener( onActivity );
+      animationFrameTimer.removeListener( timerListener );
+    };
+  }
+
+  public dispose(): void {
+    this.disposeIdleMonitor();
+    this._isIdleProperty.dispose();
+  }
+}
+
+joist.register( 'IdleMonitor', IdleMonitor );
+export default IdleMonitor;
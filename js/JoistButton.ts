@@ -16,8 +16,10 @@ import { Color, FocusHighlightPath, Node, NodeOptions, PressListener, SceneryCon
 import ButtonInteractionState from '../../sun/js/buttons/ButtonInteractionState.js';
 import PushButtonInteractionStateProperty from '../../sun/js/buttons/PushButtonInteractionStateProperty.js';
 import PushButtonModel from '../../sun/js/buttons/PushButtonModel.js';
+import ContrastChecker from './ContrastChecker.js';
 import HighlightNode from './HighlightNode.js';
 import joist from './joist.js';
+import JoistColors from './JoistColors.js';
 
 type SelfOptions = {
   highlightExtensionWidth?: number;
@@ -68,7 +70,7 @@ export default class JoistButton extends Voicing( Node ) {
     }, providedOptions );
 
     // Creates the highlights for the button.
-    const createHighlight = function( fill: Color | string ) {
+    const createHighlight = function( fill: TReadOnlyProperty<Color> ) {
       return new HighlightNode( content.width + options.highlightExtensionWidth, content.height + options.highlightExtensionHeight, {
         centerX: content.centerX + options.highlightCenterOffsetX,
         centerY: content.centerY + options.highlightCenterOffsetY,
@@ -78,10 +80,10 @@ export default class JoistButton extends Voicing( Node ) {
     };
 
     // Highlight against the black background
-    const brightenHighlight = createHighlight( 'white' );
+    const brightenHighlight = createHighlight( JoistColors.lightHighlightColorProperty );
 
     // Highlight against the white background
-    const darkenHighlight = createHighlight( 'black' );
+    const darkenHighlight = createHighlight( JoistColors.darkHighlightColorProperty );
 
     options.children = [ content, brightenHighlight, darkenHighlight ];
 
@@ -97,7 +99,7 @@ export default class JoistButton extends Voicing( Node ) {
     // Update the highlights based on whether the button is highlighted and whether it is against a light or dark background.
     Multilink.multilink( [ interactionStateProperty, navigationBarFillProperty, this.buttonModel.enabledProperty ],
       ( interactionState, navigationBarFill, enabled ) => {
-        const useDarkenHighlight = !navigationBarFill.equals( Color.BLACK );
+        const useDarkenHighlight = !ContrastChecker.isDarkColor( navigationBarFill );
 
         brightenHighlight.visible = !useDarkenHighlight && enabled &&
                                     ( interactionState === ButtonInteractionState.OVER ||
@@ -0,0 +1,54 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Colors of joist UI that don't depend on the background of the selected screen. Each has a value for each color
+ * profile, and is replaced by a color of the ColorTheme when one is selected, see colorThemeManager. The colors of the
+ * navigation bar depend on the screen, and are in LookAndFeel.
+ */
+
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
+import { Color, ProfileColorProperty } from '../../scenery/js/imports.js';
+import ContrastChecker from './ContrastChecker.js';
+import joist from './joist.js';
+import colorThemeManager, { ColorTheme } from './preferences/colorThemeManager.js';
+
+const createThemedColorProperty = ( colorName: string, colorProfileMap: { default: string },
+                                    getThemeColor: ( colorTheme: ColorTheme ) => string ): TReadOnlyProperty<Color> => {
+  const profileColorProperty = new ProfileColorProperty( joist, colorName, colorProfileMap );
+  return new DerivedProperty( [ profileColorProperty, colorThemeManager.colorThemeProperty ],
+    ( profileColor, colorTheme ) => colorTheme ? new Color( getThemeColor( colorTheme ) ) : profileColor );
+};
+
+// The text of dialogs is dark, so they use a light color of the theme
+const getDialogFill = ( colorTheme: ColorTheme ): string => {
+  return !ContrastChecker.isDarkColor( colorTheme.background ) ? colorTheme.background :
+         !ContrastChecker.isDarkColor( colorTheme.foreground ) ? colorTheme.foreground :
+         'white';
+};
+
+const JoistColors = {
+  homeScreenBackgroundColorProperty: createThemedColorProperty( 'homeScreenBackground', { default: 'black' },
+    colorTheme => colorTheme.background ),
+  homeScreenTitleColorProperty: createThemedColorProperty( 'homeScreenTitle', { default: 'white' },
+    colorTheme => colorTheme.foreground ),
+
+  // names of the screen buttons on the home screen
+  homeScreenSelectedTextColorProperty: createThemedColorProperty( 'homeScreenSelectedText', { default: 'white' },
+    colorTheme => colorTheme.accent ),
+  homeScreenUnselectedTextColorProperty: createThemedColorProperty( 'homeScreenUnselectedText', { default: 'gray' },
+    colorTheme => colorTheme.foreground ),
+
+  // highlights of the buttons in the navigation bar, on a dark and on a light navigation bar
+  lightHighlightColorProperty: createThemedColorProperty( 'lightHighlight', { default: 'white' },
+    colorTheme => colorTheme.accent ),
+  darkHighlightColorProperty: createThemedColorProperty( 'darkHighlight', { default: 'black' },
+    colorTheme => colorTheme.accent ),
+
+  dialogFillColorProperty: createThemedColorProperty( 'dialogFill', { default: 'white' }, getDialogFill ),
+  keyboardHelpDialogFillColorProperty: createThemedColorProperty( 'keyboardHelpDialogFill', { default: 'rgb( 214, 237, 249 )' },
+    getDialogFill )
+};
+
+joist.register( 'JoistColors', JoistColors );
+export default JoistColors;
@@ -28,12 +28,158 @@ type StringsType = {
     'reportAProblemStringProperty': LinkableProperty<string>;
     'screenshot': string;
     'screenshotStringProperty': LinkableProperty<string>;
+    'capture': string;
+    'captureStringProperty': LinkableProperty<string>;
     'fullscreen': string;
     'fullscreenStringProperty': LinkableProperty<string>;
     'getUpdate': string;
     'getUpdateStringProperty': LinkableProperty<string>;
     'enhancedSound': string;
     'enhancedSoundStringProperty': LinkableProperty<string>;
+    'tour': string;
+    'tourStringProperty': LinkableProperty<string>;
+  };
+  'capture': {
+    'title': string;
+    'titleStringProperty': LinkableProperty<string>;
+    'region': string;
+    'regionStringProperty': LinkableProperty<string>;
+    'wholeSimulation': string;
+    'wholeSimulationStringProperty': LinkableProperty<string>;
+    'screenArea': string;
+    'screenAreaStringProperty': LinkableProperty<string>;
+    'selectedObject': string;
+    'selectedObjectStringProperty': LinkableProperty<string>;
+    'selectObjectHint': string;
+    'selectObjectHintStringProperty': LinkableProperty<string>;
+    'cancel': string;
+    'cancelStringProperty': LinkableProperty<string>;
+    'scale': string;
+    'scaleStringProperty': LinkableProperty<string>;
+    'scalePattern': string;
+    'scalePatternStringProperty': LinkableProperty<string>;
+    'screenResolutionPattern': string;
+    'screenResolutionPatternStringProperty': LinkableProperty<string>;
+    'includeNavigationBar': string;
+    'includeNavigationBarStringProperty': LinkableProperty<string>;
+    'savePNG': string;
+    'savePNGStringProperty': LinkableProperty<string>;
+    'saveSVG': string;
+    'saveSVGStringProperty': LinkableProperty<string>;
+    'recording': string;
+    'recordingStringProperty': LinkableProperty<string>;
+    'video': string;
+    'videoStringProperty': LinkableProperty<string>;
+    'frameSequence': string;
+    'frameSequenceStringProperty': LinkableProperty<string>;
+    'startRecording': string;
+    'startRecordingStringProperty': LinkableProperty<string>;
+    'stopRecording': string;
+    'stopRecordingStringProperty': LinkableProperty<string>;
+    'nothingRecorded': string;
+    'nothingRecordedStringProperty': LinkableProperty<string>;
+  };
+  'diagnostics': {
+    'title': string;
+    'titleStringProperty': LinkableProperty<string>;
+    'description': string;
+    'descriptionStringProperty': LinkableProperty<string>;
+    'includeScreenshot': string;
+    'includeScreenshotStringProperty': LinkableProperty<string>;
+    'copy': string;
+    'copyStringProperty': LinkableProperty<string>;
+    'save': string;
+    'saveStringProperty': LinkableProperty<string>;
+    'saveZip': string;
+    'saveZipStringProperty': LinkableProperty<string>;
+    'copied': string;
+    'copiedStringProperty': LinkableProperty<string>;
+    'copyFailed': string;
+    'copyFailedStringProperty': LinkableProperty<string>;
+    'notLogging': string;
+    'notLoggingStringProperty': LinkableProperty<string>;
+  };
+  'timeControls': {
+    'speedPattern': string;
+    'speedPatternStringProperty': LinkableProperty<string>;
+    'speed': string;
+    'speedStringProperty': LinkableProperty<string>;
+    'playPause': string;
+    'playPauseStringProperty': LinkableProperty<string>;
+    'stepForward': string;
+    'stepForwardStringProperty': LinkableProperty<string>;
+    'faster': string;
+    'fasterStringProperty': LinkableProperty<string>;
+    'slower': string;
+    'slowerStringProperty': LinkableProperty<string>;
+  };
+  'translationEditor': {
+    'title': string;
+    'titleStringProperty': LinkableProperty<string>;
+    'localePattern': string;
+    'localePatternStringProperty': LinkableProperty<string>;
+    'shownOnScreen': string;
+    'shownOnScreenStringProperty': LinkableProperty<string>;
+    'search': string;
+    'searchStringProperty': LinkableProperty<string>;
+    'loadURL': string;
+    'loadURLStringProperty': LinkableProperty<string>;
+    'loadedPattern': string;
+    'loadedPatternStringProperty': LinkableProperty<string>;
+    'loadFailedPattern': string;
+    'loadFailedPatternStringProperty': LinkableProperty<string>;
+    'close': string;
+    'closeStringProperty': LinkableProperty<string>;
+  };
+  'commands': {
+    'openCommandPalette': string;
+    'openCommandPaletteStringProperty': LinkableProperty<string>;
+    'openPreferences': string;
+    'openPreferencesStringProperty': LinkableProperty<string>;
+    'openKeyboardHelp': string;
+    'openKeyboardHelpStringProperty': LinkableProperty<string>;
+    'goToScreenPattern': string;
+    'goToScreenPatternStringProperty': LinkableProperty<string>;
+    'goToHomeScreen': string;
+    'goToHomeScreenStringProperty': LinkableProperty<string>;
+    'resetAll': string;
+    'resetAllStringProperty': LinkableProperty<string>;
+    'toggleSound': string;
+    'toggleSoundStringProperty': LinkableProperty<string>;
+    'toggleVoicing': string;
+    'toggleVoicingStringProperty': LinkableProperty<string>;
+    'screenshot': string;
+    'screenshotStringProperty': LinkableProperty<string>;
+    'toggleFullScreen': string;
+    'toggleFullScreenStringProperty': LinkableProperty<string>;
+    'nextLocale': string;
+    'nextLocaleStringProperty': LinkableProperty<string>;
+    'previousLocale': string;
+    'previousLocaleStringProperty': LinkableProperty<string>;
+    'startTour': string;
+    'startTourStringProperty': LinkableProperty<string>;
+  };
+  'commandPalette': {
+    'placeholder': string;
+    'placeholderStringProperty': LinkableProperty<string>;
+    'noMatches': string;
+    'noMatchesStringProperty': LinkableProperty<string>;
+  };
+  'tour': {
+    'start': string;
+    'startStringProperty': LinkableProperty<string>;
+    'next': string;
+    'nextStringProperty': LinkableProperty<string>;
+    'back': string;
+    'backStringProperty': LinkableProperty<string>;
+    'skip': string;
+    'skipStringProperty': LinkableProperty<string>;
+    'done': string;
+    'doneStringProperty': LinkableProperty<string>;
+    'stepPattern': string;
+    'stepPatternStringProperty': LinkableProperty<string>;
+    'waiting': string;
+    'waitingStringProperty': LinkableProperty<string>;
   };
   'title': {
     'settings': string;
@@ -88,6 +234,8 @@ type StringsType = {
     'getUpdateStringProperty': LinkableProperty<string>;
     'noThanks': string;
     'noThanksStringProperty': LinkableProperty<string>;
+    'releaseNotes': string;
+    'releaseNotesStringProperty': LinkableProperty<string>;
   };
   'translation': {
     'credits': {
@@ -106,6 +254,8 @@ type StringsType = {
     'titleStringProperty': LinkableProperty<string>;
     'toGetStarted': string;
     'toGetStartedStringProperty': LinkableProperty<string>;
+    'commands': string;
+    'commandsStringProperty': LinkableProperty<string>;
   };
   'simTitleWithScreenNamePattern': string;
   'simTitleWithScreenNamePatternStringProperty': LinkableProperty<string>;
@@ -142,6 +292,74 @@ type StringsType = {
       'overview': {
         'title': string;
         'titleStringProperty': LinkableProperty<string>;
+        'profiles': {
+          'title': string;
+          'titleStringProperty': LinkableProperty<string>;
+          'description': string;
+          'descriptionStringProperty': LinkableProperty<string>;
+          'export': string;
+          'exportStringProperty': LinkableProperty<string>;
+          'import': string;
+          'importStringProperty': LinkableProperty<string>;
+          'reset': string;
+          'resetStringProperty': LinkableProperty<string>;
+          'importFailed': string;
+          'importFailedStringProperty': LinkableProperty<string>;
+          'newProfile': string;
+          'newProfileStringProperty': LinkableProperty<string>;
+          'delete': string;
+          'deleteStringProperty': LinkableProperty<string>;
+          'profileNamePattern': string;
+          'profileNamePatternStringProperty': LinkableProperty<string>;
+        };
+        'screens': {
+          'title': string;
+          'titleStringProperty': LinkableProperty<string>;
+          'description': string;
+          'descriptionStringProperty': LinkableProperty<string>;
+          'moveUp': string;
+          'moveUpStringProperty': LinkableProperty<string>;
+          'moveDown': string;
+          'moveDownStringProperty': LinkableProperty<string>;
+          'showAll': string;
+          'showAllStringProperty': LinkableProperty<string>;
+          'copyLink': string;
+          'copyLinkStringProperty': LinkableProperty<string>;
+          'linkCopied': string;
+          'linkCopiedStringProperty': LinkableProperty<string>;
+          'copyLinkFailedPattern': string;
+          'copyLinkFailedPatternStringProperty': LinkableProperty<string>;
+          'pin': string;
+          'pinStringProperty': LinkableProperty<string>;
+          'setPIN': string;
+          'setPINStringProperty': LinkableProperty<string>;
+          'removePIN': string;
+          'removePINStringProperty': LinkableProperty<string>;
+          'lock': string;
+          'lockStringProperty': LinkableProperty<string>;
+          'unlock': string;
+          'unlockStringProperty': LinkableProperty<string>;
+          'locked': string;
+          'lockedStringProperty': LinkableProperty<string>;
+        };
+        'shortcuts': {
+          'title': string;
+          'titleStringProperty': LinkableProperty<string>;
+          'description': string;
+          'descriptionStringProperty': LinkableProperty<string>;
+          'change': string;
+          'changeStringProperty': LinkableProperty<string>;
+          'clear': string;
+          'clearStringProperty': LinkableProperty<string>;
+          'reset': string;
+          'resetStringProperty': LinkableProperty<string>;
+          'none': string;
+          'noneStringProperty': LinkableProperty<string>;
+          'pressKeys': string;
+          'pressKeysStringProperty': LinkableProperty<string>;
+          'conflictPattern': string;
+          'conflictPatternStringProperty': LinkableProperty<string>;
+        }
       };
       'simulation': {
         'title': string;
@@ -156,6 +374,28 @@ type StringsType = {
         'interactiveHighlightsDescriptionStringProperty': LinkableProperty<string>;
         'projectorModeDescription': string;
         'projectorModeDescriptionStringProperty': LinkableProperty<string>;
+        'colorTheme': {
+          'title': string;
+          'titleStringProperty': LinkableProperty<string>;
+          'description': string;
+          'descriptionStringProperty': LinkableProperty<string>;
+          'default': string;
+          'defaultStringProperty': LinkableProperty<string>;
+          'highContrast': string;
+          'highContrastStringProperty': LinkableProperty<string>;
+          'custom': string;
+          'customStringProperty': LinkableProperty<string>;
+          'background': string;
+          'backgroundStringProperty': LinkableProperty<string>;
+          'foreground': string;
+          'foregroundStringProperty': LinkableProperty<string>;
+          'accent': string;
+          'accentStringProperty': LinkableProperty<string>;
+          'foregroundWarningPattern': string;
+          'foregroundWarningPatternStringProperty': LinkableProperty<string>;
+          'accentWarningPattern': string;
+          'accentWarningPatternStringProperty': LinkableProperty<string>;
+        }
       };
       'audio': {
         'title': string;
@@ -190,6 +430,18 @@ type StringsType = {
       'localization': {
         'title': string;
         'titleStringProperty': LinkableProperty<string>;
+        'translation': {
+          'title': string;
+          'titleStringProperty': LinkableProperty<string>;
+          'description': string;
+          'descriptionStringProperty': LinkableProperty<string>;
+          'showEditor': string;
+          'showEditorStringProperty': LinkableProperty<string>;
+          'import': string;
+          'importStringProperty': LinkableProperty<string>;
+          'export': string;
+          'exportStringProperty': LinkableProperty<string>;
+        }
       }
     }
   };
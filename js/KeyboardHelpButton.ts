@@ -14,6 +14,7 @@ import Dialog from '../../sun/js/Dialog.js';
 import PhetioCapsule from '../../tandem/js/PhetioCapsule.js';
 import keyboardIconOnWhite_png from '../images/keyboardIconOnWhite_png.js'; // on a white navbar
 import keyboardIcon_png from '../images/keyboardIcon_png.js'; // on a black navbar
+import ContrastChecker from './ContrastChecker.js';
 import joist from './joist.js';
 import JoistButton, { JoistButtonOptions } from './JoistButton.js';
 import JoistStrings from './JoistStrings.js';
@@ -32,6 +33,9 @@ export type KeyboardHelpButtonOptions = SelfOptions & PickRequired<JoistButtonOp
 
 class KeyboardHelpButton extends JoistButton {
 
+  // opens the KeyboardHelpDialog, like pressing this button
+  public readonly showDialog: () => void;
+
   public constructor( screens: Screen[], screenProperty: Property<Screen>,
                       backgroundColorProperty: TReadOnlyProperty<Color>,
                       providedOptions: KeyboardHelpButtonOptions ) {
@@ -56,13 +60,14 @@ class KeyboardHelpButton extends JoistButton {
     }, providedOptions );
 
     let keyboardHelpDialogCapsule: PhetioCapsule<KeyboardHelpDialog> | null = null; // set after calling super
-    options.listener = () => {
+    const showDialog = () => {
       assert && assert( keyboardHelpDialogCapsule );
 
       const keyboardHelpDialog = keyboardHelpDialogCapsule!.getElement();
 
       keyboardHelpDialog.show();
     };
+    options.listener = showDialog;
 
     const icon = new Image( keyboardIcon_png, {
       scale: HELP_BUTTON_SCALE / keyboardIcon_png.height * HELP_BUTTON_HEIGHT * 0.85,
@@ -71,6 +76,8 @@ class KeyboardHelpButton extends JoistButton {
 
     super( icon, backgroundColorProperty, options );
 
+    this.showDialog = showDialog;
+
     keyboardHelpDialogCapsule = new PhetioCapsule<KeyboardHelpDialog>( tandem => {
 
       // Wrap in a node to prevent DAG problems if archetypes are also created
@@ -85,7 +92,7 @@ class KeyboardHelpButton extends JoistButton {
 
     // change the icon so that it is visible when the background changes from dark to light
     backgroundColorProperty.link( backgroundColor => {
-      icon.image = backgroundColor.equals( Color.BLACK ) ? keyboardIcon_png : keyboardIconOnWhite_png;
+      icon.image = ContrastChecker.isDarkColor( backgroundColor ) ? keyboardIcon_png : keyboardIconOnWhite_png;
     } );
   }
 }
@@ -16,7 +16,9 @@ import PhetFont from '../../scenery-phet/js/PhetFont.js';
 import { HBox, Node, NodeOptions, PDOMPeer, ReadingBlock, ReadingBlockOptions, VBox, VoicingText } from '../../scenery/js/imports.js';
 import Dialog, { DialogOptions } from '../../sun/js/Dialog.js';
 import Tandem from '../../tandem/js/Tandem.js';
+import CommandsKeyboardHelpNode from './CommandsKeyboardHelpNode.js';
 import joist from './joist.js';
+import JoistColors from './JoistColors.js';
 import JoistStrings from './JoistStrings.js';
 import Screen from './Screen.js';
 
@@ -36,7 +38,7 @@ export default class KeyboardHelpDialog extends Dialog {
 
     const options = optionize<KeyboardHelpDialogOptions, SelfOptions, DialogOptions>()( {
       titleAlign: 'center',
-      fill: 'rgb( 214, 237, 249 )',
+      fill: JoistColors.keyboardHelpDialogFillColorProperty,
       ySpacing: 15,
 
       // phet-io
@@ -64,6 +66,9 @@ export default class KeyboardHelpDialog extends Dialog {
       screenContentNodes.push( keyboardHelpNode );
     } );
 
+    // the shortcuts of the commandRegistry, shown after the content of each screen
+    const commandsKeyboardHelpNode = new CommandsKeyboardHelpNode();
+
     const shortcutsTitleText = new VoicingText( JoistStrings.keyboardShortcuts.titleStringProperty, {
       font: new PhetFont( {
         weight: 'bold',
@@ -102,7 +107,8 @@ export default class KeyboardHelpDialog extends Dialog {
       const currentContentNode = screenContentNodes[ screens.indexOf( screen ) ]!;
       if ( isShowing ) {
         assert && assert( currentContentNode, 'a displayed KeyboardHelpButton for a screen should have content' );
-        content.children = [ currentContentNode ];
+        content.children = [ currentContentNode, commandsKeyboardHelpNode ];
+        commandsKeyboardHelpNode.leftTop = currentContentNode.leftBottom.plusXY( 0, 20 );
       }
     } );
 
@@ -119,6 +125,7 @@ export default class KeyboardHelpDialog extends Dialog {
       shortcutsTitleText.dispose();
       screenContentNodes.forEach( node => node.dispose() );
       screenContentNodes.length = 0;
+      commandsKeyboardHelpNode.dispose();
       content.dispose();
     };
   }
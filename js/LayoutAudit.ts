@@ -0,0 +1,275 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Audits the layout of every screen against string variants, to find layout problems before translations are
+ * submitted. For each locale and each variant, every entry of localizedStrings is changed, and the ScreenView of each
+ * screen is walked to find Text and RichText nodes that:
+ * - overflow their maxWidth or maxHeight (and are scaled down to fit),
+ * - are outside of the layoutBounds of the ScreenView,
+ * - overlap a sibling that also contains text.
+ *
+ * The variants are the original strings, long strings (doubled), short strings (one character) and pseudo-localized
+ * strings (accented and padded). Each variant is audited in the current locale, and in a right-to-left locale (see
+ * isLeftToRightProperty) if the sim has one. Placeholders like {{value}} and {0}, and markup like <sub>, are kept in
+ * all variants. The strings and the locale are restored afterwards.
+ *
+ * The results are one report per screen and locale, that can be saved as JSON, and are shown as highlights in the
+ * Helper. It can also be run from the console with `new phet.joist.LayoutAudit( phet.joist.sim ).run()`.
+ */
+
+import localeInfoModule from '../../chipper/js/data/localeInfoModule.js';
+import { localizedStrings } from '../../chipper/js/getStringModule.js';
+import Bounds2 from '../../dot/js/Bounds2.js';
+import Matrix3 from '../../dot/js/Matrix3.js';
+import { Node, RichText, Text } from '../../scenery/js/imports.js';
+import localeProperty from './i18n/localeProperty.js';
+import joist from './joist.js';
+import packageJSON from './packageJSON.js';
+import saveToFile from './saveToFile.js';
+import ScreenView from './ScreenView.js';
+import Sim from './Sim.js';
+
+// Version of the layout of LayoutAuditResult, increment when it changes
+const LAYOUT_AUDIT_VERSION = 1;
+
+// in view coordinates, to ignore rounding and anti-aliasing
+const TOLERANCE = 0.5;
+
+// Matches the parts of a string that are kept in all variants: placeholders, markup and character entities
+const TOKEN_REGEX = /(\{\{[^}]*\}\}|\{\d+\}|<[^>]*>|&#?\w+;)/;
+
+// Pseudo-localized characters for ASCII letters
+const PSEUDO_CHARACTERS: Record<string, string> = {
+  a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Ú', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+// Pseudo-localized strings are this much longer, as many languages are longer than English
+const PSEUDO_EXPANSION = 0.4;
+
+export const LAYOUT_AUDIT_VARIANTS = [ 'original', 'long', 'short', 'pseudo' ] as const;
+export type LayoutAuditVariant = typeof LAYOUT_AUDIT_VARIANTS[number];
+
+export type LayoutAuditIssue = {
+  type: 'overflow' | 'outsideLayoutBounds' | 'overlap';
+  variant: LayoutAuditVariant;
+
+  // the displayed string, and the child indices from the ScreenView to the node
+  text: string;
+  path: string;
+
+  // in the coordinates of the ScreenView
+  bounds: Bounds2;
+
+  // for 'overflow', the scale that was applied to fit in maxWidth/maxHeight
+  scale?: number;
+
+  // for 'overlap', the path of the sibling
+  otherPath?: string;
+};
+
+export type LayoutAuditReport = {
+  screen: string;
+  locale: string;
+  direction: 'ltr' | 'rtl';
+  issues: LayoutAuditIssue[];
+};
+
+export type LayoutAuditResult = {
+  layoutAuditVersion: number;
+  timestamp: string;
+  sim: string;
+  variants: LayoutAuditVariant[];
+
+  // the right-to-left locale that was audited, null if the sim doesn't have one
+  rtlLocale: string | null;
+  reports: LayoutAuditReport[];
+};
+
+// Applies a transformation to the parts of a string that are not placeholders or markup
+const mapText = ( value: string, map: ( text: string ) => string ): string => {
+  return value.split( TOKEN_REGEX ).map( ( part, index ) => {
+
+    // split with a capturing group puts the tokens at the odd indices
+    return ( index % 2 === 1 || part.length === 0 ) ? part : map( part );
+  } ).join( '' );
+};
+
+const isRightToLeft = ( locale: string ): boolean => {
+  // @ts-ignore keyof localeInfoModule not helping here.
+  return localeInfoModule[ locale ].direction === 'rtl';
+};
+
+class LayoutAudit {
+
+  private readonly sim: Sim;
+
+  public constructor( sim: Sim ) {
+    this.sim = sim;
+  }
+
+  /**
+   * Returns the variant of a string, keeping its placeholders and markup.
+   */
+  public static createStringVariant( value: string, variant: LayoutAuditVariant ): string {
+    if ( variant === 'long' ) {
+      return mapText( value, text => text + text );
+    }
+    else if ( variant === 'short' ) {
+      return mapText( value, text => text.trim().length ? text.trim().charAt( 0 ) : text );
+    }
+    else if ( variant === 'pseudo' ) {
+      const padding = '~'.repeat( Math.ceil( value.length * PSEUDO_EXPANSION ) );
+      return `[${mapText( value, text => text.replace( /[a-zA-Z]/g, character => PSEUDO_CHARACTERS[ character ] ) )}${padding}]`;
+    }
+    return value;
+  }
+
+  /**
+   * Audits every screen in every variant, and restores the strings and the locale.
+   */
+  public run(): LayoutAuditResult {
+    const initialLocale = localeProperty.value;
+    const rtlLocale = isRightToLeft( initialLocale ) ? null :
+                      _.find( localeProperty.validValues!, isRightToLeft ) || null;
+    const locales = rtlLocale ? [ initialLocale, rtlLocale ] : [ initialLocale ];
+
+    // Bounds are computed for screens that are not shown, so they don't need to be selected
+    const screens = this.sim.simScreens.filter( screen => screen.hasView() );
+
+    // An error while auditing must not leave the sim with variant strings or in another locale
+    const reports: LayoutAuditReport[] = [];
+    try {
+      locales.forEach( locale => {
+        localeProperty.value = locale;
+        const localeReports = screens.map( screen => {
+          return {
+            screen: screen.tandem.name,
+            locale: locale,
+            direction: isRightToLeft( locale ) ? 'rtl' : 'ltr',
+            issues: []
+          } as LayoutAuditReport;
+        } );
+
+        LAYOUT_AUDIT_VARIANTS.forEach( variant => {
+          const values = localizedStrings.map( localizedString => localizedString.property.value );
+          try {
+            localizedStrings.forEach( ( localizedString, index ) => {
+              localizedString.property.value = LayoutAudit.createStringVariant( values[ index ], variant );
+            } );
+
+            screens.forEach( ( screen, index ) => {
+              localeReports[ index ].issues.push( ...LayoutAudit.auditView( screen.view, variant ) );
+            } );
+          }
+          finally {
+            localizedStrings.forEach( ( localizedString, index ) => {
+              localizedString.property.value = values[ index ];
+            } );
+          }
+        } );
+        reports.push( ...localeReports );
+      } );
+    }
+    finally {
+      localeProperty.value = initialLocale;
+    }
+
+    return {
+      layoutAuditVersion: LAYOUT_AUDIT_VERSION,
+      timestamp: new Date().toISOString(),
+      sim: packageJSON.name,
+      variants: LAYOUT_AUDIT_VARIANTS.slice(),
+      rtlLocale: rtlLocale,
+      reports: reports
+    };
+  }
+
+  /**
+   * Saves the result of an audit to a JSON file.
+   */
+  public static download( result: LayoutAuditResult ): void {
+    saveToFile( JSON.stringify( result, null, 2 ), `${result.sim}-layout-audit-${Date.now()}.json` );
+  }
+
+  /**
+   * Finds the issues of the visible Text and RichText nodes in a ScreenView, for its current strings. The ScreenView
+   * does not need to be visible.
+   */
+  public static auditView( view: ScreenView, variant: LayoutAuditVariant ): LayoutAuditIssue[] {
+    const issues: LayoutAuditIssue[] = [];
+    const layoutBounds = view.layoutBounds.dilated( TOLERANCE );
+
+    // Returns whether the node contains visible text. The matrix transforms the coordinates of the node's parent to
+    // the coordinates of the view.
+    const auditNode = ( node: Node, parentMatrix: Matrix3, path: string ): boolean => {
+
+      // The view itself is invisible unless its screen is selected, see Screen
+      if ( ( node !== view && !node.visible ) || !node.bounds.isValid() ) {
+        return false;
+      }
+      const bounds = node.bounds.transformed( parentMatrix );
+
+      if ( node instanceof Text || node instanceof RichText ) {
+        const text = node.text;
+        const scale = LayoutAudit.getMaxDimensionScale( node );
+        if ( scale < 1 ) {
+          issues.push( { type: 'overflow', variant: variant, text: text, path: path, bounds: bounds, scale: scale } );
+        }
+        if ( !layoutBounds.containsBounds( bounds ) ) {
+          issues.push( { type: 'outsideLayoutBounds', variant: variant, text: text, path: path, bounds: bounds } );
+        }
+        return true;
+      }
+
+      const matrix = parentMatrix.timesMatrix( node.matrix );
+      const childPaths = node.children.map( ( child, index ) => `${path}.children[ ${index} ]` );
+      const textChildren = node.children.filter( ( child, index ) => auditNode( child, matrix, childPaths[ index ] ) );
+
+      // Siblings that contain text shouldn't overlap, other siblings are often backgrounds
+      for ( let i = 0; i < textChildren.length; i++ ) {
+        for ( let j = i + 1; j < textChildren.length; j++ ) {
+          const intersection = textChildren[ i ].bounds.intersection( textChildren[ j ].bounds );
+          if ( intersection.width > TOLERANCE && intersection.height > TOLERANCE ) {
+            issues.push( {
+              type: 'overlap',
+              variant: variant,
+              text: LayoutAudit.getText( textChildren[ i ] ),
+              path: childPaths[ node.children.indexOf( textChildren[ i ] ) ],
+              bounds: intersection.transformed( matrix ),
+              otherPath: childPaths[ node.children.indexOf( textChildren[ j ] ) ]
+            } );
+          }
+        }
+      }
+      return textChildren.length > 0;
+    };
+
+    // The view's own transform is inverted, so that its children are in view coordinates
+    auditNode( view, view.matrix.inverted(), 'view' );
+
+    return issues;
+  }
+
+  // The scale that a Text or RichText is given to fit in its maxWidth and maxHeight, 1 if it fits
+  private static getMaxDimensionScale( node: Text | RichText ): number {
+    const localBounds = node.localBounds;
+    const widthScale = node.maxWidth === null ? 1 : node.maxWidth / localBounds.width;
+    const heightScale = node.maxHeight === null ? 1 : node.maxHeight / localBounds.height;
+    const scale = Math.min( widthScale, heightScale );
+    return scale < 1 - TOLERANCE / localBounds.width ? scale : 1;
+  }
+
+  // The strings of the visible text in a subtree, to identify it in a report
+  private static getText( node: Node ): string {
+    if ( node instanceof Text || node instanceof RichText ) {
+      return node.text;
+    }
+    return node.children.filter( child => child.visible ).map( child => LayoutAudit.getText( child ) ).filter( text => text.length ).join( ' ' );
+  }
+}
+
+joist.register( 'LayoutAudit', LayoutAudit );
+export default LayoutAudit;
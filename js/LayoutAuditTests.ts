@@ -0,0 +1,79 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for the string variants of LayoutAudit, for the issues found in a ScreenView, and for restoring the
+ * strings and locale after an audit.
+ */
+
+import { localizedStrings } from '../../chipper/js/getStringModule.js';
+import { Node, Text } from '../../scenery/js/imports.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import localeProperty from './i18n/localeProperty.js';
+import LayoutAudit from './LayoutAudit.js';
+import ScreenView from './ScreenView.js';
+import Sim from './Sim.js';
+
+QUnit.module( 'LayoutAudit' );
+
+QUnit.test( 'string variants', assert => {
+  assert.equal( LayoutAudit.createStringVariant( 'Reset', 'original' ), 'Reset' );
+  assert.equal( LayoutAudit.createStringVariant( 'Reset', 'long' ), 'ResetReset' );
+  assert.equal( LayoutAudit.createStringVariant( 'Reset All', 'short' ), 'R' );
+  assert.equal( LayoutAudit.createStringVariant( 'Ab', 'pseudo' ), '[Åƀ~]' );
+} );
+
+QUnit.test( 'placeholders and markup are kept', assert => {
+  assert.equal( LayoutAudit.createStringVariant( '{{value}} cm', 'long' ), '{{value}} cm cm' );
+  assert.equal( LayoutAudit.createStringVariant( 'Speed: {0}', 'short' ), 'S{0}' );
+  assert.equal( LayoutAudit.createStringVariant( 'H<sub>2</sub>O', 'pseudo' ), '[Ĥ<sub>2</sub>Ö~~~~~~]' );
+  assert.equal( LayoutAudit.createStringVariant( 'a &amp; b', 'short' ), 'a&amp;b' );
+} );
+
+QUnit.test( 'auditView', assert => {
+  const view = new ScreenView( { tandem: Tandem.OPT_OUT } );
+  view.addChild( new Text( 'Overflowing', { maxWidth: 10, center: view.layoutBounds.center } ) );
+  view.addChild( new Text( 'Outside', { left: view.layoutBounds.right + 10, centerY: view.layoutBounds.centerY } ) );
+  view.addChild( new Node( {
+    children: [
+      new Text( 'First', { left: 100, top: 100 } ),
+      new Text( 'Second', { left: 110, top: 100 } )
+    ]
+  } ) );
+  view.addChild( new Text( 'Hidden', { maxWidth: 10, center: view.layoutBounds.center, visible: false } ) );
+
+  // Like the view of a screen that is not selected
+  view.visible = false;
+
+  const issues = LayoutAudit.auditView( view, 'long' );
+  assert.deepEqual( issues.map( issue => [ issue.type, issue.text, issue.variant ] ), [
+    [ 'overflow', 'Overflowing', 'long' ],
+    [ 'outsideLayoutBounds', 'Outside', 'long' ],
+    [ 'overlap', 'First', 'long' ]
+  ], 'issues of the visible text in an invisible view' );
+  assert.ok( issues[ 0 ].scale! < 1, 'the scale of the overflowing text' );
+  assert.ok( issues[ 2 ].otherPath!.endsWith( '.children[ 1 ]' ), 'the path of the overlapping sibling' );
+
+  view.dispose();
+} );
+
+QUnit.test( 'strings and locale are restored after an error', assert => {
+  const values = localizedStrings.map( localizedString => localizedString.property.value );
+  const locale = localeProperty.value;
+
+  // Since these are tests, it is simpler to typecast than to create an actual Sim. The view fails during the audit.
+  const sim = {
+    simScreens: [ {
+      tandem: { name: 'brokenScreen' },
+      hasView: () => true,
+      view: {
+        get layoutBounds() {
+          throw new Error( 'broken view' );
+        }
+      }
+    } ]
+  };
+
+  assert.throws( () => new LayoutAudit( sim as unknown as Sim ).run(), /broken view/, 'the error is not swallowed' );
+  assert.deepEqual( localizedStrings.map( localizedString => localizedString.property.value ), values, 'strings restored' );
+  assert.equal( localeProperty.value, locale, 'locale restored' );
+} );
@@ -1,7 +1,8 @@
 // Copyright 2015-2022, University of Colorado Boulder
 
 /**
- * Provides colors for Joist elements.
+ * Provides colors for Joist elements. The navigation bar is white on screens with a black background and black on
+ * other screens, unless a ColorTheme is selected, see colorThemeManager.
  *
  * @author Sam Reid (PhET Interactive Simulations)
  */
@@ -11,6 +12,7 @@ import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
 import Property from '../../axon/js/Property.js';
 import { Color } from '../../scenery/js/imports.js';
 import joist from './joist.js';
+import colorThemeManager from './preferences/colorThemeManager.js';
 
 class LookAndFeel {
 
@@ -34,12 +36,14 @@ class LookAndFeel {
       backgroundColor => backgroundColor.equals( Color.BLACK )
     );
 
-    this.navigationBarFillProperty = new DerivedProperty( [ this.navigationBarDarkProperty ],
-      backgroundDark => backgroundDark ? Color.WHITE : Color.BLACK
+    this.navigationBarFillProperty = new DerivedProperty( [ this.navigationBarDarkProperty, colorThemeManager.colorThemeProperty ],
+      ( backgroundDark, colorTheme ) => colorTheme ? new Color( colorTheme.background ) :
+                                        backgroundDark ? Color.WHITE : Color.BLACK
     );
 
-    this.navigationBarTextFillProperty = new DerivedProperty( [ this.navigationBarFillProperty ],
-      navigationBarFill => navigationBarFill.equals( Color.BLACK ) ? Color.WHITE : Color.BLACK
+    this.navigationBarTextFillProperty = new DerivedProperty( [ this.navigationBarFillProperty, colorThemeManager.colorThemeProperty ],
+      ( navigationBarFill, colorTheme ) => colorTheme ? new Color( colorTheme.foreground ) :
+                                           navigationBarFill.equals( Color.BLACK ) ? Color.WHITE : Color.BLACK
     );
   }
 
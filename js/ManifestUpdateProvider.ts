@@ -0,0 +1,103 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Provides update information from a static JSON manifest, for simulations that are redistributed outside of the
+ * PhET website (like on an intranet or in an offline lab image). Select it with ?updateManifest=<url>, or provide it
+ * with updateCheck.setProvider. The manifest looks like:
+ *
+ * {
+ *   "latestVersion": "1.3.0",
+ *   "buildTimestamp": 1660000000000,                     // optional
+ *   "updateURL": "https://intranet.example/sims/",      // optional, opened by "Get Update"
+ *   "releaseNotes": [ "Added the Lab screen" ]           // optional, a string or array of strings
+ * }
+ */
+
+import joist from './joist.js';
+import TUpdateProvider, { TSimVersion, UpdateCheckResult } from './TUpdateProvider.js';
+
+const SimVersion = phet.preloads.chipper.SimVersion; // use preload from chipper (auto-copied from perennial)
+
+export type UpdateManifest = {
+  latestVersion: string;
+  buildTimestamp?: number;
+  updateURL?: string;
+  releaseNotes?: string | string[];
+};
+
+class ManifestUpdateProvider implements TUpdateProvider {
+  private readonly manifest: string | UpdateManifest;
+
+  /**
+   * @param manifest - URL of the manifest (absolute, or relative to the simulation HTML file), or the manifest itself
+   */
+  public constructor( manifest: string | UpdateManifest ) {
+    this.manifest = manifest;
+  }
+
+  public requestUpdate( ourVersion: TSimVersion, onSuccess: ( result: UpdateCheckResult ) => void, onFailure: ( message: string ) => void ): void {
+    const manifest = this.manifest;
+
+    if ( typeof manifest === 'string' ) {
+      const req = new XMLHttpRequest();
+      req.onload = () => {
+
+        // Requests for file: URLs report a status of 0 when successful
+        if ( req.status !== 0 && ( req.status < 200 || req.status >= 300 ) ) {
+          onFailure( `Unable to load update manifest, status: ${req.status}` );
+          return;
+        }
+
+        let data;
+        try {
+          data = JSON.parse( req.responseText );
+        }
+        catch( e ) {
+          onFailure( 'Unable to parse update manifest' );
+          return;
+        }
+        ManifestUpdateProvider.handleManifest( data, ourVersion, onSuccess, onFailure );
+      };
+      req.onerror = () => onFailure( 'Unable to load update manifest' );
+      req.open( 'get', manifest, true );
+      req.send();
+    }
+    else {
+
+      // Asynchronous like loading from a URL, so that callers see the same order of events
+      window.setTimeout( () => ManifestUpdateProvider.handleManifest( manifest, ourVersion, onSuccess, onFailure ), 0 ); // eslint-disable-line bad-sim-text
+    }
+  }
+
+  private static handleManifest( manifest: UpdateManifest, ourVersion: TSimVersion,
+                                 onSuccess: ( result: UpdateCheckResult ) => void, onFailure: ( message: string ) => void ): void {
+    if ( !manifest || typeof manifest.latestVersion !== 'string' ) {
+      onFailure( 'Update manifest is missing latestVersion' );
+      return;
+    }
+
+    let latestVersion: TSimVersion;
+    try {
+      latestVersion = SimVersion.parse( manifest.latestVersion, manifest.buildTimestamp );
+    }
+    catch( e ) {
+      onFailure( `Invalid latestVersion in update manifest: ${manifest.latestVersion}` );
+      return;
+    }
+
+    const releaseNotes = typeof manifest.releaseNotes === 'string' ? [ manifest.releaseNotes ] :
+                         Array.isArray( manifest.releaseNotes ) ? manifest.releaseNotes.filter( note => typeof note === 'string' ) :
+                         [];
+
+    onSuccess( {
+      state: latestVersion.compareNumber( ourVersion ) > 0 ? 'out-of-date' : 'up-to-date',
+      latestVersion: manifest.latestVersion,
+      buildTimestamp: manifest.buildTimestamp,
+      updateURL: typeof manifest.updateURL === 'string' ? manifest.updateURL : null,
+      releaseNotes: releaseNotes
+    } );
+  }
+}
+
+joist.register( 'ManifestUpdateProvider', ManifestUpdateProvider );
+export default ManifestUpdateProvider;
@@ -67,6 +67,13 @@ class MemoryMonitor {
     }
   }
 
+  /**
+   * Gets the most recent measurement in bytes, or 0 if memory has not been measured.
+   */
+  public getLastMemory(): number {
+    return this.lastMemory;
+  }
+
   /**
    * Converts a number of bytes into a quick-to-read memory string.
    */
@@ -31,9 +31,9 @@ import { AlignBox, Color, HBox, ManualConstraint, Node, PDOMPeer, Rectangle, Rel
 import Tandem from '../../tandem/js/Tandem.js';
 import A11yButtonsHBox from './A11yButtonsHBox.js';
 import HomeButton from './HomeButton.js';
-import HomeScreen from './HomeScreen.js';
 import HomeScreenView from './HomeScreenView.js';
 import joist from './joist.js';
+import JoistColors from './JoistColors.js';
 import JoistStrings from './JoistStrings.js';
 import NavigationBarScreenButton from './NavigationBarScreenButton.js';
 import PhetButton from './PhetButton.js';
@@ -76,15 +76,16 @@ class NavigationBar extends Node {
     // The nav bar fill and determining fill for elements on the nav bar (if it's black, the elements are white)
     this.navigationBarFillProperty = new DerivedProperty( [
       sim.selectedScreenProperty,
-      sim.lookAndFeel.navigationBarFillProperty
-    ], ( screen, simNavigationBarFill ) => {
+      sim.lookAndFeel.navigationBarFillProperty,
+      JoistColors.homeScreenBackgroundColorProperty
+    ], ( screen, simNavigationBarFill, homeScreenBackgroundColor ) => {
 
       const showHomeScreen = screen === sim.homeScreen;
 
       // If the homescreen is showing, the navigation bar should blend into it.  This is done by making it the same color.
       // It cannot be made transparent here, because other code relies on the value of navigationBarFillProperty being
-      // 'black' to make the icons show up as white, even when the navigation bar is hidden on the home screen.
-      return showHomeScreen ? HomeScreen.BACKGROUND_COLOR : simNavigationBarFill;
+      // dark to make the icons show up as light, even when the navigation bar is hidden on the home screen.
+      return showHomeScreen ? homeScreenBackgroundColor : simNavigationBarFill;
     } );
 
     // The bar's background (resized in layout)
@@ -22,6 +22,7 @@ import { Color, Node, Path, Rectangle, voicingManager } from '../../scenery/js/i
 import ToggleNode from '../../sun/js/ToggleNode.js';
 import ActivationUtterance from '../../utterance-queue/js/ActivationUtterance.js';
 import audioManager from './audioManager.js';
+import ContrastChecker from './ContrastChecker.js';
 import joist from './joist.js';
 import JoistButton, { JoistButtonOptions } from './JoistButton.js';
 import JoistStrings from './JoistStrings.js';
@@ -191,7 +192,7 @@ class NavigationBarAudioToggleButton extends JoistButton {
 
     // change the icon so that it is visible when the background changes from dark to light
     backgroundColorProperty.link( backgroundColor => {
-      const baseColor = backgroundColor.equals( Color.BLACK ) ? 'white' : 'black';
+      const baseColor = ContrastChecker.isDarkColor( backgroundColor ) ? 'white' : 'black';
       speakerNode.stroke = baseColor;
       soundOffX.stroke = baseColor;
       soundOnCurves.stroke = baseColor;
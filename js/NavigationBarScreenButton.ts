@@ -20,8 +20,11 @@ import PhetFont from '../../scenery-phet/js/PhetFont.js';
 import { Color, FocusHighlightPath, Node, NodeOptions, Rectangle, Text, VBox, Voicing, VoicingOptions } from '../../scenery/js/imports.js';
 import PushButtonModel from '../../sun/js/buttons/PushButtonModel.js';
 import Tandem from '../../tandem/js/Tandem.js';
+import ContrastChecker from './ContrastChecker.js';
 import HighlightNode from './HighlightNode.js';
 import joist from './joist.js';
+import JoistColors from './JoistColors.js';
+import colorThemeManager from './preferences/colorThemeManager.js';
 import Screen from './Screen.js';
 
 // constants
@@ -121,11 +124,11 @@ class NavigationBarScreenButton extends Voicing( Node ) {
     const highlightWidth = getHighlightWidth( overlay );
     const brightenHighlight = new HighlightNode( highlightWidth, overlay.height, {
       center: iconAndText.center,
-      fill: 'white'
+      fill: JoistColors.lightHighlightColorProperty
     } );
     const darkenHighlight = new HighlightNode( highlightWidth, overlay.height, {
       center: iconAndText.center,
-      fill: 'black'
+      fill: JoistColors.darkHighlightColorProperty
     } );
 
     // Is this button's screen selected?
@@ -167,14 +170,16 @@ class NavigationBarScreenButton extends Voicing( Node ) {
 
     // manage interaction feedback
     Multilink.multilink(
-      [ selectedProperty, this.buttonModel.looksPressedProperty, this.buttonModel.looksOverProperty, navigationBarFillProperty, this.buttonModel.enabledProperty ],
-      ( selected, looksPressed, looksOver, navigationBarFill, enabled ) => {
+      [ selectedProperty, this.buttonModel.looksPressedProperty, this.buttonModel.looksOverProperty, navigationBarFillProperty,
+        this.buttonModel.enabledProperty, colorThemeManager.colorThemeProperty ],
+      ( selected, looksPressed, looksOver, navigationBarFill, enabled, colorTheme ) => {
 
-        const useDarkenHighlights = !navigationBarFill.equals( Color.BLACK );
+        const navigationBarIsDark = ContrastChecker.isDarkColor( navigationBarFill );
+        const useDarkenHighlights = !navigationBarIsDark;
 
-        // Color match yellow with the PhET Logo
-        const selectedTextColor = useDarkenHighlights ? 'black' : PhetColorScheme.BUTTON_YELLOW;
-        const unselectedTextColor = useDarkenHighlights ? 'gray' : 'white';
+        // Color match yellow with the PhET Logo, unless the colors are from a color theme
+        const selectedTextColor = colorTheme ? colorTheme.accent : useDarkenHighlights ? 'black' : PhetColorScheme.BUTTON_YELLOW;
+        const unselectedTextColor = colorTheme ? colorTheme.foreground : useDarkenHighlights ? 'gray' : 'white';
 
         text.fill = selected ? selectedTextColor : unselectedTextColor;
         iconAndText.opacity = selected ? 1.0 : ( looksPressed ? 0.65 : 0.5 );
@@ -183,11 +188,11 @@ class NavigationBarScreenButton extends Voicing( Node ) {
         darkenHighlight.visible = useDarkenHighlights && enabled && ( looksOver || looksPressed );
 
         // Put a frame around the screen icon, depending on the navigation bar background color.
-        if ( screen.showScreenIconFrameForNavigationBarFill === 'black' && navigationBarFill.equals( Color.BLACK ) ) {
+        if ( screen.showScreenIconFrameForNavigationBarFill === 'black' && navigationBarIsDark ) {
           iconFrame.stroke = PhetColorScheme.SCREEN_ICON_FRAME;
         }
 
-        else if ( screen.showScreenIconFrameForNavigationBarFill === 'white' && navigationBarFill.equals( Color.WHITE ) ) {
+        else if ( screen.showScreenIconFrameForNavigationBarFill === 'white' && !navigationBarIsDark ) {
           iconFrame.stroke = 'black'; // black frame on a white navbar
         }
         else {
@@ -15,6 +15,7 @@ import { AriaHasPopUpMutator, Color, Image, Line, Node } from '../../scenery/js/
 import pushButtonSoundPlayer from '../../tambo/js/shared-sound-players/pushButtonSoundPlayer.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import IOType from '../../tandem/js/types/IOType.js';
+import ContrastChecker from './ContrastChecker.js';
 import joist from './joist.js';
 import JoistButton from './JoistButton.js';
 import JoistStrings from './JoistStrings.js';
@@ -129,10 +130,10 @@ class PhetButton extends JoistButton {
     phetMenu.setFocusOnHideNode( this );
 
     // No need to unlink, as the PhetButton exists for the lifetime of the sim
-    Multilink.multilink( [ backgroundFillProperty, sim.selectedScreenProperty, updateCheck.stateProperty ],
-      ( backgroundFill, screen, updateState ) => {
-        const showHomeScreen = screen === sim.homeScreen;
-        const backgroundIsWhite = !backgroundFill.equals( Color.BLACK ) && !showHomeScreen;
+    // On the home screen, backgroundFillProperty is the background of the home screen.
+    Multilink.multilink( [ backgroundFillProperty, updateCheck.stateProperty ],
+      ( backgroundFill, updateState ) => {
+        const backgroundIsWhite = !ContrastChecker.isDarkColor( backgroundFill );
 
         const outOfDate = updateState === UpdateState.OUT_OF_DATE;
         menuIcon.fill = backgroundIsWhite ? ( outOfDate ? '#0a0' : '#222' ) : ( outOfDate ? '#3F3' : 'white' );
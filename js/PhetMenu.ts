@@ -23,8 +23,12 @@ import { PopupableNode } from '../../sun/js/Popupable.js';
 import PhetioCapsule from '../../tandem/js/PhetioCapsule.js';
 import IOType from '../../tandem/js/types/IOType.js';
 import AboutDialog from './AboutDialog.js';
+import CaptureDialog from './CaptureDialog.js';
+import DiagnosticsDialog from './DiagnosticsDialog.js';
 import joist from './joist.js';
+import joistQueryParameters from './joistQueryParameters.js';
 import JoistStrings from './JoistStrings.js';
+import saveToFile from './saveToFile.js';
 import ScreenshotGenerator from './ScreenshotGenerator.js';
 import Sim from './Sim.js';
 import updateCheck from './updateCheck.js';
@@ -113,6 +117,12 @@ class PhetMenu extends Node {
     // Update dialog is created lazily (so that Sim bounds are valid), then reused.
     let updateDialog: UpdateDialog | null = null;
 
+    // Capture dialog is created lazily (so that Sim bounds are valid), then reused.
+    let captureDialog: CaptureDialog | null = null;
+
+    // Diagnostics dialog is created lazily (so that Sim bounds are valid), then reused.
+    let diagnosticsDialog: DiagnosticsDialog | null = null;
+
     /*
      * Description of the items in the menu. See Menu Item for a list of properties for each itemDescriptor
      */
@@ -136,16 +146,26 @@ class PhetMenu extends Node {
         textStringProperty: JoistStrings.menuItem.reportAProblemStringProperty,
         present: isPhETBrand && !isApp,
         shouldBeHiddenWhenLinksAreNotAllowed: true,
+
+        // Shows the diagnostics first, so that they can be included in the report
         callback: () => {
-          if ( !phet.chipper.isFuzzEnabled() ) {
-            const url = `${'https://phet.colorado.edu/files/troubleshooting/' +
-                           '?sim='}${encodeURIComponent( sim.simNameProperty.value )
-            }&version=${encodeURIComponent( `${sim.version} ${
-              phet.chipper.buildTimestamp ? phet.chipper.buildTimestamp : '(unbuilt)'}` )
-            }&url=${encodeURIComponent( window.location.href )
-            }&dependencies=${encodeURIComponent( JSON.stringify( {} ) )}`;
-            openPopup( url );
+          if ( !diagnosticsDialog ) {
+            diagnosticsDialog = new DiagnosticsDialog( sim, {
+              reportAProblem: () => {
+                if ( !phet.chipper.isFuzzEnabled() ) {
+                  const url = `${'https://phet.colorado.edu/files/troubleshooting/' +
+                                 '?sim='}${encodeURIComponent( sim.simNameProperty.value )
+                  }&version=${encodeURIComponent( `${sim.version} ${
+                    phet.chipper.buildTimestamp ? phet.chipper.buildTimestamp : '(unbuilt)'}` )
+                  }&url=${encodeURIComponent( window.location.href )
+                  }&dependencies=${encodeURIComponent( JSON.stringify( {} ) )}`;
+                  openPopup( url );
+                }
+              },
+              focusOnHideNode: this.focusOnHideNode
+            } );
           }
+          diagnosticsDialog.show();
         },
         options: {
           handleFocusCallback: restoreFocusCallback
@@ -189,34 +209,14 @@ class PhetMenu extends Node {
         present: !isApp, // Not supported by IE9, see https://github.com/phetsims/joist/issues/212
         shouldBeHiddenWhenLinksAreNotAllowed: false,
         callback: () => {
-          const dataURL = ScreenshotGenerator.generateScreenshot( sim );
-
           // if we have FileSaver support
           if ( window.Blob && !!new window.Blob() ) {
 
-            // construct a blob out of it
-            const requiredPrefix = 'data:image/png;base64,';
-            assert && assert( dataURL.startsWith( requiredPrefix ) );
-            const dataBase64 = dataURL.slice( requiredPrefix.length );
-            const byteChars = window.atob( dataBase64 );
-            const byteArray = new window.Uint8Array( byteChars.length );
-            for ( let i = 0; i < byteArray.length; i++ ) {
-              byteArray[ i ] = byteChars.charCodeAt( i ); // need check to make sure this cast doesn't give problems?
-            }
-
-            const blob = new window.Blob( [ byteArray ], { type: 'image/png' } );
-
             // our preferred filename
-            const filename = `${stripEmbeddingMarks( sim.simNameProperty.value )} screenshot.png`;
-
-            if ( !phet.chipper.isFuzzEnabled() ) {
-
-              // @ts-ignore when typescript knows anything about window. . ..
-              window.saveAs( blob, filename );
-            }
+            saveToFile( ScreenshotGenerator.generateScreenshotBlob( sim ), `${stripEmbeddingMarks( sim.simNameProperty.value )} screenshot.png` );
           }
           else if ( !phet.chipper.isFuzzEnabled() ) {
-            openPopup( dataURL, true );
+            openPopup( ScreenshotGenerator.generateScreenshot( sim ), true );
           }
         },
         options: {
@@ -229,6 +229,40 @@ class PhetMenu extends Node {
         }
       },
 
+      // "Capture" menu item, with options for screenshots and recordings
+      {
+        textStringProperty: JoistStrings.menuItem.captureStringProperty,
+        present: !isApp,
+        shouldBeHiddenWhenLinksAreNotAllowed: false,
+        callback: () => {
+          if ( !captureDialog ) {
+            captureDialog = new CaptureDialog( sim, {
+              focusOnHideNode: this.focusOnHideNode
+            } );
+          }
+          captureDialog.show();
+        },
+        options: {
+          handleFocusCallback: restoreFocusCallback
+        }
+      },
+
+      // "Take a Tour" menu item, for the tour of the selected screen, see TourPlayer
+      {
+        textStringProperty: JoistStrings.menuItem.tourStringProperty,
+        present: sim.tourPlayer.toursProperty.value.length > 0 || !!joistQueryParameters.tour,
+        shouldBeHiddenWhenLinksAreNotAllowed: false,
+        callback: () => {
+          const tour = sim.tourPlayer.getTour( sim.selectedScreenProperty.value );
+          tour && sim.tourPlayer.start( tour );
+        },
+        options: {
+
+          // Like the 'joist.startTour' command
+          enabledProperty: sim.tourPlayer.createCanStartProperty()
+        }
+      },
+
       // "Full Screen" menu item
       {
         textStringProperty: JoistStrings.menuItem.fullscreenStringProperty,
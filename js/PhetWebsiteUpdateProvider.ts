@@ -0,0 +1,81 @@
+// Copyright 2015-2022, University of Colorado Boulder
+
+/**
+ * Provides update information from the PhET website service, see https://github.com/phetsims/joist/issues/189.
+ * This is the default provider for the phet brand.
+ *
+ * @author Jonathan Olson <jonathan.olson@colorado.edu>
+ */
+
+import joist from './joist.js';
+import TUpdateProvider, { TSimVersion, UpdateCheckResult } from './TUpdateProvider.js';
+
+const requestProtocolString = ( document.location.protocol === 'https:' ? 'https:' : 'http:' );
+
+class PhetWebsiteUpdateProvider implements TUpdateProvider {
+  private readonly simName: string;
+
+  public constructor( simName: string ) {
+    this.simName = simName;
+  }
+
+  public requestUpdate( ourVersion: TSimVersion, onSuccess: ( result: UpdateCheckResult ) => void, onFailure: ( message: string ) => void ): void {
+
+    // If our sim's version indicates it hasn't been published, don't attempt to send a request for now
+    if ( ourVersion.isSimNotPublished ) {
+      onSuccess( {
+        state: 'up-to-date',
+        latestVersion: ourVersion.toString()
+      } );
+      return;
+    }
+
+    const req = new XMLHttpRequest();
+
+    if ( !( 'withCredentials' in req ) ) {
+      onFailure( 'CORS requests are not supported' );
+      return;
+    }
+
+    req.onload = () => {
+      let data;
+      try {
+        data = JSON.parse( req.responseText );
+      }
+      catch( e ) {
+        onFailure( 'Unable to parse response' );
+        return;
+      }
+
+      if ( data.error ) {
+        onFailure( data.error );
+      }
+
+      // these `state` strings come from the website service, and should be kept in sync with
+      // website\src\java\edu\colorado\phet\website\services\CheckHTMLUpdates.java
+      else if ( data.state === 'out-of-date' || data.state === 'up-to-date' ) {
+        onSuccess( {
+          state: data.state,
+          latestVersion: data.latestVersion,
+          buildTimestamp: data.buildTimestamp,
+          updateURL: data.updateURL
+        } );
+      }
+      else {
+        onFailure( `Failed to get proper state: ${data.state}` );
+      }
+    };
+    req.onerror = () => onFailure( 'Request failed' );
+    req.open( 'post', `${requestProtocolString}//phet.colorado.edu/services/check-html-updates`, true ); // enable CORS
+    req.send( JSON.stringify( {
+      api: '1.0',
+      simulation: this.simName,
+      locale: phet.joist.sim.locale,
+      currentVersion: ourVersion.toString(),
+      buildTimestamp: phet.chipper.buildTimestamp
+    } ) );
+  }
+}
+
+joist.register( 'PhetWebsiteUpdateProvider', PhetWebsiteUpdateProvider );
+export default PhetWebsiteUpdateProvider;
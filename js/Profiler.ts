@@ -7,23 +7,23 @@
  * happen, which are typically a spike in a single frame.  Hence, the data is shown as a histogram. Data that
  * doesn't fit in the histogram appears in an optional 'longTimes' field.
  *
- * When a sim is run with ?profiler, output is displayed in the upper-left corner of the browser window, and updates
- * every 60 frames.
+ * When a sim is run with ?profiler, a ProfilerNode is displayed in the upper-left corner of the sim, and updates
+ * every 60 frames. It shows:
  *
- * The general format is:
+ * FPS - ms/frame - memory
+ * the average ms/frame spent in each phase of stepSimulationAction (see ProfilerPhase)
+ * a sparkline of the recent frame times, and a histogram of the frame times
  *
- * FPS - ms/frame - histogram [- longTimes]
+ * The histogram has 30 bars, for 0-29ms. Each bar indicates the number of frames that took that amount of time.
+ * Frame times that exceeded 29ms don't fit in the histogram, and are listed in descending order as longTimes, so you
+ * can easily identify the largest frame time.
  *
- * Here's an example:
+ * Frame times are measured from the start of one frame to the start of the next, so they include the time that the
+ * browser spends outside of the sim (like painting). The phase times only include time in stepSimulationAction.
  *
- * 48 FPS - 21ms/frame - 0,0,5,0,0,0,0,0,1,0,0,0,0,3,1,3,18,19,5,3,1,0,1,0,0,0,0,1,0,0 - 50,37,217
- *
- * The histogram field is a sequence of 30 numbers, for 0-29ms. Each number indicates the number of frames that took
- * that amount of time. In the above example, histogram[2] is 5; there were 5 frames that took 2ms.
- *
- * The longTimes field is the set of frame times that exceeded 29ms, and thus don't fit in the histogram.
- * If 2 frames took 37ms, then 37ms will appear twice.  If no frames exceeded 29ms, then this field will be absent.
- * These values are sorted in descending order, so you can easily identify the largest frame time.
+ * All frames of the session are kept (up to MAX_RECORDED_FRAMES), and can be exported with downloadChromeTrace() as
+ * Chrome Trace Event JSON, for loading in the Performance panel of the Chrome developer tools. The profiler is
+ * available as phet.joist.sim.profiler.
  *
  * @author Sam Reid (PhET Interactive Simulations)
  * @author Chris Malley (PixelZoom, Inc.)
@@ -31,96 +31,283 @@
 
 import Utils from '../../dot/js/Utils.js';
 import joist from './joist.js';
+import MemoryMonitor from './MemoryMonitor.js';
+import packageJSON from './packageJSON.js';
+import ProfilerNode from './ProfilerNode.js';
+import saveToFile from './saveToFile.js';
 import Sim from './Sim.js';
 
 // constants
-const FIELD_SEPARATOR = ' \u2014 '; // em dash, a long horizontal dash
 const HISTOGRAM_LENGTH = 30;
+const FRAMES_PER_UPDATE = 60;
+const MAX_RECORDED_FRAMES = 60 * 60 * 10; // 10 minutes at 60 frames per second
+
+// The phases of stepSimulationAction, in the order that they occur
+export const PROFILER_PHASES = [
+  'timers', // resizing, stepTimer and other work before the model step
+  'model', // the model step of the selected screen
+  'view', // TWEEN, display.step and the view step of the selected screen
+  'updateDisplay', // display.updateDisplay
+  'other' // work after updateDisplay, like memory measurements
+] as const;
+export type ProfilerPhase = typeof PROFILER_PHASES[number];
+
+type FrameRecord = {
+
+  // performance.now() at the start of the frame, in ms
+  startTime: number;
+
+  // ms from the start of the previous frame to the start of this frame, null for the first frame
+  frameTime: number | null;
+
+  // ms spent in each phase, indexed like PROFILER_PHASES
+  phaseTimes: number[];
+
+  // index into sim.screens of the selected screen
+  screenIndex: number;
+
+  // bytes of JS heap used, 0 if the browser doesn't report it
+  memory: number;
+};
+
+export type ProfilerScreenSummary = {
+  name: string;
+  frames: number;
+
+  // average ms/frame spent in each phase, keyed by ProfilerPhase
+  averagePhaseTimes: Record<ProfilerPhase, number>;
+};
+
+// The information that ProfilerNode displays
+export type ProfilerUpdate = {
+  averageFPS: number;
+  averageFrameTime: number;
+  averagePhaseTimes: Record<ProfilerPhase, number>;
+
+  // bytes of JS heap used, 0 if not available
+  memory: number;
+
+  // ms for each of the recent frames
+  recentFrameTimes: number[];
+
+  histogram: number[];
+  longTimes: number[];
+};
 
 class Profiler {
 
+  private readonly sim: Sim;
+  private readonly memoryMonitor: MemoryMonitor;
+  private readonly profilerNode: ProfilerNode;
 
   // These data structured were chosen to minimize CPU time.
-  private readonly allTimes: number[] = []; // {number[]} times for all frames, in ms
+  private readonly frames: FrameRecord[] = []; // all recorded frames
   private readonly histogram: number[] = []; // {number[]} array index corresponds to number of ms, value is number of frames at that time
   private readonly longTimes: number[] = []; // {number[]} any frame times that didn't fit in histogram
-  private frameStartTime = 0; // {number} start time of the current frame
-  private previousFrameStartTime = 0; // {number} start time of the previous frame
+  private framesSinceUpdate = 0;
+  private previousFrameStartTime: number | null = null; // {number} start time of the previous frame
+
+  // Timing of the current frame
+  private frameStartTime = 0;
+  private phaseIndex = 0;
+  private phaseStartTime = 0;
+  private phaseTimes: number[] = [];
 
-  public constructor() {
+  public constructor( sim: Sim, memoryMonitor: MemoryMonitor ) {
+    this.sim = sim;
+    this.memoryMonitor = memoryMonitor;
 
     // initialize histogram
     for ( let i = 0; i < HISTOGRAM_LENGTH; i++ ) {
       this.histogram.push( 0 );
     }
 
-    // this is where the profiler displays its output
-    $( 'body' ).append( '<div style="z-index: 99999999;position: absolute;color:red; left: 10px;" id="phetProfiler" ></div>' );
+    // this is where the profiler displays its output, on top of everything and unaffected by zoom
+    this.profilerNode = new ProfilerNode( HISTOGRAM_LENGTH, () => this.downloadChromeTrace() );
+    sim.display.rootNode.addChild( this.profilerNode );
   }
 
-  public static start( sim: Sim ): void {
-    const profiler = new Profiler();
+  public static start( sim: Sim, memoryMonitor: MemoryMonitor ): Profiler {
+    const profiler = new Profiler( sim, memoryMonitor );
     sim.frameStartedEmitter.addListener( () => profiler.frameStarted() );
     sim.frameEndedEmitter.addListener( () => profiler.frameEnded() );
+    return profiler;
+  }
+
+  /**
+   * Called by the Sim when a phase of stepSimulationAction starts, which ends the previous phase.
+   * (joist-internal)
+   */
+  public phaseStarted( phase: ProfilerPhase ): void {
+    const now = performance.now();
+    this.phaseTimes[ this.phaseIndex ] += now - this.phaseStartTime;
+    this.phaseIndex = PROFILER_PHASES.indexOf( phase );
+    this.phaseStartTime = now;
   }
 
   private frameStarted(): void {
-    this.frameStartTime = Date.now();
+    this.frameStartTime = performance.now();
+    this.phaseIndex = 0;
+    this.phaseStartTime = this.frameStartTime;
+    this.phaseTimes = PROFILER_PHASES.map( () => 0 );
   }
 
   private frameEnded(): void {
+    this.phaseTimes[ this.phaseIndex ] += performance.now() - this.phaseStartTime;
 
-    // update the display every 60 frames
-    if ( this.allTimes.length > 0 && this.allTimes.length % 60 === 0 ) {
+    // record data for the current frame, the first frame has no frameTime because there is no previous frame
+    const frameTime = this.previousFrameStartTime === null ? null : this.frameStartTime - this.previousFrameStartTime;
+    this.frames.push( {
+      startTime: this.frameStartTime,
+      frameTime: frameTime,
+      phaseTimes: this.phaseTimes,
+      screenIndex: this.sim.screens.indexOf( this.sim.selectedScreenProperty.value ),
+      memory: this.memoryMonitor.getLastMemory()
+    } );
+    this.framesSinceUpdate++;
 
-      let totalTime = 0;
-      for ( let i = 0; i < this.allTimes.length; i++ ) {
-        totalTime += this.allTimes[ i ];
+    if ( frameTime !== null ) {
+      const roundedFrameTime = Math.floor( frameTime );
+      if ( roundedFrameTime < HISTOGRAM_LENGTH ) {
+        this.histogram[ roundedFrameTime ]++; // increment the histogram cell for the corresponding time
       }
+      else {
+        this.longTimes.push( roundedFrameTime ); // time doesn't fit in histogram, record in longTimes
+      }
+    }
+    this.previousFrameStartTime = this.frameStartTime;
 
-      // FPS
-      const averageFPS = Utils.roundSymmetric( 1000 / ( totalTime / this.allTimes.length ) );
-      let text = `${averageFPS} FPS`;
+    // update the display every 60 frames
+    if ( this.framesSinceUpdate === FRAMES_PER_UPDATE ) {
+      this.update();
+    }
+  }
 
-      // ms/frame
-      const averageFrameTime = Utils.roundSymmetric( totalTime / this.allTimes.length );
-      text = `${text + FIELD_SEPARATOR + averageFrameTime}ms/frame`;
+  private update(): void {
+    const recentFrames = this.frames.slice( -this.framesSinceUpdate );
+    const recentFrameTimes = recentFrames.map( frame => frame.frameTime ).filter( time => time !== null ) as number[];
+    const averageFrameTime = _.sum( recentFrameTimes ) / recentFrameTimes.length;
 
-      // histogram
-      text = text + FIELD_SEPARATOR + this.histogram;
+    this.longTimes.sort( ( a, b ) => ( b - a ) ); // sort longTimes in descending order
 
-      // longTimes
-      if ( this.longTimes.length > 0 ) {
-        this.longTimes.sort( ( a, b ) => ( b - a ) ); // sort longTimes in descending order
-        text = text + FIELD_SEPARATOR + this.longTimes;
-      }
+    this.profilerNode.update( {
+      averageFPS: Utils.roundSymmetric( 1000 / averageFrameTime ),
+      averageFrameTime: Utils.roundSymmetric( averageFrameTime ),
+      averagePhaseTimes: getAveragePhaseTimes( recentFrames ),
+      memory: this.memoryMonitor.getLastMemory(),
+      recentFrameTimes: recentFrameTimes,
+      histogram: this.histogram,
+      longTimes: this.longTimes
+    } );
 
-      // update the display
-      $( '#phetProfiler' ).html( text );
+    // clear data structures
+    for ( let i = 0; i < HISTOGRAM_LENGTH; i++ ) {
+      this.histogram[ i ] = 0;
+    }
+    this.longTimes.length = 0;
+    this.framesSinceUpdate = 0;
 
-      // clear data structures
-      for ( let i = 0; i < HISTOGRAM_LENGTH; i++ ) {
-        this.histogram[ i ] = 0;
-      }
-      this.longTimes.length = 0;
-      this.allTimes.length = 0;
+    if ( this.frames.length > MAX_RECORDED_FRAMES ) {
+      this.frames.splice( 0, this.frames.length - MAX_RECORDED_FRAMES );
     }
+  }
 
-    // record data for the current frame, skip first frame because we can't compute its dt
-    if ( this.previousFrameStartTime ) {
-      const dt = this.frameStartTime - this.previousFrameStartTime;
-      this.allTimes.push( dt );
-      if ( dt < HISTOGRAM_LENGTH ) {
-        this.histogram[ dt ]++; // increment the histogram cell for the corresponding time
-      }
-      else {
-        this.longTimes.push( dt ); // time doesn't fit in histogram, record in longTimes
+  /**
+   * Gets the average time of each phase for each screen, over all recorded frames.
+   */
+  public getScreenSummaries(): ProfilerScreenSummary[] {
+    return this.sim.screens.map( ( screen, screenIndex ) => {
+      const frames = this.frames.filter( frame => frame.screenIndex === screenIndex );
+      return {
+        name: screen.tandem.name,
+        frames: frames.length,
+        averagePhaseTimes: getAveragePhaseTimes( frames )
+      };
+    } );
+  }
+
+  /**
+   * Gets all recorded frames in the Chrome Trace Event format, see
+   * https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+   */
+  public getChromeTrace(): object {
+    const toMicroseconds = ( ms: number ) => Math.round( ms * 1000 );
+    const pid = 1;
+    const tid = 1;
+
+    const traceEvents: object[] = [
+      { name: 'process_name', ph: 'M', pid: pid, args: { name: packageJSON.name } },
+      { name: 'thread_name', ph: 'M', pid: pid, tid: tid, args: { name: 'stepSimulationAction' } }
+    ];
+
+    this.frames.forEach( frame => {
+      const screen = this.sim.screens[ frame.screenIndex ];
+      traceEvents.push( {
+        name: 'frame',
+        cat: 'joist',
+        ph: 'X',
+        ts: toMicroseconds( frame.startTime ),
+        dur: toMicroseconds( _.sum( frame.phaseTimes ) ),
+        pid: pid,
+        tid: tid,
+        args: {
+          screen: screen ? screen.tandem.name : null,
+          frameTime: frame.frameTime
+        }
+      } );
+
+      let phaseStartTime = frame.startTime;
+      PROFILER_PHASES.forEach( ( phase, phaseIndex ) => {
+        const phaseTime = frame.phaseTimes[ phaseIndex ];
+        if ( phaseTime > 0 ) {
+          traceEvents.push( {
+            name: phase,
+            cat: 'joist',
+            ph: 'X',
+            ts: toMicroseconds( phaseStartTime ),
+            dur: toMicroseconds( phaseTime ),
+            pid: pid,
+            tid: tid
+          } );
+        }
+        phaseStartTime += phaseTime;
+      } );
+
+      frame.memory && traceEvents.push( {
+        name: 'memory',
+        ph: 'C',
+        ts: toMicroseconds( frame.startTime ),
+        pid: pid,
+        args: { usedJSHeapSize: frame.memory }
+      } );
+    } );
+
+    return {
+      traceEvents: traceEvents,
+      displayTimeUnit: 'ms',
+      metadata: {
+        simName: packageJSON.name,
+        simVersion: packageJSON.version,
+        screens: this.getScreenSummaries()
       }
-    }
+    };
+  }
 
-    this.previousFrameStartTime = this.frameStartTime;
+  /**
+   * Saves the Chrome trace to a JSON file.
+   */
+  public downloadChromeTrace(): void {
+    saveToFile( JSON.stringify( this.getChromeTrace() ), `${packageJSON.name}-profile.json` );
   }
 }
 
+const getAveragePhaseTimes = ( frames: FrameRecord[] ): Record<ProfilerPhase, number> => {
+  const averagePhaseTimes = {} as Record<ProfilerPhase, number>;
+  PROFILER_PHASES.forEach( ( phase, phaseIndex ) => {
+    averagePhaseTimes[ phase ] = frames.length ? _.sum( frames.map( frame => frame.phaseTimes[ phaseIndex ] ) ) / frames.length : 0;
+  } );
+  return averagePhaseTimes;
+};
+
 joist.register( 'Profiler', Profiler );
-export default Profiler;
\ No newline at end of file
+export default Profiler;
@@ -0,0 +1,129 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Displays the output of the Profiler: summary text, a sparkline of recent frame times and a histogram of frame times.
+ * See Profiler for a description of the values.
+ */
+
+import Utils from '../../dot/js/Utils.js';
+import { Shape } from '../../kite/js/imports.js';
+import { Line, Node, Path, Rectangle, Text, VBox } from '../../scenery/js/imports.js';
+import RectangularPushButton from '../../sun/js/buttons/RectangularPushButton.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import joist from './joist.js';
+import { ProfilerPhase, ProfilerUpdate } from './Profiler.js';
+
+// constants
+const FIELD_SEPARATOR = ' — '; // em dash, a long horizontal dash
+const FONT_SIZE = 12;
+const COLOR = 'red';
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 40;
+const MARGIN = 5;
+
+// Frame times are charted up to this many ms, longer times are clamped to the top of the chart
+const MAX_CHARTED_TIME = 50;
+
+// ms/frame at 60 frames per second, shown as a reference line on the sparkline
+const TARGET_FRAME_TIME = 1000 / 60;
+
+class ProfilerNode extends Node {
+
+  private readonly summaryText: Text;
+  private readonly phasesText: Text;
+  private readonly longTimesText: Text;
+  private readonly sparklinePath: Path;
+  private readonly histogramPath: Path;
+  private readonly histogramLength: number;
+
+  /**
+   * @param histogramLength - number of 1ms bars in the histogram
+   * @param exportTrace - called to export the trace of the profiler
+   */
+  public constructor( histogramLength: number, exportTrace: () => void ) {
+    super( { x: 10, y: 10 } );
+
+    this.histogramLength = histogramLength;
+
+    const textOptions = { fontSize: FONT_SIZE, fill: COLOR };
+    this.summaryText = new Text( '', textOptions );
+    this.phasesText = new Text( '', textOptions );
+    this.longTimesText = new Text( '', textOptions );
+
+    const targetFrameTimeY = CHART_HEIGHT * ( 1 - TARGET_FRAME_TIME / MAX_CHARTED_TIME );
+    this.sparklinePath = new Path( null, { stroke: COLOR } );
+    const sparklineNode = new Node( {
+      children: [
+        new Rectangle( 0, 0, CHART_WIDTH, CHART_HEIGHT, { stroke: 'gray' } ),
+        new Line( 0, targetFrameTimeY, CHART_WIDTH, targetFrameTimeY, { stroke: 'gray', lineDash: [ 2, 2 ] } ),
+        this.sparklinePath
+      ]
+    } );
+
+    this.histogramPath = new Path( null, { fill: COLOR } );
+    const histogramNode = new Node( {
+      children: [
+        new Rectangle( 0, 0, CHART_WIDTH, CHART_HEIGHT, { stroke: 'gray' } ),
+        this.histogramPath
+      ]
+    } );
+
+    const exportButton = new RectangularPushButton( {
+      content: new Text( 'Export Trace', { fontSize: FONT_SIZE } ), // eslint-disable-line bad-sim-text
+      listener: exportTrace,
+      tandem: Tandem.OPT_OUT
+    } );
+
+    const content = new VBox( {
+      children: [ this.summaryText, this.phasesText, sparklineNode, histogramNode, this.longTimesText, exportButton ],
+      spacing: MARGIN,
+      align: 'left'
+    } );
+
+    // background that makes the text readable over the sim, resized with the content
+    const background = new Rectangle( { fill: 'rgba( 255, 255, 255, 0.8 )' } );
+    content.boundsProperty.link( bounds => {
+      background.rectBounds = bounds.dilated( MARGIN );
+    } );
+
+    this.children = [ background, content ];
+  }
+
+  public update( update: ProfilerUpdate ): void {
+
+    let summary = `${update.averageFPS} FPS${FIELD_SEPARATOR}${update.averageFrameTime}ms/frame`;
+    if ( update.memory ) {
+      summary = `${summary}${FIELD_SEPARATOR}${Math.ceil( update.memory / ( 1024 * 1024 ) )}MB`;
+    }
+    this.summaryText.string = summary;
+
+    this.phasesText.string = ( Object.keys( update.averagePhaseTimes ) as ProfilerPhase[] ).map(
+      phase => `${phase} ${Utils.toFixed( update.averagePhaseTimes[ phase ], 1 )}`
+    ).join( FIELD_SEPARATOR ) + ' ms/frame';
+
+    this.longTimesText.string = update.longTimes.length ? `long times: ${update.longTimes.join( ',' )}` : '';
+
+    const toY = ( time: number ) => CHART_HEIGHT * ( 1 - Math.min( time, MAX_CHARTED_TIME ) / MAX_CHARTED_TIME );
+
+    // sparkline of the frame times
+    const sparklineShape = new Shape();
+    const dx = CHART_WIDTH / Math.max( update.recentFrameTimes.length - 1, 1 );
+    update.recentFrameTimes.forEach( ( time, i ) => sparklineShape.lineTo( i * dx, toY( time ) ) );
+    this.sparklinePath.shape = sparklineShape;
+
+    // histogram, scaled so that the tallest bar fills the chart
+    const histogramShape = new Shape();
+    const barWidth = CHART_WIDTH / this.histogramLength;
+    const maxCount = Math.max( ...update.histogram, 1 );
+    update.histogram.forEach( ( count, i ) => {
+      if ( count > 0 ) {
+        const barHeight = CHART_HEIGHT * count / maxCount;
+        histogramShape.rect( i * barWidth, CHART_HEIGHT - barHeight, barWidth - 1, barHeight );
+      }
+    } );
+    this.histogramPath.shape = histogramShape;
+  }
+}
+
+joist.register( 'ProfilerNode', ProfilerNode );
+export default ProfilerNode;
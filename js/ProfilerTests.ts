@@ -0,0 +1,98 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for the phase accounting of Profiler and its Chrome Trace Event export, with a stand-in for the Sim and
+ * a controlled clock.
+ */
+
+import Property from '../../axon/js/Property.js';
+import TinyEmitter from '../../axon/js/TinyEmitter.js';
+import { Node } from '../../scenery/js/imports.js';
+import MemoryMonitor from './MemoryMonitor.js';
+import Profiler, { ProfilerPhase } from './Profiler.js';
+import Screen from './Screen.js';
+import Sim from './Sim.js';
+
+const MEMORY = 1000;
+
+// Since these are tests, it is simpler to typecast than to create an actual Sim
+const createSim = () => {
+  const screens = [ 'introScreen', 'labScreen' ].map( name => ( { tandem: { name: name } } as unknown as Screen ) );
+  return {
+    screens: screens,
+    selectedScreenProperty: new Property( screens[ 0 ] ),
+    frameStartedEmitter: new TinyEmitter(),
+    frameEndedEmitter: new TinyEmitter(),
+    display: { rootNode: new Node() }
+  };
+};
+
+QUnit.module( 'Profiler' );
+
+QUnit.test( 'phases and Chrome trace', assert => {
+  const sim = createSim();
+  const memoryMonitor = { getLastMemory: () => MEMORY } as unknown as MemoryMonitor;
+  const profiler = Profiler.start( sim as unknown as Sim, memoryMonitor );
+  assert.equal( sim.display.rootNode.children.length, 1, 'shows the ProfilerNode' );
+
+  // Plays a frame that starts at a time, with the ms that are spent in each phase after 'timers'
+  const now = performance.now;
+  let time = 0;
+  performance.now = () => time;
+  const playFrame = ( startTime: number, timersTime: number, phases: [ ProfilerPhase, number ][] ) => {
+    time = startTime;
+    sim.frameStartedEmitter.emit();
+    time += timersTime;
+    phases.forEach( ( [ phase, phaseTime ] ) => {
+      profiler.phaseStarted( phase );
+      time += phaseTime;
+    } );
+    sim.frameEndedEmitter.emit();
+  };
+  try {
+    playFrame( 0, 1, [ [ 'model', 3 ], [ 'view', 2 ], [ 'updateDisplay', 4 ], [ 'other', 1 ] ] );
+    playFrame( 20, 2, [ [ 'model', 3 ] ] );
+    sim.selectedScreenProperty.value = sim.screens[ 1 ];
+    playFrame( 40, 5, [] );
+  }
+  finally {
+    performance.now = now;
+  }
+
+  assert.deepEqual( profiler.getScreenSummaries(), [ {
+    name: 'introScreen',
+    frames: 2,
+    averagePhaseTimes: { timers: 1.5, model: 3, view: 1, updateDisplay: 2, other: 0.5 }
+  }, {
+    name: 'labScreen',
+    frames: 1,
+    averagePhaseTimes: { timers: 5, model: 0, view: 0, updateDisplay: 0, other: 0 }
+  } ], 'the time of each phase, averaged for each screen' );
+
+  // The export is saved as JSON
+  const trace = JSON.parse( JSON.stringify( profiler.getChromeTrace() ) );
+  const events = trace.traceEvents as Record<string, unknown>[];
+  assert.deepEqual( events.filter( event => event.ph === 'M' ).map( event => event.name ), [ 'process_name', 'thread_name' ] );
+
+  const frameEvents = events.filter( event => event.name === 'frame' );
+  assert.deepEqual( frameEvents.map( event => [ event.ts, event.dur, event.args ] ), [
+    [ 0, 11000, { screen: 'introScreen', frameTime: null } ],
+    [ 20000, 5000, { screen: 'introScreen', frameTime: 20 } ],
+    [ 40000, 5000, { screen: 'labScreen', frameTime: 20 } ]
+  ], 'a complete event for each frame, in microseconds' );
+
+  const firstFramePhases = events.filter( event => event.ph === 'X' && event.name !== 'frame' && ( event.ts as number ) < 20000 );
+  assert.deepEqual( firstFramePhases.map( event => [ event.name, event.ts, event.dur ] ), [
+    [ 'timers', 0, 1000 ],
+    [ 'model', 1000, 3000 ],
+    [ 'view', 4000, 2000 ],
+    [ 'updateDisplay', 6000, 4000 ],
+    [ 'other', 10000, 1000 ]
+  ], 'a complete event for each phase, one after the other' );
+
+  const memoryEvents = events.filter( event => event.name === 'memory' );
+  assert.equal( memoryEvents.length, 3, 'a counter event for the memory of each frame' );
+  assert.deepEqual( memoryEvents[ 0 ].args, { usedJSHeapSize: MEMORY } );
+
+  assert.deepEqual( _.map( trace.metadata.screens, 'frames' ), [ 2, 1 ], 'the screen summaries are included' );
+} );
@@ -50,7 +50,7 @@ assert && assert( Math.abs( HOME_SCREEN_ICON_ASPECT_RATIO - HOME_SCREEN_ICON_ASP
   'MINIMUM_HOME_SCREEN_ICON_SIZE and MINIMUM_NAVBAR_ICON_SIZE must have the same aspect ratio' );
 
 // Documentation is by the defaults
-type SelfOptions = {
+type SelfOptions<M extends TModel, V extends ScreenView> = {
   name?: TReadOnlyProperty<string> | null;
   instrumentNameProperty?: boolean;
 
@@ -64,8 +64,10 @@ type SelfOptions = {
   maxDT?: number;
   createKeyboardHelpNode?: null | ( ( tandem: Tandem ) => Node );
   descriptionContent?: PDOMValueType | null;
+  resetAllListener?: ( ( model: M, view: V ) => void ) | null;
 };
-export type ScreenOptions = SelfOptions & PhetioObjectOptions & PickRequired<PhetioObjectOptions, 'tandem'>;
+export type ScreenOptions<M extends TModel = IntentionalAny, V extends ScreenView = ScreenView> = SelfOptions<M, V> &
+  PhetioObjectOptions & PickRequired<PhetioObjectOptions, 'tandem'>;
 
 // Accept any subtype of TModel (defaults to supertype), and any subtype of ScreenView (defaults to subtype).
 type CreateView<M extends TModel, V> = ( model: M ) => V;
@@ -89,6 +91,7 @@ class Screen<M extends TModel = IntentionalAny, V extends ScreenView = ScreenVie
   public readonly pdomDisplayNameProperty: TReadOnlyProperty<string>;
   private readonly createModel: () => M;
   private readonly createView: CreateView<M, V>;
+  private readonly resetAllListener: ( ( model: M, view: V ) => void ) | null;
   private _model: M | null;
   private _view: V | null;
 
@@ -97,9 +100,9 @@ class Screen<M extends TModel = IntentionalAny, V extends ScreenView = ScreenVie
   public static MINIMUM_NAVBAR_ICON_SIZE: Dimension2;
   public static ScreenIO: IOType;
 
-  public constructor( createModel: () => M, createView: CreateView<M, V>, providedOptions: ScreenOptions ) {
+  public constructor( createModel: () => M, createView: CreateView<M, V>, providedOptions: ScreenOptions<M, V> ) {
 
-    const options = optionize<ScreenOptions, SelfOptions, PhetioObjectOptions>()( {
+    const options = optionize<ScreenOptions<M, V>, SelfOptions<M, V>, PhetioObjectOptions>()( {
 
       // {TProperty<string>|null} name of the sim, as displayed to the user.
       // For single-screen sims, there is no home screen or navigation bar, and null is OK.
@@ -137,6 +140,10 @@ class Screen<M extends TModel = IntentionalAny, V extends ScreenView = ScreenVie
       // in the home screen.
       descriptionContent: null,
 
+      // {null|function(model,view)} resets the model and view like the listener of the screen's ResetAllButton. joist
+      // uses it to reset the screen for the 'joist.resetAll' command and the EmbeddingProtocol, see resetAll.
+      resetAllListener: null,
+
       // phet-io
       tandem: Tandem.REQUIRED, // include a default for un-instrumented, JavaScript sims
       phetioType: Screen.ScreenIO,
@@ -196,6 +203,7 @@ class Screen<M extends TModel = IntentionalAny, V extends ScreenView = ScreenVie
     this.showUnselectedHomeScreenIconFrame = options.showUnselectedHomeScreenIconFrame;
     this.showScreenIconFrameForNavigationBarFill = options.showScreenIconFrameForNavigationBarFill;
     this.createKeyboardHelpNode = options.createKeyboardHelpNode;
+    this.resetAllListener = options.resetAllListener;
 
     // may be null for single-screen simulations
     this.pdomDisplayNameProperty = new DerivedProperty( [ this.nameProperty ], name => {
@@ -271,6 +279,22 @@ class Screen<M extends TModel = IntentionalAny, V extends ScreenView = ScreenVie
     return !!this._view;
   }
 
+  /**
+   * Whether the screen can be reset by joist, see the resetAllListener option.
+   */
+  public canResetAll(): boolean {
+    return !!this.resetAllListener;
+  }
+
+  /**
+   * Resets the model and view with the resetAllListener, like the screen's ResetAllButton does.
+   */
+  public resetAll(): void {
+    assert && assert( this.canResetAll(), 'the screen has no resetAllListener' );
+    this.view.interruptSubtreeInput();
+    this.resetAllListener!( this.model, this.view );
+  }
+
   public reset(): void {
 
     // Background color not reset, as it's a responsibility of the code that changes the property
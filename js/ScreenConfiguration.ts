@@ -0,0 +1,224 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Lets a teacher choose which screens are shown, and in what order, while the sim is running. The configuration
+ * controls Sim.availableScreensProperty, so the HomeScreenView and NavigationBar update immediately. Only the screens
+ * that were created for this runtime (see ?screens) can be configured.
+ *
+ * The configuration can be locked with a PIN so that students can't change it. The PIN is only meant to discourage
+ * students from changing the screens, it is not a security measure. When PreferencesStorage is enabled, the
+ * configuration and PIN are stored, unless ?screens was provided (the URL takes precedence). The PIN is not included in
+ * exported preferences, and preferences can't be reset or imported while the configuration is locked. getShareURL
+ * returns a URL that opens the sim with the shown screens, in the same order.
+ *
+ * Changing a locked configuration throws an Error, since the controls for it are disabled while it is locked.
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import Multilink from '../../axon/js/Multilink.js';
+import Property from '../../axon/js/Property.js';
+import StringProperty from '../../axon/js/StringProperty.js';
+import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
+import IntentionalAny from '../../phet-core/js/types/IntentionalAny.js';
+import joist from './joist.js';
+import PreferencesStorage from './preferences/PreferencesStorage.js';
+import Screen from './Screen.js';
+
+class ScreenConfiguration {
+
+  // all screens declared by the sim, indexed like ?screens (1-based)
+  private readonly allSimScreens: Screen[];
+
+  // indices of the screens that can be configured, in their default order
+  private readonly screenIndices: number[];
+
+  // Indices of all configurable screens in the order they are shown, including hidden screens so that they keep their
+  // place when they are shown again
+  public readonly screenOrderProperty: Property<number[]>;
+
+  // indices of the screens that are not shown, at least one screen is always shown
+  public readonly hiddenScreensProperty: Property<number[]>;
+
+  // the PIN that unlocks the configuration, the empty string if there is no PIN
+  private readonly pinProperty: StringProperty;
+  public readonly hasPINProperty: TReadOnlyProperty<boolean>;
+
+  // When locked, the configuration can't be changed until unlocked with the PIN
+  private readonly _isLockedProperty: BooleanProperty;
+  public readonly isLockedProperty: TReadOnlyProperty<boolean>;
+
+  /**
+   * @param allSimScreens - all screens declared by the sim
+   * @param selectedSimScreens - the screens that were created for this runtime, in their default order
+   * @param availableScreensProperty - see Sim
+   */
+  public constructor( allSimScreens: Screen[], selectedSimScreens: Screen[], availableScreensProperty: Property<number[]> ) {
+    assert && assert( selectedSimScreens.length > 1, 'there is nothing to configure with less than 2 screens' );
+
+    this.allSimScreens = allSimScreens;
+    this.screenIndices = selectedSimScreens.map( screen => allSimScreens.indexOf( screen ) + 1 );
+
+    this.screenOrderProperty = new Property( this.screenIndices.slice() );
+    this.hiddenScreensProperty = new Property<number[]>( [] );
+    this.pinProperty = new StringProperty( '' );
+    this.hasPINProperty = new DerivedProperty( [ this.pinProperty ], pin => pin.length > 0 );
+    this._isLockedProperty = new BooleanProperty( false );
+    this.isLockedProperty = this._isLockedProperty;
+
+    // Store the configuration, unless the screens were chosen in the URL
+    if ( !QueryStringMachine.containsKey( 'screens' ) ) {
+      PreferencesStorage.register( this.screenOrderProperty, 'screenOrderProperty', {
+        isValidValue: value => this.isValidOrder( value ),
+        lockedProperty: this.isLockedProperty
+      } );
+      PreferencesStorage.register( this.hiddenScreensProperty, 'hiddenScreensProperty', {
+        isValidValue: value => this.isValidHiddenScreens( value ),
+        lockedProperty: this.isLockedProperty
+      } );
+      PreferencesStorage.register( this.pinProperty, 'screenConfigurationPINProperty', {
+        lockedProperty: this.isLockedProperty,
+        exported: false
+      } );
+    }
+
+    // A stored PIN locks the configuration on startup
+    this._isLockedProperty.value = this.hasPINProperty.value;
+
+    Multilink.multilink( [ this.screenOrderProperty, this.hiddenScreensProperty ], ( order, hiddenScreens ) => {
+      const shown = order.filter( index => !hiddenScreens.includes( index ) );
+      if ( !_.isEqual( shown, availableScreensProperty.value ) ) {
+        availableScreensProperty.value = shown;
+      }
+    } );
+  }
+
+  /**
+   * Gets the configurable screens in the order they are shown, including hidden screens.
+   */
+  public getScreens(): Screen[] {
+    return this.screenOrderProperty.value.map( index => this.getScreen( index ) );
+  }
+
+  public isScreenHidden( screen: Screen ): boolean {
+    return this.hiddenScreensProperty.value.includes( this.getIndex( screen ) );
+  }
+
+  /**
+   * Moves a screen earlier (negative delta) or later (positive delta) in the order. Moves past the first or last
+   * position are clamped.
+   */
+  public moveScreen( screen: Screen, delta: number ): void {
+    this.checkUnlocked();
+
+    const order = this.screenOrderProperty.value.slice();
+    const index = this.getIndex( screen );
+    const position = order.indexOf( index );
+    const newPosition = Math.max( 0, Math.min( order.length - 1, position + delta ) );
+    order.splice( position, 1 );
+    order.splice( newPosition, 0, index );
+    this.screenOrderProperty.value = order;
+  }
+
+  /**
+   * Hides or shows a screen. The last shown screen can't be hidden.
+   */
+  public setScreenHidden( screen: Screen, hidden: boolean ): void {
+    this.checkUnlocked();
+
+    const index = this.getIndex( screen );
+    const hiddenScreens = this.hiddenScreensProperty.value.filter( hiddenIndex => hiddenIndex !== index );
+    hidden && hiddenScreens.push( index );
+    if ( hiddenScreens.length >= this.screenIndices.length ) {
+      throw new Error( 'at least one screen must be shown' );
+    }
+    this.hiddenScreensProperty.value = hiddenScreens;
+  }
+
+  /**
+   * Shows all screens, in their default order.
+   */
+  public reset(): void {
+    this.checkUnlocked();
+
+    this.screenOrderProperty.value = this.screenIndices.slice();
+    this.hiddenScreensProperty.value = [];
+  }
+
+  /**
+   * Sets the PIN that is needed to unlock the configuration, or removes it with the empty string.
+   */
+  public setPIN( pin: string ): void {
+    this.checkUnlocked();
+    this.pinProperty.value = pin;
+  }
+
+  /**
+   * Locks the configuration, if there is a PIN to unlock it.
+   */
+  public lock(): void {
+    if ( !this.hasPINProperty.value ) {
+      throw new Error( 'a PIN is required to lock' );
+    }
+    this._isLockedProperty.value = true;
+  }
+
+  /**
+   * Unlocks the configuration, returns false if the PIN is wrong.
+   */
+  public unlock( pin: string ): boolean {
+    if ( pin === this.pinProperty.value ) {
+      this._isLockedProperty.value = false;
+    }
+    return !this.isLockedProperty.value;
+  }
+
+  /**
+   * Returns the URL of this sim with ?screens set to the shown screens, so that students can be given a link to the
+   * configuration.
+   */
+  public getShareURL(): string {
+    const shown = this.screenOrderProperty.value.filter( index => !this.hiddenScreensProperty.value.includes( index ) );
+
+    const url = new URL( window.location.href );
+    url.searchParams.set( 'screens', shown.join( ',' ) );
+
+    // ?initialScreen would fail for a screen that is not shown, or for the home screen if only one screen is shown
+    const initialScreen = url.searchParams.get( 'initialScreen' );
+    if ( initialScreen !== null &&
+         ( initialScreen === '0' ? shown.length === 1 : !shown.includes( Number( initialScreen ) ) ) ) {
+      url.searchParams.delete( 'initialScreen' );
+    }
+    return url.toString();
+  }
+
+  private checkUnlocked(): void {
+    if ( this.isLockedProperty.value ) {
+      throw new Error( 'configuration is locked' );
+    }
+  }
+
+  private getScreen( index: number ): Screen {
+    return this.allSimScreens[ index - 1 ];
+  }
+
+  private getIndex( screen: Screen ): number {
+    const index = this.allSimScreens.indexOf( screen ) + 1;
+    assert && assert( this.screenIndices.includes( index ), 'screen can not be configured' );
+    return index;
+  }
+
+  // whether a value is an order of all configurable screens
+  private isValidOrder( value: IntentionalAny ): boolean {
+    return Array.isArray( value ) && _.isEqual( _.sortBy( value ), _.sortBy( this.screenIndices ) );
+  }
+
+  // whether a value is a list of configurable screens that leaves at least one screen shown
+  private isValidHiddenScreens( value: IntentionalAny ): boolean {
+    return Array.isArray( value ) && _.uniq( value ).length === value.length && value.length < this.screenIndices.length &&
+           value.every( ( index: number ) => this.screenIndices.includes( index ) );
+  }
+}
+
+joist.register( 'ScreenConfiguration', ScreenConfiguration );
+export default ScreenConfiguration;
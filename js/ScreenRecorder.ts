@@ -0,0 +1,190 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Records a short animated capture of the sim, as a WebM video (with MediaRecorder) or as a sequence of PNG frames.
+ * Frames are captured with ScreenshotGenerator at the end of the sim's frames (see Sim.frameEndedEmitter), so nothing
+ * is recorded while the sim is paused or inactive. Popups are not included by default.
+ *
+ * When recording stops, the result is passed to onComplete, which saves it to files by default. Browsers may ask the
+ * user for permission to save the many files of a frame sequence. If no frame was captured (for example, because
+ * recording was stopped before the next frame of the sim), the result is null.
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
+import optionize from '../../phet-core/js/optionize.js';
+import stripEmbeddingMarks from '../../phet-core/js/stripEmbeddingMarks.js';
+import joist from './joist.js';
+import saveToFile from './saveToFile.js';
+import ScreenshotGenerator, { ScreenshotOptions } from './ScreenshotGenerator.js';
+import Sim from './Sim.js';
+
+const WEBM_MIME_TYPE = 'video/webm';
+
+export type ScreenRecorderFormat = 'webm' | 'frames';
+
+type SelfOptions = {
+  format?: ScreenRecorderFormat;
+  framesPerSecond?: number;
+
+  // seconds after which recording stops by itself
+  maxDuration?: number;
+
+  // receives a WebM Blob or an array of PNG Blobs, or null if nothing was captured. null to save the result to files.
+  onComplete?: ( ( result: Blob | Blob[] | null ) => void ) | null;
+};
+
+export type ScreenRecorderOptions = SelfOptions & ScreenshotOptions;
+
+class ScreenRecorder {
+
+  private readonly sim: Sim;
+  private readonly options: Required<SelfOptions>;
+  private readonly screenshotOptions: ScreenshotOptions;
+
+  private readonly _isRecordingProperty = new BooleanProperty( false );
+  public readonly isRecordingProperty: TReadOnlyProperty<boolean> = this._isRecordingProperty;
+
+  private readonly frameListener: () => void;
+  private startTime = 0;
+  private lastCaptureTime = 0;
+
+  // for 'frames'
+  private frames: Blob[] = [];
+
+  // for 'webm'
+  private recordingCanvas: HTMLCanvasElement | null = null;
+  private mediaRecorder: MediaRecorder | null = null;
+  private chunks: Blob[] = [];
+
+  public constructor( sim: Sim, providedOptions?: ScreenRecorderOptions ) {
+
+    const options = optionize<ScreenRecorderOptions, SelfOptions, ScreenshotOptions>()( {
+      format: 'webm',
+      framesPerSecond: 30,
+      maxDuration: 10,
+      onComplete: null,
+      includePopups: false
+    }, providedOptions );
+
+    assert && assert( options.format !== 'webm' || ScreenRecorder.isWebMSupported(), 'WebM recording is not supported' );
+
+    this.sim = sim;
+    this.options = options;
+    this.screenshotOptions = _.pick( options, 'region', 'scale', 'includeNavigationBar', 'includePopups' );
+    this.frameListener = () => this.onFrameEnded();
+  }
+
+  /**
+   * Whether the browser can record WebM video from a canvas.
+   */
+  public static isWebMSupported(): boolean {
+    return !!window.MediaRecorder && MediaRecorder.isTypeSupported( WEBM_MIME_TYPE ) &&
+           !!HTMLCanvasElement.prototype.captureStream;
+  }
+
+  public start(): void {
+    assert && assert( !this._isRecordingProperty.value, 'already recording' );
+
+    this.frames = [];
+    this.chunks = [];
+    this.startTime = performance.now();
+    this.lastCaptureTime = -Infinity;
+    this._isRecordingProperty.value = true;
+    this.sim.frameEndedEmitter.addListener( this.frameListener );
+  }
+
+  /**
+   * Stops recording, and passes the result to onComplete.
+   */
+  public stop(): void {
+    if ( !this._isRecordingProperty.value ) {
+      return;
+    }
+    this.sim.frameEndedEmitter.removeListener( this.frameListener );
+    this._isRecordingProperty.value = false;
+
+    if ( this.mediaRecorder ) {
+
+      // The recorder may not have produced data yet, if it was stopped right after the first frame
+      this.mediaRecorder.onstop = () => {
+        const blob = new window.Blob( this.chunks, { type: WEBM_MIME_TYPE } );
+        this.chunks = [];
+        this.complete( blob.size > 0 ? blob : null );
+      };
+      this.mediaRecorder.stop();
+      this.mediaRecorder = null;
+      this.recordingCanvas = null;
+    }
+    else {
+
+      // For 'webm', the MediaRecorder is only created with the first frame
+      const frames = this.frames;
+      this.frames = [];
+      this.complete( frames.length > 0 ? frames : null );
+    }
+  }
+
+  private onFrameEnded(): void {
+    const now = performance.now();
+    if ( now - this.startTime > this.options.maxDuration * 1000 ) {
+      this.stop();
+      return;
+    }
+
+    // Skip frames to match framesPerSecond
+    if ( now - this.lastCaptureTime < 1000 / this.options.framesPerSecond ) {
+      return;
+    }
+    this.lastCaptureTime = now;
+
+    if ( this.options.format === 'frames' ) {
+      this.frames.push( ScreenshotGenerator.generateScreenshotBlob( this.sim, 'image/png', this.screenshotOptions ) );
+    }
+    else {
+      const frame = ScreenshotGenerator.generateScreenshotCanvas( this.sim, this.screenshotOptions );
+
+      // The video has the size of the first frame, later frames are drawn at that size
+      if ( !this.recordingCanvas ) {
+        this.recordingCanvas = document.createElement( 'canvas' );
+        this.recordingCanvas.width = frame.width;
+        this.recordingCanvas.height = frame.height;
+
+        // With a frame rate of 0, frames are only added to the stream when requested
+        this.mediaRecorder = new MediaRecorder( this.recordingCanvas.captureStream( 0 ), { mimeType: WEBM_MIME_TYPE } );
+        this.mediaRecorder.ondataavailable = event => this.chunks.push( event.data );
+        this.mediaRecorder.start();
+      }
+      this.recordingCanvas.getContext( '2d' )!.drawImage( frame, 0, 0, this.recordingCanvas.width, this.recordingCanvas.height );
+      ( this.mediaRecorder!.stream.getVideoTracks()[ 0 ] as CanvasCaptureMediaStreamTrack ).requestFrame();
+    }
+  }
+
+  private complete( result: Blob | Blob[] | null ): void {
+    if ( this.options.onComplete ) {
+      this.options.onComplete( result );
+    }
+    else if ( result ) {
+      ScreenRecorder.saveRecording( this.sim, result );
+    }
+    else {
+      console.warn( 'ScreenRecorder: nothing was recorded' );
+    }
+  }
+
+  /**
+   * Saves the result of a recording to files, named for the sim.
+   */
+  public static saveRecording( sim: Sim, result: Blob | Blob[] ): void {
+    const filename = `${stripEmbeddingMarks( sim.simNameProperty.value )} recording`;
+    if ( result instanceof Blob ) {
+      saveToFile( result, `${filename}.webm` );
+    }
+    else {
+      result.forEach( ( frame, i ) => saveToFile( frame, `${filename} ${_.padStart( `${i + 1}`, 4, '0' )}.png` ) );
+    }
+  }
+}
+
+joist.register( 'ScreenRecorder', ScreenRecorder );
+export default ScreenRecorder;
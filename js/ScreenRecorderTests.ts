@@ -0,0 +1,69 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for recording frame sequences with ScreenRecorder, with a stand-in for the Sim.
+ */
+
+import TinyEmitter from '../../axon/js/TinyEmitter.js';
+import { Node, Rectangle } from '../../scenery/js/imports.js';
+import ScreenRecorder from './ScreenRecorder.js';
+import Sim from './Sim.js';
+
+// Since these are tests, it is simpler to typecast than to create an actual Sim
+const createSim = () => {
+  const topLayer = new Node();
+  const navigationBar = new Node();
+  return {
+    rootNode: new Node( { children: [ new Rectangle( 0, 0, 40, 30, { fill: 'green' } ), navigationBar, topLayer ] } ),
+    topLayer: topLayer,
+    navigationBar: navigationBar,
+    frameEndedEmitter: new TinyEmitter(),
+    display: {
+      width: 40,
+      height: 30,
+      domElement: document.createElement( 'div' )
+    }
+  };
+};
+
+QUnit.module( 'ScreenRecorder' );
+
+QUnit.test( 'frame sequence', assert => {
+  const sim = createSim();
+  const results: ( Blob | Blob[] | null )[] = [];
+  const recorder = new ScreenRecorder( sim as unknown as Sim, {
+    format: 'frames',
+    framesPerSecond: 1,
+    scale: 1,
+    onComplete: result => results.push( result )
+  } );
+
+  recorder.start();
+  assert.ok( recorder.isRecordingProperty.value );
+  sim.frameEndedEmitter.emit();
+  sim.frameEndedEmitter.emit();
+  recorder.stop();
+  recorder.stop();
+
+  assert.ok( !recorder.isRecordingProperty.value );
+  assert.equal( results.length, 1, 'completes once' );
+  const frames = results[ 0 ] as Blob[];
+  assert.equal( frames.length, 1, 'frames are skipped to match framesPerSecond' );
+  assert.equal( frames[ 0 ].type, 'image/png' );
+
+  sim.frameEndedEmitter.emit();
+  assert.equal( frames.length, 1, 'no frames after stop' );
+} );
+
+QUnit.test( 'nothing recorded', assert => {
+  const sim = createSim();
+  const results: ( Blob | Blob[] | null )[] = [];
+  const recorder = new ScreenRecorder( sim as unknown as Sim, {
+    format: 'frames',
+    onComplete: result => results.push( result )
+  } );
+
+  recorder.start();
+  recorder.stop();
+  assert.deepEqual( results, [ null ], 'null when stopped before a frame of the sim' );
+} );
@@ -4,32 +4,62 @@
  * Generate a rasterized screenshot for a simulation using scenery's built-in machinery.
  * Used in phet-io as well as PhetMenu (optionally)
  *
+ * Screenshots can be limited to a region (the whole display, the layout bounds of the selected ScreenView, or a Node),
+ * rendered at any scale, and exported as SVG. Popups (like the PhetMenu and dialogs) are included unless includePopups
+ * is false.
+ *
  * @author Sam Reid (PhET Interactive Simulations)
  */
 
+import Bounds2 from '../../dot/js/Bounds2.js';
 import Matrix3 from '../../dot/js/Matrix3.js';
-import { CanvasContextWrapper, Utils } from '../../scenery/js/imports.js';
+import optionize from '../../phet-core/js/optionize.js';
+import { CanvasContextWrapper, Display, Node, Utils } from '../../scenery/js/imports.js';
 import joist from './joist.js';
 import Sim from './Sim.js';
 
+// The part of the sim that is captured. A Node is captured by itself, without the background or other Nodes.
+export type ScreenshotRegion = 'display' | 'screenView' | Node;
+
+export type ScreenshotOptions = {
+  region?: ScreenshotRegion;
+
+  // pixels in the screenshot per CSS pixel of the display, null for the backing scale of the display
+  scale?: number | null;
+
+  includeNavigationBar?: boolean;
+
+  // whether to include the popups in sim.topLayer, like the PhetMenu and dialogs
+  includePopups?: boolean;
+};
+
 class ScreenshotGenerator {
 
-  private static generateScreenshotAtIncreasedResolution( sim: Sim, scale: number ): HTMLCanvasElement {
+  private static generateScreenshotAtIncreasedResolution( sim: Sim, scale: number, options: Required<ScreenshotOptions> ): HTMLCanvasElement {
     // set up our Canvas with the correct background color
     const canvas = document.createElement( 'canvas' );
     const context = canvas.getContext( '2d' )!;
 
     assert && assert( context );
-    const backingScale = Utils.backingScale( context ) * scale;
-    canvas.width = sim.display.width * backingScale;
-    canvas.height = sim.display.height * backingScale;
+    const backingScale = ( options.scale === null ? Utils.backingScale( context ) : options.scale ) * scale;
+    const bounds = ScreenshotGenerator.getRegionBounds( sim, options.region );
+    canvas.width = Math.ceil( bounds.width * backingScale );
+    canvas.height = Math.ceil( bounds.height * backingScale );
 
     context.scale( backingScale, backingScale );
-    context.fillStyle = sim.display.domElement.style.backgroundColor;
-    context.fillRect( 0, 0, canvas.width, canvas.height );
     const wrapper = new CanvasContextWrapper( canvas, context );
+    const matrix = Matrix3.scaling( backingScale ).timesMatrix( Matrix3.translation( -bounds.minX, -bounds.minY ) );
 
-    sim.rootNode.renderToCanvasSubtree( wrapper, Matrix3.scaling( backingScale ) );
+    ScreenshotGenerator.withHiddenNodes( ScreenshotGenerator.getHiddenNodes( sim, options ), () => {
+      if ( options.region instanceof Node ) {
+        options.region.renderToCanvasSubtree( wrapper, matrix.timesMatrix( options.region.getLocalToGlobalMatrix() ) );
+      }
+      else {
+        context.fillStyle = sim.display.domElement.style.backgroundColor;
+        context.fillRect( 0, 0, canvas.width, canvas.height );
+        sim.rootNode.renderToCanvasSubtree( wrapper, matrix );
+      }
+    } );
 
     return canvas;
   }
@@ -46,15 +76,150 @@ class ScreenshotGenerator {
     return canvas;
   }
 
+  /**
+   * Gets the bounds of a region, in the global coordinate frame of the display.
+   */
+  private static getRegionBounds( sim: Sim, region: ScreenshotRegion ): Bounds2 {
+    if ( region instanceof Node ) {
+      assert && assert( region.bounds.isValid(), 'cannot capture a Node without valid bounds' );
+      return region.globalBounds;
+    }
+    else if ( region === 'screenView' ) {
+      const view = sim.selectedScreenProperty.value.view;
+      return view.localToGlobalBounds( view.layoutBounds ).intersection( ScreenshotGenerator.getRegionBounds( sim, 'display' ) );
+    }
+    else {
+      return new Bounds2( 0, 0, sim.display.width, sim.display.height );
+    }
+  }
+
+  private static getHiddenNodes( sim: Sim, options: Required<ScreenshotOptions> ): Node[] {
+    const hiddenNodes: Node[] = [];
+    !options.includePopups && hiddenNodes.push( sim.topLayer );
+    !options.includeNavigationBar && hiddenNodes.push( sim.navigationBar );
+    return hiddenNodes;
+  }
+
+  // Hides Nodes while a screenshot is rendered, then restores their visibility
+  private static withHiddenNodes( nodes: Node[], callback: () => void ): void {
+    const visibleNodes = nodes.filter( node => node.visible );
+    visibleNodes.forEach( node => { node.visible = false; } );
+    try {
+      callback();
+    }
+    finally {
+      visibleNodes.forEach( node => { node.visible = true; } );
+    }
+  }
+
+  private static getOptions( providedOptions?: ScreenshotOptions ): Required<ScreenshotOptions> {
+    return optionize<ScreenshotOptions>()( {
+      region: 'display',
+      scale: null,
+      includeNavigationBar: true,
+      includePopups: true
+    }, providedOptions );
+  }
+
+  /**
+   * Renders a screenshot to a canvas. It is rendered at twice the requested scale, then scaled down, for smoother edges.
+   */
+  public static generateScreenshotCanvas( sim: Sim, providedOptions?: ScreenshotOptions ): HTMLCanvasElement {
+    const options = ScreenshotGenerator.getOptions( providedOptions );
+    const res2x = ScreenshotGenerator.generateScreenshotAtIncreasedResolution( sim, 2, options );
+    return ScreenshotGenerator.renderAtScale( res2x, 1 / 2 );
+  }
+
   // Default to PNG
-  public static generateScreenshot( sim: Sim, mimeType = 'image/png' ): string {
-    const res2x = ScreenshotGenerator.generateScreenshotAtIncreasedResolution( sim, 2 );
-    const res1x = ScreenshotGenerator.renderAtScale( res2x, 1 / 2 );
+  public static generateScreenshot( sim: Sim, mimeType = 'image/png', providedOptions?: ScreenshotOptions ): string {
 
     // get the data URL in PNG format
-    return res1x.toDataURL( mimeType );
+    return ScreenshotGenerator.generateScreenshotCanvas( sim, providedOptions ).toDataURL( mimeType );
+  }
+
+  /**
+   * Generates a screenshot as a Blob, for saving to a file.
+   */
+  public static generateScreenshotBlob( sim: Sim, mimeType = 'image/png', providedOptions?: ScreenshotOptions ): Blob {
+    return new window.Blob( [ ScreenshotGenerator.generateScreenshotBytes( sim, mimeType, providedOptions ) ], { type: mimeType } );
+  }
+
+  /**
+   * Generates a screenshot as the bytes of an image file, for including in other files like a ZIP archive.
+   */
+  public static generateScreenshotBytes( sim: Sim, mimeType = 'image/png', providedOptions?: ScreenshotOptions ): Uint8Array {
+    const dataURL = ScreenshotGenerator.generateScreenshot( sim, mimeType, providedOptions );
+
+    const requiredPrefix = `data:${mimeType};base64,`;
+    assert && assert( dataURL.startsWith( requiredPrefix ) );
+    const dataBase64 = dataURL.slice( requiredPrefix.length );
+    const byteChars = window.atob( dataBase64 );
+    const byteArray = new window.Uint8Array( byteChars.length );
+    for ( let i = 0; i < byteArray.length; i++ ) {
+      byteArray[ i ] = byteChars.charCodeAt( i ); // need check to make sure this cast doesn't give problems?
+    }
+    return byteArray;
+  }
+
+  /**
+   * Generates an SVG document of a screenshot. The scene is rendered with SVG where Nodes support it, and Nodes that
+   * can only be rendered with Canvas or WebGL (like CanvasNode) are embedded as images.
+   */
+  public static generateSVG( sim: Sim, providedOptions?: ScreenshotOptions ): string {
+    const options = ScreenshotGenerator.getOptions( providedOptions );
+    const bounds = ScreenshotGenerator.getRegionBounds( sim, options.region );
+    const scale = options.scale === null ? 1 : options.scale;
+    const width = Math.ceil( bounds.width * scale );
+    const height = Math.ceil( bounds.height * scale );
+
+    const region = options.region;
+    const regionParent = region instanceof Node ? new Node( {
+
+      // the transform of the parents of the region, since the region applies its own transform
+      matrix: region.getLocalToGlobalMatrix().timesMatrix( region.getMatrix().inverted() ),
+      children: [ region ]
+    } ) : null;
+    const rootNode = new Node( {
+      renderer: 'svg',
+
+      // Keep all blocks at the origin and the size of the display, so they can be stacked in the document
+      preventFit: true,
+      matrix: Matrix3.scaling( scale ).timesMatrix( Matrix3.translation( -bounds.minX, -bounds.minY ) ),
+      children: [ regionParent || sim.rootNode ]
+    } );
+    const display = new Display( rootNode, {
+      width: width,
+      height: height,
+      accessibility: false
+    } );
+
+    const layers: string[] = [];
+    ScreenshotGenerator.withHiddenNodes( ScreenshotGenerator.getHiddenNodes( sim, options ), () => {
+      display.updateDisplay();
+
+      // Blocks are layered in document order
+      const serializer = new XMLSerializer();
+      display.domElement.querySelectorAll( 'svg, canvas' ).forEach( element => {
+        if ( element instanceof HTMLCanvasElement ) {
+          layers.push( `<image x="0" y="0" width="${width}" height="${height}" href="${element.toDataURL()}"/>` );
+        }
+        else {
+          layers.push( serializer.serializeToString( element ) );
+        }
+      } );
+    } );
+
+    rootNode.removeAllChildren();
+    regionParent && regionParent.removeAllChildren();
+    display.dispose();
+
+    const background = region instanceof Node ? '' :
+                       `<rect width="${width}" height="${height}" fill="${sim.display.domElement.style.backgroundColor}"/>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+           `${background}${layers.join( '' )}</svg>`;
   }
 }
 
 joist.register( 'ScreenshotGenerator', ScreenshotGenerator );
-export default ScreenshotGenerator;
\ No newline at end of file
+export default ScreenshotGenerator;
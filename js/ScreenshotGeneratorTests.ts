@@ -0,0 +1,101 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for the region, scale, navigation bar and popup options of ScreenshotGenerator, with a stand-in for the
+ * Sim.
+ */
+
+import Property from '../../axon/js/Property.js';
+import Bounds2 from '../../dot/js/Bounds2.js';
+import { Node, Rectangle } from '../../scenery/js/imports.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import ScreenshotGenerator from './ScreenshotGenerator.js';
+import ScreenView from './ScreenView.js';
+import Sim from './Sim.js';
+
+const WIDTH = 200;
+const LAYOUT_HEIGHT = 100;
+const NAVIGATION_BAR_HEIGHT = 20;
+
+// Since these are tests, it is simpler to typecast than to create an actual Sim. The navigation bar is red, the popup
+// in the top layer is blue, the object in the view is green and the background is white.
+const createSim = () => {
+  const view = new ScreenView( { layoutBounds: new Bounds2( 0, 0, WIDTH, LAYOUT_HEIGHT ), tandem: Tandem.OPT_OUT } );
+  const object = new Rectangle( 100, 50, 50, 20, { fill: 'rgb( 0, 255, 0 )' } );
+  view.addChild( object );
+  const navigationBar = new Rectangle( 0, LAYOUT_HEIGHT, WIDTH, NAVIGATION_BAR_HEIGHT, { fill: 'rgb( 255, 0, 0 )' } );
+  const topLayer = new Node( { children: [ new Rectangle( 0, 0, 20, 20, { fill: 'rgb( 0, 0, 255 )' } ) ] } );
+
+  const domElement = document.createElement( 'div' );
+  domElement.style.backgroundColor = 'rgb( 255, 255, 255 )';
+
+  return {
+    object: object,
+    rootNode: new Node( { children: [ view, navigationBar, topLayer ] } ),
+    topLayer: topLayer,
+    navigationBar: navigationBar,
+    selectedScreenProperty: new Property( { view: view } ),
+    display: {
+      width: WIDTH,
+      height: LAYOUT_HEIGHT + NAVIGATION_BAR_HEIGHT,
+      domElement: domElement
+    }
+  };
+};
+
+// The color of a pixel, as 'r,g,b'
+const getPixel = ( canvas: HTMLCanvasElement, x: number, y: number ): string => {
+  return Array.from( canvas.getContext( '2d' )!.getImageData( x, y, 1, 1 ).data.slice( 0, 3 ) ).join( ',' );
+};
+
+const WHITE = '255,255,255';
+const RED = '255,0,0';
+const GREEN = '0,255,0';
+const BLUE = '0,0,255';
+
+QUnit.module( 'ScreenshotGenerator' );
+
+QUnit.test( 'regions', assert => {
+  const sim = createSim();
+
+  const displayCanvas = ScreenshotGenerator.generateScreenshotCanvas( sim as unknown as Sim, { scale: 1 } );
+  assert.deepEqual( [ displayCanvas.width, displayCanvas.height ], [ WIDTH, LAYOUT_HEIGHT + NAVIGATION_BAR_HEIGHT ], 'the whole display' );
+  assert.equal( getPixel( displayCanvas, 125, 60 ), GREEN );
+  assert.equal( getPixel( displayCanvas, 50, 60 ), WHITE, 'with the background' );
+
+  const viewCanvas = ScreenshotGenerator.generateScreenshotCanvas( sim as unknown as Sim, { region: 'screenView', scale: 1 } );
+  assert.deepEqual( [ viewCanvas.width, viewCanvas.height ], [ WIDTH, LAYOUT_HEIGHT ], 'the layout bounds of the view' );
+
+  const nodeCanvas = ScreenshotGenerator.generateScreenshotCanvas( sim as unknown as Sim, { region: sim.object, scale: 1 } );
+  assert.deepEqual( [ nodeCanvas.width, nodeCanvas.height ], [ 50, 20 ], 'the bounds of the Node' );
+  assert.equal( getPixel( nodeCanvas, 25, 10 ), GREEN );
+
+  const svg = ScreenshotGenerator.generateSVG( sim as unknown as Sim, { region: sim.object, scale: 2 } );
+  assert.ok( svg.startsWith( '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="40"' ), 'an SVG of the Node at the scale' );
+  assert.equal( sim.object.parents.length, 1, 'the Node is only in the sim after the SVG is generated' );
+} );
+
+QUnit.test( 'scale', assert => {
+  const sim = createSim();
+
+  const canvas = ScreenshotGenerator.generateScreenshotCanvas( sim as unknown as Sim, { region: 'screenView', scale: 2 } );
+  assert.deepEqual( [ canvas.width, canvas.height ], [ 2 * WIDTH, 2 * LAYOUT_HEIGHT ] );
+  assert.equal( getPixel( canvas, 250, 120 ), GREEN, 'the contents are scaled' );
+} );
+
+QUnit.test( 'navigation bar and popups', assert => {
+  const sim = createSim();
+
+  const canvas = ScreenshotGenerator.generateScreenshotCanvas( sim as unknown as Sim, { scale: 1 } );
+  assert.equal( getPixel( canvas, 100, LAYOUT_HEIGHT + 10 ), RED, 'the navigation bar is included by default' );
+  assert.equal( getPixel( canvas, 10, 10 ), BLUE, 'popups are included by default' );
+
+  const hiddenCanvas = ScreenshotGenerator.generateScreenshotCanvas( sim as unknown as Sim, {
+    scale: 1,
+    includeNavigationBar: false,
+    includePopups: false
+  } );
+  assert.equal( getPixel( hiddenCanvas, 100, LAYOUT_HEIGHT + 10 ), WHITE, 'without the navigation bar' );
+  assert.equal( getPixel( hiddenCanvas, 10, 10 ), WHITE, 'without popups' );
+  assert.ok( sim.navigationBar.visible && sim.topLayer.visible, 'visibility is restored' );
+} );
@@ -29,6 +29,7 @@ import platform from '../../phet-core/js/platform.js';
 import optionize from '../../phet-core/js/optionize.js';
 import StringUtils from '../../phetcommon/js/util/StringUtils.js';
 import BarrierRectangle from '../../scenery-phet/js/BarrierRectangle.js';
+import OopsDialog from '../../scenery-phet/js/OopsDialog.js';
 import { animatedPanZoomSingleton, Color, globalKeyStateTracker, Node, Utils, voicingManager, voicingUtteranceQueue } from '../../scenery/js/imports.js';
 import '../../sherpa/lib/game-up-camera-1.0.0.js';
 import soundManager from '../../tambo/js/soundManager.js';
@@ -37,11 +38,17 @@ import PhetioObject, { PhetioObjectOptions } from '../../tandem/js/PhetioObject.
 import Tandem from '../../tandem/js/Tandem.js';
 import NumberIO from '../../tandem/js/types/NumberIO.js';
 import audioManager from './audioManager.js';
+import DeterministicDriver from './DeterministicDriver.js';
+import Diagnostics from './Diagnostics.js';
+import EngagementMetrics from './EngagementMetrics.js';
 import Heartbeat from './Heartbeat.js';
 import Helper from './Helper.js';
 import HomeScreen from './HomeScreen.js';
 import HomeScreenView from './HomeScreenView.js';
+import localeProperty from './i18n/localeProperty.js';
+import stringPacks from './i18n/stringPacks.js';
 import joist from './joist.js';
+import joistQueryParameters from './joistQueryParameters.js';
 import JoistStrings from './JoistStrings.js';
 import LookAndFeel from './LookAndFeel.js';
 import MemoryMonitor from './MemoryMonitor.js';
@@ -50,14 +57,21 @@ import packageJSON from './packageJSON.js';
 import PreferencesModel from './preferences/PreferencesModel.js';
 import Profiler from './Profiler.js';
 import QueryParametersWarningDialog from './QueryParametersWarningDialog.js';
+import registerJoistCommands from './registerJoistCommands.js';
 import Screen from './Screen.js';
+import ScreenConfiguration from './ScreenConfiguration.js';
 import ScreenSelectionSoundGenerator from './ScreenSelectionSoundGenerator.js';
 import ScreenshotGenerator from './ScreenshotGenerator.js';
 import selectScreens from './selectScreens.js';
 import SimDisplay from './SimDisplay.js';
 import SimInfo from './SimInfo.js';
+import EmbeddingSupport from './thirdPartySupport/EmbeddingSupport.js';
 import LegendsOfLearningSupport from './thirdPartySupport/LegendsOfLearningSupport.js';
+import TimeController from './TimeController.js';
 import Toolbar from './toolbar/Toolbar.js';
+import Tour from './Tour.js';
+import TourPlayer from './TourPlayer.js';
+import TranslationEditor from './TranslationEditor.js';
 import updateCheck from './updateCheck.js';
 import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
 import { CreditsData } from './CreditsNode.js';
@@ -99,6 +113,13 @@ type SelfOptions = {
 
   // Passed to SimDisplay, but a top level option for API ease.
   webgl?: boolean;
+
+  // Whether the sim supports the sim-wide speed, pause and step of TimeController. Sims that can't be paused by
+  // skipping model steps can opt out, or bind their own play/pause with TimeController.bindScreen.
+  supportsTimeControls?: boolean;
+
+  // Guided tours of the sim, see Tour. A tour can also be loaded with ?tour.
+  tours?: Tour[];
 };
 
 export type SimOptions = SelfOptions & PickOptional<PhetioObject, 'phetioDesigned'>;
@@ -121,7 +142,7 @@ export default class Sim extends PhetioObject {
   private readonly resizeAction: PhetioAction<[ number, number ]>;
 
   // (joist-internal)
-  private readonly navigationBar: NavigationBar;
+  public readonly navigationBar: NavigationBar;
   public readonly homeScreen: HomeScreen | null;
 
   // Sim screens normally update by implementing model.step(dt) or view.step(dt).  When that is impossible or
@@ -184,7 +205,9 @@ export default class Sim extends PhetioObject {
   public readonly screenBoundsProperty = new Property<Bounds2 | null>( null );
 
   public readonly lookAndFeel = new LookAndFeel();
-  private readonly memoryMonitor = new MemoryMonitor();
+
+  // (joist-internal)
+  public readonly memoryMonitor = new MemoryMonitor();
 
   // public (read-only) {boolean} - if true, add support specific to accessible technology that work with touch devices.
   private readonly supportsGestureDescription: boolean;
@@ -208,8 +231,8 @@ export default class Sim extends PhetioObject {
   // Make our locale available
   public readonly locale = phet.chipper.locale || 'en';
 
-  // create this only after all other members have been set on Sim
-  private readonly simInfo: SimInfo;
+  // (joist-internal) create this only after all other members have been set on Sim
+  public readonly simInfo: SimInfo;
   public readonly display: SimDisplay;
 
   // The Toolbar is not created unless requested with a PreferencesModel.
@@ -223,6 +246,9 @@ export default class Sim extends PhetioObject {
   // and the PhetMenu
   private modalNodeStack = createObservableArray<PopupableNode>();
 
+  // Nodes that are hidden from assistive technology while a tour step is shown, see updateTourPDOMVisible
+  private tourPDOMHiddenNodes: Node[] = [];
+
   // (joist-internal) Semi-transparent black barrier used to block input events when a dialog (or other popup)
   // is present, and fade out the background.
   private readonly barrierRectangle = new BarrierRectangle(
@@ -249,6 +275,31 @@ export default class Sim extends PhetioObject {
   private readonly updateBackground: () => void;
   public readonly credits: CreditsData;
 
+  // Measures the time spent in each frame, null unless ?profiler
+  public profiler: Profiler | null = null;
+
+  // Steps the sim with a fixed dt and records/replays input, null unless ?deterministicStepping
+  public readonly deterministicDriver: DeterministicDriver | null = null;
+
+  // Records time spent on each screen, null unless ?engagementMetrics
+  public readonly engagementMetrics: EngagementMetrics | null = null;
+
+  // Sim-wide speed, pause and step, null if the sim opted out with supportsTimeControls: false
+  public readonly timeController: TimeController | null = null;
+
+  // Records errors and frame times for problem reports, see DiagnosticsDialog
+  public readonly diagnostics: Diagnostics;
+
+  // Lets the user choose which screens are shown and in what order. null for single-screen runtimes and for PhET-iO,
+  // where availableScreensProperty is controlled by the client.
+  public readonly screenConfiguration: ScreenConfiguration | null = null;
+
+  // Lets translators edit the strings live, null unless ?translationEditor
+  public readonly translationEditor: TranslationEditor | null = null;
+
+  // Plays the guided tours of the sim
+  public readonly tourPlayer: TourPlayer;
+
   /**
    * @param simNameProperty - the name of the simulation, to be displayed in the navbar and homescreen
    * @param allSimScreens - the possible screens for the sim in order of declaration (does not include the home screen)
@@ -258,6 +309,10 @@ export default class Sim extends PhetioObject {
 
     window.phetSplashScreenDownloadComplete();
 
+    // Started first, so that errors during startup are recorded
+    Diagnostics.startLogging();
+    joistQueryParameters.diagnostics && Diagnostics.startConsoleLogging();
+
     assert && assert( allSimScreens.length >= 1, 'at least one screen is required' );
 
     const options = optionize<SimOptions, SelfOptions, PhetioObjectOptions>()( {
@@ -275,6 +330,10 @@ export default class Sim extends PhetioObject {
       // Passed to SimDisplay, but a top level option for API ease.
       webgl: SimDisplay.DEFAULT_WEBGL,
 
+      supportsTimeControls: true,
+
+      tours: [],
+
       // phet-io
       phetioState: false,
       phetioReadOnly: true,
@@ -299,6 +358,8 @@ export default class Sim extends PhetioObject {
 
     super( options );
 
+    this.diagnostics = new Diagnostics( this );
+
     this.credits = options.credits;
 
     this.simNameProperty = simNameProperty;
@@ -399,6 +460,13 @@ export default class Sim extends PhetioObject {
       // increment this before we can have an exception thrown, to see if we are missing frames
       this.frameCounter++;
 
+      // Engagement is measured in real time, so this is before time scale effects
+      this.engagementMetrics && this.engagementMetrics.step( dt );
+
+      // The TimeController (speed, pause and step forward) only applies to the model and view of the screen, so that
+      // stepTimer, tweens and the utterance queue keep running while the sim is paused
+      let modelDT = this.timeController ? this.timeController.getModelDT( dt ) : dt * phet.chipper.queryParameters.speed;
+
       // Apply time scale effects here before usage
       dt *= phet.chipper.queryParameters.speed;
 
@@ -412,6 +480,7 @@ export default class Sim extends PhetioObject {
 
       // cap dt based on the current screen, see https://github.com/phetsims/joist/issues/130
       dt = Math.min( dt, screen.maxDT );
+      modelDT = Math.min( modelDT, screen.maxDT );
 
       // TODO: we are /1000 just to *1000?  Seems wasteful and like opportunity for error. See https://github.com/phetsims/joist/issues/387
       // Store the elapsed time in milliseconds for usage by Tween clients
@@ -421,15 +490,18 @@ export default class Sim extends PhetioObject {
       // Note that this is vital to support Interactive Description and the utterance queue.
       stepTimer.emit( dt );
 
+      this.profiler && this.profiler.phaseStarted( 'model' );
+
       // If the DT is 0, we will skip the model step (see https://github.com/phetsims/joist/issues/171)
-      if ( screen.model.step && dt ) {
-        screen.model.step( dt );
+      if ( screen.model.step && modelDT ) {
+        screen.model.step( modelDT );
       }
 
       // If using the TWEEN animation library, then update tweens before rendering the scene.
       // Update the tweens after the model is updated but before the view step.
       // See https://github.com/phetsims/joist/issues/401.
       //TODO https://github.com/phetsims/joist/issues/404 run TWEENs for the selected screen only
+      this.profiler && this.profiler.phaseStarted( 'view' );
       if ( window.TWEEN ) {
         window.TWEEN.update( phet.joist.elapsedTime );
       }
@@ -438,14 +510,16 @@ export default class Sim extends PhetioObject {
 
       // View step is the last thing before updateDisplay(), so we can do paint updates there.
       // See https://github.com/phetsims/joist/issues/401.
-      screen.view.step( dt );
+      screen.view.step( modelDT );
 
       // Do not update the display while PhET-iO is customizing, or it could show the sim before it is fully ready for display.
+      this.profiler && this.profiler.phaseStarted( 'updateDisplay' );
       if ( !( Tandem.PHET_IO_ENABLED && !phet.phetio.phetioEngine.isReadyForDisplay ) ) {
         this.display.updateDisplay();
       }
 
-      if ( phet.chipper.queryParameters.memoryLimit ) {
+      this.profiler && this.profiler.phaseStarted( 'other' );
+      if ( phet.chipper.queryParameters.memoryLimit || this.profiler ) {
         this.memoryMonitor.measure();
       }
       this.frameEndedEmitter.emit();
@@ -461,6 +535,9 @@ export default class Sim extends PhetioObject {
       phetioDocumentation: 'A function that steps time forward.'
     } );
 
+    // Created before the screens, for the button on the home screen
+    this.tourPlayer = new TourPlayer( this, options.tours );
+
     const screensTandem = Tandem.GENERAL_MODEL.createTandem( 'screens' );
 
     const screenData = selectScreens(
@@ -495,7 +572,8 @@ export default class Sim extends PhetioObject {
       selectedSimScreens => {
         return new HomeScreen( this.simNameProperty, () => this.selectedScreenProperty, selectedSimScreens, this.activeSimScreensProperty, {
           tandem: options.tandem.createTandem( window.phetio.PhetioIDUtils.HOME_SCREEN_COMPONENT_NAME ),
-          warningNode: options.homeScreenWarningNode
+          warningNode: options.homeScreenWarningNode,
+          tourPlayer: this.tourPlayer
         } );
       }
     );
@@ -533,6 +611,12 @@ export default class Sim extends PhetioObject {
       }
     } );
 
+    this.timeController = options.supportsTimeControls ? new TimeController( this ) : null;
+
+    this.screenConfiguration = this.simScreens.length > 1 && !Tandem.PHET_IO_ENABLED ?
+                               new ScreenConfiguration( allSimScreens, this.simScreens, this.availableScreensProperty ) :
+                               null;
+
     this.displayedSimNameProperty = new DerivedProperty( [
       this.availableScreensProperty,
       this.simNameProperty,
@@ -596,11 +680,6 @@ export default class Sim extends PhetioObject {
                                         phet.phetio.phetioEngine.phetioStateEngine.isSettingStateProperty :
                                         new BooleanProperty( false );
 
-    // commented out because https://github.com/phetsims/joist/issues/553 is deferred for after GQIO-oneone
-    // if ( PHET_IO_ENABLED ) {
-    //   this.engagementMetrics = new EngagementMetrics( this );
-    // }
-
     this.preferencesModel = options.preferencesModel;
 
     // initialize audio and audio subcomponents
@@ -665,6 +744,15 @@ export default class Sim extends PhetioObject {
 
     this.navigationBar = new NavigationBar( this, Tandem.GENERAL_VIEW.createTandem( 'navigationBar' ) );
 
+    // Commands for the CommandPalette and keyboard shortcuts, after those of the navigation bar
+    registerJoistCommands( this );
+
+    // pdom - like a modal dialog, only the TourNode and the target of the step can be reached with the keyboard while a
+    // tour is playing. Tours are played after construction, when the ScreenViews exist.
+    const tourPDOMListener = () => this.modalNodeStack.length === 0 && this.updateTourPDOMVisible();
+    this.tourPlayer.tourProperty.lazyLink( tourPDOMListener );
+    this.tourPlayer.stepIndexProperty.lazyLink( tourPDOMListener );
+
     this.updateBackground = () => {
       this.lookAndFeel.backgroundColorProperty.value = Color.toColor( this.selectedScreenProperty.value.backgroundColorProperty.value );
     };
@@ -697,8 +785,48 @@ export default class Sim extends PhetioObject {
 
     this.boundRunAnimationLoop = this.runAnimationLoop.bind( this );
 
+    this.deterministicDriver = joistQueryParameters.deterministicStepping ? new DeterministicDriver( this ) : null;
+    this.engagementMetrics = joistQueryParameters.engagementMetrics ? new EngagementMetrics( this ) : null;
+
     // Third party support
     phet.chipper.queryParameters.legendsOfLearning && new LegendsOfLearningSupport( this ).start();
+    joistQueryParameters.embedding && new EmbeddingSupport( this ).start();
+
+    this.translationEditor = joistQueryParameters.translationEditor ? new TranslationEditor( this ) : null;
+
+    // ?locale was not valid at startup if it is the locale of a string pack, so select it when the pack is loaded
+    joistQueryParameters.stringPacks.forEach( url => stringPacks.loadFromURL( url, ( pack, error ) => {
+      if ( pack ) {
+        pack.locale === phet.chipper.queryParameters.locale && ( localeProperty.value = pack.locale );
+      }
+      else {
+        console.error( error );
+
+        // Translators would otherwise see the built-in strings without knowing why
+        const errorDialog = new OopsDialog( StringUtils.fillIn( JoistStrings.translationEditor.loadFailedPatternStringProperty.value, {
+          url: url,
+          error: error
+        } ), {
+          closeButtonListener: () => {
+            errorDialog.hide();
+            errorDialog.dispose();
+          }
+        } );
+
+        // The request can finish before the sim has started
+        const showErrorDialog = ( isConstructionComplete: boolean ) => {
+          if ( isConstructionComplete ) {
+            this.isConstructionCompleteProperty.unlink( showErrorDialog );
+            errorDialog.show();
+          }
+        };
+        this.isConstructionCompleteProperty.link( showErrorDialog );
+      }
+    } ) );
+
+    joistQueryParameters.tour && this.tourPlayer.loadFromURL( joistQueryParameters.tour, ( tour, error ) => {
+      !tour && console.error( error );
+    } );
   }
 
   /**
@@ -841,8 +969,9 @@ export default class Sim extends PhetioObject {
       if ( this.modalNodeStack.length === 0 ) {
         this.setNonModalVoicingVisible( true );
 
-        // pdom - when the dialog is hidden, make all ScreenView content visible to assistive technology
-        this.setPDOMViewsVisible( true );
+        // pdom - when the dialog is hidden, make all ScreenView content visible to assistive technology, unless a tour
+        // is playing
+        this.updateTourPDOMVisible();
       }
     }
     this.topLayer.removeChild( popup );
@@ -909,7 +1038,7 @@ export default class Sim extends PhetioObject {
               // if true, prints screen initialization time (total, model, view) to the console and displays
               // profiling information on the screen
               if ( phet.chipper.queryParameters.profiler ) {
-                Profiler.start( this );
+                this.profiler = Profiler.start( this, this.memoryMonitor );
               }
 
               // Notify listeners that all models and views have been constructed, and the Sim is ready to be shown.
@@ -980,21 +1109,28 @@ export default class Sim extends PhetioObject {
   private runAnimationLoop(): void {
     window.requestAnimationFrame( this.boundRunAnimationLoop );
 
-    // Only run animation frames for an active sim. If in playbackMode, playback logic will handle animation frame
-    // stepping manually.
-    if ( this.activeProperty.value && !phet.joist.playbackModeEnabledProperty.value ) {
+    // A DeterministicDriver steps the sim and the animation frame timer with a fixed dt, and only if autoStep is set
+    if ( this.deterministicDriver ) {
+      this.activeProperty.value && this.deterministicDriver.autoStep && this.deterministicDriver.step();
+    }
+    else {
 
-      // Handle Input fuzzing before stepping the sim because input events occur outside of sim steps, but not before the
-      // first sim step (to prevent issues like https://github.com/phetsims/equality-explorer/issues/161).
-      this.frameCounter > 0 && this.display.fuzzInputEvents();
+      // Only run animation frames for an active sim. If in playbackMode, playback logic will handle animation frame
+      // stepping manually.
+      if ( this.activeProperty.value && !phet.joist.playbackModeEnabledProperty.value ) {
 
-      this.stepOneFrame();
-    }
+        // Handle Input fuzzing before stepping the sim because input events occur outside of sim steps, but not before the
+        // first sim step (to prevent issues like https://github.com/phetsims/equality-explorer/issues/161).
+        this.frameCounter > 0 && this.display.fuzzInputEvents();
 
-    // The animation frame timer runs every frame
-    const currentTime = Date.now();
-    animationFrameTimer.emit( getDT( this.lastAnimationFrameTime, currentTime ) );
-    this.lastAnimationFrameTime = currentTime;
+        this.stepOneFrame();
+      }
+
+      // The animation frame timer runs every frame
+      const currentTime = Date.now();
+      animationFrameTimer.emit( getDT( this.lastAnimationFrameTime, currentTime ) );
+      this.lastAnimationFrameTime = currentTime;
+    }
 
     if ( Tandem.PHET_IO_ENABLED ) {
 
@@ -1005,6 +1141,10 @@ export default class Sim extends PhetioObject {
 
   // Run a single frame including model, view and display updates, used by Legends of Learning
   public stepOneFrame(): void {
+    if ( this.deterministicDriver ) {
+      this.deterministicDriver.step();
+      return;
+    }
 
     // Compute the elapsed time since the last frame, or guess 1/60th of a second if it is the first frame
     const currentTime = Date.now();
@@ -1041,6 +1181,34 @@ export default class Sim extends PhetioObject {
     this.toolbar && this.toolbar.setPDOMVisible( visible );
   }
 
+  /**
+   * pdom - While a tour is playing, hides the content of the sim from assistive technology, except for the TourNode
+   * and the target of the step, so that the user can do what the step asks. When the step has a target, the Nodes
+   * that are not along the trail to the target are hidden, instead of the ScreenViews.
+   */
+  private updateTourPDOMVisible(): void {
+    this.tourPDOMHiddenNodes.forEach( node => { node.pdomVisible = true; } );
+    this.tourPDOMHiddenNodes = [];
+
+    const tour = this.tourPlayer.tourProperty.value;
+    const target = tour && this.tourPlayer.getTarget( tour.steps[ this.tourPlayer.stepIndexProperty.value ] );
+    const trail = target && target.getTrails( node => node === this.rootNode )[ 0 ];
+    this.setPDOMViewsVisible( !tour || !!trail );
+
+    if ( trail ) {
+      for ( let i = 1; i < trail.length; i++ ) {
+        trail.nodes[ i - 1 ].children.forEach( child => {
+
+          // The TourNode is in the topLayer
+          if ( child !== trail.nodes[ i ] && child !== this.topLayer && child.pdomVisible ) {
+            child.pdomVisible = false;
+            this.tourPDOMHiddenNodes.push( child );
+          }
+        } );
+      }
+    }
+  }
+
   /**
    * Set the voicingVisible state of simulation components. When false, ONLY the Toolbar
    * and its buttons will be able to announce Voicing utterances. This is used by the
@@ -0,0 +1,40 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * A source of information about the latest version of the simulation, used by updateCheck. See
+ * PhetWebsiteUpdateProvider and ManifestUpdateProvider.
+ */
+
+export type TSimVersion = string & {
+  isSimNotPublished: boolean;
+  compareNumber: ( version: TSimVersion ) => number;
+};
+
+export type UpdateCheckResult = {
+
+  // whether the running version is the latest one
+  state: 'up-to-date' | 'out-of-date';
+
+  latestVersion: string;
+  buildTimestamp?: number | null;
+
+  // if provided, replaces the URL opened by "Get Update"
+  updateURL?: string | null;
+
+  // describes what changed in the latest version, one item per entry
+  releaseNotes?: string[];
+};
+
+type TUpdateProvider = {
+
+  /**
+   * Requests information about the latest version. Must eventually call exactly one of the callbacks. updateCheck
+   * handles timeouts, and ignores calls for requests that have timed out.
+   * @param ourVersion - the version of the running simulation
+   * @param onSuccess
+   * @param onFailure - called with a message describing why the information is not available
+   */
+  requestUpdate: ( ourVersion: TSimVersion, onSuccess: ( result: UpdateCheckResult ) => void, onFailure: ( message: string ) => void ) => void;
+};
+
+export default TUpdateProvider;
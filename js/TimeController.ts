@@ -0,0 +1,185 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Sim-wide control of time, for presenting a sim in lectures: a speed multiplier, pause and step forward. The Sim
+ * applies it to the dt of the model and view steps of the selected screen, before it is capped by Screen.maxDT.
+ * Everything else (like stepTimer, tweens and the utterance queue) keeps the real dt. The speed starts at ?speed.
+ *
+ * With ?timeControls, a compact control is shown in the navigation bar (see TimeControlsNode), and commands are
+ * registered with these default shortcuts (see commandRegistry):
+ * - Alt+Shift+P: play or pause
+ * - Alt+Shift+S: step forward while paused
+ * - Alt+Shift+F and Alt+Shift+D: faster and slower
+ *
+ * Pausing sets the model dt to 0, so screen models are not stepped and screen views are stepped with 0. Screens that
+ * have their own play/pause can bind it with bindScreen, so that the global control and the screen's control stay in
+ * sync and the screen pauses itself. Sims can opt out of all of this with the Sim option supportsTimeControls: false.
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import NumberProperty from '../../axon/js/NumberProperty.js';
+import TProperty from '../../axon/js/TProperty.js';
+import commandRegistry from './commandRegistry.js';
+import joist from './joist.js';
+import joistQueryParameters from './joistQueryParameters.js';
+import JoistStrings from './JoistStrings.js';
+import Screen from './Screen.js';
+import Sim from './Sim.js';
+
+// Speeds that faster() and slower() step through
+export const TIME_CONTROLLER_SPEEDS = [ 0.25, 0.5, 1, 2 ];
+
+// seconds of model time for each step forward, one frame at the nominal frame rate
+const STEP_FORWARD_DT = 1 / 60;
+
+const timeControlsStrings = JoistStrings.timeControls;
+
+export type TimeControllerBinding = {
+
+  // the screen's own play/pause
+  isPlayingProperty: TProperty<boolean>;
+
+  // steps the screen forward while paused, if the screen supports it
+  stepForward?: () => void;
+};
+
+class TimeController {
+
+  private readonly sim: Sim;
+
+  // multiplier for dt
+  public readonly speedProperty: NumberProperty;
+  public readonly isPlayingProperty = new BooleanProperty( true );
+
+  // whether the control in the navigation bar and the commands are enabled
+  public readonly controlsEnabled: boolean;
+
+  // model time requested by stepForward, applied in the next step
+  private pendingStepDT = 0;
+
+  private readonly bindings = new Map<Screen, TimeControllerBinding>();
+
+  public constructor( sim: Sim, controlsEnabled: boolean = joistQueryParameters.timeControls ) {
+    this.sim = sim;
+    this.controlsEnabled = controlsEnabled;
+
+    this.speedProperty = new NumberProperty( phet.chipper.queryParameters.speed, {
+      isValidValue: speed => speed > 0
+    } );
+
+    // Show the state of a bound screen when it is selected, and pass changes to it
+    sim.selectedScreenProperty.link( screen => {
+      const binding = this.bindings.get( screen );
+      binding && ( this.isPlayingProperty.value = binding.isPlayingProperty.value );
+    } );
+    this.isPlayingProperty.lazyLink( isPlaying => {
+      const binding = this.getSelectedBinding();
+      binding && ( binding.isPlayingProperty.value = isPlaying );
+    } );
+
+    if ( controlsEnabled ) {
+      commandRegistry.register( {
+        id: 'joist.playPause',
+        nameProperty: timeControlsStrings.playPauseStringProperty,
+        execute: () => this.isPlayingProperty.toggle(),
+        defaultShortcut: 'alt+shift+KeyP'
+      } );
+      commandRegistry.register( {
+        id: 'joist.stepForward',
+        nameProperty: timeControlsStrings.stepForwardStringProperty,
+        execute: () => this.stepForward(),
+        enabledProperty: DerivedProperty.not( this.isPlayingProperty ),
+        defaultShortcut: 'alt+shift+KeyS'
+      } );
+      commandRegistry.register( {
+        id: 'joist.faster',
+        nameProperty: timeControlsStrings.fasterStringProperty,
+        execute: () => this.faster(),
+        defaultShortcut: 'alt+shift+KeyF'
+      } );
+      commandRegistry.register( {
+        id: 'joist.slower',
+        nameProperty: timeControlsStrings.slowerStringProperty,
+        execute: () => this.slower(),
+        defaultShortcut: 'alt+shift+KeyD'
+      } );
+    }
+  }
+
+  /**
+   * Returns the dt for the models of the selected screen, given the dt of the frame. Called by the Sim for each step.
+   * (joist-internal)
+   */
+  public getModelDT( dt: number ): number {
+    dt *= this.speedProperty.value;
+
+    // A bound screen pauses itself
+    if ( this.isPlayingProperty.value || this.getSelectedBinding() ) {
+      return dt;
+    }
+    const stepDT = this.pendingStepDT;
+    this.pendingStepDT = 0;
+    return stepDT;
+  }
+
+  /**
+   * Advances a paused sim by one frame.
+   */
+  public stepForward(): void {
+    assert && assert( !this.isPlayingProperty.value, 'step forward is for a paused sim' );
+
+    const binding = this.getSelectedBinding();
+    if ( binding ) {
+      binding.stepForward && binding.stepForward();
+    }
+    else {
+      this.pendingStepDT += STEP_FORWARD_DT;
+    }
+  }
+
+  /**
+   * Changes to the next faster speed in TIME_CONTROLLER_SPEEDS, if there is one.
+   */
+  public faster(): void {
+    const speed = _.find( TIME_CONTROLLER_SPEEDS, speed => speed > this.speedProperty.value );
+    speed && ( this.speedProperty.value = speed );
+  }
+
+  /**
+   * Changes to the next slower speed in TIME_CONTROLLER_SPEEDS, if there is one.
+   */
+  public slower(): void {
+    const speed = _.findLast( TIME_CONTROLLER_SPEEDS, speed => speed < this.speedProperty.value );
+    speed && ( this.speedProperty.value = speed );
+  }
+
+  /**
+   * For screens that have their own play/pause, keeps it in sync with isPlayingProperty while the screen is selected.
+   * The screen is responsible for pausing its model. Returns a function that unbinds the screen.
+   */
+  public bindScreen( screen: Screen, binding: TimeControllerBinding ): () => void {
+    assert && assert( !this.bindings.has( screen ), 'screen is already bound' );
+    this.bindings.set( screen, binding );
+
+    const isPlayingListener = ( isPlaying: boolean ) => {
+      if ( this.sim.selectedScreenProperty.value === screen ) {
+        this.isPlayingProperty.value = isPlaying;
+      }
+    };
+    binding.isPlayingProperty.link( isPlayingListener );
+
+    return () => {
+      assert && assert( this.bindings.get( screen ) === binding, 'screen is not bound' );
+      binding.isPlayingProperty.unlink( isPlayingListener );
+      this.bindings.delete( screen );
+    };
+  }
+
+  private getSelectedBinding(): TimeControllerBinding | null {
+    return this.bindings.get( this.sim.selectedScreenProperty.value ) || null;
+  }
+}
+
+joist.register( 'TimeController', TimeController );
+export default TimeController;
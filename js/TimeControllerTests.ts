@@ -0,0 +1,85 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for the model dt of TimeController and for binding the play/pause of screens, with a stand-in for the
+ * Sim.
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import Property from '../../axon/js/Property.js';
+import Screen from './Screen.js';
+import Sim from './Sim.js';
+import TimeController from './TimeController.js';
+
+// Since these are tests, it is simpler to typecast than to create an actual Sim
+const createSim = () => {
+  const screens = [ 'introScreen', 'labScreen' ].map( name => ( { tandem: { name: name } } as unknown as Screen ) );
+  return {
+    screens: screens,
+    selectedScreenProperty: new Property( screens[ 0 ] )
+  };
+};
+
+// Without the controls, so that no commands are registered
+const createTimeController = ( sim: ReturnType<typeof createSim> ) => new TimeController( sim as unknown as Sim, false );
+
+QUnit.module( 'TimeController' );
+
+QUnit.test( 'getModelDT', assert => {
+  const timeController = createTimeController( createSim() );
+  timeController.speedProperty.value = 1;
+
+  assert.equal( timeController.getModelDT( 0.1 ), 0.1, 'playing at normal speed' );
+  timeController.faster();
+  assert.equal( timeController.speedProperty.value, 2 );
+  assert.equal( timeController.getModelDT( 0.1 ), 0.2, 'the speed multiplies dt' );
+  timeController.slower();
+  timeController.slower();
+  assert.equal( timeController.getModelDT( 0.1 ), 0.05 );
+
+  timeController.isPlayingProperty.value = false;
+  assert.equal( timeController.getModelDT( 0.1 ), 0, 'paused' );
+  timeController.stepForward();
+  timeController.stepForward();
+  assert.equal( timeController.getModelDT( 0.1 ), 2 / 60, 'pending steps forward are applied in the next step' );
+  assert.equal( timeController.getModelDT( 0.1 ), 0, 'and only once' );
+} );
+
+QUnit.test( 'bindScreen', assert => {
+  const sim = createSim();
+  const timeController = createTimeController( sim );
+  timeController.speedProperty.value = 1;
+
+  const isPlayingProperty = new BooleanProperty( true );
+  let stepForwardCount = 0;
+  const unbind = timeController.bindScreen( sim.screens[ 1 ], {
+    isPlayingProperty: isPlayingProperty,
+    stepForward: () => stepForwardCount++
+  } );
+
+  isPlayingProperty.value = false;
+  assert.ok( timeController.isPlayingProperty.value, 'a screen that is not selected does not change the controller' );
+
+  sim.selectedScreenProperty.value = sim.screens[ 1 ];
+  assert.ok( !timeController.isPlayingProperty.value, 'shows the state of the selected screen' );
+  assert.equal( timeController.getModelDT( 0.1 ), 0.1, 'a bound screen pauses itself' );
+  timeController.stepForward();
+  assert.equal( stepForwardCount, 1, 'the screen steps itself forward' );
+  assert.equal( timeController.getModelDT( 0.1 ), 0.1 );
+
+  timeController.isPlayingProperty.value = true;
+  assert.ok( isPlayingProperty.value, 'changes are passed to the selected screen' );
+  isPlayingProperty.value = false;
+  assert.ok( !timeController.isPlayingProperty.value, 'changes of the selected screen are shown' );
+
+  sim.selectedScreenProperty.value = sim.screens[ 0 ];
+  timeController.isPlayingProperty.value = true;
+  assert.ok( !isPlayingProperty.value, 'a screen that is not selected is not changed' );
+
+  unbind();
+  sim.selectedScreenProperty.value = sim.screens[ 1 ];
+  isPlayingProperty.value = true;
+  timeController.isPlayingProperty.value = false;
+  assert.ok( isPlayingProperty.value, 'not synced after unbinding' );
+  assert.equal( timeController.getModelDT( 0.1 ), 0, 'the controller pauses a screen that is not bound' );
+} );
@@ -0,0 +1,72 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Compact controls for the TimeController, shown in the navigation bar with ?timeControls: a play/pause button, a step
+ * forward button (enabled while paused) and a button that shows the speed and changes to the next speed.
+ */
+
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import PatternStringProperty from '../../axon/js/PatternStringProperty.js';
+import optionize, { EmptySelfOptions } from '../../phet-core/js/optionize.js';
+import StrictOmit from '../../phet-core/js/types/StrictOmit.js';
+import PlayPauseButton from '../../scenery-phet/js/buttons/PlayPauseButton.js';
+import StepForwardButton from '../../scenery-phet/js/buttons/StepForwardButton.js';
+import PhetFont from '../../scenery-phet/js/PhetFont.js';
+import { HBox, HBoxOptions } from '../../scenery/js/imports.js';
+import TextPushButton from '../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import joist from './joist.js';
+import JoistStrings from './JoistStrings.js';
+import TimeController, { TIME_CONTROLLER_SPEEDS } from './TimeController.js';
+
+type SelfOptions = EmptySelfOptions;
+export type TimeControlsNodeOptions = SelfOptions & StrictOmit<HBoxOptions, 'children'>;
+
+class TimeControlsNode extends HBox {
+
+  public constructor( timeController: TimeController, providedOptions?: TimeControlsNodeOptions ) {
+
+    const options = optionize<TimeControlsNodeOptions, SelfOptions, HBoxOptions>()( {
+      spacing: 4,
+      align: 'center',
+      tandem: Tandem.OPT_OUT
+    }, providedOptions );
+
+    const playPauseButton = new PlayPauseButton( timeController.isPlayingProperty, {
+      radius: 12,
+      tandem: Tandem.OPT_OUT
+    } );
+
+    const stepForwardButton = new StepForwardButton( {
+      radius: 9,
+      listener: () => timeController.stepForward(),
+      enabledProperty: DerivedProperty.not( timeController.isPlayingProperty ),
+      tandem: Tandem.OPT_OUT
+    } );
+
+    // Changes to the next speed, and back to the slowest after the fastest
+    const speedStringProperty = new PatternStringProperty( JoistStrings.timeControls.speedPatternStringProperty, {
+      speed: timeController.speedProperty
+    } );
+    const speedButton = new TextPushButton( speedStringProperty, {
+      listener: () => {
+        const speeds = TIME_CONTROLLER_SPEEDS;
+        const speed = _.find( speeds, speed => speed > timeController.speedProperty.value );
+        timeController.speedProperty.value = speed || speeds[ 0 ];
+      },
+      font: new PhetFont( 12 ),
+      maxTextWidth: 40,
+      xMargin: 4,
+      yMargin: 2,
+      accessibleName: JoistStrings.timeControls.speedStringProperty,
+      tandem: Tandem.OPT_OUT
+    } );
+
+    options.children = [ playPauseButton, stepForwardButton, speedButton ];
+
+    super( options );
+  }
+}
+
+joist.register( 'TimeControlsNode', TimeControlsNode );
+export default TimeControlsNode;
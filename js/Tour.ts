@@ -0,0 +1,156 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * A guided tour of a sim: ordered steps that each spotlight a Node and show a message, played by the TourPlayer. Sims
+ * provide tours with the `tours` option of Sim. A teacher can write a tour as a JSON file, and load it with ?tour:
+ *
+ * {
+ *   "tourVersion": 1,
+ *   "id": "intro",
+ *   "screen": 1,
+ *   "autoStart": true,
+ *   "steps": [
+ *     { "message": "This tour shows you around." },
+ *     { "target": "phet.joist.display.rootNode.children[ 1 ].children[ 3 ]", "message": "Press Play." },
+ *     { "target": [ 1, 2 ], "message": "Drag the ball.", "waitFor": "mySim.introScreen.model.ball.positionProperty" }
+ *   ]
+ * }
+ *
+ * A target in JSON is a path from the rootNode of the Display, as copied with "Copy Path" in the Helper, or its child
+ * indices. The screen is numbered like ?screens, and waitFor is the phetioID of a Property, so a tour with waitFor can
+ * only be loaded with PhET-iO.
+ */
+
+import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
+import optionize from '../../phet-core/js/optionize.js';
+import { Node } from '../../scenery/js/imports.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import joist from './joist.js';
+import Screen from './Screen.js';
+
+// Version of the JSON layout of a Tour, increment when it changes
+const TOUR_VERSION = 1;
+
+// A path as copied with "Copy Path" in the Helper
+const PATH_REGEX = /^phet\.joist\.display\.rootNode((\.children\[ *\d+ *\])*)$/;
+
+export type TourStep = {
+
+  // The Node to spotlight, or its child indices from the rootNode of the Display. A step without a target shows the
+  // message in the center.
+  target?: Node | number[] | null;
+
+  message: string | TReadOnlyProperty<string>;
+
+  // When provided, the step continues when this Property changes, instead of with the "Next" button. A string is the
+  // phetioID of a Property, which requires PhET-iO.
+  waitFor?: TReadOnlyProperty<unknown> | string | null;
+};
+
+type TourOptions = {
+
+  // Identifies the tour, so that it only starts automatically the first time
+  id: string;
+
+  steps: TourStep[];
+
+  // The screen that the tour is about, which is selected when the tour starts. A tour without a screen is offered on
+  // every screen that doesn't have its own tour, and on the home screen.
+  screen?: Screen | null;
+
+  // Whether the tour starts the first time that its screen is shown, see TourPlayer.seenTourIdsProperty
+  autoStart?: boolean;
+};
+
+class Tour {
+
+  public readonly id: string;
+  public readonly steps: TourStep[];
+  public readonly screen: Screen | null;
+  public readonly autoStart: boolean;
+
+  public constructor( providedOptions: TourOptions ) {
+
+    const options = optionize<TourOptions>()( {
+      screen: null,
+      autoStart: false
+    }, providedOptions );
+
+    assert && assert( options.steps.length > 0, 'a tour needs steps' );
+
+    this.id = options.id;
+    this.steps = options.steps;
+    this.screen = options.screen;
+    this.autoStart = options.autoStart;
+  }
+
+  /**
+   * Creates a Tour from JSON, see the header. Throws an Error if the JSON is not a valid tour.
+   * @param json
+   * @param simScreens - the screens that are numbered by "screen"
+   */
+  public static fromJSON( json: string, simScreens: Screen[] ): Tour {
+    let tour;
+    try {
+      tour = JSON.parse( json );
+    }
+    catch( e ) {
+      throw new Error( 'Unable to parse tour' );
+    }
+
+    if ( !tour || typeof tour.id !== 'string' || !Array.isArray( tour.steps ) || tour.steps.length === 0 ) {
+      throw new Error( 'A tour needs an id and steps' );
+    }
+    if ( tour.tourVersion !== TOUR_VERSION ) {
+      throw new Error( `Unsupported tourVersion: ${tour.tourVersion}` );
+    }
+    const hasScreen = tour.screen !== undefined && tour.screen !== null;
+    if ( hasScreen && !( Number.isInteger( tour.screen ) && tour.screen >= 1 && tour.screen <= simScreens.length ) ) {
+      throw new Error( `Invalid screen: ${tour.screen}` );
+    }
+
+    const steps: TourStep[] = tour.steps.map( ( step: Record<string, unknown>, index: number ) => {
+      if ( !step || typeof step.message !== 'string' ) {
+        throw new Error( `Step ${index + 1} needs a message` );
+      }
+      if ( step.waitFor !== undefined && step.waitFor !== null ) {
+        if ( typeof step.waitFor !== 'string' ) {
+          throw new Error( `The waitFor of step ${index + 1} must be a phetioID` );
+        }
+        if ( !Tandem.PHET_IO_ENABLED ) {
+          throw new Error( `The waitFor of step ${index + 1} requires PhET-iO` );
+        }
+      }
+      return {
+        target: Tour.parseTarget( step.target, index ),
+        message: step.message,
+        waitFor: step.waitFor || null
+      };
+    } );
+
+    return new Tour( {
+      id: tour.id,
+      steps: steps,
+      screen: hasScreen ? simScreens[ tour.screen - 1 ] : null,
+      autoStart: !!tour.autoStart
+    } );
+  }
+
+  // The child indices of a target in JSON, or null for a step without a target
+  private static parseTarget( target: unknown, index: number ): number[] | null {
+    if ( target === undefined || target === null ) {
+      return null;
+    }
+    if ( Array.isArray( target ) && _.every( target, childIndex => Number.isInteger( childIndex ) && childIndex >= 0 ) ) {
+      return target;
+    }
+    const match = typeof target === 'string' && PATH_REGEX.exec( target );
+    if ( match ) {
+      return ( match[ 1 ].match( /\d+/g ) || [] ).map( Number );
+    }
+    throw new Error( `Invalid target of step ${index + 1}: ${target}` );
+  }
+}
+
+joist.register( 'Tour', Tour );
+export default Tour;
@@ -0,0 +1,282 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Shows the step of the Tour that the TourPlayer is playing, in the topLayer of the Sim. The sim is dimmed except for
+ * a spotlight on the target of the step, and input outside of the spotlight is blocked. A panel next to the target
+ * shows the message with "Back", "Next" and "Skip Tour" buttons. The message is spoken with Voicing and announced to
+ * screen readers, "Next" receives focus for each step, and Escape skips the tour. Like a modal Dialog, the Sim hides
+ * the screens and the navigation bar from keyboard navigation and screen readers while a tour is playing, except for
+ * the target of the step, see Sim.updateTourPDOMVisible.
+ */
+
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import StringProperty from '../../axon/js/StringProperty.js';
+import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
+import Bounds2 from '../../dot/js/Bounds2.js';
+import { Shape } from '../../kite/js/imports.js';
+import merge from '../../phet-core/js/merge.js';
+import StringUtils from '../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../scenery-phet/js/PhetFont.js';
+import { FocusManager, HBox, KeyboardUtils, Node, Path, SceneryEvent, Text, VBox, voicingManager, VoicingRichText, voicingUtteranceQueue } from '../../scenery/js/imports.js';
+import TextPushButton from '../../sun/js/buttons/TextPushButton.js';
+import Panel from '../../sun/js/Panel.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import Utterance from '../../utterance-queue/js/Utterance.js';
+import joist from './joist.js';
+import JoistColors from './JoistColors.js';
+import JoistStrings from './JoistStrings.js';
+import Sim from './Sim.js';
+import TourPlayer from './TourPlayer.js';
+
+// constants
+const tourStrings = JoistStrings.tour;
+const FONT = new PhetFont( 16 );
+const SPOTLIGHT_MARGIN = 6; // around the target
+const PANEL_MARGIN = 12; // between the panel and the spotlight, and to the edges of the sim
+const BUTTON_OPTIONS = {
+  font: FONT,
+  maxTextWidth: 150,
+
+  // phet-io
+  tandem: Tandem.OPT_OUT
+};
+
+class TourNode extends Node {
+
+  private readonly sim: Sim;
+  private readonly tourPlayer: TourPlayer;
+
+  private readonly dimPath: Path;
+  private readonly panel: Panel;
+  private readonly nextButton: TextPushButton;
+  private readonly skipButton: TextPushButton;
+
+  // the message of the step that is shown
+  private readonly messageProperty: StringProperty;
+  private unlinkMessage: ( () => void ) | null = null;
+
+  // set by layout
+  private layoutBounds: Bounds2 | null = null;
+
+  // the spotlight of the last update, to only change the shapes when it moves
+  private spotlightBounds: Bounds2 | null = null;
+
+  // whether a tour is shown, and the Node that gets focus back when it ends
+  private isShowingTour = false;
+  private focusBeforeTour: Node | null = null;
+
+  private readonly utterance = new Utterance();
+
+  public constructor( sim: Sim, tourPlayer: TourPlayer ) {
+
+    const dimPath = new Path( null, {
+      fill: 'rgba( 0, 0, 0, 0.6 )'
+    } );
+
+    const stepStringProperty = new DerivedProperty( [ tourPlayer.tourProperty, tourPlayer.stepIndexProperty, tourStrings.stepPatternStringProperty ],
+      ( tour, stepIndex, stepPattern ) => tour ? StringUtils.fillIn( stepPattern, { number: stepIndex + 1, total: tour.steps.length } ) : '' );
+    const stepText = new Text( stepStringProperty, {
+      font: new PhetFont( 12 ),
+      maxWidth: 400
+    } );
+
+    const messageProperty = new StringProperty( '' );
+    const messageText = new VoicingRichText( messageProperty, {
+      font: FONT,
+      lineWrap: 400,
+      tagName: 'p'
+    } );
+
+    const waitingText = new Text( tourStrings.waitingStringProperty, {
+      font: new PhetFont( { size: 14, style: 'italic' } ),
+      maxWidth: 400,
+      visibleProperty: tourPlayer.waitingProperty
+    } );
+
+    const isLastStepProperty = new DerivedProperty( [ tourPlayer.tourProperty, tourPlayer.stepIndexProperty ],
+      ( tour, stepIndex ) => !!tour && stepIndex === tour.steps.length - 1 );
+    const nextStringProperty = new DerivedProperty( [ isLastStepProperty, tourStrings.nextStringProperty, tourStrings.doneStringProperty ],
+      ( isLastStep, nextString, doneString ) => isLastStep ? doneString : nextString );
+
+    const skipButton = new TextPushButton( tourStrings.skipStringProperty, merge( {
+      listener: () => tourPlayer.end()
+    }, BUTTON_OPTIONS ) );
+    const backButton = new TextPushButton( tourStrings.backStringProperty, merge( {
+      listener: () => tourPlayer.back(),
+      enabledProperty: new DerivedProperty( [ tourPlayer.stepIndexProperty ], stepIndex => stepIndex > 0 )
+    }, BUTTON_OPTIONS ) );
+    const nextButton = new TextPushButton( nextStringProperty, merge( {
+      listener: () => tourPlayer.next(),
+      enabledProperty: DerivedProperty.not( tourPlayer.waitingProperty )
+    }, BUTTON_OPTIONS ) );
+
+    const panel = new Panel( new VBox( {
+      spacing: 10,
+      align: 'left',
+      children: [
+        stepText,
+        messageText,
+        waitingText,
+        new HBox( { spacing: 10, children: [ skipButton, backButton, nextButton ] } )
+      ]
+    } ), {
+      fill: JoistColors.dialogFillColorProperty,
+      stroke: 'black',
+      cornerRadius: 10,
+      xMargin: 15,
+      yMargin: 15,
+      tandem: Tandem.OPT_OUT
+    } );
+
+    super( {
+      children: [ dimPath, panel ],
+      visibleProperty: new DerivedProperty( [ tourPlayer.tourProperty ], tour => tour !== null ),
+
+      // pdom
+      tagName: 'div'
+    } );
+
+    this.sim = sim;
+    this.tourPlayer = tourPlayer;
+    this.dimPath = dimPath;
+    this.panel = panel;
+    this.nextButton = nextButton;
+    this.skipButton = skipButton;
+    this.messageProperty = messageProperty;
+
+    // The target can move or appear, so the spotlight follows it while the tour is playing
+    sim.frameEndedEmitter.addListener( () => this.visible && this.updateSpotlight() );
+
+    // The Sim calls layout before it updates its scale, so the panel is scaled again after that
+    sim.scaleProperty.lazyLink( () => this.layoutBounds && this.layout( this.layoutBounds ) );
+
+    // pdom - Escape skips the tour, like it closes a Dialog
+    this.addInputListener( {
+      keydown: ( event: SceneryEvent ) => {
+        if ( KeyboardUtils.getEventCode( event.domEvent ) === KeyboardUtils.KEY_ESCAPE ) {
+          event.handle();
+          tourPlayer.end();
+        }
+      }
+    } );
+  }
+
+  /**
+   * Shows the step of the TourPlayer. Called by the TourPlayer when a tour starts, and for each step.
+   */
+  public showStep(): void {
+    const tour = this.tourPlayer.tourProperty.value!;
+    const step = tour.steps[ this.tourPlayer.stepIndexProperty.value ];
+
+    if ( !this.isShowingTour ) {
+      this.isShowingTour = true;
+      this.focusBeforeTour = FocusManager.pdomFocusedNode;
+    }
+    this.moveToFront();
+
+    this.unlinkMessage && this.unlinkMessage();
+    const message: string | TReadOnlyProperty<string> = step.message;
+    if ( typeof message === 'string' ) {
+      this.messageProperty.value = message;
+      this.unlinkMessage = null;
+    }
+    else {
+      const messageListener = ( value: string ) => { this.messageProperty.value = value; };
+      message.link( messageListener );
+      this.unlinkMessage = () => message.unlink( messageListener );
+    }
+
+    this.spotlightBounds = null;
+    this.updateSpotlight();
+
+    // pdom
+    ( this.tourPlayer.waitingProperty.value ? this.skipButton : this.nextButton ).focus();
+    this.utterance.alert = this.messageProperty.value;
+    this.alertDescriptionUtterance( this.utterance );
+
+    // voicing
+    if ( voicingManager.voicingFullyEnabledProperty.value ) {
+      voicingUtteranceQueue.addToBack( this.utterance );
+    }
+  }
+
+  /**
+   * Called by the TourPlayer when the tour ends, to restore the focus from before the tour.
+   */
+  public endTour(): void {
+    this.unlinkMessage && this.unlinkMessage();
+    this.unlinkMessage = null;
+
+    const focusNode = this.focusBeforeTour;
+    this.isShowingTour = false;
+    this.focusBeforeTour = null;
+    if ( focusNode && focusNode.wasVisuallyDisplayed( this.sim.display ) ) {
+      focusNode.focus();
+    }
+    else {
+      FocusManager.pdomFocus = null;
+    }
+  }
+
+  /**
+   * Called by the Sim when it is resized, with the bounds of the screens.
+   */
+  public layout( layoutBounds: Bounds2 ): void {
+    this.layoutBounds = layoutBounds;
+    this.spotlightBounds = null;
+    this.visible && this.updateSpotlight();
+  }
+
+  // Dims the sim except for the target of the step, and moves the panel next to the target
+  private updateSpotlight(): void {
+    if ( !this.layoutBounds || !this.tourPlayer.tourProperty.value ) {
+      return;
+    }
+
+    const tour = this.tourPlayer.tourProperty.value;
+    const target = this.tourPlayer.getTarget( tour.steps[ this.tourPlayer.stepIndexProperty.value ] );
+    const spotlightBounds = target && target.wasVisuallyDisplayed( this.sim.display ) ?
+                            this.globalToLocalBounds( target.globalBounds ).dilated( SPOTLIGHT_MARGIN ) :
+                            Bounds2.NOTHING;
+    if ( this.spotlightBounds && this.spotlightBounds.equals( spotlightBounds ) ) {
+      return;
+    }
+    this.spotlightBounds = spotlightBounds;
+
+    // The spotlight is a hole, because it winds in the opposite direction
+    const dimShape = Shape.bounds( this.layoutBounds );
+    if ( spotlightBounds.isValid() ) {
+      dimShape.moveTo( spotlightBounds.minX, spotlightBounds.minY )
+        .lineTo( spotlightBounds.minX, spotlightBounds.maxY )
+        .lineTo( spotlightBounds.maxX, spotlightBounds.maxY )
+        .lineTo( spotlightBounds.maxX, spotlightBounds.minY )
+        .close();
+    }
+    this.dimPath.shape = dimShape;
+
+    // Below the spotlight if it fits, else above it, else in the center
+    const panel = this.panel;
+    panel.setScaleMagnitude( this.sim.scaleProperty.value );
+    const availableBounds = this.layoutBounds.eroded( PANEL_MARGIN );
+    if ( !spotlightBounds.isValid() ) {
+      panel.center = availableBounds.center;
+    }
+    else {
+      panel.centerX = spotlightBounds.centerX;
+      if ( spotlightBounds.maxY + PANEL_MARGIN + panel.height <= availableBounds.maxY ) {
+        panel.top = spotlightBounds.maxY + PANEL_MARGIN;
+      }
+      else if ( spotlightBounds.minY - PANEL_MARGIN - panel.height >= availableBounds.minY ) {
+        panel.bottom = spotlightBounds.minY - PANEL_MARGIN;
+      }
+      else {
+        panel.centerY = availableBounds.centerY;
+      }
+    }
+    panel.left = Math.max( panel.left, availableBounds.minX );
+    panel.right = Math.min( panel.right, availableBounds.maxX );
+  }
+}
+
+joist.register( 'TourNode', TourNode );
+export default TourNode;
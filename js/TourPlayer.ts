@@ -0,0 +1,261 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Plays the Tours of a sim, one step at a time, in a TourNode that spotlights the target of each step. A tour is
+ * started from the "Take a Tour" item of the PhetMenu, the button on the home screen or the 'joist.startTour' command,
+ * and a tour with autoStart starts the first time that its screen is shown. The ids of tours that were played to the
+ * end or skipped are stored with PreferencesStorage, so that they don't start automatically again.
+ */
+
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import Property from '../../axon/js/Property.js';
+import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
+import { Node } from '../../scenery/js/imports.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import joist from './joist.js';
+import PreferencesStorage from './preferences/PreferencesStorage.js';
+import Screen from './Screen.js';
+import Sim from './Sim.js';
+import Tour, { TourStep } from './Tour.js';
+import TourNode from './TourNode.js';
+
+class TourPlayer {
+
+  private readonly sim: Sim;
+
+  // The tours that can be started
+  public readonly toursProperty: Property<Tour[]>;
+
+  // The tour that is playing, null when no tour is playing
+  private readonly _tourProperty = new Property<Tour | null>( null );
+  public readonly tourProperty: TReadOnlyProperty<Tour | null> = this._tourProperty;
+
+  // The index of the step that is shown in the tour that is playing
+  private readonly _stepIndexProperty = new Property<number>( 0 );
+  public readonly stepIndexProperty: TReadOnlyProperty<number> = this._stepIndexProperty;
+
+  // Whether the step that is shown continues when its waitFor Property changes, instead of with the "Next" button
+  private readonly _waitingProperty = new Property<boolean>( false );
+  public readonly waitingProperty: TReadOnlyProperty<boolean> = this._waitingProperty;
+
+  // The ids of the tours that were played, which don't start automatically
+  public readonly seenTourIdsProperty: Property<string[]>;
+
+  // created when the first tour starts
+  private tourNode: TourNode | null = null;
+
+  // Stops waiting for the waitFor Property of the step that is shown
+  private unlinkWaitFor: ( () => void ) | null = null;
+
+  /**
+   * Created before the screens, so the sim is not complete yet.
+   * @param sim
+   * @param tours - see the Sim option
+   */
+  public constructor( sim: Sim, tours: Tour[] ) {
+    this.sim = sim;
+    this.toursProperty = new Property<Tour[]>( tours );
+
+    this.seenTourIdsProperty = new Property<string[]>( [] );
+    PreferencesStorage.register( this.seenTourIdsProperty, 'seenTourIdsProperty', {
+      isValidValue: value => Array.isArray( value ) && _.every( value, id => typeof id === 'string' )
+    } );
+
+    sim.isConstructionCompleteProperty.lazyLink( isConstructionComplete => {
+      isConstructionComplete && sim.selectedScreenProperty.link( () => this.autoStart() );
+    } );
+  }
+
+  /**
+   * Returns the tour that is offered for a screen: the tour of the screen, or else a tour without a screen. The home
+   * screen is offered a tour without a screen.
+   */
+  public getTour( screen: Screen | null ): Tour | null {
+    const tours = this.toursProperty.value;
+    const tour = screen && screen !== this.sim.homeScreen ? _.find( tours, tour => tour.screen === screen ) : undefined;
+    return tour || _.find( tours, tour => tour.screen === null ) || null;
+  }
+
+  /**
+   * Creates a Property for whether the tour of the selected screen can be started: a tour is offered for the screen,
+   * and no tour is playing. For the "Take a Tour" item of the PhetMenu and the 'joist.startTour' command.
+   */
+  public createCanStartProperty(): TReadOnlyProperty<boolean> {
+    return new DerivedProperty( [ this.toursProperty, this._tourProperty, this.sim.selectedScreenProperty ],
+      ( tours, tour, screen ) => !tour && !!this.getTour( screen ) );
+  }
+
+  /**
+   * Adds a tour that can be started, like a tour loaded with ?tour. It replaces a tour with the same id.
+   */
+  public addTour( tour: Tour ): void {
+    this.toursProperty.value = [ ...this.toursProperty.value.filter( t => t.id !== tour.id ), tour ];
+    this.sim.isConstructionCompleteProperty.value && this.autoStart();
+  }
+
+  /**
+   * Starts a tour at its first step, ending the tour that is playing.
+   */
+  public start( tour: Tour ): void {
+    this._tourProperty.value && this.end();
+
+    if ( !this.tourNode ) {
+      this.tourNode = new TourNode( this.sim, this );
+      this.sim.topLayer.addChild( this.tourNode );
+      this.sim.screenBoundsProperty.value && this.tourNode.layout( this.sim.screenBoundsProperty.value );
+    }
+
+    this._stepIndexProperty.value = 0;
+    this._tourProperty.value = tour;
+
+    // After the tour is playing, so that changing the screen doesn't start a tour with autoStart
+    if ( tour.screen ) {
+      this.sim.selectedScreenProperty.value = tour.screen;
+    }
+    this.showStep();
+  }
+
+  /**
+   * Shows the next step, or ends the tour after the last step.
+   */
+  public next(): void {
+    const tour = this._tourProperty.value;
+    assert && assert( tour, 'no tour is playing' );
+
+    if ( this._stepIndexProperty.value < tour!.steps.length - 1 ) {
+      this._stepIndexProperty.value++;
+      this.showStep();
+    }
+    else {
+      this.end();
+    }
+  }
+
+  /**
+   * Shows the previous step.
+   */
+  public back(): void {
+    assert && assert( this._tourProperty.value, 'no tour is playing' );
+
+    if ( this._stepIndexProperty.value > 0 ) {
+      this._stepIndexProperty.value--;
+      this.showStep();
+    }
+  }
+
+  /**
+   * Ends the tour that is playing, whether it was played to the end or skipped. The tour is marked as seen.
+   */
+  public end(): void {
+    const tour = this._tourProperty.value;
+    assert && assert( tour, 'no tour is playing' );
+
+    this.stopWaiting();
+    if ( !this.seenTourIdsProperty.value.includes( tour!.id ) ) {
+      this.seenTourIdsProperty.value = [ ...this.seenTourIdsProperty.value, tour!.id ];
+    }
+
+    // Before the focus is restored, so that the screens can be reached with the keyboard again
+    this._tourProperty.value = null;
+    this.tourNode!.endTour();
+  }
+
+  /**
+   * Returns the Node to spotlight for a step, or null if the step has no target or its target doesn't exist.
+   */
+  public getTarget( step: TourStep ): Node | null {
+    if ( !step.target ) {
+      return null;
+    }
+    if ( step.target instanceof Node ) {
+      return step.target;
+    }
+
+    let node: Node | null = this.sim.rootNode;
+    step.target.forEach( childIndex => {
+      node = node && node.children[ childIndex ] ? node.children[ childIndex ] : null;
+    } );
+    return node;
+  }
+
+  /**
+   * Loads a tour from a JSON file at a URL (see Tour for the format), and adds it.
+   * @param url
+   * @param [callback] - called with the tour, or with an error if it could not be loaded
+   */
+  public loadFromURL( url: string, callback?: ( tour: Tour | null, error: string | null ) => void ): void {
+    const done = ( tour: Tour | null, error: string | null ) => callback && callback( tour, error );
+
+    const req = new XMLHttpRequest();
+    req.onload = () => {
+
+      // Requests for file: URLs report a status of 0 when successful
+      if ( req.status !== 0 && ( req.status < 200 || req.status >= 300 ) ) {
+        done( null, `Unable to load tour, status: ${req.status}` );
+        return;
+      }
+
+      let tour;
+      try {
+        tour = Tour.fromJSON( req.responseText, this.sim.simScreens );
+      }
+      catch( e ) {
+        done( null, ( e as Error ).message );
+        return;
+      }
+      this.addTour( tour );
+      done( tour, null );
+    };
+    req.onerror = () => done( null, 'Unable to load tour' );
+    req.open( 'get', url, true );
+    req.send();
+  }
+
+  // Starts a tour with autoStart for the selected screen, if it was not seen and no tour is playing
+  private autoStart(): void {
+    const tour = this.getTour( this.sim.selectedScreenProperty.value );
+    if ( tour && tour.autoStart && !this._tourProperty.value && !this.seenTourIdsProperty.value.includes( tour.id ) ) {
+      this.start( tour );
+    }
+  }
+
+  // Shows the step in the TourNode, waiting for its waitFor Property if it has one
+  private showStep(): void {
+    this.stopWaiting();
+
+    const step = this._tourProperty.value!.steps[ this._stepIndexProperty.value ];
+    const waitForProperty = this.getWaitForProperty( step );
+    if ( waitForProperty ) {
+      const listener = () => this.next();
+      waitForProperty.lazyLink( listener );
+      this.unlinkWaitFor = () => waitForProperty.unlink( listener );
+      this._waitingProperty.value = true;
+    }
+    this.tourNode!.showStep();
+  }
+
+  private stopWaiting(): void {
+    this.unlinkWaitFor && this.unlinkWaitFor();
+    this.unlinkWaitFor = null;
+    this._waitingProperty.value = false;
+  }
+
+  // A string is the phetioID of a Property, which can only be found with PhET-iO
+  private getWaitForProperty( step: TourStep ): TReadOnlyProperty<unknown> | null {
+    if ( typeof step.waitFor !== 'string' ) {
+      return step.waitFor || null;
+    }
+    if ( !Tandem.PHET_IO_ENABLED ) {
+      console.warn( `The tour can only wait for ${step.waitFor} with PhET-iO` );
+      return null;
+    }
+    if ( !phet.phetio.phetioEngine.hasPhetioObject( step.waitFor ) ) {
+      console.warn( `The tour cannot wait for ${step.waitFor}, it does not exist` );
+      return null;
+    }
+    return phet.phetio.phetioEngine.getPhetioObject( step.waitFor );
+  }
+}
+
+joist.register( 'TourPlayer', TourPlayer );
+export default TourPlayer;
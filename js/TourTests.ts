@@ -0,0 +1,72 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for Tour.
+ */
+
+import Tandem from '../../tandem/js/Tandem.js';
+import Screen from './Screen.js';
+import Tour from './Tour.js';
+
+// Since these are tests, it is simpler to typecast instead of creating actual screens.
+const a = 'a' as unknown as Screen;
+const b = 'b' as unknown as Screen;
+
+const createJSON = ( tour: Record<string, unknown> ) => JSON.stringify( _.assign( {
+  tourVersion: 1,
+  id: 'intro',
+  steps: [ { message: 'Hello' } ]
+}, tour ) );
+
+QUnit.module( 'Tour' );
+
+QUnit.test( 'fromJSON', assert => {
+  const tour = Tour.fromJSON( createJSON( {
+    screen: 2,
+    autoStart: true,
+    steps: [
+      { message: 'Hello' },
+      { message: 'A path', target: 'phet.joist.display.rootNode.children[ 1 ].children[ 12 ]' },
+      { message: 'Indices', target: [ 0, 3 ] }
+    ]
+  } ), [ a, b ] );
+
+  assert.equal( tour.id, 'intro' );
+  assert.equal( tour.screen, b, 'screens are numbered from 1' );
+  assert.ok( tour.autoStart );
+  assert.equal( tour.steps.length, 3 );
+  assert.equal( tour.steps[ 0 ].target, null, 'a step without a target' );
+  assert.deepEqual( tour.steps[ 1 ].target, [ 1, 12 ], 'a path is converted to indices' );
+  assert.deepEqual( tour.steps[ 2 ].target, [ 0, 3 ] );
+  assert.equal( tour.steps[ 2 ].waitFor, null );
+
+  const defaultTour = Tour.fromJSON( createJSON( {} ), [] );
+  assert.equal( defaultTour.screen, null, 'a tour without a screen' );
+  assert.ok( !defaultTour.autoStart );
+} );
+
+QUnit.test( 'fromJSON errors', assert => {
+  assert.throws( () => Tour.fromJSON( '{', [] ), 'invalid JSON' );
+  assert.throws( () => Tour.fromJSON( createJSON( { tourVersion: 2 } ), [] ), 'unsupported version' );
+  assert.throws( () => Tour.fromJSON( createJSON( { id: 3 } ), [] ), 'the id must be a string' );
+  assert.throws( () => Tour.fromJSON( createJSON( { steps: [] } ), [] ), 'a tour needs steps' );
+  assert.throws( () => Tour.fromJSON( createJSON( { steps: [ { target: [ 0 ] } ] } ), [] ), 'a step needs a message' );
+  assert.throws( () => Tour.fromJSON( createJSON( { screen: 3 } ), [ a, b ] ), 'the screen does not exist' );
+  assert.throws( () => Tour.fromJSON( createJSON( { screen: 1 } ), [] ), 'there are no screens' );
+  assert.throws( () => Tour.fromJSON( createJSON( { steps: [ { message: 'Hi', target: 'rootNode.children[ 0 ]' } ] } ), [] ),
+    'a target must be a path from the rootNode of the Display' );
+  assert.throws( () => Tour.fromJSON( createJSON( { steps: [ { message: 'Hi', target: [ -1 ] } ] } ), [] ),
+    'child indices are not negative' );
+  assert.throws( () => Tour.fromJSON( createJSON( { steps: [ { message: 'Hi', waitFor: {} } ] } ), [] ),
+    'waitFor must be a phetioID' );
+} );
+
+QUnit.test( 'fromJSON waitFor', assert => {
+  const json = createJSON( { steps: [ { message: 'Drag the ball.', waitFor: 'mySim.introScreen.model.ball.positionProperty' } ] } );
+  if ( Tandem.PHET_IO_ENABLED ) {
+    assert.equal( Tour.fromJSON( json, [] ).steps[ 0 ].waitFor, 'mySim.introScreen.model.ball.positionProperty' );
+  }
+  else {
+    assert.throws( () => Tour.fromJSON( json, [] ), /requires PhET-iO/, 'waitFor can only be loaded with PhET-iO' );
+  }
+} );
@@ -0,0 +1,214 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * An editor for translators, enabled with ?translationEditor and shown from the Localization tab of the
+ * PreferencesDialog. It is an HTML panel next to the sim that lists the string keys and their values in the selected
+ * locale. Each edit is applied to the strings of the sim right away (see stringPacks.setString), and the Nodes that
+ * show a string are highlighted while it is hovered or edited. By default only the strings that are shown are listed,
+ * so that a translator can work through the sim screen by screen.
+ *
+ * String packs can be loaded from a URL in the editor, or dropped onto the sim, and the locale of a loaded pack is
+ * selected.
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import localeInfoModule from '../../chipper/js/data/localeInfoModule.js';
+import { localizedStrings } from '../../chipper/js/getStringModule.js';
+import Bounds2 from '../../dot/js/Bounds2.js';
+import Matrix3 from '../../dot/js/Matrix3.js';
+import StringUtils from '../../phetcommon/js/util/StringUtils.js';
+import { Node, Rectangle, RichText, Text } from '../../scenery/js/imports.js';
+import localeProperty from './i18n/localeProperty.js';
+import stringPacks, { StringPack } from './i18n/stringPacks.js';
+import joist from './joist.js';
+import JoistStrings from './JoistStrings.js';
+import Sim from './Sim.js';
+
+// constants
+const translationEditorStrings = JoistStrings.translationEditor;
+const HIGHLIGHT_COLOR = 'rgba(255,140,0,0.9)';
+
+// Parts of a string that are replaced before it is shown, so they are not used to find it on screen
+const PLACEHOLDER_REGEX = /\{\{[^}]*\}\}|\{\d+\}|<[^>]*>/;
+
+type ShownText = {
+  text: string;
+  globalBounds: Bounds2;
+};
+
+class TranslationEditor {
+
+  public readonly visibleProperty = new BooleanProperty( false );
+
+  private readonly sim: Sim;
+  private readonly domElement: HTMLDivElement;
+  private readonly localeElement: HTMLDivElement;
+  private readonly shownOnScreenCheckbox: HTMLInputElement;
+  private readonly searchInput: HTMLInputElement;
+  private readonly listElement: HTMLDivElement;
+  private readonly statusElement: HTMLDivElement;
+
+  // highlights the Nodes of a string, in the topLayer of the sim
+  private readonly highlightNode = new Node( { pickable: false } );
+
+  public constructor( sim: Sim ) {
+    this.sim = sim;
+
+    this.domElement = TranslationEditor.createElement( 'div', 'position: fixed; top: 0; right: 0; bottom: 0; width: 380px; ' +
+                                                              'z-index: 10000; display: none; flex-direction: column; ' +
+                                                              'background: white; border-left: 1px solid #888; ' +
+                                                              'font: 12px sans-serif; color: black;' );
+
+    const titleElement = TranslationEditor.createElement( 'div', 'display: flex; padding: 6px; font-weight: bold; font-size: 14px;' );
+    const titleTextElement = TranslationEditor.createElement( 'span', 'flex: 1;' );
+    titleTextElement.textContent = translationEditorStrings.titleStringProperty.value;
+    const closeButton = TranslationEditor.createElement( 'button', '' );
+    closeButton.textContent = translationEditorStrings.closeStringProperty.value;
+    closeButton.addEventListener( 'click', () => { this.visibleProperty.value = false; } );
+    titleElement.append( titleTextElement, closeButton );
+
+    this.localeElement = TranslationEditor.createElement( 'div', 'padding: 0 6px;' );
+
+    const filterElement = TranslationEditor.createElement( 'label', 'display: block; padding: 6px;' );
+    this.shownOnScreenCheckbox = TranslationEditor.createElement( 'input', '' );
+    this.shownOnScreenCheckbox.type = 'checkbox';
+    this.shownOnScreenCheckbox.checked = true;
+    this.shownOnScreenCheckbox.addEventListener( 'change', () => this.refresh() );
+    filterElement.append( this.shownOnScreenCheckbox, ` ${translationEditorStrings.shownOnScreenStringProperty.value}` );
+
+    this.searchInput = TranslationEditor.createElement( 'input', 'margin: 0 6px 6px;' );
+    this.searchInput.type = 'search';
+    this.searchInput.placeholder = translationEditorStrings.searchStringProperty.value;
+    this.searchInput.addEventListener( 'input', () => this.refresh() );
+
+    const urlElement = TranslationEditor.createElement( 'div', 'display: flex; padding: 0 6px 6px;' );
+    const urlInput = TranslationEditor.createElement( 'input', 'flex: 1;' );
+    urlInput.type = 'url';
+    const loadURLButton = TranslationEditor.createElement( 'button', '' );
+    loadURLButton.textContent = translationEditorStrings.loadURLStringProperty.value;
+    loadURLButton.addEventListener( 'click', () => {
+      urlInput.value && stringPacks.loadFromURL( urlInput.value, ( pack, error ) => this.onPackLoaded( pack, error ) );
+    } );
+    urlElement.append( urlInput, loadURLButton );
+
+    this.statusElement = TranslationEditor.createElement( 'div', 'padding: 0 6px 6px; color: #a00;' );
+    this.listElement = TranslationEditor.createElement( 'div', 'flex: 1; overflow-y: auto; border-top: 1px solid #ccc;' );
+
+    this.domElement.append( titleElement, this.localeElement, filterElement, this.searchInput, urlElement,
+      this.statusElement, this.listElement );
+    document.body.appendChild( this.domElement );
+
+    sim.topLayer.addChild( this.highlightNode );
+
+    stringPacks.enableDrop( ( pack, error ) => this.onPackLoaded( pack, error ) );
+
+    this.visibleProperty.link( visible => {
+      this.domElement.style.display = visible ? 'flex' : 'none';
+      visible ? this.refresh() : this.highlight( null );
+    } );
+    sim.selectedScreenProperty.lazyLink( () => this.visibleProperty.value && this.refresh() );
+    localeProperty.lazyLink( () => this.visibleProperty.value && this.refresh() );
+  }
+
+  /**
+   * Selects the locale of a pack that was loaded, and shows the result.
+   */
+  public onPackLoaded( pack: StringPack | null, error: string | null ): void {
+    if ( pack ) {
+      localeProperty.value = pack.locale;
+      this.statusElement.textContent = StringUtils.fillIn( translationEditorStrings.loadedPatternStringProperty, { locale: pack.locale } );
+    }
+    else {
+      this.statusElement.textContent = error;
+    }
+  }
+
+  // Lists the strings that match the filters, with an input for each
+  private refresh(): void {
+    const locale = localeProperty.value;
+
+    // @ts-ignore - "Element implicitly has any type" because string cannot be used to access a type
+    const localeInfo = localeInfoModule[ locale ];
+    this.localeElement.textContent = StringUtils.fillIn( translationEditorStrings.localePatternStringProperty, {
+      locale: `${localeInfo.localizedName} (${locale})`
+    } );
+    this.localeElement.dir = localeInfo.direction;
+
+    const shownTexts = this.shownOnScreenCheckbox.checked ? this.getShownTexts() : null;
+    const search = this.searchInput.value.toLowerCase();
+
+    const rows = localizedStrings.filter( localizedString => {
+      const value = localizedString.property.value;
+      return ( !shownTexts || _.some( shownTexts, shownText => TranslationEditor.isShownIn( value, shownText.text ) ) ) &&
+             ( !search || localizedString.stringKey.toLowerCase().includes( search ) || value.toLowerCase().includes( search ) );
+    } ).map( localizedString => {
+      const row = TranslationEditor.createElement( 'div', 'padding: 4px 6px; border-bottom: 1px solid #eee;' );
+      const keyElement = TranslationEditor.createElement( 'div', 'color: #666; word-break: break-all;' );
+      keyElement.textContent = localizedString.stringKey;
+
+      const valueInput = TranslationEditor.createElement( 'textarea', 'box-sizing: border-box; width: 100%; resize: vertical;' );
+      valueInput.rows = 1;
+      valueInput.dir = localeInfo.direction;
+      valueInput.value = localizedString.property.value;
+      valueInput.addEventListener( 'input', () => {
+        stringPacks.setString( localizedString.stringKey, valueInput.value );
+        this.highlight( valueInput.value );
+      } );
+
+      const highlightValue = () => this.highlight( localizedString.property.value );
+      row.addEventListener( 'mouseenter', highlightValue );
+      valueInput.addEventListener( 'focus', highlightValue );
+      row.addEventListener( 'mouseleave', () => this.highlight( null ) );
+      valueInput.addEventListener( 'blur', () => this.highlight( null ) );
+
+      row.append( keyElement, valueInput );
+      return row;
+    } );
+
+    this.listElement.innerHTML = '';
+    this.listElement.append( ...rows );
+  }
+
+  // Highlights the Nodes that show a string, or nothing for null
+  private highlight( value: string | null ): void {
+    const shownTexts = value === null ? [] : this.getShownTexts().filter( shownText => TranslationEditor.isShownIn( value, shownText.text ) );
+    this.highlightNode.children = shownTexts.map( shownText => {
+      return Rectangle.bounds( this.highlightNode.globalToLocalBounds( shownText.globalBounds ).dilated( 2 ), {
+        stroke: HIGHLIGHT_COLOR,
+        lineWidth: 2
+      } );
+    } );
+  }
+
+  // The visible Text and RichText of the sim, excluding the highlights
+  private getShownTexts(): ShownText[] {
+    const shownTexts: ShownText[] = [];
+    const visit = ( node: Node, matrix: Matrix3 ) => {
+      if ( node.visible && node !== this.highlightNode ) {
+        if ( node instanceof Text || node instanceof RichText ) {
+          shownTexts.push( { text: node.text, globalBounds: node.localBounds.transformed( matrix ) } );
+        }
+        node.children.forEach( child => visit( child, matrix.timesMatrix( child.matrix ) ) );
+      }
+    };
+    visit( this.sim.rootNode, this.sim.rootNode.getLocalToGlobalMatrix() );
+    return shownTexts;
+  }
+
+  // Whether a string is shown in a Text, ignoring its placeholders and markup
+  private static isShownIn( value: string, text: string ): boolean {
+    const parts = value.split( PLACEHOLDER_REGEX ).map( part => part.trim() ).filter( part => part.length > 0 );
+
+    // Single characters are found almost everywhere, so they need to match the whole text
+    return _.some( parts, part => part.length > 1 ) ? _.every( parts, part => text.includes( part ) ) : value.trim() === text.trim();
+  }
+
+  private static createElement<K extends keyof HTMLElementTagNameMap>( tagName: K, style: string ): HTMLElementTagNameMap[ K ] {
+    const element = document.createElement( tagName );
+    element.style.cssText = style;
+    return element;
+  }
+}
+
+joist.register( 'TranslationEditor', TranslationEditor );
+export default TranslationEditor;
@@ -7,10 +7,11 @@
  */
 
 import stepTimer from '../../axon/js/stepTimer.js';
-import { EmptySelfOptions } from '../../phet-core/js/optionize.js';
+import optionize, { EmptySelfOptions } from '../../phet-core/js/optionize.js';
 import { Node } from '../../scenery/js/imports.js';
 import Dialog, { DialogOptions } from '../../sun/js/Dialog.js';
 import joist from './joist.js';
+import JoistColors from './JoistColors.js';
 import updateCheck from './updateCheck.js';
 import UpdateNodes from './UpdateNodes.js';
 import UpdateState from './UpdateState.js';
@@ -55,7 +56,11 @@ export default class UpdateDialog extends Dialog {
       tagName: 'div'
     } );
 
-    super( content, providedOptions );
+    const options = optionize<UpdateDialogOptions, SelfOptions, DialogOptions>()( {
+      fill: JoistColors.dialogFillColorProperty
+    }, providedOptions );
+
+    super( content, options );
 
     const updateOutOfDateNode = () => {
 
@@ -64,7 +69,7 @@ export default class UpdateDialog extends Dialog {
       const ourVersionString = updateCheck.ourVersion.toString();
 
       outOfDateNode.children = [
-        UpdateNodes.createOutOfDateDialogNode( this, ourVersionString, latestVersionString, positionOptions )
+        UpdateNodes.createOutOfDateDialogNode( this, ourVersionString, latestVersionString, updateCheck.releaseNotes, positionOptions )
       ];
     };
 
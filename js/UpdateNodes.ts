@@ -4,11 +4,12 @@
  * UI parts for update-related dialogs
  */
 
+import escapeHTML from '../../phet-core/js/escapeHTML.js';
 import merge from '../../phet-core/js/merge.js';
 import StringUtils from '../../phetcommon/js/util/StringUtils.js';
 import PhetFont from '../../scenery-phet/js/PhetFont.js';
 import SpinningIndicatorNode from '../../scenery-phet/js/SpinningIndicatorNode.js';
-import { allowLinksProperty, HBox, Node, openPopup, Path, Rectangle, RichText, RichTextLinks, VBox, VoicingText, VStrut } from '../../scenery/js/imports.js';
+import { allowLinksProperty, HBox, Node, openPopup, Path, Rectangle, RichText, RichTextLinks, VBox, VoicingRichText, VoicingText, VStrut } from '../../scenery/js/imports.js';
 import checkSolidShape from '../../sherpa/js/fontawesome-5/checkSolidShape.js';
 import exclamationTriangleSolidShape from '../../sherpa/js/fontawesome-5/exclamationTriangleSolidShape.js';
 import TextPushButton from '../../sun/js/buttons/TextPushButton.js';
@@ -134,10 +135,11 @@ const UpdateNodes = {
   /**
    * "Out-of-date" state node for the "Check for update" dialog.
    * dialog - the dialog, so that it can be closed with the "No thanks..." button
+   * releaseNotes - describes what changed in the latest version, shown as a list if not empty
    * [options] - passed to the Node
    * (joist-internal)
    */
-  createOutOfDateDialogNode: function( dialog: UpdateDialog, ourVersionString: string, latestVersionString: string, options: Options ): Node {
+  createOutOfDateDialogNode: function( dialog: UpdateDialog, ourVersionString: string, latestVersionString: string, releaseNotes: string[], options: Options ): Node {
 
     const latestVersionStringProperty = new DerivedProperty( [ JoistStrings.updates.newVersionAvailableStringProperty ], string => {
       return StringUtils.format( string, latestVersionString );
@@ -160,6 +162,7 @@ const UpdateNodes = {
             } )
           ]
         } ),
+        ...( releaseNotes.length > 0 ? [ UpdateNodes.createReleaseNotesNode( releaseNotes ) ] : [] ),
         new HBox( {
           spacing: 25, children: [
             new TextPushButton( JoistStrings.updates.getUpdateStringProperty, {
@@ -181,6 +184,31 @@ const UpdateNodes = {
     }, options ) );
   },
 
+  /**
+   * List of release notes for the latest version. Notes come from the update provider, so they are escaped instead of
+   * being interpreted as RichText markup.
+   * (joist-internal)
+   */
+  createReleaseNotesNode: function( releaseNotes: string[] ): Node {
+    return new VBox( {
+      spacing: 5,
+      align: 'left',
+      children: [
+        new VoicingText( JoistStrings.updates.releaseNotesStringProperty, {
+          font: UPDATE_TEXT_FONT,
+          fontWeight: 'bold'
+        } ),
+        ...releaseNotes.map( releaseNote => new VoicingRichText( `\u2022 ${escapeHTML( releaseNote )}`, {
+          font: UPDATE_TEXT_FONT,
+          lineWrap: MAX_WIDTH - 20
+        } ) )
+      ],
+
+      // pdom
+      tagName: 'div'
+    } );
+  },
+
   /**
    * "Offline" state node
    * [options] - passed to the Node
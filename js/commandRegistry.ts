@@ -0,0 +1,284 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * The registry of commands: named actions of joist and of the sim that can be triggered with a keyboard shortcut or by
+ * name from the CommandPalette. Joist registers its own commands (see registerJoistCommands), and sims can add
+ * theirs:
+ *
+ * commandRegistry.register( {
+ *   id: 'myMainSim.launch',
+ *   nameProperty: MyMainSimStrings.launchStringProperty,
+ *   execute: () => model.launch(),
+ *   defaultShortcut: 'alt+shift+KeyL'
+ * } );
+ *
+ * A shortcut is a KeyboardEvent.code with its modifiers, in the order ctrl, alt, shift, meta, for example
+ * 'alt+shift+KeyP'. A shortcut can only be used by one command. The user can change the shortcuts in the
+ * PreferencesDialog, and the changes are kept in customShortcutsProperty, which is persisted by PreferencesStorage.
+ * The KeyboardHelpDialog lists the commands that have a shortcut, see CommandsKeyboardHelpNode.
+ */
+
+import Property from '../../axon/js/Property.js';
+import TinyEmitter from '../../axon/js/TinyEmitter.js';
+import TReadOnlyProperty from '../../axon/js/TReadOnlyProperty.js';
+import platform from '../../phet-core/js/platform.js';
+import { globalKeyStateTracker, KeyboardUtils } from '../../scenery/js/imports.js';
+import joist from './joist.js';
+
+// in the order that they appear in a shortcut
+const MODIFIERS = [ 'ctrl', 'alt', 'shift', 'meta' ];
+
+// Keys that are used to navigate and activate components, so they can't be a shortcut without a modifier
+const RESERVED_CODES = [ 'Tab', 'Enter', 'NumpadEnter', 'Space', 'Escape' ];
+
+export type Command = {
+
+  // unique, prefixed with 'joist.' for joist commands and with the sim name for sim commands
+  id: string;
+
+  // describes the action, like "Open Preferences"
+  nameProperty: TReadOnlyProperty<string>;
+  execute: () => void;
+
+  // the command is not listed or executed while this is false
+  enabledProperty?: TReadOnlyProperty<boolean>;
+
+  // the shortcut unless the user changes it, null for commands that are only in the CommandPalette
+  defaultShortcut?: string | null;
+};
+
+// shortcuts that the user changed, by command id. null removes the shortcut of a command.
+export type CustomShortcuts = Record<string, string | null>;
+
+export class CommandRegistry {
+
+  private readonly commands: Command[] = [];
+
+  // (joist-internal) persisted by PreferencesModel
+  public readonly customShortcutsProperty = new Property<CustomShortcuts>( {} );
+
+  // Emits when commands are registered or unregistered, or when a shortcut changes
+  public readonly commandsChangedEmitter = new TinyEmitter();
+
+  // Receives the next shortcut instead of executing it, see captureShortcut
+  private captureCallback: ( ( shortcut: string | null ) => void ) | null = null;
+
+  private readonly disposeCommandRegistry: () => void;
+
+  public constructor() {
+    this.customShortcutsProperty.lazyLink( () => this.commandsChangedEmitter.emit() );
+
+    const keydownListener = ( event: KeyboardEvent ) => this.handleKeydown( event );
+    globalKeyStateTracker.keydownEmitter.addListener( keydownListener );
+
+    this.disposeCommandRegistry = () => {
+      globalKeyStateTracker.keydownEmitter.removeListener( keydownListener );
+    };
+  }
+
+  /**
+   * Adds a command. Its default shortcut must not be the default shortcut of another command. A default shortcut that
+   * the user chose for another command is left out, so that the user's shortcut keeps working. Without assertions, a
+   * conflicting default shortcut is left out too.
+   */
+  public register( command: Command ): void {
+    assert && assert( !this.getCommand( command.id ), `command is already registered: ${command.id}` );
+
+    const defaultShortcut = command.defaultShortcut || null;
+    if ( defaultShortcut ) {
+      assert && assert( CommandRegistry.isValidShortcut( defaultShortcut ), `invalid shortcut: ${defaultShortcut}` );
+      const defaultConflict = _.find( this.commands, registered => registered.defaultShortcut === defaultShortcut );
+      assert && assert( !defaultConflict, `${defaultShortcut} of ${command.id} is already the default of ${defaultConflict && defaultConflict.id}` );
+
+      // Custom shortcuts are stored with the preferences, and may be from before this command was available
+      const conflict = this.customShortcutsProperty.value.hasOwnProperty( command.id ) ? null : this.getCommandForShortcut( defaultShortcut );
+      if ( conflict ) {
+        !defaultConflict && console.warn( `commandRegistry: ${defaultShortcut} is used by ${conflict.id}, so ${command.id} has no shortcut` );
+        command = _.assign( {}, command, { defaultShortcut: null } );
+      }
+    }
+    this.commands.push( command );
+    command.enabledProperty && command.enabledProperty.lazyLink( () => this.commandsChangedEmitter.emit() );
+    this.commandsChangedEmitter.emit();
+  }
+
+  public unregister( id: string ): void {
+    const command = this.getCommand( id );
+    assert && assert( command, `command is not registered: ${id}` );
+    this.commands.splice( this.commands.indexOf( command! ), 1 );
+    this.commandsChangedEmitter.emit();
+  }
+
+  public getCommand( id: string ): Command | null {
+    return _.find( this.commands, command => command.id === id ) || null;
+  }
+
+  /**
+   * Gets the commands in the order they were registered. With onlyEnabled, commands that are disabled are left out.
+   */
+  public getCommands( onlyEnabled = false ): Command[] {
+    return this.commands.filter( command => !onlyEnabled || CommandRegistry.isEnabled( command ) );
+  }
+
+  /**
+   * Executes a command by id, if it is enabled. Returns whether it was executed.
+   */
+  public execute( id: string ): boolean {
+    const command = this.getCommand( id );
+    assert && assert( command, `command is not registered: ${id}` );
+    if ( command && CommandRegistry.isEnabled( command ) ) {
+      command.execute();
+      return true;
+    }
+    return false;
+  }
+
+  public getShortcut( id: string ): string | null {
+    const customShortcuts = this.customShortcutsProperty.value;
+    if ( customShortcuts.hasOwnProperty( id ) ) {
+      return customShortcuts[ id ];
+    }
+    const command = this.getCommand( id );
+    return ( command && command.defaultShortcut ) || null;
+  }
+
+  /**
+   * Gets the command that uses a shortcut, or null if it is free.
+   */
+  public getCommandForShortcut( shortcut: string ): Command | null {
+    return _.find( this.commands, command => this.getShortcut( command.id ) === shortcut ) || null;
+  }
+
+  /**
+   * Changes the shortcut of a command, null removes it. Throws an Error if another command uses the shortcut.
+   */
+  public setShortcut( id: string, shortcut: string | null ): void {
+    assert && assert( this.getCommand( id ), `command is not registered: ${id}` );
+    if ( shortcut !== null ) {
+      if ( !CommandRegistry.isValidShortcut( shortcut ) ) {
+        throw new Error( `invalid shortcut: ${shortcut}` );
+      }
+      const conflict = this.getCommandForShortcut( shortcut );
+      if ( conflict && conflict.id !== id ) {
+        throw new Error( `${shortcut} is already used by ${conflict.id}` );
+      }
+    }
+    this.customShortcutsProperty.value = _.assign( {}, this.customShortcutsProperty.value, { [ id ]: shortcut } );
+  }
+
+  /**
+   * Restores the default shortcuts of all commands.
+   */
+  public resetShortcuts(): void {
+    this.customShortcutsProperty.value = {};
+  }
+
+  /**
+   * Calls back with the next shortcut that the user presses, instead of executing it. Escape calls back with null.
+   */
+  public captureShortcut( callback: ( shortcut: string | null ) => void ): void {
+    this.captureCallback = callback;
+  }
+
+  public cancelCapture(): void {
+    this.captureCallback = null;
+  }
+
+  public dispose(): void {
+    this.disposeCommandRegistry();
+  }
+
+  private handleKeydown( event: KeyboardEvent ): void {
+    if ( CommandRegistry.isTextInput( event.target ) ) {
+      return;
+    }
+
+    const shortcut = CommandRegistry.getEventShortcut( event );
+    if ( this.captureCallback ) {
+      const code = KeyboardUtils.getEventCode( event );
+      if ( code === 'Escape' || CommandRegistry.isValidShortcut( shortcut ) ) {
+        event.preventDefault();
+        const callback = this.captureCallback;
+        this.captureCallback = null;
+        callback( code === 'Escape' ? null : shortcut );
+      }
+      return;
+    }
+
+    const command = this.getCommandForShortcut( shortcut );
+    if ( command && CommandRegistry.isEnabled( command ) ) {
+      event.preventDefault();
+      command.execute();
+    }
+  }
+
+  private static isEnabled( command: Command ): boolean {
+    return !command.enabledProperty || command.enabledProperty.value;
+  }
+
+  // Shortcuts are not handled while typing
+  private static isTextInput( target: EventTarget | null ): boolean {
+    return target instanceof HTMLTextAreaElement ||
+           ( target instanceof HTMLInputElement && ![ 'range', 'checkbox', 'radio', 'button' ].includes( target.type ) ) ||
+           ( target instanceof HTMLElement && target.isContentEditable );
+  }
+
+  /**
+   * Gets the shortcut of a keyboard event, like 'alt+shift+KeyP'.
+   */
+  public static getEventShortcut( event: KeyboardEvent ): string {
+    const modifiers = MODIFIERS.filter( modifier => event[ `${modifier}Key` as 'ctrlKey' | 'altKey' | 'shiftKey' | 'metaKey' ] );
+    return [ ...modifiers, KeyboardUtils.getEventCode( event ) ].join( '+' );
+  }
+
+  /**
+   * Splits a shortcut into its modifiers and its KeyboardEvent.code.
+   */
+  public static parseShortcut( shortcut: string ): { modifiers: string[]; code: string } {
+    const parts = shortcut.split( '+' );
+    return { modifiers: parts.slice( 0, -1 ), code: parts[ parts.length - 1 ] };
+  }
+
+  /**
+   * A shortcut is valid if its modifiers are in order, and it has a key that isn't just a modifier. Keys that are used
+   * for navigation need a modifier.
+   */
+  public static isValidShortcut( shortcut: string ): boolean {
+    const { modifiers, code } = CommandRegistry.parseShortcut( shortcut );
+    const isModifierKey = /^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/.test( code );
+    const modifierIndices = modifiers.map( modifier => MODIFIERS.indexOf( modifier ) );
+    return !!code && !isModifierKey &&
+           _.every( modifierIndices, ( modifierIndex, i ) => modifierIndex >= 0 && ( i === 0 || modifierIndex > modifierIndices[ i - 1 ] ) ) &&
+           ( modifiers.length > 0 || !RESERVED_CODES.includes( code ) );
+  }
+
+  /**
+   * Gets the name of a key in a shortcut, like 'P' for 'KeyP'.
+   */
+  public static getKeyLabel( code: string ): string {
+    return code.replace( /^(Key|Digit)/, '' );
+  }
+
+  /**
+   * Gets the name of a modifier in a shortcut, for the platform.
+   */
+  public static getModifierLabel( modifier: string ): string {
+    return modifier === 'ctrl' ? 'Ctrl' :
+           modifier === 'alt' ? ( platform.mac ? 'Option' : 'Alt' ) :
+           modifier === 'shift' ? 'Shift' :
+           ( platform.mac ? 'Cmd' : 'Meta' );
+  }
+
+  /**
+   * Gets a shortcut as text, like 'Alt+Shift+P'.
+   */
+  public static getShortcutLabel( shortcut: string ): string {
+    const { modifiers, code } = CommandRegistry.parseShortcut( shortcut );
+    return [ ...modifiers.map( CommandRegistry.getModifierLabel ), CommandRegistry.getKeyLabel( code ) ].join( '+' );
+  }
+}
+
+const commandRegistry = new CommandRegistry();
+
+joist.register( 'commandRegistry', commandRegistry );
+export default commandRegistry;
@@ -0,0 +1,143 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for the shortcuts of CommandRegistry.
+ */
+
+import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import StringProperty from '../../axon/js/StringProperty.js';
+import { CommandRegistry } from './commandRegistry.js';
+
+QUnit.module( 'commandRegistry' );
+
+// Registers commands that count their executions. Dispose the registry, so that it doesn't receive key presses.
+const createRegistry = ( defaultShortcuts: Record<string, string | null> ) => {
+  const registry = new CommandRegistry();
+  const counts: Record<string, number> = {};
+  _.forEach( defaultShortcuts, ( defaultShortcut, id ) => {
+    counts[ id ] = 0;
+    registry.register( {
+      id: id,
+      nameProperty: new StringProperty( id ),
+      execute: () => counts[ id ]++,
+      defaultShortcut: defaultShortcut
+    } );
+  } );
+  return { registry: registry, counts: counts };
+};
+
+QUnit.test( 'isValidShortcut', assert => {
+  assert.ok( CommandRegistry.isValidShortcut( 'alt+shift+KeyP' ), 'modifiers in order' );
+  assert.ok( CommandRegistry.isValidShortcut( 'KeyP' ), 'a key without modifiers' );
+  assert.ok( CommandRegistry.isValidShortcut( 'ctrl+Enter' ), 'a navigation key with a modifier' );
+  assert.ok( !CommandRegistry.isValidShortcut( 'shift+alt+KeyP' ), 'modifiers out of order' );
+  assert.ok( !CommandRegistry.isValidShortcut( 'alt+alt+KeyP' ), 'a repeated modifier' );
+  assert.ok( !CommandRegistry.isValidShortcut( 'alt+ShiftLeft' ), 'only modifiers' );
+  assert.ok( !CommandRegistry.isValidShortcut( 'Tab' ), 'a navigation key without a modifier' );
+  assert.ok( !CommandRegistry.isValidShortcut( 'super+KeyP' ), 'an unknown modifier' );
+} );
+
+QUnit.test( 'conflicting default shortcuts', assert => {
+  const { registry } = createRegistry( { first: 'alt+KeyA' } );
+  const registerSecond = () => registry.register( {
+    id: 'second',
+    nameProperty: new StringProperty( 'second' ),
+    execute: _.noop,
+    defaultShortcut: 'alt+KeyA'
+  } );
+
+  if ( window.assert ) {
+    assert.throws( registerSecond, 'a default shortcut that is the default of another command' );
+  }
+  else {
+    registerSecond();
+    assert.equal( registry.getShortcut( 'first' ), 'alt+KeyA', 'the first command keeps its shortcut' );
+    assert.equal( registry.getShortcut( 'second' ), null, 'the second command is registered without it' );
+    assert.equal( registry.getCommandForShortcut( 'alt+KeyA' )!.id, 'first' );
+  }
+  registry.dispose();
+} );
+
+QUnit.test( 'default shortcuts that are custom shortcuts', assert => {
+
+  // Keep the console quiet
+  const consoleWarn = console.warn;
+  console.warn = _.noop;
+
+  const { registry } = createRegistry( { first: 'alt+KeyA' } );
+  registry.setShortcut( 'first', 'alt+KeyB' );
+  registry.register( {
+    id: 'second',
+    nameProperty: new StringProperty( 'second' ),
+    execute: _.noop,
+    defaultShortcut: 'alt+KeyB'
+  } );
+  assert.equal( registry.getShortcut( 'first' ), 'alt+KeyB', 'the custom shortcut is kept' );
+  assert.equal( registry.getShortcut( 'second' ), null, 'the new command is registered without its default' );
+
+  // Like custom shortcuts that PreferencesStorage applies before the command is registered
+  registry.customShortcutsProperty.value = _.assign( {}, registry.customShortcutsProperty.value, { third: 'alt+KeyC' } );
+  registry.register( {
+    id: 'third',
+    nameProperty: new StringProperty( 'third' ),
+    execute: _.noop,
+    defaultShortcut: 'alt+KeyB'
+  } );
+  assert.equal( registry.getShortcut( 'third' ), 'alt+KeyC', 'a custom shortcut of the command itself is used' );
+  assert.equal( registry.getCommandForShortcut( 'alt+KeyB' )!.id, 'first' );
+
+  registry.dispose();
+  console.warn = consoleWarn;
+} );
+
+QUnit.test( 'setShortcut', assert => {
+  const { registry } = createRegistry( { first: 'alt+KeyA', second: 'alt+KeyB' } );
+  let changes = 0;
+  registry.commandsChangedEmitter.addListener( () => changes++ );
+
+  assert.throws( () => registry.setShortcut( 'second', 'alt+KeyA' ), 'a shortcut of another command' );
+  assert.throws( () => registry.setShortcut( 'second', 'shift+alt+KeyC' ), 'an invalid shortcut' );
+  assert.equal( changes, 0, 'rejected shortcuts are not changes' );
+
+  registry.setShortcut( 'first', 'alt+KeyC' );
+  registry.setShortcut( 'second', 'alt+KeyA' );
+  assert.equal( registry.getShortcut( 'second' ), 'alt+KeyA', 'a shortcut can be reused after it is changed' );
+
+  registry.setShortcut( 'first', null );
+  assert.equal( registry.getShortcut( 'first' ), null, 'null clears a default shortcut' );
+  assert.deepEqual( registry.customShortcutsProperty.value, { first: null, second: 'alt+KeyA' }, 'only changes are kept' );
+  assert.equal( changes, 3 );
+
+  registry.resetShortcuts();
+  assert.equal( registry.getShortcut( 'first' ), 'alt+KeyA', 'defaults are restored' );
+  assert.equal( registry.getShortcut( 'second' ), 'alt+KeyB', 'defaults are restored' );
+  registry.dispose();
+} );
+
+QUnit.test( 'execute', assert => {
+  const { registry, counts } = createRegistry( { first: null } );
+  const enabledProperty = new BooleanProperty( true );
+  registry.register( {
+    id: 'toggled',
+    nameProperty: new StringProperty( 'toggled' ),
+    execute: () => counts.first++,
+    enabledProperty: enabledProperty
+  } );
+
+  assert.ok( registry.execute( 'first' ) );
+  assert.ok( registry.execute( 'toggled' ) );
+  assert.equal( counts.first, 2 );
+
+  enabledProperty.value = false;
+  assert.ok( !registry.execute( 'toggled' ), 'disabled commands are not executed' );
+  assert.deepEqual( registry.getCommands( true ).map( command => command.id ), [ 'first' ], 'disabled commands are not listed' );
+  assert.equal( counts.first, 2 );
+  registry.dispose();
+} );
+
+QUnit.test( 'getShortcutLabel', assert => {
+  assert.equal( CommandRegistry.getKeyLabel( 'KeyP' ), 'P' );
+  assert.equal( CommandRegistry.getKeyLabel( 'Digit1' ), '1' );
+  assert.equal( CommandRegistry.getKeyLabel( 'ArrowUp' ), 'ArrowUp' );
+  assert.equal( CommandRegistry.getShortcutLabel( 'ctrl+shift+KeyP' ), 'Ctrl+Shift+P' );
+} );
@@ -0,0 +1,127 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Creates a ZIP archive of files, so that several files (like the Diagnostics bundle and its screenshot) can be saved
+ * as a single file. Files are stored without compression, since the content is small or already compressed (PNG).
+ */
+
+import joist from './joist.js';
+
+export type ZipFile = {
+  name: string;
+
+  // strings are encoded as UTF-8
+  content: string | Uint8Array;
+};
+
+// Signatures of the records of the ZIP format
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// version 2.0 of the format, and the flag that names are UTF-8
+const VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+// Lookup table for CRC-32, which each file entry includes
+const CRC_TABLE = _.range( 256 ).map( n => {
+  let c = n;
+  for ( let k = 0; k < 8; k++ ) {
+    c = c & 1 ? 0xedb88320 ^ ( c >>> 1 ) : c >>> 1;
+  }
+  return c >>> 0;
+} );
+
+const crc32 = ( bytes: Uint8Array ): number => {
+  let crc = 0xffffffff;
+  for ( let i = 0; i < bytes.length; i++ ) {
+    crc = CRC_TABLE[ ( crc ^ bytes[ i ] ) & 0xff ] ^ ( crc >>> 8 );
+  }
+  return ( crc ^ 0xffffffff ) >>> 0;
+};
+
+/**
+ * @param files
+ * @param [date] - the modification date of the files
+ */
+const createZip = ( files: ZipFile[], date = new Date() ): Uint8Array => {
+  const encoder = new TextEncoder();
+
+  // MS-DOS time and date, which have a resolution of 2 seconds
+  const time = ( date.getHours() << 11 ) | ( date.getMinutes() << 5 ) | Math.floor( date.getSeconds() / 2 );
+  const day = ( ( date.getFullYear() - 1980 ) << 9 ) | ( ( date.getMonth() + 1 ) << 5 ) | date.getDate();
+
+  const entries = files.map( file => {
+    const name = encoder.encode( file.name );
+    const content = typeof file.content === 'string' ? encoder.encode( file.content ) : file.content;
+    return { name: name, content: content, crc: crc32( content ) };
+  } );
+
+  const localSize = _.sum( entries.map( entry => 30 + entry.name.length + entry.content.length ) );
+  const centralSize = _.sum( entries.map( entry => 46 + entry.name.length ) );
+  const bytes = new Uint8Array( localSize + centralSize + 22 );
+  const view = new DataView( bytes.buffer );
+  let offset = 0;
+
+  const write16 = ( value: number ) => {
+    view.setUint16( offset, value, true );
+    offset += 2;
+  };
+  const write32 = ( value: number ) => {
+    view.setUint32( offset, value, true );
+    offset += 4;
+  };
+  const writeBytes = ( value: Uint8Array ) => {
+    bytes.set( value, offset );
+    offset += value.length;
+  };
+
+  // The fields that the local file header and the central directory header share
+  const writeEntryFields = ( entry: typeof entries[ number ] ) => {
+    write16( VERSION );
+    write16( UTF8_FLAG );
+    write16( 0 ); // stored, without compression
+    write16( time );
+    write16( day );
+    write32( entry.crc );
+    write32( entry.content.length ); // compressed size
+    write32( entry.content.length );
+    write16( entry.name.length );
+    write16( 0 ); // extra field length
+  };
+
+  const localOffsets = entries.map( entry => {
+    const localOffset = offset;
+    write32( LOCAL_FILE_HEADER );
+    writeEntryFields( entry );
+    writeBytes( entry.name );
+    writeBytes( entry.content );
+    return localOffset;
+  } );
+
+  entries.forEach( ( entry, i ) => {
+    write32( CENTRAL_DIRECTORY_HEADER );
+    write16( VERSION ); // version made by
+    writeEntryFields( entry );
+    write16( 0 ); // comment length
+    write16( 0 ); // disk number
+    write16( 0 ); // internal attributes
+    write32( 0 ); // external attributes
+    write32( localOffsets[ i ] );
+    writeBytes( entry.name );
+  } );
+
+  write32( END_OF_CENTRAL_DIRECTORY );
+  write16( 0 ); // number of this disk
+  write16( 0 ); // disk where the central directory starts
+  write16( entries.length );
+  write16( entries.length );
+  write32( centralSize );
+  write32( localSize );
+  write16( 0 ); // comment length
+
+  return bytes;
+};
+
+joist.register( 'createZip', createZip );
+export default createZip;
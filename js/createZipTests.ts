@@ -0,0 +1,64 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for createZip, which read the archive back like an unzip tool would, from the central directory.
+ */
+
+import createZip from './createZip.js';
+
+// Reads the names and contents of the files in an archive without compression
+const readZip = ( bytes: Uint8Array ) => {
+  const view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
+  const decoder = new TextDecoder();
+
+  const end = bytes.length - 22;
+  const count = view.getUint16( end + 10, true );
+  let offset = view.getUint32( end + 16, true );
+
+  return _.range( count ).map( () => {
+    const crc = view.getUint32( offset + 16, true );
+    const size = view.getUint32( offset + 24, true );
+    const nameLength = view.getUint16( offset + 28, true );
+    const localOffset = view.getUint32( offset + 42, true );
+    const name = decoder.decode( bytes.subarray( offset + 46, offset + 46 + nameLength ) );
+    offset += 46 + nameLength;
+
+    const contentOffset = localOffset + 30 + view.getUint16( localOffset + 26, true );
+    return {
+      localSignature: view.getUint32( localOffset, true ),
+      name: name,
+      crc: crc,
+      content: bytes.subarray( contentOffset, contentOffset + size )
+    };
+  } );
+};
+
+QUnit.module( 'createZip' );
+
+QUnit.test( 'files can be read back', assert => {
+  const zip = createZip( [
+    { name: 'hello.txt', content: 'hello' },
+    { name: 'bytes.bin', content: new Uint8Array( [ 0, 1, 255 ] ) },
+    { name: 'résumé.json', content: '{"ok":true}' }
+  ], new Date( 2022, 9, 19, 12, 30, 10 ) );
+
+  const view = new DataView( zip.buffer );
+  assert.equal( view.getUint32( 0, true ), 0x04034b50, 'starts with a local file header' );
+  assert.equal( view.getUint32( zip.length - 22, true ), 0x06054b50, 'ends with the end of central directory record' );
+  assert.equal( view.getUint16( 10, true ), ( 12 << 11 ) | ( 30 << 5 ) | 5, 'MS-DOS time' );
+  assert.equal( view.getUint16( 12, true ), ( 42 << 9 ) | ( 10 << 5 ) | 19, 'MS-DOS date' );
+
+  const files = readZip( zip );
+  assert.deepEqual( files.map( file => file.name ), [ 'hello.txt', 'bytes.bin', 'résumé.json' ], 'names, in UTF-8' );
+  assert.ok( files.every( file => file.localSignature === 0x04034b50 ), 'the central directory points to the local headers' );
+  assert.equal( new TextDecoder().decode( files[ 0 ].content ), 'hello' );
+  assert.equal( files[ 0 ].crc, 0x3610a686, 'CRC-32 of "hello"' );
+  assert.deepEqual( Array.from( files[ 1 ].content ), [ 0, 1, 255 ] );
+  assert.equal( new TextDecoder().decode( files[ 2 ].content ), '{"ok":true}' );
+} );
+
+QUnit.test( 'empty archive', assert => {
+  const zip = createZip( [] );
+  assert.equal( zip.length, 22, 'only the end of central directory record' );
+  assert.deepEqual( readZip( zip ), [] );
+} );
@@ -7,8 +7,8 @@
  */
 
 import StringProperty from '../../../axon/js/StringProperty.js';
+import TinyEmitter from '../../../axon/js/TinyEmitter.js';
 import localeInfoModule from '../../../chipper/js/data/localeInfoModule.js';
-import { globalKeyStateTracker, KeyboardUtils } from '../../../scenery/js/imports.js';
 import Tandem from '../../../tandem/js/Tandem.js';
 import joist from '../joist.js';
 
@@ -38,7 +38,34 @@ const validInitialLocale = isLocaleValid( phet.chipper.locale ) ? phet.chipper.l
 // Just in case we had an invalid locale, remap phet.chipper.locale to the "corrected" value
 phet.chipper.locale = validInitialLocale;
 
-class LocaleProperty extends StringProperty {
+export class LocaleProperty extends StringProperty {
+
+  // Emits a locale that was added with addLocale
+  public readonly localeAddedEmitter = new TinyEmitter<[ string ]>();
+
+  /**
+   * Makes a locale selectable after startup, for strings that are loaded at runtime, see stringPacks.
+   */
+  public addLocale( locale: string ): void {
+    assert && assert( isLocaleValid( locale ), `locale is not in localeInfoModule: ${locale}` );
+
+    // validValues is the same array
+    if ( !locales.includes( locale ) ) {
+      locales.push( locale );
+      locales.sort();
+      this.localeAddedEmitter.emit( locale );
+    }
+  }
+
+  /**
+   * Undoes addLocale, for tests. The locale can't be selected.
+   */
+  public removeLocale( locale: string ): void {
+    assert && assert( this.value !== locale, `the selected locale can't be removed: ${locale}` );
+
+    _.pull( locales, locale );
+  }
+
   protected override unguardedSet( value: string ): void {
     if ( locales.includes( value ) ) {
       super.unguardedSet( value );
@@ -57,38 +84,6 @@ const localeProperty = new LocaleProperty( validInitialLocale, {
   validValues: locales
 } );
 
-if ( phet.chipper.queryParameters.keyboardLocaleSwitcher ) {
-
-  // DUPLICATION ALERT: don't change these without consulting PHET_IO_WRAPPERS/Client.wireUpKeyboardLocaleSwitcher()
-  const FORWARD_KEY = KeyboardUtils.KEY_I;
-  const BACKWARD_KEY = KeyboardUtils.KEY_U;
-
-  globalKeyStateTracker.keydownEmitter.addListener( ( event: KeyboardEvent ) => {
-
-    const bump = ( delta: number ) => {
-
-      // Ctrl + u in Chrome on Windows is "view source" in a new tab
-      event.preventDefault();
-
-      const index = locales.indexOf( localeProperty.value );
-      const nextIndex = ( index + delta + locales.length ) % locales.length;
-      localeProperty.value = locales[ nextIndex ];
-
-      // Indicate the new locale on the console
-      console.log( localeProperty.value );
-    };
-
-    if ( event.ctrlKey && !event.shiftKey && !event.metaKey && !event.altKey ) {
-      if ( KeyboardUtils.isKeyEvent( event, FORWARD_KEY ) ) {
-        bump( +1 );
-      }
-      else if ( KeyboardUtils.isKeyEvent( event, BACKWARD_KEY ) ) {
-        bump( -1 );
-      }
-    }
-  } );
-}
-
 joist.register( 'localeProperty', localeProperty );
 
 export default localeProperty;
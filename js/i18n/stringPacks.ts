@@ -0,0 +1,231 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Loads translations at runtime, so that translators can see their work without a build. A string pack is a JSON file
+ * with the translated strings of one locale, keyed like phet.chipper.strings:
+ *
+ * {
+ *   "stringPackVersion": 1,
+ *   "locale": "sw",
+ *   "strings": {
+ *     "JOIST/preferences.title": "Mapendeleo",
+ *     "MY_SIM/screen.intro": "Utangulizi"
+ *   }
+ * }
+ *
+ * The strings are added to phet.chipper.strings, and a locale that wasn't built into the sim is added to
+ * localeProperty, so it can be selected in the LocalePanel. Keys that are missing fall back like built-in translations.
+ * Packs can be loaded from a URL (see ?stringPacks), from a file, or from a file dropped onto the sim with
+ * ?translationEditor. The TranslationEditor uses setString to change strings live, and createPack to export them.
+ */
+
+import { localizedStrings } from '../../../chipper/js/getStringModule.js';
+import localeInfoModule from '../../../chipper/js/data/localeInfoModule.js';
+import joist from '../joist.js';
+import loadFromFile from '../loadFromFile.js';
+import saveToFile from '../saveToFile.js';
+import localeOrderProperty from './localeOrderProperty.js';
+import localeProperty from './localeProperty.js';
+
+// Version of the layout of StringPack, increment when it changes
+const STRING_PACK_VERSION = 1;
+
+export type StringPack = {
+  stringPackVersion: number;
+  locale: string;
+  strings: Record<string, string>;
+};
+
+class StringPacks {
+
+  // Locales that have strings from a pack, which are resolved again when the locale changes
+  private readonly packLocales: string[] = [];
+
+  // The strings of each locale in packLocales before the first pack, null for locales that were added, see unload
+  private readonly initialStrings: Record<string, Record<string, string> | null> = {};
+
+  public constructor() {
+
+    // Linked after the LocalizedStrings of chipper, so this overrides them
+    localeOrderProperty.link( localeOrder => {
+      _.some( localeOrder, locale => this.packLocales.includes( locale ) ) && this.resolveStrings( localeOrder );
+    } );
+  }
+
+  /**
+   * Adds the strings of a pack. Throws an Error if the pack is invalid.
+   */
+  public load( pack: StringPack ): void {
+    if ( !pack || typeof pack.locale !== 'string' || !pack.strings || typeof pack.strings !== 'object' ) {
+      throw new Error( 'A string pack needs a locale and strings' );
+    }
+    if ( pack.stringPackVersion !== STRING_PACK_VERSION ) {
+      throw new Error( `Unsupported stringPackVersion: ${pack.stringPackVersion}` );
+    }
+    if ( !localeInfoModule[ pack.locale as keyof typeof localeInfoModule ] ) {
+      throw new Error( `Unknown locale: ${pack.locale}` );
+    }
+    if ( !_.every( pack.strings, value => typeof value === 'string' ) ) {
+      throw new Error( 'The strings of a string pack must be strings' );
+    }
+
+    this.addPackLocale( pack.locale );
+    phet.chipper.strings[ pack.locale ] = _.assign( phet.chipper.strings[ pack.locale ] || {}, pack.strings );
+    localeProperty.addLocale( pack.locale );
+
+    if ( localeOrderProperty.value.includes( pack.locale ) ) {
+      this.resolveStrings( localeOrderProperty.value );
+    }
+  }
+
+  /**
+   * Loads a pack from a URL, absolute or relative to the simulation HTML file. The callback is called with the pack, or
+   * with an error message.
+   */
+  public loadFromURL( url: string, callback?: ( pack: StringPack | null, error: string | null ) => void ): void {
+    const done = ( pack: StringPack | null, error: string | null ) => callback && callback( pack, error );
+
+    const req = new XMLHttpRequest();
+    req.onload = () => {
+
+      // Requests for file: URLs report a status of 0 when successful
+      if ( req.status !== 0 && ( req.status < 200 || req.status >= 300 ) ) {
+        done( null, `Unable to load string pack, status: ${req.status}` );
+        return;
+      }
+      this.loadFromJSON( req.responseText, done );
+    };
+    req.onerror = () => done( null, 'Unable to load string pack' );
+    req.open( 'get', url, true );
+    req.send();
+  }
+
+  /**
+   * Opens the file picker to load a pack.
+   */
+  public loadFromFilePicker( callback?: ( pack: StringPack | null, error: string | null ) => void ): void {
+    loadFromFile( '.json,application/json', content => this.loadFromJSON( content, ( pack, error ) => {
+      callback && callback( pack, error );
+    } ) );
+  }
+
+  /**
+   * Loads packs from JSON files that are dropped onto the page.
+   */
+  public enableDrop( callback?: ( pack: StringPack | null, error: string | null ) => void ): void {
+    window.addEventListener( 'dragover', event => event.preventDefault() );
+    window.addEventListener( 'drop', event => {
+      event.preventDefault();
+      const files = event.dataTransfer ? Array.from( event.dataTransfer.files ) : [];
+      files.forEach( file => {
+        const reader = new window.FileReader();
+        reader.onload = () => this.loadFromJSON( reader.result as string, ( pack, error ) => {
+          callback && callback( pack, error );
+        } );
+        reader.readAsText( file );
+      } );
+    } );
+  }
+
+  private loadFromJSON( json: string, callback: ( pack: StringPack | null, error: string | null ) => void ): void {
+    let pack: StringPack;
+    try {
+      pack = JSON.parse( json );
+      this.load( pack );
+    }
+    catch( e ) {
+      callback( null, e instanceof SyntaxError ? 'Unable to parse string pack' : ( e as Error ).message );
+      return;
+    }
+    callback( pack, null );
+  }
+
+  /**
+   * Changes a string in the selected locale, and keeps it for createPack.
+   */
+  public setString( stringKey: string, value: string ): void {
+    const localizedString = _.find( localizedStrings, localizedString => localizedString.stringKey === stringKey );
+    assert && assert( localizedString, `unknown string key: ${stringKey}` );
+
+    const locale = localeProperty.value;
+    this.addPackLocale( locale );
+    phet.chipper.strings[ locale ] = phet.chipper.strings[ locale ] || {};
+    phet.chipper.strings[ locale ][ stringKey ] = value;
+
+    localizedString!.property.value = value;
+  }
+
+  /**
+   * Creates a pack with the strings that are shown in the selected locale, including those that fall back to other
+   * locales, so that a translator can start from a complete pack.
+   */
+  public createPack(): StringPack {
+    const strings: Record<string, string> = {};
+    localizedStrings.forEach( localizedString => {
+      strings[ localizedString.stringKey ] = localizedString.property.value;
+    } );
+    return {
+      stringPackVersion: STRING_PACK_VERSION,
+      locale: localeProperty.value,
+      strings: strings
+    };
+  }
+
+  /**
+   * Saves createPack to a JSON file.
+   */
+  public download(): void {
+    const pack = this.createPack();
+    saveToFile( JSON.stringify( pack, null, 2 ), `strings_${pack.locale}.json` );
+  }
+
+  /**
+   * Removes the strings of packs (and setString) for a locale that is not selected, and the locale if it was added for
+   * them. For tests, so that they don't change the strings of other tests.
+   */
+  public unload( locale: string ): void {
+    assert && assert( localeProperty.value !== locale, `the selected locale can't be unloaded: ${locale}` );
+
+    if ( this.packLocales.includes( locale ) ) {
+      const initialStrings = this.initialStrings[ locale ];
+      if ( initialStrings ) {
+        phet.chipper.strings[ locale ] = initialStrings;
+      }
+      else {
+        delete phet.chipper.strings[ locale ];
+        localeProperty.removeLocale( locale );
+      }
+      delete this.initialStrings[ locale ];
+      _.pull( this.packLocales, locale );
+
+      // Another pack locale in the order may have used the strings as a fallback
+      this.resolveStrings( localeOrderProperty.value );
+    }
+  }
+
+  // Keeps the strings of a locale from before its first pack, see unload
+  private addPackLocale( locale: string ): void {
+    if ( !this.packLocales.includes( locale ) ) {
+      this.packLocales.push( locale );
+      const strings = phet.chipper.strings[ locale ];
+      this.initialStrings[ locale ] = strings ? _.clone( strings ) : null;
+    }
+  }
+
+  // Sets each string to the first locale in the order that has it
+  private resolveStrings( localeOrder: string[] ): void {
+    localizedStrings.forEach( localizedString => {
+      const locale = _.find( localeOrder, locale => {
+        return !!phet.chipper.strings[ locale ] && typeof phet.chipper.strings[ locale ][ localizedString.stringKey ] === 'string';
+      } );
+      if ( locale ) {
+        localizedString.property.value = phet.chipper.strings[ locale ][ localizedString.stringKey ];
+      }
+    } );
+  }
+}
+
+const stringPacks = new StringPacks();
+
+joist.register( 'stringPacks', stringPacks );
+export default stringPacks;
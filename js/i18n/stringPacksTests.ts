@@ -0,0 +1,62 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for stringPacks: validation of packs, fallback to other locales, and creating packs.
+ */
+
+import JoistStrings from '../JoistStrings.js';
+import localeProperty from './localeProperty.js';
+import stringPacks, { StringPack } from './stringPacks.js';
+
+const createPack = ( pack: Record<string, unknown> ) => _.assign( {
+  stringPackVersion: 1,
+  locale: 'sw',
+  strings: { 'JOIST/done': 'Imekamilika' }
+}, pack ) as unknown as StringPack;
+
+QUnit.module( 'stringPacks' );
+
+QUnit.test( 'load validation', assert => {
+  assert.throws( () => stringPacks.load( createPack( { locale: undefined } ) ), 'a pack needs a locale' );
+  assert.throws( () => stringPacks.load( createPack( { strings: null } ) ), 'a pack needs strings' );
+  assert.throws( () => stringPacks.load( createPack( { locale: 'xx_YY' } ) ), 'unknown locale' );
+  assert.throws( () => stringPacks.load( createPack( { strings: { 'JOIST/done': 3 } } ) ), 'strings must be strings' );
+  assert.throws( () => stringPacks.load( createPack( { stringPackVersion: 2 } ) ), 'unsupported version' );
+  assert.throws( () => stringPacks.load( createPack( { stringPackVersion: undefined } ) ), 'a pack needs a version' );
+  assert.notOk( localeProperty.validValues!.includes( 'xx_YY' ), 'an invalid pack adds no locale' );
+} );
+
+QUnit.test( 'fallback and createPack', assert => {
+  const initialLocale = localeProperty.value;
+  const englishDone = JoistStrings.done;
+  const englishOptions = JoistStrings.menuItem.options;
+  const englishAbout = JoistStrings.menuItem.about;
+
+  // A regional pack falls back to the pack of its language, and then to English
+  stringPacks.load( createPack( { locale: 'zh', strings: { 'JOIST/done': '完成', 'JOIST/menuItem.options': '选项' } } ) );
+  stringPacks.load( createPack( { locale: 'zh_CN', strings: { 'JOIST/done': '完成了' } } ) );
+  assert.ok( localeProperty.validValues!.includes( 'zh_CN' ), 'the locale of a pack can be selected' );
+  assert.equal( JoistStrings.done, englishDone, 'a pack for another locale changes nothing' );
+
+  localeProperty.value = 'zh_CN';
+  assert.equal( JoistStrings.done, '完成了', 'string from the pack of the locale' );
+  assert.equal( JoistStrings.menuItem.options, '选项', 'string from the pack of the language' );
+  assert.equal( JoistStrings.menuItem.about, englishAbout, 'English for strings without a translation' );
+
+  const pack = stringPacks.createPack();
+  assert.equal( pack.stringPackVersion, 1 );
+  assert.equal( pack.locale, 'zh_CN' );
+  assert.equal( pack.strings[ 'JOIST/done' ], '完成了', 'strings that are shown' );
+  assert.equal( pack.strings[ 'JOIST/menuItem.options' ], '选项', 'including strings from fallback locales' );
+  assert.notOk( _.some( pack.strings, value => typeof value !== 'string' ), 'all values are strings' );
+
+  localeProperty.value = initialLocale;
+  assert.equal( JoistStrings.done, englishDone, 'strings are restored with the locale' );
+  assert.equal( JoistStrings.menuItem.options, englishOptions );
+
+  // So that other tests have the strings and locales of the sim
+  stringPacks.unload( 'zh_CN' );
+  stringPacks.unload( 'zh' );
+  assert.notOk( localeProperty.validValues!.includes( 'zh_CN' ), 'the locale is removed' );
+  assert.notOk( phet.chipper.strings.zh_CN, 'the strings are removed' );
+} );
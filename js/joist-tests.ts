@@ -9,8 +9,25 @@
  */
 
 import qunitStart from '../../chipper/js/sim-tests/qunitStart.js';
+import './CaptureDialogTests.js';
+import './commandRegistryTests.js';
+import './ContrastCheckerTests.js';
+import './createZipTests.js';
+import './DeterministicDriverTests.js';
+import './DiagnosticsTests.js';
+import './EngagementMetricsTests.js';
+import './i18n/stringPacksTests.js';
+import './LayoutAuditTests.js';
+import './preferences/PreferencesStorageTests.js';
+import './ProfilerTests.js';
+import './ScreenRecorderTests.js';
+import './ScreenshotGeneratorTests.js';
 import './selectScreensTests.js';
 import './TemporalCounterTests.js';
+import './thirdPartySupport/EmbeddingProtocolTests.js';
+import './TimeControllerTests.js';
+import './TourTests.js';
+import './updateCheckTests.js';
 
 // Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
 qunitStart();
\ No newline at end of file
@@ -0,0 +1,147 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Query parameters that are specific to joist. Query parameters that are shared with other repos (like
+ * ?preferencesStorage) are declared in chipper's initialize-globals.
+ */
+
+import joist from './joist.js';
+
+const joistQueryParameters = QueryStringMachine.getAll( {
+
+  // The name of the preferences profile that PreferencesStorage loads on startup. If not provided, the profile that
+  // was active in the previous runtime is used. Only relevant with ?preferencesStorage.
+  preferencesProfile: {
+    type: 'string',
+    defaultValue: 'default',
+    public: true
+  },
+
+  // Where PreferencesStorage keeps its data. 'postMessage' delegates storage to the parent frame, for embedding
+  // contexts where localStorage is blocked. Only relevant with ?preferencesStorage.
+  preferencesStorageBackend: {
+    type: 'string',
+    defaultValue: 'localStorage',
+    validValues: [ 'localStorage', 'postMessage', 'memory' ],
+    public: true
+  },
+
+  // Origin of the parent frame that stores preferences with ?preferencesStorageBackend=postMessage, which can read and
+  // replace all of them. The postMessage backend is not used unless it is provided, and '*' allows any origin. For
+  // example ?preferencesStorage&preferencesStorageBackend=postMessage&preferencesStorageOrigin=https://lms.example.com
+  preferencesStorageOrigin: {
+    type: 'string',
+    defaultValue: '',
+    public: true
+  },
+
+  // Steps the sim with a fixed dt instead of the elapsed wall clock time, and supports recording and replaying input
+  // traces, see DeterministicDriver. Use with ?randomSeed for reproducible runs.
+  deterministicStepping: {
+    type: 'flag',
+    public: true
+  },
+
+  // The dt (in seconds) of each frame with ?deterministicStepping
+  deterministicDT: {
+    type: 'number',
+    defaultValue: 1 / 60,
+    isValidValue: ( value: number ) => value > 0,
+    public: true
+  },
+
+  // Records how much time is spent on each screen and how much of it is spent interacting, see EngagementMetrics.
+  engagementMetrics: {
+    type: 'flag',
+    public: true
+  },
+
+  // The number of seconds without input after which the user is considered idle, see IdleMonitor. Used by
+  // ?engagementMetrics and ?embedding.
+  idleTimeout: {
+    type: 'number',
+    defaultValue: 60,
+    isValidValue: ( value: number ) => value > 0,
+    public: true
+  },
+
+  // Enables the postMessage protocol for platforms that embed the sim, see EmbeddingSupport and
+  // doc/EmbeddingProtocol.md
+  embedding: {
+    type: 'flag',
+    public: true
+  },
+
+  // Origins of the parent frames that may use the embedding protocol and receive the summary of EngagementMetrics.
+  // No parent frame may use them unless its origin is listed, and '*' allows any origin. For example
+  // ?embedding&embeddingOrigins=https://lms.example.com,https://example.org
+  embeddingOrigins: {
+    type: 'array',
+    elementSchema: {
+      type: 'string'
+    },
+    defaultValue: [],
+    public: true
+  },
+
+  // Also records console errors and warnings from the start of the sim, for the diagnostics that can be included in a
+  // problem report. Uncaught errors are always recorded. See Diagnostics.
+  diagnostics: {
+    type: 'flag',
+    public: true
+  },
+
+  // Shows sim-wide speed, pause and step controls in the navigation bar, and enables their keyboard shortcuts. See
+  // TimeController.
+  timeControls: {
+    type: 'flag',
+    public: true
+  },
+
+  // URLs of string packs to load at startup, see stringPacks. A pack for the locale in ?locale is selected when it is
+  // loaded, for example ?stringPacks=sw.json&locale=sw
+  stringPacks: {
+    type: 'array',
+    elementSchema: {
+      type: 'string'
+    },
+    defaultValue: [],
+    public: true
+  },
+
+  // Enables the TranslationEditor for translators, which can be shown from the Localization tab of the Preferences
+  // dialog. String packs can also be dropped onto the sim.
+  translationEditor: {
+    type: 'flag',
+    public: true
+  },
+
+  // URL of a static JSON manifest that describes the latest version of the simulation, for redistributions that
+  // don't use the PhET website. Enables update checks for any brand, see ManifestUpdateProvider.
+  updateManifest: {
+    type: 'string',
+    defaultValue: null,
+    public: true
+  },
+
+  // The ColorTheme of joist UI at startup, see colorThemeManager. A theme that is stored by PreferencesStorage is
+  // applied instead. Ignored unless the sim supports color themes, see the supportsColorThemes option of
+  // PreferencesModel.
+  colorTheme: {
+    type: 'string',
+    defaultValue: 'default',
+    validValues: [ 'default', 'highContrast', 'custom' ],
+    public: true
+  },
+
+  // URL of a JSON file with a guided tour, which is added to the tours of the sim, see Tour for the format. For
+  // example ?tour=intro-tour.json
+  tour: {
+    type: 'string',
+    defaultValue: null,
+    public: true
+  }
+} );
+
+joist.register( 'joistQueryParameters', joistQueryParameters );
+export default joistQueryParameters;
@@ -0,0 +1,34 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Opens the browser's file picker and provides the text content of the chosen file. The callback is not called if
+ * the user cancels the picker, or while fuzzing.
+ */
+
+import joist from './joist.js';
+
+/**
+ * @param accept - file types to show in the picker, like '.json,application/json'
+ * @param callback - called with the text content of the file and the File itself
+ */
+const loadFromFile = ( accept: string, callback: ( content: string, file: File ) => void ): void => {
+  if ( phet.chipper.isFuzzEnabled() ) {
+    return;
+  }
+
+  const input = document.createElement( 'input' );
+  input.type = 'file';
+  input.accept = accept;
+  input.addEventListener( 'change', () => {
+    const file = input.files && input.files[ 0 ];
+    if ( file ) {
+      const reader = new window.FileReader();
+      reader.onload = () => callback( reader.result as string, file );
+      reader.readAsText( file );
+    }
+  } );
+  input.click();
+};
+
+joist.register( 'loadFromFile', loadFromFile );
+export default loadFromFile;
@@ -0,0 +1,27 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Opens the browser's color picker and provides the chosen color. The callback is not called if the user cancels the
+ * picker, or while fuzzing.
+ */
+
+import joist from './joist.js';
+
+/**
+ * @param initialColor - selected when the picker opens, like '#ff0000'
+ * @param callback - called with the chosen color, like '#00ff00'
+ */
+const pickColor = ( initialColor: string, callback: ( color: string ) => void ): void => {
+  if ( phet.chipper.isFuzzEnabled() ) {
+    return;
+  }
+
+  const input = document.createElement( 'input' );
+  input.type = 'color';
+  input.value = initialColor;
+  input.addEventListener( 'change', () => callback( input.value ) );
+  input.click();
+};
+
+joist.register( 'pickColor', pickColor );
+export default pickColor;
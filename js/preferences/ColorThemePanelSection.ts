@@ -0,0 +1,136 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Section of the "Visual" panel of the PreferencesDialog that selects the color theme of the colorThemeManager. For
+ * the custom theme, each color is chosen with the browser's color picker, and a warning is shown when the text would
+ * not have enough contrast with the background, see ContrastChecker.
+ */
+
+import DerivedProperty from '../../../axon/js/DerivedProperty.js';
+import TReadOnlyProperty from '../../../axon/js/TReadOnlyProperty.js';
+import Utils from '../../../dot/js/Utils.js';
+import merge from '../../../phet-core/js/merge.js';
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
+import { HBox, Rectangle, RichText, Text, VBox, VoicingRichText } from '../../../scenery/js/imports.js';
+import AquaRadioButtonGroup from '../../../sun/js/AquaRadioButtonGroup.js';
+import TextPushButton from '../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import joist from '../joist.js';
+import JoistStrings from '../JoistStrings.js';
+import pickColor from '../pickColor.js';
+import colorThemeManager, { ColorTheme, ColorThemeName } from './colorThemeManager.js';
+import PreferencesDialog from './PreferencesDialog.js';
+import PreferencesPanelSection, { PreferencesPanelSectionOptions } from './PreferencesPanelSection.js';
+
+// constants
+const colorThemeStrings = JoistStrings.preferences.tabs.visual.colorTheme;
+const BUTTON_OPTIONS = {
+  font: PreferencesDialog.CONTENT_FONT,
+  maxTextWidth: 120,
+
+  // phet-io
+  tandem: Tandem.OPT_OUT // We don't want to instrument components for preferences, https://github.com/phetsims/joist/issues/744#issuecomment-1196028362
+};
+const SWATCH_SIZE = 20; // of the swatch next to each button for a custom color
+
+class ColorThemePanelSection extends PreferencesPanelSection {
+  private readonly disposeColorThemePanelSection: () => void;
+
+  public constructor( providedOptions?: PreferencesPanelSectionOptions ) {
+
+    const titleText = new Text( colorThemeStrings.titleStringProperty, PreferencesDialog.PANEL_SECTION_LABEL_OPTIONS );
+
+    const descriptionText = new VoicingRichText( colorThemeStrings.descriptionStringProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+      maxWidth: null,
+      lineWrap: 560,
+      tagName: 'p'
+    } ) );
+
+    const radioButtonGroup = new AquaRadioButtonGroup<ColorThemeName>( colorThemeManager.colorThemeNameProperty, [
+      { value: 'default', createNode: () => new Text( colorThemeStrings.defaultStringProperty, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS ) },
+      { value: 'highContrast', createNode: () => new Text( colorThemeStrings.highContrastStringProperty, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS ) },
+      { value: 'custom', createNode: () => new Text( colorThemeStrings.customStringProperty, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS ) }
+    ], {
+      orientation: 'horizontal',
+      spacing: 15,
+      tandem: Tandem.OPT_OUT
+    } );
+
+    // A button for each color of the custom theme, with a swatch of the current color
+    const colorControlDisposables: { dispose: () => void }[] = [];
+    const colorLabels: Record<keyof ColorTheme, TReadOnlyProperty<string>> = {
+      background: colorThemeStrings.backgroundStringProperty,
+      foreground: colorThemeStrings.foregroundStringProperty,
+      accent: colorThemeStrings.accentStringProperty
+    };
+    const colorControls = ( _.keys( colorLabels ) as ( keyof ColorTheme )[] ).map( key => {
+      const swatchFillProperty = new DerivedProperty( [ colorThemeManager.customColorThemeProperty ], customColorTheme => customColorTheme[ key ] );
+      const swatch = new Rectangle( 0, 0, SWATCH_SIZE, SWATCH_SIZE, {
+        fill: swatchFillProperty,
+        stroke: 'black'
+      } );
+      const button = new TextPushButton( colorLabels[ key ], merge( {
+        listener: () => pickColor( colorThemeManager.customColorThemeProperty.value[ key ],
+          color => colorThemeManager.setCustomColor( key, color ) )
+      }, BUTTON_OPTIONS ) );
+      const colorControl = new HBox( { spacing: 5, children: [ swatch, button ] } );
+      colorControlDisposables.push( colorControl, button, swatch, swatchFillProperty );
+      return colorControl;
+    } );
+    const customColorsVisibleProperty = new DerivedProperty( [ colorThemeManager.colorThemeNameProperty ],
+      colorThemeName => colorThemeName === 'custom' );
+    const customColorsBox = new HBox( {
+      spacing: 15,
+      children: colorControls,
+      visibleProperty: customColorsVisibleProperty
+    } );
+
+    // A line for each color that is hard to read
+    const warningStringProperty = new DerivedProperty( [
+      colorThemeManager.contrastIssuesProperty,
+      colorThemeStrings.foregroundWarningPatternStringProperty,
+      colorThemeStrings.accentWarningPatternStringProperty
+    ], ( contrastIssues, foregroundWarningPattern, accentWarningPattern ) => {
+      return contrastIssues.map( contrastIssue => StringUtils.fillIn(
+        contrastIssue.color === 'foreground' ? foregroundWarningPattern : accentWarningPattern, {
+          ratio: Utils.toFixed( contrastIssue.ratio, 1 ),
+          minimumRatio: contrastIssue.minimumRatio
+        } ) ).join( '<br>' );
+    } );
+    const warningText = new RichText( warningStringProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+      maxWidth: null,
+      lineWrap: 560
+    } ) );
+
+    const contentNode = new VBox( {
+      spacing: PreferencesDialog.LABEL_CONTENT_SPACING,
+      align: 'left',
+      children: [ descriptionText, radioButtonGroup, customColorsBox, warningText ]
+    } );
+
+    super( merge( {
+      titleNode: titleText,
+      contentNode: contentNode
+    }, providedOptions ) );
+
+    this.disposeColorThemePanelSection = () => {
+      contentNode.dispose();
+      warningText.dispose();
+      warningStringProperty.dispose();
+      customColorsBox.dispose();
+      customColorsVisibleProperty.dispose();
+      colorControlDisposables.forEach( disposable => disposable.dispose() );
+      radioButtonGroup.dispose();
+      descriptionText.dispose();
+      titleText.dispose();
+    };
+  }
+
+  public override dispose(): void {
+    this.disposeColorThemePanelSection();
+    super.dispose();
+  }
+}
+
+joist.register( 'ColorThemePanelSection', ColorThemePanelSection );
+export default ColorThemePanelSection;
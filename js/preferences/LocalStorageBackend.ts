@@ -0,0 +1,58 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * A PreferencesStorage backend that uses window.localStorage, so values persist for the next runtime.
+ */
+
+import joist from '../joist.js';
+import TPreferencesStorageBackend from './TPreferencesStorageBackend.js';
+
+class LocalStorageBackend implements TPreferencesStorageBackend {
+
+  public getItem( key: string ): string | null {
+    return window.localStorage.getItem( key );
+  }
+
+  public setItem( key: string, value: string ): void {
+    window.localStorage.setItem( key, value );
+  }
+
+  public removeItem( key: string ): void {
+    window.localStorage.removeItem( key );
+  }
+
+  public keys(): string[] {
+    const keys = [];
+    for ( let i = 0; i < window.localStorage.length; i++ ) {
+      keys.push( window.localStorage.key( i )! );
+    }
+    return keys;
+  }
+
+  /**
+   * Returns true if localStorage can be used with the current browser settings.
+   */
+  public static isAvailable(): boolean {
+    try {
+      window.localStorage.setItem( 'test', 'test' );
+      return true;
+    }
+    catch( e ) {
+      if ( e instanceof Error ) {
+        const safari = window.navigator.userAgent.includes( 'Safari' ) && !window.navigator.userAgent.includes( 'Chrome' );
+
+        if ( safari && e.message.includes( 'QuotaExceededError' ) ) {
+          console.log( 'It looks like you are browsing with private mode in Safari. ' +
+                       'Please turn that setting off if you want to use PreferencesStorage' );
+        }
+        else {
+          throw e;
+        }
+      }
+      return false;
+    }
+  }
+}
+
+joist.register( 'LocalStorageBackend', LocalStorageBackend );
+export default LocalStorageBackend;
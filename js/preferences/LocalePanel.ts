@@ -13,13 +13,19 @@
 import joist from '../joist.js';
 import Panel from '../../../sun/js/Panel.js';
 import { GridBox } from '../../../scenery/js/imports.js';
-import Property from '../../../axon/js/Property.js';
+import { LocaleProperty } from '../i18n/localeProperty.js';
 import LanguageSelectionNode from './LanguageSelectionNode.js';
 
 class LocalePanel extends Panel {
   private readonly disposeLocalePanel: () => void;
 
-  public constructor( localeProperty: Property<string> ) {
+  public constructor( localeProperty: LocaleProperty ) {
+
+    const createLanguageSelectionNodes = () => localeProperty.validValues!.map( locale => {
+
+      // @ts-ignore - "Element implicitly has any type" because string cannot be used to access a type
+      return new LanguageSelectionNode( localeProperty, locale );
+    } );
 
     // All available locales aligned into a grid
     const content = new GridBox( {
@@ -33,19 +39,25 @@ class LocalePanel extends Panel {
 
       // We don't want the GridBox to resize as selection highlights update with input
       resize: false,
-      children: localeProperty.validValues!.map( locale => {
-
-        // @ts-ignore - "Element implicitly has any type" because string cannot be used to access a type
-        return new LanguageSelectionNode( localeProperty, locale );
-      } )
+      children: createLanguageSelectionNodes()
     } );
 
     super( content );
 
+    const disposeLanguageSelectionNodes = () => content.children.forEach( languageSelectionNode => {
+      languageSelectionNode.dispose();
+    } );
+
+    // Locales can be added at runtime by loading a string pack
+    const localeAddedListener = () => {
+      disposeLanguageSelectionNodes();
+      content.children = createLanguageSelectionNodes();
+    };
+    localeProperty.localeAddedEmitter.addListener( localeAddedListener );
+
     this.disposeLocalePanel = () => {
-      content.children.forEach( languageSelectionNode => {
-        languageSelectionNode.dispose();
-      } );
+      localeProperty.localeAddedEmitter.removeListener( localeAddedListener );
+      disposeLanguageSelectionNodes();
       content.dispose();
     };
   }
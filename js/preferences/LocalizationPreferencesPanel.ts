@@ -22,6 +22,7 @@ import PreferencesPanel from './PreferencesPanel.js';
 import TReadOnlyProperty from '../../../axon/js/TReadOnlyProperty.js';
 import PreferencesType from './PreferencesType.js';
 import JoistStrings from '../JoistStrings.js';
+import TranslationPanelSection from './TranslationPanelSection.js';
 
 const localizationTitleStringProperty = JoistStrings.preferences.tabs.localization.titleStringProperty;
 
@@ -68,7 +69,19 @@ class LocalizationPreferencesPanel extends PreferencesPanel {
       contentLeftMargin: 0
     } );
 
-    this.addChild( panelSection );
+    const panelContent = new VBox( {
+      spacing: PreferencesDialog.CONTENT_SPACING,
+      align: 'left',
+      children: [ panelSection ]
+    } );
+    this.addChild( panelContent );
+
+    const translationEditor = phet.joist.sim.translationEditor;
+    if ( translationEditor ) {
+      const translationPanelSection = new TranslationPanelSection( translationEditor );
+      panelContent.addChild( translationPanelSection );
+      this.disposeEmitter.addListener( () => translationPanelSection.dispose() );
+    }
   }
 }
 
@@ -0,0 +1,32 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * A PreferencesStorage backend that keeps values in memory for this runtime only. Useful for tests, and when no
+ * persistent storage is available.
+ */
+
+import joist from '../joist.js';
+import TPreferencesStorageBackend from './TPreferencesStorageBackend.js';
+
+class MemoryStorageBackend implements TPreferencesStorageBackend {
+  private readonly items = new Map<string, string>();
+
+  public getItem( key: string ): string | null {
+    return this.items.has( key ) ? this.items.get( key )! : null;
+  }
+
+  public setItem( key: string, value: string ): void {
+    this.items.set( key, value );
+  }
+
+  public removeItem( key: string ): void {
+    this.items.delete( key );
+  }
+
+  public keys(): string[] {
+    return Array.from( this.items.keys() );
+  }
+}
+
+joist.register( 'MemoryStorageBackend', MemoryStorageBackend );
+export default MemoryStorageBackend;
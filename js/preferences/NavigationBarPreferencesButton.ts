@@ -11,6 +11,7 @@ import { Color, Path } from '../../../scenery/js/imports.js';
 import userCogSolidShape from '../../../sherpa/js/fontawesome-5/userCogSolidShape.js';
 import Dialog from '../../../sun/js/Dialog.js';
 import PhetioCapsule from '../../../tandem/js/PhetioCapsule.js';
+import ContrastChecker from '../ContrastChecker.js';
 import joist from '../joist.js';
 import JoistButton, { JoistButtonOptions } from '../JoistButton.js';
 import JoistStrings from '../JoistStrings.js';
@@ -24,16 +25,21 @@ export type NavigationBarPreferencesButtonOptions = SelfOptions & PickRequired<J
 
 class NavigationBarPreferencesButton extends JoistButton {
 
+  // opens the PreferencesDialog, like pressing this button
+  public readonly showDialog: () => void;
+
   public constructor( preferencesModel: PreferencesModel, backgroundColorProperty: TReadOnlyProperty<Color>,
                       providedOptions: NavigationBarPreferencesButtonOptions ) {
 
+    const showDialog = () => {
+      const preferencesDialog = preferencesDialogCapsule.getElement();
+      preferencesDialog.show();
+      preferencesDialog.focusSelectedTab();
+    };
+
     const options = optionize<NavigationBarPreferencesButtonOptions, SelfOptions, JoistButtonOptions>()( {
 
-      listener: () => {
-        const preferencesDialog = preferencesDialogCapsule.getElement();
-        preferencesDialog.show();
-        preferencesDialog.focusSelectedTab();
-      },
+      listener: showDialog,
       highlightExtensionWidth: 5 + 3.6,
       highlightExtensionHeight: 10,
 
@@ -55,6 +61,8 @@ class NavigationBarPreferencesButton extends JoistButton {
 
     super( icon, backgroundColorProperty, options );
 
+    this.showDialog = showDialog;
+
     const preferencesDialogCapsule = new PhetioCapsule<PreferencesDialog>( tandem => {
       return new PreferencesDialog( preferencesModel, {
         tandem: tandem,
@@ -67,7 +75,7 @@ class NavigationBarPreferencesButton extends JoistButton {
 
     // change the icon so that it is visible when the background changes from dark to light
     backgroundColorProperty.link( backgroundColor => {
-      icon.fill = backgroundColor.equals( Color.BLACK ) ? 'white' : 'black';
+      icon.fill = ContrastChecker.isDarkColor( backgroundColor ) ? 'white' : 'black';
     } );
 
     // pdom - Signal to screen readers that the button will open a dialog. For some reason, this also seems to
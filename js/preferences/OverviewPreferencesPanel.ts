@@ -2,7 +2,9 @@
 
 /**
  * The content for the "Overview" panel of the Preferences dialog. It includes an introduction blurb
- * about features available in Preferences. This panel is always present in the dialog.
+ * about features available in Preferences, controls for the preferences profile when PreferencesStorage is
+ * enabled, controls for the screens of multi-screen sims, and the keyboard shortcuts of commands. This panel is always
+ * present in the dialog.
  *
  * @author Jesse Greenberg (PhET Interactive Simulations)
  */
@@ -15,7 +17,11 @@ import joist from '../joist.js';
 import JoistStrings from '../JoistStrings.js';
 import PreferencesDialog from './PreferencesDialog.js';
 import PreferencesPanel from './PreferencesPanel.js';
+import PreferencesProfilePanelSection from './PreferencesProfilePanelSection.js';
+import PreferencesStorage from './PreferencesStorage.js';
 import PreferencesType from './PreferencesType.js';
+import ScreensPanelSection from './ScreensPanelSection.js';
+import ShortcutsPanelSection from './ShortcutsPanelSection.js';
 
 class OverviewPreferencesPanel extends PreferencesPanel {
   private readonly disposeOverviewPreferencesPanel: () => void;
@@ -43,6 +49,23 @@ class OverviewPreferencesPanel extends PreferencesPanel {
     const panelContent = new VBox( { spacing: 10, children: introParagraphsTexts } );
     this.addChild( panelContent );
 
+    const preferencesStorage = PreferencesStorage.getInstance();
+    const profilePanelSection = preferencesStorage ? new PreferencesProfilePanelSection( preferencesStorage, {
+      layoutOptions: { topMargin: PreferencesDialog.CONTENT_SPACING }
+    } ) : null;
+    profilePanelSection && panelContent.addChild( profilePanelSection );
+
+    const screenConfiguration = phet.joist.sim.screenConfiguration;
+    const screensPanelSection = screenConfiguration ? new ScreensPanelSection( screenConfiguration, {
+      layoutOptions: { topMargin: PreferencesDialog.CONTENT_SPACING }
+    } ) : null;
+    screensPanelSection && panelContent.addChild( screensPanelSection );
+
+    const shortcutsPanelSection = new ShortcutsPanelSection( {
+      layoutOptions: { topMargin: PreferencesDialog.CONTENT_SPACING }
+    } );
+    panelContent.addChild( shortcutsPanelSection );
+
     const leftToRightListener = ( isLTR: boolean ) => {
       introParagraphsTexts.forEach( text => {
         const align = isLTR ? 'left' : 'right';
@@ -55,6 +78,9 @@ class OverviewPreferencesPanel extends PreferencesPanel {
     this.disposeOverviewPreferencesPanel = () => {
       isLeftToRightProperty.unlink( leftToRightListener );
       panelContent.dispose();
+      profilePanelSection && profilePanelSection.dispose();
+      screensPanelSection && screensPanelSection.dispose();
+      shortcutsPanelSection.dispose();
       introParagraphsTexts.forEach( introParagraphsText => introParagraphsText.dispose() );
     };
   }
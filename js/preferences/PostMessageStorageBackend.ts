@@ -0,0 +1,92 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * A PreferencesStorage backend that delegates storage to the parent frame with window.postMessage, for embedding
+ * contexts where localStorage is blocked. Values are kept in a local copy so reads are synchronous. The parent can read
+ * and replace all values, so messages are only exchanged with the origin from ?preferencesStorageOrigin.
+ *
+ * Messages are JSON strings. The sim sends to the parent:
+ *   { type: 'preferencesStorage-requestItems' } - once on startup, asking for everything that is stored
+ *   { type: 'preferencesStorage-setItem', key: string, value: string }
+ *   { type: 'preferencesStorage-removeItem', key: string }
+ *
+ * The parent responds to requestItems (and may send at any later time):
+ *   { type: 'preferencesStorage-items', items: Record<string, string> }
+ */
+
+import BooleanProperty from '../../../axon/js/BooleanProperty.js';
+import Emitter from '../../../axon/js/Emitter.js';
+import TReadOnlyProperty from '../../../axon/js/TReadOnlyProperty.js';
+import joist from '../joist.js';
+import TPreferencesStorageBackend from './TPreferencesStorageBackend.js';
+
+class PostMessageStorageBackend implements TPreferencesStorageBackend {
+  private readonly items = new Map<string, string>();
+  private readonly targetOrigin: string;
+
+  public readonly itemsChangedEmitter = new Emitter();
+
+  // Becomes true when the parent responds to requestItems
+  private readonly _isLoadedProperty = new BooleanProperty( false );
+  public readonly isLoadedProperty: TReadOnlyProperty<boolean> = this._isLoadedProperty;
+
+  /**
+   * @param targetOrigin - origin of the parent frame that messages are sent to and accepted from, '*' for any
+   */
+  public constructor( targetOrigin: string ) {
+    assert && assert( targetOrigin.length > 0, 'the origin of the parent frame is required' );
+    this.targetOrigin = targetOrigin;
+
+    window.addEventListener( 'message', event => {
+      if ( event.source !== window.parent || ( this.targetOrigin !== '*' && event.origin !== this.targetOrigin ) ) {
+        return;
+      }
+
+      let data;
+      try {
+        data = typeof event.data === 'string' ? JSON.parse( event.data ) : event.data;
+      }
+      catch( e ) {
+
+        // not a message for us
+        return;
+      }
+
+      if ( data && data.type === 'preferencesStorage-items' && data.items && typeof data.items === 'object' ) {
+        this.items.clear();
+        Object.keys( data.items ).forEach( key => {
+          typeof data.items[ key ] === 'string' && this.items.set( key, data.items[ key ] );
+        } );
+        this._isLoadedProperty.value = true;
+        this.itemsChangedEmitter.emit();
+      }
+    } );
+
+    this.postToParent( { type: 'preferencesStorage-requestItems' } );
+  }
+
+  public getItem( key: string ): string | null {
+    return this.items.has( key ) ? this.items.get( key )! : null;
+  }
+
+  public setItem( key: string, value: string ): void {
+    this.items.set( key, value );
+    this.postToParent( { type: 'preferencesStorage-setItem', key: key, value: value } );
+  }
+
+  public removeItem( key: string ): void {
+    this.items.delete( key );
+    this.postToParent( { type: 'preferencesStorage-removeItem', key: key } );
+  }
+
+  public keys(): string[] {
+    return Array.from( this.items.keys() );
+  }
+
+  private postToParent( message: Record<string, string> ): void {
+    window.parent && window.parent !== window && window.parent.postMessage( JSON.stringify( message ), this.targetOrigin );
+  }
+}
+
+joist.register( 'PostMessageStorageBackend', PostMessageStorageBackend );
+export default PostMessageStorageBackend;
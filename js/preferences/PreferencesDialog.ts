@@ -17,6 +17,7 @@ import Dialog, { DialogOptions } from '../../../sun/js/Dialog.js';
 import soundManager from '../../../tambo/js/soundManager.js';
 import Tandem from '../../../tandem/js/Tandem.js';
 import joist from '../joist.js';
+import JoistColors from '../JoistColors.js';
 import JoistStrings from '../JoistStrings.js';
 import PreferencesModel from './PreferencesModel.js';
 import PreferencesPanels from './PreferencesPanels.js';
@@ -69,6 +70,7 @@ class PreferencesDialog extends Dialog {
     const options = optionize<PreferencesDialogOptions, EmptySelfOptions, DialogOptions>()( {
       titleAlign: 'center',
       title: titleText,
+      fill: JoistColors.dialogFillColorProperty,
 
       // phet-io
       phetioDynamicElement: true,
@@ -20,10 +20,13 @@ import optionize, { EmptySelfOptions } from '../../../phet-core/js/optionize.js'
 import localizationManager, { RegionAndCultureDescriptor } from './localizationManager.js';
 import SpeechSynthesisAnnouncer from '../../../utterance-queue/js/SpeechSynthesisAnnouncer.js';
 import Tandem from '../../../tandem/js/Tandem.js';
-import localeProperty from '../i18n/localeProperty.js';
+import localeProperty, { LocaleProperty } from '../i18n/localeProperty.js';
 import merge from '../../../phet-core/js/merge.js';
 import TReadOnlyProperty from '../../../axon/js/TReadOnlyProperty.js';
 import IOType from '../../../tandem/js/types/IOType.js';
+import joistQueryParameters from '../joistQueryParameters.js';
+import commandRegistry from '../commandRegistry.js';
+import colorThemeManager, { COLOR_THEME_NAMES, ColorTheme, ColorThemeManager, ColorThemeName } from './colorThemeManager.js';
 import BooleanIO from '../../../tandem/js/types/BooleanIO.js';
 
 type ModelPropertyLinkable = {
@@ -62,6 +65,9 @@ type VisualPreferencesOptions = {
   // whether the sim supports the "Interactive Highlights" feature, and checkbox to enable in the
   // Preferences Dialog
   supportsInteractiveHighlights?: boolean;
+
+  // Whether the user can choose a color theme for the navigation bar, home screen and dialogs, see colorThemeManager.
+  supportsColorThemes?: boolean;
 } & CustomPreferencesOptions;
 
 type AudioPreferencesOptions = {
@@ -135,6 +141,10 @@ export type VisualModel = BaseModelType & {
 
   // The current colorProfile of the Simulation
   colorProfileProperty: Property<string>;
+
+  // The selected color theme and the colors of the custom theme, see colorThemeManager
+  colorThemeNameProperty: Property<ColorThemeName>;
+  customColorThemeProperty: Property<ColorTheme>;
 } & Required<VisualPreferencesOptions>;
 
 // Model for controls that appear in the "Audio" panel of preferences
@@ -177,7 +187,7 @@ export type LocalizationModel = BaseModelType & {
   // The selected character artwork to use when the sim supports culture and region switching.
   regionAndCultureProperty: Property<number>;
 
-  localeProperty: Property<string>;
+  localeProperty: LocaleProperty;
 } & Required<LocalizationPreferencesOptions>;
 
 type FeatureModel = SimulationModel | AudioModel | VisualModel | InputModel | LocalizationModel;
@@ -218,6 +228,7 @@ export default class PreferencesModel extends PhetioObject {
         tandemName: VISUAL_MODEL_TANDEM,
         supportsProjectorMode: false,
         supportsInteractiveHighlights: phetFeatures.supportsInteractiveHighlights,
+        supportsColorThemes: false,
         customPreferences: []
       }, providedOptions.visualOptions ),
       audioOptions: optionize<AudioPreferencesOptions, AudioPreferencesOptions, BaseModelType>()( {
@@ -234,7 +245,10 @@ export default class PreferencesModel extends PhetioObject {
       }, providedOptions.inputOptions ),
       localizationOptions: optionize<LocalizationPreferencesOptions, LocalizationPreferencesOptions, BaseModelType>()( {
         tandemName: 'localizationModel',
-        supportsMultipleLocales: !!localeProperty.validValues && localeProperty.validValues.length > 1,
+
+        // Locales can also be added at runtime with string packs
+        supportsMultipleLocales: ( !!localeProperty.validValues && localeProperty.validValues.length > 1 ) ||
+                                 joistQueryParameters.translationEditor || joistQueryParameters.stringPacks.length > 0,
         regionAndCultureDescriptors: [],
         customPreferences: []
       }, providedOptions.localizationOptions )
@@ -250,7 +264,9 @@ export default class PreferencesModel extends PhetioObject {
         tandem: visualTandem.createTandem( 'interactiveHighlightsEnabledProperty' ),
         phetioState: false
       } ),
-      colorProfileProperty: colorProfileProperty
+      colorProfileProperty: colorProfileProperty,
+      colorThemeNameProperty: colorThemeManager.colorThemeNameProperty,
+      customColorThemeProperty: colorThemeManager.customColorThemeProperty
     }, options.visualOptions );
 
     // For now, the Voicing feature is only available when we are running in the english locale, accessibility
@@ -377,22 +393,47 @@ export default class PreferencesModel extends PhetioObject {
   }
 
   /**
-   * Set up preferencesStorage for supported PreferencesProperties. Don't include all-sound and all-audio controls
-   * because that feel too global to automatically take the last value.
+   * Set up preferencesStorage for supported PreferencesProperties. Don't include the all-audio control because that
+   * feels too global to automatically take the last value.
    */
   private registerPreferencesStorage(): void {
 
+    if ( this.visualModel.supportsProjectorMode ) {
+      PreferencesStorage.register( this.visualModel.colorProfileProperty, 'colorProfileProperty', {
+        isValidValue: value => phet.chipper.colorProfiles.includes( value )
+      } );
+    }
     if ( this.visualModel.supportsInteractiveHighlights ) {
       PreferencesStorage.register( this.visualModel.interactiveHighlightsEnabledProperty, 'interactiveHighlightsEnabledProperty' );
     }
+    if ( this.visualModel.supportsColorThemes ) {
+      PreferencesStorage.register( this.visualModel.colorThemeNameProperty, 'colorThemeNameProperty', {
+        isValidValue: value => _.includes( COLOR_THEME_NAMES, value )
+      } );
+      PreferencesStorage.register( this.visualModel.customColorThemeProperty, 'customColorThemeProperty', {
+        isValidValue: ColorThemeManager.isValidColorTheme
+      } );
+    }
+    else {
+
+      // ?colorTheme is ignored by sims that don't support color themes
+      this.visualModel.colorThemeNameProperty.value = 'default';
+    }
     if ( this.audioModel.supportsVoicing ) {
 
       // Register these to be stored when PreferencesStorage is enabled.
       PreferencesStorage.register( this.audioModel.voicingObjectResponsesEnabledProperty, 'objectResponsesEnabledProperty' );
       PreferencesStorage.register( this.audioModel.voicingContextResponsesEnabledProperty, 'contextResponsesEnabledProperty' );
       PreferencesStorage.register( this.audioModel.voicingHintResponsesEnabledProperty, 'hintResponsesEnabledProperty' );
-      PreferencesStorage.register( this.audioModel.voiceRateProperty, 'voiceRateProperty' );
-      PreferencesStorage.register( this.audioModel.voicePitchProperty, 'voicePitchProperty' );
+      PreferencesStorage.register( this.audioModel.voiceRateProperty, 'voiceRateProperty', {
+        isValidValue: value => typeof value === 'number' && this.audioModel.voiceRateProperty.range.contains( value )
+      } );
+      PreferencesStorage.register( this.audioModel.voicePitchProperty, 'voicePitchProperty', {
+        isValidValue: value => typeof value === 'number' && this.audioModel.voicePitchProperty.range.contains( value )
+      } );
+    }
+    if ( this.audioModel.supportsSound ) {
+      PreferencesStorage.register( this.audioModel.soundEnabledProperty, 'soundEnabledProperty' );
     }
     if ( this.audioModel.supportsExtraSound ) {
       PreferencesStorage.register( this.audioModel.extraSoundEnabledProperty, 'extraSoundEnabledProperty' );
@@ -401,6 +442,22 @@ export default class PreferencesModel extends PhetioObject {
     if ( this.inputModel.supportsGestureControl ) {
       PreferencesStorage.register( this.inputModel.gestureControlsEnabledProperty, 'gestureControlsEnabledProperty' );
     }
+
+    if ( this.localizationModel.supportsMultipleLocales ) {
+      PreferencesStorage.register( this.localizationModel.localeProperty, 'localeProperty', {
+        isValidValue: value => _.includes( this.localizationModel.localeProperty.validValues, value )
+      } );
+    }
+    if ( this.localizationModel.regionAndCultureDescriptors.length > 0 ) {
+      PreferencesStorage.register( this.localizationModel.regionAndCultureProperty, 'regionAndCultureProperty', {
+        isValidValue: value => Number.isInteger( value ) && value >= 0 && value < this.localizationModel.regionAndCultureDescriptors.length
+      } );
+    }
+
+    PreferencesStorage.register( commandRegistry.customShortcutsProperty, 'customShortcutsProperty', {
+      isValidValue: value => !!value && typeof value === 'object' && !Array.isArray( value ) &&
+                             _.every( value, shortcut => shortcut === null || typeof shortcut === 'string' )
+    } );
   }
 
   private addPhetioLinkedElementsForModel( parentTandem: Tandem, featureModel: FeatureModel, additionalProperties: Array<ModelPropertyLinkable> = [] ): void {
@@ -435,6 +492,7 @@ export default class PreferencesModel extends PhetioObject {
   public supportsVisualPreferences(): boolean {
     return this.visualModel.supportsInteractiveHighlights ||
            this.visualModel.supportsProjectorMode ||
+           this.visualModel.supportsColorThemes ||
            this.preferenceModelHasCustom( this.visualModel );
   }
 
@@ -0,0 +1,164 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Section of the "Overview" panel of the PreferencesDialog with the profiles of PreferencesStorage. The user can
+ * choose the active profile, create and delete profiles, and export the active profile to a file, import it from a
+ * file, or reset it. Only created when PreferencesStorage is enabled.
+ */
+
+import DerivedProperty from '../../../axon/js/DerivedProperty.js';
+import StringProperty from '../../../axon/js/StringProperty.js';
+import merge from '../../../phet-core/js/merge.js';
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
+import { HBox, Node, Text, VBox, VoicingRichText } from '../../../scenery/js/imports.js';
+import AquaRadioButtonGroup from '../../../sun/js/AquaRadioButtonGroup.js';
+import TextPushButton from '../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import joist from '../joist.js';
+import JoistStrings from '../JoistStrings.js';
+import PreferencesDialog from './PreferencesDialog.js';
+import PreferencesPanelSection, { PreferencesPanelSectionOptions } from './PreferencesPanelSection.js';
+import PreferencesStorage from './PreferencesStorage.js';
+
+// constants
+const profilesStrings = JoistStrings.preferences.tabs.overview.profiles;
+const BUTTON_OPTIONS = {
+  font: PreferencesDialog.CONTENT_FONT,
+  maxTextWidth: 150,
+
+  // phet-io
+  tandem: Tandem.OPT_OUT // We don't want to instrument components for preferences, https://github.com/phetsims/joist/issues/744#issuecomment-1196028362
+};
+
+class PreferencesProfilePanelSection extends PreferencesPanelSection {
+  private readonly disposePreferencesProfilePanelSection: () => void;
+
+  public constructor( preferencesStorage: PreferencesStorage, providedOptions?: PreferencesPanelSectionOptions ) {
+
+    const titleText = new Text( profilesStrings.titleStringProperty, PreferencesDialog.PANEL_SECTION_LABEL_OPTIONS );
+
+    const descriptionText = new VoicingRichText( profilesStrings.descriptionStringProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+      maxWidth: null,
+      lineWrap: 560,
+      tagName: 'p'
+    } ) );
+
+    // A radio button for each profile, that activates it. The group is rebuilt when profiles are created or deleted,
+    // which doesn't happen from its own buttons, since the active profile is always stored.
+    const selectedProfileNameProperty = new StringProperty( preferencesStorage.activeProfileNameProperty.value );
+    selectedProfileNameProperty.lazyLink( name => {
+      name !== preferencesStorage.activeProfileNameProperty.value && preferencesStorage.switchProfile( name );
+    } );
+    const profilesNode = new Node();
+    let profileNames: string[] = [];
+    let radioButtonGroup: AquaRadioButtonGroup<string> | null = null;
+    const activeProfileListener = ( activeProfileName: string ) => {
+      const names = preferencesStorage.getProfileNames();
+      if ( !_.isEqual( names, profileNames ) ) {
+        profileNames = names;
+        radioButtonGroup && radioButtonGroup.dispose();
+        radioButtonGroup = new AquaRadioButtonGroup<string>( selectedProfileNameProperty, names.map( name => {
+          return { value: name, createNode: () => new Text( name, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS ) };
+        } ), {
+          spacing: 8,
+          tandem: Tandem.OPT_OUT
+        } );
+        profilesNode.children = [ radioButtonGroup ];
+      }
+      selectedProfileNameProperty.value = activeProfileName;
+    };
+    preferencesStorage.activeProfileNameProperty.link( activeProfileListener );
+
+    // Creates a profile with the first name from the pattern that is not used, and activates it
+    const newProfileButton = new TextPushButton( profilesStrings.newProfileStringProperty, merge( {
+      listener: () => {
+        const names = preferencesStorage.getProfileNames();
+        let number = names.length + 1;
+        const createName = () => StringUtils.fillIn( profilesStrings.profileNamePatternStringProperty, { number: number } );
+        while ( names.includes( createName() ) ) {
+          number++;
+        }
+        preferencesStorage.switchProfile( createName() );
+      }
+    }, BUTTON_OPTIONS ) );
+    const isOtherProfileProperty = new DerivedProperty( [ preferencesStorage.activeProfileNameProperty ],
+      name => name !== PreferencesStorage.DEFAULT_PROFILE_NAME );
+    const deleteButton = new TextPushButton( profilesStrings.deleteStringProperty, merge( {
+      listener: () => preferencesStorage.deleteProfile( preferencesStorage.activeProfileNameProperty.value ),
+      enabledProperty: isOtherProfileProperty
+    }, BUTTON_OPTIONS ) );
+    const profileButtons = new HBox( {
+      spacing: 10,
+      children: [ newProfileButton, deleteButton ]
+    } );
+
+    const exportButton = new TextPushButton( profilesStrings.exportStringProperty, merge( {
+      listener: () => preferencesStorage.downloadProfile()
+    }, BUTTON_OPTIONS ) );
+    // Shown when the file chosen with "Import" is not a profile, until the next import
+    const importFailedText = new Text( profilesStrings.importFailedStringProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+      fill: 'red',
+      visible: false,
+      tagName: 'p'
+    } ) );
+
+    // A locked value (like a locked screen configuration) can't be replaced by importing or resetting
+    const isUnlockedProperty = DerivedProperty.not( preferencesStorage.isLockedProperty );
+
+    const importButton = new TextPushButton( profilesStrings.importStringProperty, merge( {
+      listener: () => preferencesStorage.uploadProfile( imported => {
+        importFailedText.visible = !imported;
+        !imported && importFailedText.alertDescriptionUtterance( profilesStrings.importFailedStringProperty );
+      } ),
+      enabledProperty: isUnlockedProperty
+    }, BUTTON_OPTIONS ) );
+    const resetButton = new TextPushButton( profilesStrings.resetStringProperty, merge( {
+      listener: () => preferencesStorage.resetProfile(),
+      enabledProperty: isUnlockedProperty
+    }, BUTTON_OPTIONS ) );
+
+    const buttons = new HBox( {
+      spacing: 10,
+      children: [ exportButton, importButton, resetButton ]
+    } );
+
+    const contentNode = new VBox( {
+      spacing: PreferencesDialog.LABEL_CONTENT_SPACING,
+      align: 'left',
+      children: [ descriptionText, profilesNode, profileButtons, buttons, importFailedText ]
+    } );
+
+    super( merge( {
+      titleNode: titleText,
+      contentNode: contentNode
+    }, providedOptions ) );
+
+    this.disposePreferencesProfilePanelSection = () => {
+      contentNode.dispose();
+      buttons.dispose();
+      exportButton.dispose();
+      importButton.dispose();
+      resetButton.dispose();
+      isUnlockedProperty.dispose();
+      importFailedText.dispose();
+      profileButtons.dispose();
+      newProfileButton.dispose();
+      deleteButton.dispose();
+      isOtherProfileProperty.dispose();
+      preferencesStorage.activeProfileNameProperty.unlink( activeProfileListener );
+      radioButtonGroup && radioButtonGroup.dispose();
+      profilesNode.dispose();
+      selectedProfileNameProperty.dispose();
+      descriptionText.dispose();
+      titleText.dispose();
+    };
+  }
+
+  public override dispose(): void {
+    this.disposePreferencesProfilePanelSection();
+    super.dispose();
+  }
+}
+
+joist.register( 'PreferencesProfilePanelSection', PreferencesProfilePanelSection );
+export default PreferencesProfilePanelSection;
@@ -1,80 +1,556 @@
 // Copyright 2021-2022, University of Colorado Boulder
 
 /**
- * Singleton that can save and load a Property's value to localStorage, and keep it in sync for the next runtime.
+ * Singleton that can save and load a Property's value to storage, and keep it in sync for the next runtime.
  * Must be used with ?preferencesStorage.
  *
+ * Values are grouped into named profiles, so that (for example) a classroom can keep one set of preferences for a
+ * projector and another for student devices. Only one profile is active at a time. Its values are applied to the
+ * registered Properties, and changes to those Properties are written back to it. A profile can be exported to a JSON
+ * file and imported on another machine.
+ *
+ * Each registered Property has a version. When a stored value has an older version it is passed through the
+ * provided migrate function, and a value that does not pass validation is dropped (with a warning) instead of being
+ * applied to the Property.
+ *
+ * A value can be locked with a Property (like a configuration that is locked with a PIN). While any value is locked,
+ * the active profile can't be reset or replaced by an import, and switching profiles doesn't change locked values. A
+ * value can also be left out of exported profiles.
+ *
+ * The storage itself is pluggable, see TPreferencesStorageBackend and ?preferencesStorageBackend.
+ *
  * NOTE: Property values are stringified, so don't try using this with something like `new StringProperty( 'true' )`
  *
  * author
  */
 
+import BooleanProperty from '../../../axon/js/BooleanProperty.js';
+import ReadOnlyProperty from '../../../axon/js/ReadOnlyProperty.js';
+import StringProperty from '../../../axon/js/StringProperty.js';
 import TProperty from '../../../axon/js/TProperty.js';
-import joist from '../joist.js';
+import TReadOnlyProperty from '../../../axon/js/TReadOnlyProperty.js';
+import optionize from '../../../phet-core/js/optionize.js';
 import IntentionalAny from '../../../phet-core/js/types/IntentionalAny.js';
+import joist from '../joist.js';
+import joistQueryParameters from '../joistQueryParameters.js';
+import loadFromFile from '../loadFromFile.js';
+import saveToFile from '../saveToFile.js';
+import LocalStorageBackend from './LocalStorageBackend.js';
+import MemoryStorageBackend from './MemoryStorageBackend.js';
+import PostMessageStorageBackend from './PostMessageStorageBackend.js';
+import TPreferencesStorageBackend from './TPreferencesStorageBackend.js';
 
 let preferencesStorage: PreferencesStorage | null = null;
 
+// A backend provided with setBackend, used instead of the one selected by query parameter
+let providedBackend: TPreferencesStorageBackend | null = null;
+
+// true if the backend could not be created with the browser settings, so that we only try once
+let backendUnavailable = false;
+
 const PREFERENCES_KEY = 'PREFERENCES:';
+const PROFILE_KEY = `${PREFERENCES_KEY}profile:`;
+const ACTIVE_PROFILE_KEY = `${PREFERENCES_KEY}activeProfile`;
+const DEFAULT_PROFILE_NAME = 'default';
+
+// Version of the layout of PreferencesProfile. If the layout changes, increment this and convert older layouts in
+// parseProfile.
+const SCHEMA_VERSION = 1;
+
+// A stored value, and the version of the registered Property that wrote it
+export type PreferencesEntry = {
+  version: number;
+  value: IntentionalAny;
+};
+
+// The layout of a profile in storage and in exported files
+export type PreferencesProfile = {
+  schemaVersion: number;
+  name: string;
+  entries: Record<string, PreferencesEntry>;
+};
+
+export type PreferencesStorageRegisterOptions = {
+
+  // Version of the stored value. Increment this when the meaning or shape of the value changes, and provide migrate
+  // to convert values stored with an older version.
+  version?: number;
+
+  // Converts a value stored with an older version to the current version. Return undefined to drop the value.
+  migrate?: ( ( value: IntentionalAny, storedVersion: number ) => IntentionalAny ) | null;
+
+  // Validation for values read from storage, in addition to the validation of the Property (validValues, valueType,
+  // isValidValue). By default, a stored value must also have the same type as the initial value of the Property.
+  isValidValue?: ( ( value: IntentionalAny ) => boolean ) | null;
+
+  // While true, the Property keeps its value when profiles are switched, and the value is stored in the profile that is
+  // activated. Profiles can't be reset or imported while any value is locked.
+  lockedProperty?: TReadOnlyProperty<boolean> | null;
+
+  // Whether the value is included in exportProfile. Imported profiles can't set a value that is not exported.
+  exported?: boolean;
+};
+
+type RegisteredProperty = {
+  property: TProperty<unknown>;
+
+  // value of the Property when it was registered, restored on reset
+  initialValue: unknown;
+} & Required<PreferencesStorageRegisterOptions>;
 
 class PreferencesStorage {
 
-  private enabled = true;
+  // The profile that is active unless another one was chosen
+  public static readonly DEFAULT_PROFILE_NAME = DEFAULT_PROFILE_NAME;
+
+  private readonly backend: TPreferencesStorageBackend;
+
+  // Properties that are kept in sync with storage, by the name they are stored under
+  private readonly registeredProperties = new Map<string, RegisteredProperty>();
+
+  // The active profile. Its values are applied to registered Properties, and it receives changes to them.
+  private profile: PreferencesProfile;
+
+  private readonly _activeProfileNameProperty: StringProperty;
+  public readonly activeProfileNameProperty: TReadOnlyProperty<string>;
+
+  // Whether any registered value is locked, see the lockedProperty option
+  private readonly _isLockedProperty = new BooleanProperty( false );
+  public readonly isLockedProperty: TReadOnlyProperty<boolean> = this._isLockedProperty;
+
+  // True while values of a profile are being applied to Properties, so that they are not written back one by one
+  private isApplyingProfile = false;
+
+  // Whether the backend has its items, see TPreferencesStorageBackend.isLoadedProperty. Nothing is written before.
+  private isLoaded: boolean;
+
+  // The profile to activate when the items are loaded
+  private readonly startupProfileName: string | null;
+
+  /**
+   * @param backend - where values are stored
+   * @param [profileName] - the profile to activate, defaults to the profile that was active in the previous runtime
+   */
+  public constructor( backend: TPreferencesStorageBackend, profileName?: string ) {
+    this.backend = backend;
+    this.startupProfileName = profileName || null;
+    this.isLoaded = !backend.isLoadedProperty || backend.isLoadedProperty.value;
+
+    this.isLoaded && this.migrateLegacyValues();
+
+    const name = this.startupProfileName || backend.getItem( ACTIVE_PROFILE_KEY ) || DEFAULT_PROFILE_NAME;
+    this.profile = this.loadProfile( name );
+    this.setItem( ACTIVE_PROFILE_KEY, name );
+    this.saveProfile();
+
+    this._activeProfileNameProperty = new StringProperty( name );
+    this.activeProfileNameProperty = this._activeProfileNameProperty;
 
-  // for debugging
-  private readonly registedProperties: TProperty<unknown>[] = [];
+    // Values may arrive later from a backend like PostMessageStorageBackend
+    backend.itemsChangedEmitter && backend.itemsChangedEmitter.addListener( () => this.reloadItems() );
+  }
+
+  /**
+   * Applies the items of the backend again, when they have arrived or were changed outside of this runtime. The first
+   * items decide which profile is active, like the constructor does for a backend that is loaded. After that, the
+   * profile that is stored as active is used.
+   */
+  private reloadItems(): void {
+    const isFirstLoad = !this.isLoaded;
+    this.isLoaded = true;
+    isFirstLoad && this.migrateLegacyValues();
+
+    const name = ( isFirstLoad && this.startupProfileName ) || this.backend.getItem( ACTIVE_PROFILE_KEY ) || DEFAULT_PROFILE_NAME;
+    this.profile = this.loadProfile( name );
+    if ( isFirstLoad ) {
+      this.setItem( ACTIVE_PROFILE_KEY, name );
+      this.saveProfile();
+    }
+    this._activeProfileNameProperty.value = name;
+    this.applyProfile( true );
+  }
+
+  /**
+   * Applies the stored value to the Property, and stores its changes. Use PreferencesStorage.register, which only
+   * registers when PreferencesStorage is enabled.
+   * (joist-internal)
+   */
+  public registerProperty( property: TProperty<unknown>, name: string, providedOptions?: PreferencesStorageRegisterOptions ): void {
+    assert && assert( !this.registeredProperties.has( name ), `Property already registered with name: ${name}` );
+
+    const options = optionize<PreferencesStorageRegisterOptions>()( {
+      version: 1,
+      migrate: null,
+      isValidValue: null,
+      lockedProperty: null,
+      exported: true
+    }, providedOptions );
+
+    const registeredProperty = {
+      property: property,
+      initialValue: property.value,
+      ...options
+    };
+    this.registeredProperties.set( name, registeredProperty );
 
-  public constructor() {
+    this.isApplyingProfile = true;
+    const changed = this.applyEntry( name, registeredProperty, false );
+    this.isApplyingProfile = false;
+    changed && this.saveProfile();
 
-    try {
+    if ( options.lockedProperty ) {
+      options.lockedProperty.link( () => {
+        this._isLockedProperty.value = _.some( [ ...this.registeredProperties.values() ],
+          registeredProperty => !!registeredProperty.lockedProperty && registeredProperty.lockedProperty.value );
+      } );
+    }
+
+    property.lazyLink( value => {
+      if ( !this.isApplyingProfile ) {
+        this.profile.entries[ name ] = { version: registeredProperty.version, value: value };
+        this.saveProfile();
+      }
+    } );
+  }
+
+  /**
+   * Applies the stored value for a registered Property, migrating or dropping it if necessary. Returns true if the
+   * stored entry changed, and the profile needs to be saved.
+   * @param name
+   * @param registeredProperty
+   * @param resetMissing - if true, a Property without a stored value is reset to its initial value
+   */
+  private applyEntry( name: string, registeredProperty: RegisteredProperty, resetMissing: boolean ): boolean {
+    const entry = this.profile.entries[ name ];
+    let changed = false;
 
-      // Always store the line indices just in case they want to be used by the next run.
-      window.localStorage.setItem( 'test', 'test' );
+    // A locked value is not changed, but the profile may be a different one that needs to store it
+    if ( registeredProperty.lockedProperty && registeredProperty.lockedProperty.value ) {
+      const value = registeredProperty.property.value;
+      if ( !entry || entry.version !== registeredProperty.version || !_.isEqual( entry.value, value ) ) {
+        this.profile.entries[ name ] = { version: registeredProperty.version, value: value };
+        changed = true;
+      }
+      return changed;
     }
-    catch( e ) {
-      this.enabled = false; // can't use localStorage with browser settings
 
-      if ( e instanceof Error ) {
-        const safari = window.navigator.userAgent.includes( 'Safari' ) && !window.navigator.userAgent.includes( 'Chrome' );
+    if ( entry ) {
+      const migrated = PreferencesStorage.migrateEntry( entry, registeredProperty );
+      if ( !migrated ) {
+        console.warn( `PreferencesStorage: dropping invalid stored value for ${name}: ${JSON.stringify( entry.value )}` );
+        delete this.profile.entries[ name ];
+        changed = true;
+      }
+      else {
+        registeredProperty.property.value = migrated.value;
 
-        if ( safari && e.message.includes( 'QuotaExceededError' ) ) {
-          console.log( 'It looks like you are browsing with private mode in Safari. ' +
-                       'Please turn that setting off if you want to use PreferencesStorage' );
+        if ( entry.version !== registeredProperty.version ) {
+
+          // store the migrated value so that it is only migrated once
+          this.profile.entries[ name ] = { version: registeredProperty.version, value: migrated.value };
+          changed = true;
         }
-        else {
-          throw e;
+      }
+    }
+
+    if ( resetMissing && !this.profile.entries[ name ] ) {
+      registeredProperty.property.value = registeredProperty.initialValue;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Applies the active profile to all registered Properties.
+   * @param resetMissing - if true, Properties without a stored value are reset to their initial value
+   */
+  private applyProfile( resetMissing: boolean ): void {
+    let changed = false;
+    this.isApplyingProfile = true;
+    this.registeredProperties.forEach( ( registeredProperty, name ) => {
+      changed = this.applyEntry( name, registeredProperty, resetMissing ) || changed;
+    } );
+    this.isApplyingProfile = false;
+    changed && this.saveProfile();
+  }
+
+  private loadProfile( name: string ): PreferencesProfile {
+    const item = this.backend.getItem( `${PROFILE_KEY}${name}` );
+
+    let profile = null;
+    if ( item ) {
+      try {
+        profile = PreferencesStorage.parseProfile( JSON.parse( item ), name );
+      }
+      catch( e ) {
+
+        // leave profile null, handled below
+      }
+      !profile && console.warn( `PreferencesStorage: ignoring unreadable profile: ${name}` );
+    }
+    return profile || PreferencesStorage.createProfile( name );
+  }
+
+  private saveProfile(): void {
+    this.setItem( `${PROFILE_KEY}${this.profile.name}`, JSON.stringify( this.profile ) );
+  }
+
+  // Writes to the backend, only after its items are loaded so that they are not replaced
+  private setItem( key: string, value: string ): void {
+    this.isLoaded && this.backend.setItem( key, value );
+  }
+
+  private removeItem( key: string ): void {
+    this.isLoaded && this.backend.removeItem( key );
+  }
+
+  /**
+   * Before profiles, each Property was stored under its own key. Move those values into the default profile.
+   */
+  private migrateLegacyValues(): void {
+    const keys = this.backend.keys();
+    if ( keys.some( key => key.startsWith( PROFILE_KEY ) ) ) {
+      return;
+    }
+
+    const legacyKeys = keys.filter( key => key.startsWith( PREFERENCES_KEY ) && key !== ACTIVE_PROFILE_KEY );
+    if ( legacyKeys.length > 0 ) {
+      const profile = PreferencesStorage.createProfile( DEFAULT_PROFILE_NAME );
+      legacyKeys.forEach( key => {
+        try {
+          profile.entries[ key.slice( PREFERENCES_KEY.length ) ] = { version: 1, value: JSON.parse( this.backend.getItem( key )! ) };
+        }
+        catch( e ) {
+
+          // drop values that are not JSON
         }
+        this.backend.removeItem( key );
+      } );
+      this.backend.setItem( `${PROFILE_KEY}${DEFAULT_PROFILE_NAME}`, JSON.stringify( profile ) );
+    }
+  }
+
+  /**
+   * Returns the names of all stored profiles. The active profile is always stored.
+   */
+  public getProfileNames(): string[] {
+    const names = this.backend.keys()
+      .filter( key => key.startsWith( PROFILE_KEY ) )
+      .map( key => key.slice( PROFILE_KEY.length ) );
+    return _.uniq( [ ...names, this.profile.name ] ).sort();
+  }
+
+  /**
+   * Activates the named profile (creating it if it does not exist) and applies its values. Properties that have no
+   * value in the profile are reset to their initial value.
+   */
+  public switchProfile( name: string ): void {
+    assert && assert( name.length > 0, 'profile name required' );
+
+    this.profile = this.loadProfile( name );
+    this.setItem( ACTIVE_PROFILE_KEY, name );
+    this.applyProfile( true );
+    this.saveProfile();
+    this._activeProfileNameProperty.value = name;
+  }
+
+  /**
+   * Clears all values in the active profile, and resets registered Properties to their initial values. Returns false
+   * if a value is locked, in which case nothing changes.
+   */
+  public resetProfile(): boolean {
+    if ( this.isLockedProperty.value ) {
+      return false;
+    }
+    this.profile.entries = {};
+    this.applyProfile( true );
+    this.saveProfile();
+    return true;
+  }
+
+  /**
+   * Removes a profile from storage. If it is the active profile, the default profile is activated.
+   */
+  public deleteProfile( name: string ): void {
+    this.removeItem( `${PROFILE_KEY}${name}` );
+    if ( name === this.profile.name ) {
+      this.switchProfile( DEFAULT_PROFILE_NAME );
+    }
+  }
+
+  /**
+   * Returns the active profile, including the current values of all registered Properties that are exported.
+   */
+  public exportProfile(): PreferencesProfile {
+    const profile = PreferencesStorage.createProfile( this.profile.name );
+    Object.assign( profile.entries, this.profile.entries );
+    this.registeredProperties.forEach( ( registeredProperty, name ) => {
+      if ( registeredProperty.exported ) {
+        profile.entries[ name ] = { version: registeredProperty.version, value: registeredProperty.property.value };
+      }
+      else {
+        delete profile.entries[ name ];
       }
+    } );
+
+    // round trip so that the result does not share values with Properties
+    return JSON.parse( JSON.stringify( profile ) );
+  }
+
+  /**
+   * Stores a profile (like one from exportProfile) and activates it. Values that are not exported are kept from the
+   * active profile. Returns false if the data is not a readable profile or a value is locked, in which case nothing
+   * changes.
+   */
+  public importProfile( data: unknown ): boolean {
+    const profile = PreferencesStorage.parseProfile( data, DEFAULT_PROFILE_NAME );
+    if ( !profile || this.isLockedProperty.value ) {
+      return false;
+    }
+    this.registeredProperties.forEach( ( registeredProperty, name ) => {
+      if ( !registeredProperty.exported ) {
+        delete profile.entries[ name ];
+        if ( this.profile.entries[ name ] ) {
+          profile.entries[ name ] = this.profile.entries[ name ];
+        }
+      }
+    } );
+    this.setItem( `${PROFILE_KEY}${profile.name}`, JSON.stringify( profile ) );
+    this.switchProfile( profile.name );
+    return true;
+  }
+
+  /**
+   * Saves the active profile to a JSON file on the user's file system.
+   */
+  public downloadProfile(): void {
+    saveToFile( JSON.stringify( this.exportProfile(), null, 2 ), `${this.profile.name}.preferences.json` );
+  }
+
+  /**
+   * Asks the user for a file from downloadProfile and imports it.
+   * @param [callback] - called with false if the file is not a preferences profile, or a value is locked
+   */
+  public uploadProfile( callback?: ( imported: boolean ) => void ): void {
+    loadFromFile( '.json,application/json', content => {
+      let data = null;
+      try {
+        data = JSON.parse( content );
+      }
+      catch( e ) {
+
+        // handled below
+      }
+      const imported = this.importProfile( data );
+      callback && callback( imported );
+    } );
+  }
+
+  /**
+   * Returns the value of an entry at the current version of the registered Property, or null if it cannot be
+   * migrated or is invalid. Wrapped in an object since null can be a valid value.
+   */
+  private static migrateEntry( entry: PreferencesEntry, registeredProperty: RegisteredProperty ): { value: IntentionalAny } | null {
+    let value = entry.value;
+    if ( entry.version < registeredProperty.version ) {
+      value = registeredProperty.migrate ? registeredProperty.migrate( value, entry.version ) : undefined;
     }
+    else if ( entry.version > registeredProperty.version ) {
+
+      // stored by a newer version of the sim, we can't know what it means
+      value = undefined;
+    }
+
+    // Validate before setting, since a Property only rejects an invalid value when assertions are enabled
+    const property = registeredProperty.property;
+    const isValid = value !== undefined &&
+                    ( !( property instanceof ReadOnlyProperty ) || property.isValueValid( value ) ) &&
+                    ( registeredProperty.isValidValue ? registeredProperty.isValidValue( value ) :
+                      registeredProperty.initialValue === null || value === null ||
+                      typeof value === typeof registeredProperty.initialValue );
+
+    return isValid ? { value: value } : null;
   }
 
-  private registerToLocalStorage( property: TProperty<unknown>, name: string ): void {
-    const key = `${PREFERENCES_KEY}${name}`;
-    if ( window.localStorage.getItem( key ) ) {
-      property.value = JSON.parse( window.localStorage.getItem( key )! );
+  private static createProfile( name: string ): PreferencesProfile {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      name: name,
+      entries: {}
+    };
+  }
+
+  /**
+   * Returns a PreferencesProfile from parsed JSON, or null if it is not one. Malformed entries are left out.
+   * @param data
+   * @param fallbackName - used if the data does not include a name
+   */
+  private static parseProfile( data: IntentionalAny, fallbackName: string ): PreferencesProfile | null {
+    if ( !data || typeof data !== 'object' || !data.entries || typeof data.entries !== 'object' ||
+         typeof data.schemaVersion !== 'number' || data.schemaVersion > SCHEMA_VERSION ) {
+      return null;
     }
-    property.link( ( value: IntentionalAny ) => {
-      window.localStorage.setItem( key, JSON.stringify( value ) );
+
+    const profile = PreferencesStorage.createProfile( typeof data.name === 'string' && data.name.length > 0 ? data.name : fallbackName );
+    Object.keys( data.entries ).forEach( name => {
+      const entry = data.entries[ name ];
+      if ( entry && typeof entry === 'object' && typeof entry.version === 'number' && 'value' in entry ) {
+        profile.entries[ name ] = { version: entry.version, value: entry.value };
+      }
     } );
-    this.registedProperties.push( property );
+    return profile;
   }
 
-  public static register( property: TProperty<unknown>, name: string ): TProperty<unknown> {
+  /**
+   * Sets the backend used when PreferencesStorage is created, instead of the one selected by
+   * ?preferencesStorageBackend. Must be called before any Property is registered.
+   */
+  public static setBackend( backend: TPreferencesStorageBackend ): void {
+    assert && assert( !preferencesStorage, 'setBackend must be called before PreferencesStorage is used' );
+    providedBackend = backend;
+  }
+
+  /**
+   * Returns the PreferencesStorage for this runtime, or null if it is not enabled with ?preferencesStorage or its
+   * backend is not available with the browser settings.
+   */
+  public static getInstance(): PreferencesStorage | null {
     if ( !phet.chipper.queryParameters.preferencesStorage ) {
-      return property;
+      return null;
     }
 
-    if ( !preferencesStorage ) {
-      preferencesStorage = new PreferencesStorage();
+    if ( !preferencesStorage && !backendUnavailable ) {
+      const backend = providedBackend || PreferencesStorage.createBackend();
+      if ( backend ) {
+        const profileName = QueryStringMachine.containsKey( 'preferencesProfile' ) ? joistQueryParameters.preferencesProfile : undefined;
+        preferencesStorage = new PreferencesStorage( backend, profileName );
+      }
+      else {
+        backendUnavailable = true;
+      }
     }
+    return preferencesStorage;
+  }
 
-    if ( preferencesStorage.enabled ) {
-      preferencesStorage.registerToLocalStorage( property, name );
+  private static createBackend(): TPreferencesStorageBackend | null {
+    const backendName = joistQueryParameters.preferencesStorageBackend;
+    if ( backendName === 'postMessage' && !joistQueryParameters.preferencesStorageOrigin ) {
+      console.warn( 'PreferencesStorage: the parent frame can not store preferences, provide its origin with ?preferencesStorageOrigin' );
+      return null;
     }
+    return backendName === 'postMessage' ? new PostMessageStorageBackend( joistQueryParameters.preferencesStorageOrigin ) :
+           backendName === 'memory' ? new MemoryStorageBackend() :
+           LocalStorageBackend.isAvailable() ? new LocalStorageBackend() :
+           null; // can't use localStorage with browser settings
+  }
+
+  public static register( property: TProperty<unknown>, name: string, providedOptions?: PreferencesStorageRegisterOptions ): TProperty<unknown> {
+    const instance = PreferencesStorage.getInstance();
+    instance && instance.registerProperty( property, name, providedOptions );
 
     return property;
   }
 }
 
 joist.register( 'PreferencesStorage', PreferencesStorage );
-export default PreferencesStorage;
\ No newline at end of file
+export default PreferencesStorage;
@@ -0,0 +1,190 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for PreferencesStorage
+ */
+
+import BooleanProperty from '../../../axon/js/BooleanProperty.js';
+import Emitter from '../../../axon/js/Emitter.js';
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Property from '../../../axon/js/Property.js';
+import MemoryStorageBackend from './MemoryStorageBackend.js';
+import PreferencesStorage from './PreferencesStorage.js';
+
+// A backend that receives its items later, like PostMessageStorageBackend
+class LoadingStorageBackend extends MemoryStorageBackend {
+  public readonly isLoadedProperty = new BooleanProperty( false );
+  public readonly itemsChangedEmitter = new Emitter();
+
+  public load( items: Record<string, string> ): void {
+    _.forEach( items, ( value, key ) => super.setItem( key, value ) );
+    this.isLoadedProperty.value = true;
+    this.itemsChangedEmitter.emit();
+  }
+}
+
+QUnit.test( 'legacy values move into the default profile', assert => {
+  const backend = new MemoryStorageBackend();
+  backend.setItem( 'PREFERENCES:voiceRateProperty', '1.5' );
+
+  const preferencesStorage = new PreferencesStorage( backend );
+  const voiceRateProperty = new NumberProperty( 1 );
+  preferencesStorage.registerProperty( voiceRateProperty, 'voiceRateProperty' );
+
+  assert.equal( voiceRateProperty.value, 1.5, 'legacy value applied' );
+  assert.equal( backend.getItem( 'PREFERENCES:voiceRateProperty' ), null, 'legacy key removed' );
+  assert.deepEqual( preferencesStorage.getProfileNames(), [ 'default' ], 'stored in the default profile' );
+} );
+
+QUnit.test( 'invalid values are dropped, older values are migrated', assert => {
+  const backend = new MemoryStorageBackend();
+  backend.setItem( 'PREFERENCES:profile:default', JSON.stringify( {
+    schemaVersion: 1,
+    name: 'default',
+    entries: {
+      soundEnabledProperty: { version: 1, value: 'yes' },
+      toolbarEnabledProperty: { version: 1, value: 'on' }
+    }
+  } ) );
+
+  const preferencesStorage = new PreferencesStorage( backend );
+
+  const soundEnabledProperty = new BooleanProperty( false );
+  preferencesStorage.registerProperty( soundEnabledProperty, 'soundEnabledProperty' );
+  assert.equal( soundEnabledProperty.value, false, 'value of the wrong type is not applied' );
+
+  const toolbarEnabledProperty = new BooleanProperty( false );
+  preferencesStorage.registerProperty( toolbarEnabledProperty, 'toolbarEnabledProperty', {
+    version: 2,
+    migrate: ( value, storedVersion ) => storedVersion === 1 ? value === 'on' : undefined
+  } );
+  assert.equal( toolbarEnabledProperty.value, true, 'value migrated from version 1' );
+
+  const entries = preferencesStorage.exportProfile().entries;
+  assert.deepEqual( JSON.parse( backend.getItem( 'PREFERENCES:profile:default' )! ).entries, {
+    toolbarEnabledProperty: { version: 2, value: true }
+  }, 'invalid value removed from storage, migrated value stored at the new version' );
+  assert.deepEqual( entries.soundEnabledProperty, { version: 1, value: false }, 'export includes current values' );
+} );
+
+QUnit.test( 'values are validated by the Property', assert => {
+  const backend = new MemoryStorageBackend();
+  backend.setItem( 'PREFERENCES:profile:default', JSON.stringify( {
+    schemaVersion: 1,
+    name: 'default',
+    entries: {
+      voiceRateProperty: { version: 1, value: 5 },
+      tabProperty: { version: 1, value: 'audio' }
+    }
+  } ) );
+
+  const preferencesStorage = new PreferencesStorage( backend );
+
+  const voiceRateProperty = new NumberProperty( 1, { isValidValue: value => value <= 2 } );
+  preferencesStorage.registerProperty( voiceRateProperty, 'voiceRateProperty' );
+  assert.equal( voiceRateProperty.value, 1, 'value rejected by isValidValue of the Property is not applied' );
+
+  const tabProperty = new Property<string>( 'overview', { validValues: [ 'overview', 'visual' ] } );
+  preferencesStorage.registerProperty( tabProperty, 'tabProperty' );
+  assert.equal( tabProperty.value, 'overview', 'value that is not in validValues of the Property is not applied' );
+
+  assert.deepEqual( JSON.parse( backend.getItem( 'PREFERENCES:profile:default' )! ).entries, {}, 'invalid values removed from storage' );
+} );
+
+QUnit.test( 'profiles', assert => {
+  const preferencesStorage = new PreferencesStorage( new MemoryStorageBackend() );
+  const voicePitchProperty = new NumberProperty( 1 );
+  preferencesStorage.registerProperty( voicePitchProperty, 'voicePitchProperty' );
+
+  voicePitchProperty.value = 1.2;
+  const exported = preferencesStorage.exportProfile();
+
+  preferencesStorage.switchProfile( 'projector' );
+  assert.equal( voicePitchProperty.value, 1, 'new profile starts from initial values' );
+  assert.equal( preferencesStorage.activeProfileNameProperty.value, 'projector', 'profile switched' );
+  assert.deepEqual( preferencesStorage.getProfileNames(), [ 'default', 'projector' ], 'the new profile is stored' );
+
+  voicePitchProperty.value = 0.8;
+  preferencesStorage.resetProfile();
+  assert.equal( voicePitchProperty.value, 1, 'reset restores the initial value' );
+
+  assert.ok( preferencesStorage.importProfile( exported ), 'import succeeds' );
+  assert.equal( preferencesStorage.activeProfileNameProperty.value, 'default', 'imported profile is active' );
+  assert.equal( voicePitchProperty.value, 1.2, 'imported value applied' );
+  assert.deepEqual( preferencesStorage.getProfileNames(), [ 'default', 'projector' ], 'both profiles stored' );
+
+  preferencesStorage.deleteProfile( 'projector' );
+  assert.deepEqual( preferencesStorage.getProfileNames(), [ 'default' ], 'a profile can be deleted' );
+
+  assert.notOk( preferencesStorage.importProfile( { entries: 'nope' } ), 'malformed profile rejected' );
+  assert.notOk( preferencesStorage.importProfile( { schemaVersion: 1000, name: 'future', entries: {} } ), 'newer schema rejected' );
+} );
+
+QUnit.test( 'locked values and values that are not exported', assert => {
+  const preferencesStorage = new PreferencesStorage( new MemoryStorageBackend() );
+  const isLockedProperty = new BooleanProperty( false );
+  const pinProperty = new Property<string>( '' );
+  preferencesStorage.registerProperty( pinProperty, 'pinProperty', {
+    lockedProperty: isLockedProperty,
+    exported: false
+  } );
+
+  pinProperty.value = '1234';
+  const exported = preferencesStorage.exportProfile();
+  assert.notOk( 'pinProperty' in exported.entries, 'value is not exported' );
+
+  isLockedProperty.value = true;
+  assert.ok( preferencesStorage.isLockedProperty.value, 'storage is locked' );
+  assert.notOk( preferencesStorage.resetProfile(), 'reset refused while locked' );
+  assert.notOk( preferencesStorage.importProfile( exported ), 'import refused while locked' );
+  assert.equal( pinProperty.value, '1234', 'locked value is not changed' );
+  assert.equal( preferencesStorage.activeProfileNameProperty.value, 'default', 'profile not replaced' );
+
+  preferencesStorage.switchProfile( 'projector' );
+  assert.equal( pinProperty.value, '1234', 'locked value is kept when switching profiles' );
+  assert.deepEqual( preferencesStorage.exportProfile().entries, {}, 'the other profile is not exported with the value' );
+
+  isLockedProperty.value = false;
+  assert.ok( preferencesStorage.importProfile( {
+    schemaVersion: 1,
+    name: 'imported',
+    entries: { pinProperty: { version: 1, value: '' } }
+  } ) );
+  assert.equal( pinProperty.value, '1234', 'an imported profile can not set a value that is not exported' );
+
+  preferencesStorage.resetProfile();
+  assert.equal( pinProperty.value, '', 'an unlocked value is reset' );
+} );
+
+QUnit.test( 'a backend that loads its items later', assert => {
+  const backend = new LoadingStorageBackend();
+  const preferencesStorage = new PreferencesStorage( backend );
+  const voiceRateProperty = new NumberProperty( 1 );
+  preferencesStorage.registerProperty( voiceRateProperty, 'voiceRateProperty' );
+  voiceRateProperty.value = 1.5;
+  assert.deepEqual( backend.keys(), [], 'nothing is written before the items arrive' );
+
+  const projectorProfile = JSON.stringify( {
+    schemaVersion: 1,
+    name: 'projector',
+    entries: { voiceRateProperty: { version: 1, value: 2 } }
+  } );
+  backend.load( {
+    'PREFERENCES:activeProfile': 'projector',
+    'PREFERENCES:profile:projector': projectorProfile
+  } );
+  assert.equal( preferencesStorage.activeProfileNameProperty.value, 'projector', 'the stored active profile is activated' );
+  assert.equal( voiceRateProperty.value, 2, 'its values are applied' );
+  assert.deepEqual( JSON.parse( backend.getItem( 'PREFERENCES:profile:projector' )! ).entries,
+    { voiceRateProperty: { version: 1, value: 2 } }, 'the stored profile is kept' );
+
+  voiceRateProperty.value = 3;
+  assert.deepEqual( JSON.parse( backend.getItem( 'PREFERENCES:profile:projector' )! ).entries.voiceRateProperty,
+    { version: 1, value: 3 }, 'changes are written after the items arrive' );
+
+  const classroomBackend = new LoadingStorageBackend();
+  const classroomStorage = new PreferencesStorage( classroomBackend, 'classroom' );
+  classroomBackend.load( { 'PREFERENCES:activeProfile': 'projector' } );
+  assert.equal( classroomStorage.activeProfileNameProperty.value, 'classroom', 'a requested profile is activated' );
+  assert.equal( classroomBackend.getItem( 'PREFERENCES:activeProfile' ), 'classroom' );
+} );
@@ -0,0 +1,245 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Section of the "Overview" panel of the PreferencesDialog with controls for the ScreenConfiguration, so that a
+ * teacher can show, hide and reorder screens, lock the configuration with a PIN, and copy a link to it. Only created
+ * when the sim has a ScreenConfiguration.
+ */
+
+import BooleanProperty from '../../../axon/js/BooleanProperty.js';
+import DerivedProperty from '../../../axon/js/DerivedProperty.js';
+import StringProperty from '../../../axon/js/StringProperty.js';
+import merge from '../../../phet-core/js/merge.js';
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
+import Keypad from '../../../scenery-phet/js/keypad/Keypad.js';
+import { HBox, Node, Text, VBox, VoicingRichText } from '../../../scenery/js/imports.js';
+import ArrowButton from '../../../sun/js/buttons/ArrowButton.js';
+import TextPushButton from '../../../sun/js/buttons/TextPushButton.js';
+import Checkbox from '../../../sun/js/Checkbox.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import joist from '../joist.js';
+import JoistStrings from '../JoistStrings.js';
+import Screen from '../Screen.js';
+import ScreenConfiguration from '../ScreenConfiguration.js';
+import PreferencesDialog from './PreferencesDialog.js';
+import PreferencesPanelSection, { PreferencesPanelSectionOptions } from './PreferencesPanelSection.js';
+
+// constants
+const screensStrings = JoistStrings.preferences.tabs.overview.screens;
+const PIN_MAX_DIGITS = 6;
+const BUTTON_OPTIONS = {
+  font: PreferencesDialog.CONTENT_FONT,
+  maxTextWidth: 150,
+
+  // phet-io
+  tandem: Tandem.OPT_OUT // We don't want to instrument components for preferences, https://github.com/phetsims/joist/issues/744#issuecomment-1196028362
+};
+const ARROW_BUTTON_OPTIONS = {
+  arrowWidth: 14,
+  arrowHeight: 12,
+  tandem: Tandem.OPT_OUT
+};
+
+class ScreensPanelSection extends PreferencesPanelSection {
+  private readonly disposeScreensPanelSection: () => void;
+
+  public constructor( screenConfiguration: ScreenConfiguration, providedOptions?: PreferencesPanelSectionOptions ) {
+
+    const titleText = new Text( screensStrings.titleStringProperty, PreferencesDialog.PANEL_SECTION_LABEL_OPTIONS );
+
+    const descriptionText = new VoicingRichText( screensStrings.descriptionStringProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+      maxWidth: null,
+      lineWrap: 560,
+      tagName: 'p'
+    } ) );
+
+    const isUnlockedProperty = DerivedProperty.not( screenConfiguration.isLockedProperty );
+
+    // A row for each screen, with buttons to move it and a checkbox to show it
+    const screenRows = new Map<Screen, Node>();
+    const disposables: { dispose: () => void }[] = [];
+    screenConfiguration.getScreens().forEach( screen => {
+
+      const isShownProperty = new BooleanProperty( !screenConfiguration.isScreenHidden( screen ) );
+      const hiddenScreensListener = () => {
+        isShownProperty.value = !screenConfiguration.isScreenHidden( screen );
+      };
+      screenConfiguration.hiddenScreensProperty.lazyLink( hiddenScreensListener );
+      isShownProperty.lazyLink( isShown => {
+        screenConfiguration.isScreenHidden( screen ) === isShown && screenConfiguration.setScreenHidden( screen, !isShown );
+      } );
+
+      const positionProperty = new DerivedProperty( [ screenConfiguration.screenOrderProperty ],
+        () => screenConfiguration.getScreens().indexOf( screen ) );
+
+      const moveUpButton = new ArrowButton( 'up', () => screenConfiguration.moveScreen( screen, -1 ), merge( {
+        accessibleName: screensStrings.moveUpStringProperty,
+        enabledProperty: new DerivedProperty( [ isUnlockedProperty, positionProperty ],
+          ( isUnlocked, position ) => isUnlocked && position > 0 )
+      }, ARROW_BUTTON_OPTIONS ) );
+      const moveDownButton = new ArrowButton( 'down', () => screenConfiguration.moveScreen( screen, 1 ), merge( {
+        accessibleName: screensStrings.moveDownStringProperty,
+        enabledProperty: new DerivedProperty( [ isUnlockedProperty, positionProperty ],
+          ( isUnlocked, position ) => isUnlocked && position < screenConfiguration.getScreens().length - 1 )
+      }, ARROW_BUTTON_OPTIONS ) );
+
+      // The last shown screen can't be hidden
+      const checkbox = new Checkbox( isShownProperty, new Text( screen.nameProperty, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS ), {
+        enabledProperty: new DerivedProperty( [ isUnlockedProperty, isShownProperty, screenConfiguration.hiddenScreensProperty ],
+          ( isUnlocked, isShown, hiddenScreens ) => isUnlocked && ( !isShown || hiddenScreens.length < screenConfiguration.getScreens().length - 1 ) ),
+        tandem: Tandem.OPT_OUT
+      } );
+
+      const row = new HBox( { spacing: 10, children: [ moveUpButton, moveDownButton, checkbox ] } );
+      screenRows.set( screen, row );
+      disposables.push( row, checkbox, moveUpButton, moveDownButton, positionProperty, {
+        dispose: () => screenConfiguration.hiddenScreensProperty.unlink( hiddenScreensListener )
+      } );
+    } );
+
+    const screenRowsBox = new VBox( { spacing: 5, align: 'left' } );
+    const screenOrderListener = () => {
+      screenRowsBox.children = screenConfiguration.getScreens().map( screen => screenRows.get( screen )! );
+    };
+    screenConfiguration.screenOrderProperty.link( screenOrderListener );
+
+    const showAllButton = new TextPushButton( screensStrings.showAllStringProperty, merge( {
+      listener: () => screenConfiguration.reset(),
+      enabledProperty: isUnlockedProperty
+    }, BUTTON_OPTIONS ) );
+
+    // Whether the link was copied, or the link itself if it could not be copied
+    const copyLinkStatusProperty = new StringProperty( '' );
+    const copyLinkButton = new TextPushButton( screensStrings.copyLinkStringProperty, merge( {
+      listener: () => {
+        const url = screenConfiguration.getShareURL();
+        const copyFailed = () => {
+          copyLinkStatusProperty.value = StringUtils.fillIn( screensStrings.copyLinkFailedPatternStringProperty.value, { url: url } );
+        };
+        if ( navigator.clipboard ) {
+          navigator.clipboard.writeText( url ).then( () => {
+            copyLinkStatusProperty.value = screensStrings.linkCopiedStringProperty.value;
+          } ).catch( copyFailed );
+        }
+        else {
+          copyFailed();
+        }
+      }
+    }, BUTTON_OPTIONS ) );
+    const buttons = new HBox( { spacing: 10, children: [ showAllButton, copyLinkButton ] } );
+    const copyLinkStatusText = new VoicingRichText( copyLinkStatusProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+      tagName: 'p'
+    } ) );
+
+    // PIN entry, used to set the PIN and to unlock
+    const keypad = new Keypad( Keypad.PositiveIntegerLayout, {
+      buttonWidth: 30,
+      buttonHeight: 30,
+      accumulatorOptions: {
+        maxDigits: PIN_MAX_DIGITS
+      },
+      visibleProperty: new DerivedProperty( [ screenConfiguration.isLockedProperty, screenConfiguration.hasPINProperty ],
+        ( isLocked, hasPIN ) => isLocked || !hasPIN ),
+      tandem: Tandem.OPT_OUT
+    } );
+    const pinStringProperty = new DerivedProperty( [ screensStrings.pinStringProperty, keypad.stringProperty ],
+      ( pinString, digits ) => `${pinString}: ${_.repeat( '•', digits.length )}` );
+    const pinText = new Text( pinStringProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+      visibleProperty: keypad.visibleProperty
+    } ) );
+    const hasDigitsProperty = new DerivedProperty( [ keypad.stringProperty ], digits => digits.length > 0 );
+
+    const setPINButton = new TextPushButton( screensStrings.setPINStringProperty, merge( {
+      listener: () => {
+        screenConfiguration.setPIN( keypad.stringProperty.value );
+        keypad.clear();
+      },
+      enabledProperty: hasDigitsProperty,
+      visibleProperty: new DerivedProperty( [ screenConfiguration.hasPINProperty ], hasPIN => !hasPIN )
+    }, BUTTON_OPTIONS ) );
+    const unlockButton = new TextPushButton( screensStrings.unlockStringProperty, merge( {
+      listener: () => {
+        screenConfiguration.unlock( keypad.stringProperty.value );
+        keypad.clear();
+      },
+      enabledProperty: hasDigitsProperty,
+      visibleProperty: screenConfiguration.isLockedProperty
+    }, BUTTON_OPTIONS ) );
+
+    const isUnlockedWithPINProperty = new DerivedProperty( [ isUnlockedProperty, screenConfiguration.hasPINProperty ],
+      ( isUnlocked, hasPIN ) => isUnlocked && hasPIN );
+    const lockButton = new TextPushButton( screensStrings.lockStringProperty, merge( {
+      listener: () => screenConfiguration.lock(),
+      visibleProperty: isUnlockedWithPINProperty
+    }, BUTTON_OPTIONS ) );
+    const removePINButton = new TextPushButton( screensStrings.removePINStringProperty, merge( {
+      listener: () => screenConfiguration.setPIN( '' ),
+      visibleProperty: isUnlockedWithPINProperty
+    }, BUTTON_OPTIONS ) );
+
+    const lockedText = new VoicingRichText( screensStrings.lockedStringProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+      maxWidth: null,
+      lineWrap: 560,
+      tagName: 'p',
+      visibleProperty: screenConfiguration.isLockedProperty
+    } ) );
+
+    const pinBox = new HBox( {
+      spacing: 15,
+      align: 'top',
+      children: [
+        keypad,
+        new VBox( {
+          spacing: PreferencesDialog.LABEL_CONTENT_SPACING,
+          align: 'left',
+          children: [ pinText, setPINButton, unlockButton, lockButton, removePINButton ]
+        } )
+      ]
+    } );
+
+    const contentNode = new VBox( {
+      spacing: PreferencesDialog.LABEL_CONTENT_SPACING,
+      align: 'left',
+      children: [ descriptionText, lockedText, screenRowsBox, buttons, copyLinkStatusText, pinBox ]
+    } );
+
+    super( merge( {
+      titleNode: titleText,
+      contentNode: contentNode
+    }, providedOptions ) );
+
+    this.disposeScreensPanelSection = () => {
+      screenConfiguration.screenOrderProperty.unlink( screenOrderListener );
+      contentNode.dispose();
+      pinBox.dispose();
+      lockedText.dispose();
+      removePINButton.dispose();
+      lockButton.dispose();
+      isUnlockedWithPINProperty.dispose();
+      unlockButton.dispose();
+      setPINButton.dispose();
+      hasDigitsProperty.dispose();
+      pinText.dispose();
+      pinStringProperty.dispose();
+      keypad.dispose();
+      copyLinkStatusText.dispose();
+      copyLinkStatusProperty.dispose();
+      buttons.dispose();
+      copyLinkButton.dispose();
+      showAllButton.dispose();
+      screenRowsBox.dispose();
+      disposables.forEach( disposable => disposable.dispose() );
+      isUnlockedProperty.dispose();
+      descriptionText.dispose();
+      titleText.dispose();
+    };
+  }
+
+  public override dispose(): void {
+    this.disposeScreensPanelSection();
+    super.dispose();
+  }
+}
+
+joist.register( 'ScreensPanelSection', ScreensPanelSection );
+export default ScreensPanelSection;
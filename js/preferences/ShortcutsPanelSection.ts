@@ -0,0 +1,159 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Section of the "Overview" panel of the PreferencesDialog that lists the commands of the commandRegistry, so that
+ * the user can change or clear the shortcut of each command and restore the defaults. A new shortcut is recorded from
+ * the next keys that are pressed, and a shortcut that is already used by another command is rejected.
+ */
+
+import DerivedProperty from '../../../axon/js/DerivedProperty.js';
+import StringProperty from '../../../axon/js/StringProperty.js';
+import merge from '../../../phet-core/js/merge.js';
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
+import { AlignGroup, HBox, Text, VBox, VoicingRichText } from '../../../scenery/js/imports.js';
+import TextPushButton from '../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import commandRegistry, { Command, CommandRegistry } from '../commandRegistry.js';
+import joist from '../joist.js';
+import JoistStrings from '../JoistStrings.js';
+import PreferencesDialog from './PreferencesDialog.js';
+import PreferencesPanelSection, { PreferencesPanelSectionOptions } from './PreferencesPanelSection.js';
+
+// constants
+const shortcutsStrings = JoistStrings.preferences.tabs.overview.shortcuts;
+const BUTTON_OPTIONS = {
+  font: PreferencesDialog.CONTENT_FONT,
+  maxTextWidth: 100,
+
+  // phet-io
+  tandem: Tandem.OPT_OUT // We don't want to instrument components for preferences, https://github.com/phetsims/joist/issues/744#issuecomment-1196028362
+};
+
+class ShortcutsPanelSection extends PreferencesPanelSection {
+  private readonly disposeShortcutsPanelSection: () => void;
+
+  public constructor( providedOptions?: PreferencesPanelSectionOptions ) {
+
+    const titleText = new Text( shortcutsStrings.titleStringProperty, PreferencesDialog.PANEL_SECTION_LABEL_OPTIONS );
+
+    const descriptionText = new VoicingRichText( shortcutsStrings.descriptionStringProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+      maxWidth: null,
+      lineWrap: 560,
+      tagName: 'p'
+    } ) );
+
+    // feedback while a shortcut is recorded, and when it is rejected
+    const statusStringProperty = new StringProperty( '' );
+    const statusText = new Text( statusStringProperty, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS );
+
+    const recordShortcut = ( command: Command ) => {
+      statusStringProperty.value = shortcutsStrings.pressKeysStringProperty.value;
+      commandRegistry.captureShortcut( shortcut => {
+        statusStringProperty.value = '';
+        const conflict = shortcut && commandRegistry.getCommandForShortcut( shortcut );
+        if ( conflict && conflict !== command ) {
+          statusStringProperty.value = StringUtils.fillIn( shortcutsStrings.conflictPatternStringProperty, {
+            shortcut: CommandRegistry.getShortcutLabel( shortcut! ),
+            command: conflict.nameProperty.value
+          } );
+        }
+        else if ( shortcut ) {
+          commandRegistry.setShortcut( command.id, shortcut );
+        }
+      } );
+    };
+
+    // A row for each command. The rows are only rebuilt when commands are registered or unregistered, since a shortcut
+    // is changed from a listener of a button in a row, which must not be disposed while it is pressed.
+    const nameAlignGroup = new AlignGroup( { matchVertical: false } );
+    const shortcutAlignGroup = new AlignGroup( { matchVertical: false } );
+    const commandRowsBox = new VBox( { spacing: 5, align: 'left' } );
+    let rowCommands: Command[] = [];
+    let rowDisposables: { dispose: () => void }[] = [];
+    const updateRows = () => {
+      const commands = commandRegistry.getCommands();
+      if ( commands.length === rowCommands.length && commands.every( ( command, i ) => command === rowCommands[ i ] ) ) {
+        return;
+      }
+      rowCommands = commands;
+
+      rowDisposables.forEach( disposable => disposable.dispose() );
+      rowDisposables = [];
+
+      commandRowsBox.children = commands.map( command => {
+        const shortcutStringProperty = new DerivedProperty(
+          [ commandRegistry.customShortcutsProperty, shortcutsStrings.noneStringProperty ], () => {
+            const shortcut = commandRegistry.getShortcut( command.id );
+            return shortcut ? CommandRegistry.getShortcutLabel( shortcut ) : shortcutsStrings.noneStringProperty.value;
+          } );
+        const hasShortcutProperty = new DerivedProperty( [ commandRegistry.customShortcutsProperty ],
+          () => !!commandRegistry.getShortcut( command.id ) );
+
+        const nameText = new Text( command.nameProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+          maxWidth: 250
+        } ) );
+        const shortcutText = new Text( shortcutStringProperty,
+          merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, { maxWidth: 150 } ) );
+
+        const changeButton = new TextPushButton( shortcutsStrings.changeStringProperty, merge( {
+          listener: () => recordShortcut( command )
+        }, BUTTON_OPTIONS ) );
+        const clearButton = new TextPushButton( shortcutsStrings.clearStringProperty, merge( {
+          listener: () => commandRegistry.setShortcut( command.id, null ),
+          enabledProperty: hasShortcutProperty
+        }, BUTTON_OPTIONS ) );
+
+        const nameBox = nameAlignGroup.createBox( nameText, { xAlign: 'left' } );
+        const shortcutBox = shortcutAlignGroup.createBox( shortcutText, { xAlign: 'left' } );
+        const row = new HBox( { spacing: 10, children: [ nameBox, shortcutBox, changeButton, clearButton ] } );
+        rowDisposables.push( row, clearButton, changeButton, shortcutBox, nameBox, shortcutText, nameText,
+          hasShortcutProperty, shortcutStringProperty );
+        return row;
+      } );
+    };
+    commandRegistry.commandsChangedEmitter.addListener( updateRows );
+    updateRows();
+
+    const resetButton = new TextPushButton( shortcutsStrings.resetStringProperty, merge( {
+      listener: () => {
+        commandRegistry.cancelCapture();
+        statusStringProperty.value = '';
+        commandRegistry.resetShortcuts();
+      }
+    }, BUTTON_OPTIONS ) );
+
+    const contentNode = new VBox( {
+      spacing: PreferencesDialog.LABEL_CONTENT_SPACING,
+      align: 'left',
+      children: [ descriptionText, commandRowsBox, statusText, resetButton ]
+    } );
+
+    super( merge( {
+      titleNode: titleText,
+      contentNode: contentNode
+    }, providedOptions ) );
+
+    this.disposeShortcutsPanelSection = () => {
+      commandRegistry.cancelCapture();
+      commandRegistry.commandsChangedEmitter.removeListener( updateRows );
+      contentNode.dispose();
+      resetButton.dispose();
+      rowDisposables.forEach( disposable => disposable.dispose() );
+      commandRowsBox.dispose();
+      shortcutAlignGroup.dispose();
+      nameAlignGroup.dispose();
+      statusText.dispose();
+      statusStringProperty.dispose();
+      descriptionText.dispose();
+      titleText.dispose();
+    };
+  }
+
+  public override dispose(): void {
+    this.disposeShortcutsPanelSection();
+    super.dispose();
+  }
+}
+
+joist.register( 'ShortcutsPanelSection', ShortcutsPanelSection );
+export default ShortcutsPanelSection;
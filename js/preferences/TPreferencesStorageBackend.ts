@@ -0,0 +1,28 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * The storage that PreferencesStorage reads from and writes to. The API is a synchronous key/value subset of the
+ * Web Storage API so that window.localStorage can be used directly. Backends that receive their data asynchronously
+ * (like PostMessageStorageBackend) keep a local copy and notify with itemsChangedEmitter when it changes.
+ */
+
+import TEmitter from '../../../axon/js/TEmitter.js';
+import TReadOnlyProperty from '../../../axon/js/TReadOnlyProperty.js';
+
+type TPreferencesStorageBackend = {
+  getItem: ( key: string ) => string | null;
+  setItem: ( key: string, value: string ) => void;
+  removeItem: ( key: string ) => void;
+
+  // All keys that currently have a value
+  keys: () => string[];
+
+  // If provided, emits when items change from outside of this runtime, so PreferencesStorage can apply them again.
+  itemsChangedEmitter?: TEmitter;
+
+  // If provided, false until the items have arrived. PreferencesStorage doesn't write before then, so that it doesn't
+  // replace values that are stored, and itemsChangedEmitter must emit when they arrive.
+  isLoadedProperty?: TReadOnlyProperty<boolean>;
+};
+
+export default TPreferencesStorageBackend;
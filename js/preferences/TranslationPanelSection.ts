@@ -0,0 +1,91 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Section of the "Localization" panel of the PreferencesDialog for translators, with a switch that shows the
+ * TranslationEditor and buttons that import and export string packs. Only created with ?translationEditor.
+ */
+
+import merge from '../../../phet-core/js/merge.js';
+import { HBox, Text, VBox, VoicingRichText } from '../../../scenery/js/imports.js';
+import TextPushButton from '../../../sun/js/buttons/TextPushButton.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import stringPacks from '../i18n/stringPacks.js';
+import joist from '../joist.js';
+import JoistStrings from '../JoistStrings.js';
+import TranslationEditor from '../TranslationEditor.js';
+import PreferencesDialog from './PreferencesDialog.js';
+import PreferencesPanelSection, { PreferencesPanelSectionOptions } from './PreferencesPanelSection.js';
+import PreferencesToggleSwitch from './PreferencesToggleSwitch.js';
+
+// constants
+const translationStrings = JoistStrings.preferences.tabs.localization.translation;
+const BUTTON_OPTIONS = {
+  font: PreferencesDialog.CONTENT_FONT,
+  maxTextWidth: 150,
+
+  // phet-io
+  tandem: Tandem.OPT_OUT // We don't want to instrument components for preferences, https://github.com/phetsims/joist/issues/744#issuecomment-1196028362
+};
+
+class TranslationPanelSection extends PreferencesPanelSection {
+  private readonly disposeTranslationPanelSection: () => void;
+
+  public constructor( translationEditor: TranslationEditor, providedOptions?: PreferencesPanelSectionOptions ) {
+
+    const titleText = new Text( translationStrings.titleStringProperty, PreferencesDialog.PANEL_SECTION_LABEL_OPTIONS );
+
+    const descriptionText = new VoicingRichText( translationStrings.descriptionStringProperty, merge( {}, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS, {
+      maxWidth: null,
+      lineWrap: 560,
+      tagName: 'p'
+    } ) );
+
+    const showEditorText = new Text( translationStrings.showEditorStringProperty, PreferencesDialog.PANEL_SECTION_CONTENT_OPTIONS );
+    const showEditorSwitch = new PreferencesToggleSwitch( translationEditor.visibleProperty, false, true, {
+      labelNode: showEditorText,
+      a11yLabel: translationStrings.showEditorStringProperty
+    } );
+
+    const importButton = new TextPushButton( translationStrings.importStringProperty, merge( {
+      listener: () => stringPacks.loadFromFilePicker( ( pack, error ) => translationEditor.onPackLoaded( pack, error ) )
+    }, BUTTON_OPTIONS ) );
+    const exportButton = new TextPushButton( translationStrings.exportStringProperty, merge( {
+      listener: () => stringPacks.download()
+    }, BUTTON_OPTIONS ) );
+
+    const buttons = new HBox( {
+      spacing: 10,
+      children: [ importButton, exportButton ]
+    } );
+
+    const contentNode = new VBox( {
+      spacing: PreferencesDialog.LABEL_CONTENT_SPACING,
+      align: 'left',
+      children: [ descriptionText, showEditorSwitch, buttons ]
+    } );
+
+    super( merge( {
+      titleNode: titleText,
+      contentNode: contentNode
+    }, providedOptions ) );
+
+    this.disposeTranslationPanelSection = () => {
+      contentNode.dispose();
+      buttons.dispose();
+      importButton.dispose();
+      exportButton.dispose();
+      showEditorSwitch.dispose();
+      showEditorText.dispose();
+      descriptionText.dispose();
+      titleText.dispose();
+    };
+  }
+
+  public override dispose(): void {
+    this.disposeTranslationPanelSection();
+    super.dispose();
+  }
+}
+
+joist.register( 'TranslationPanelSection', TranslationPanelSection );
+export default TranslationPanelSection;
@@ -2,7 +2,7 @@
 
 /**
  * A panel for the PreferencesDialog with controls for visual preferences. Includes freatures such as
- * "Interactive Highlights" and perhaps others in the future.
+ * "Interactive Highlights", the color theme and perhaps others in the future.
  *
  * @author Jesse Greenberg (PhET Interactive Simulations)
  */
@@ -12,6 +12,7 @@ import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
 import { Node, Text, VBox, VoicingText } from '../../../scenery/js/imports.js';
 import joist from '../joist.js';
 import JoistStrings from '../JoistStrings.js';
+import ColorThemePanelSection from './ColorThemePanelSection.js';
 import PreferencesDialog from './PreferencesDialog.js';
 import PreferencesPanelSection from './PreferencesPanelSection.js';
 import PreferencesToggleSwitch from './PreferencesToggleSwitch.js';
@@ -101,9 +102,20 @@ class VisualPreferencesPanel extends PreferencesPanel {
       // no title for this section so no indendation necessary
       contentLeftMargin: 0
     } );
-    this.addChild( panelSection );
+
+    const panelContent = new VBox( {
+      spacing: PreferencesDialog.CONTENT_SPACING,
+      align: 'left',
+      children: [ panelSection ]
+    } );
+    this.addChild( panelContent );
+
+    const colorThemePanelSection = visualModel.supportsColorThemes ? new ColorThemePanelSection() : null;
+    colorThemePanelSection && panelContent.addChild( colorThemePanelSection );
 
     this.disposeVisualPreferencesPanel = () => {
+      colorThemePanelSection && colorThemePanelSection.dispose();
+      panelContent.dispose();
       panelSection.dispose();
       contentNode.dispose();
     };
@@ -0,0 +1,98 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * A container managing global Properties for the ColorTheme of joist UI: the navigation bar, the home screen, dialogs
+ * and button highlights. The 'default' theme uses the colors of the color profile (see JoistColors), 'highContrast'
+ * is white and yellow on black, and 'custom' uses colors chosen by the user. Sim content keeps its own colors. The
+ * theme can be changed in the "Visual" panel of the PreferencesDialog, and is persisted by PreferencesModel.
+ */
+
+import DerivedProperty from '../../../axon/js/DerivedProperty.js';
+import Property from '../../../axon/js/Property.js';
+import TReadOnlyProperty from '../../../axon/js/TReadOnlyProperty.js';
+import ContrastChecker, { ContrastIssue } from '../ContrastChecker.js';
+import joist from '../joist.js';
+import joistQueryParameters from '../joistQueryParameters.js';
+
+// Colors are CSS color strings, so that they can be stored as JSON
+export type ColorTheme = {
+
+  // the navigation bar and the home screen
+  background: string;
+
+  // text and icons on the background
+  foreground: string;
+
+  // the selected screen and button highlights
+  accent: string;
+};
+
+export const COLOR_THEME_NAMES = [ 'default', 'highContrast', 'custom' ] as const;
+export type ColorThemeName = typeof COLOR_THEME_NAMES[number];
+
+export const HIGH_CONTRAST_COLOR_THEME: ColorTheme = {
+  background: '#000000',
+  foreground: '#ffffff',
+  accent: '#ffff00'
+};
+
+// The custom theme before the user changes it
+const INITIAL_CUSTOM_COLOR_THEME: ColorTheme = {
+  background: '#1b2a49',
+  foreground: '#ffffff',
+  accent: '#ffd166'
+};
+
+const COLOR_THEME_KEYS = [ 'background', 'foreground', 'accent' ];
+
+export class ColorThemeManager {
+
+  public readonly colorThemeNameProperty: Property<ColorThemeName>;
+
+  // used when colorThemeNameProperty is 'custom'
+  public readonly customColorThemeProperty: Property<ColorTheme>;
+
+  // The colors of the selected theme, null for the 'default' theme
+  public readonly colorThemeProperty: TReadOnlyProperty<ColorTheme | null>;
+
+  // Colors of the selected theme that make joist UI text hard to read, see ContrastChecker
+  public readonly contrastIssuesProperty: TReadOnlyProperty<ContrastIssue[]>;
+
+  public constructor() {
+    this.colorThemeNameProperty = new Property<ColorThemeName>( joistQueryParameters.colorTheme as ColorThemeName, {
+      validValues: [ ...COLOR_THEME_NAMES ]
+    } );
+
+    this.customColorThemeProperty = new Property<ColorTheme>( INITIAL_CUSTOM_COLOR_THEME, {
+      isValidValue: ColorThemeManager.isValidColorTheme
+    } );
+
+    this.colorThemeProperty = new DerivedProperty( [ this.colorThemeNameProperty, this.customColorThemeProperty ],
+      ( colorThemeName, customColorTheme ) => colorThemeName === 'highContrast' ? HIGH_CONTRAST_COLOR_THEME :
+                                              colorThemeName === 'custom' ? customColorTheme :
+                                              null );
+
+    this.contrastIssuesProperty = new DerivedProperty( [ this.colorThemeProperty ],
+      colorTheme => colorTheme ? ContrastChecker.checkColorTheme( colorTheme ) : [] );
+  }
+
+  /**
+   * Changes one color of the custom theme.
+   */
+  public setCustomColor( key: keyof ColorTheme, color: string ): void {
+    this.customColorThemeProperty.value = _.assign( {}, this.customColorThemeProperty.value, { [ key ]: color } );
+  }
+
+  /**
+   * Whether a value is a ColorTheme, for values that are stored.
+   */
+  public static isValidColorTheme( value: unknown ): boolean {
+    return !!value && typeof value === 'object' &&
+           _.every( COLOR_THEME_KEYS, key => /^#[0-9a-f]{6}$/i.test( ( value as Record<string, unknown> )[ key ] as string ) );
+  }
+}
+
+const colorThemeManager = new ColorThemeManager();
+
+joist.register( 'colorThemeManager', colorThemeManager );
+export default colorThemeManager;
@@ -0,0 +1,151 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Registers the commands of joist with the commandRegistry, so that they can be found in the CommandPalette and given
+ * keyboard shortcuts. Commands of other joist components are registered where they are created, see
+ * NavigationBarPreferencesButton, KeyboardHelpButton and TimeController.
+ *
+ * The "Reset All" command is for screens that provide the resetAllListener option, which resets the model and view like
+ * the screen's ResetAllButton.
+ */
+
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import PatternStringProperty from '../../axon/js/PatternStringProperty.js';
+import stripEmbeddingMarks from '../../phet-core/js/stripEmbeddingMarks.js';
+import { FullScreen } from '../../scenery/js/imports.js';
+import resetAllSoundPlayer from '../../tambo/js/shared-sound-players/resetAllSoundPlayer.js';
+import CommandPalette from './CommandPalette.js';
+import commandRegistry from './commandRegistry.js';
+import localeProperty from './i18n/localeProperty.js';
+import joist from './joist.js';
+import JoistStrings from './JoistStrings.js';
+import saveToFile from './saveToFile.js';
+import ScreenshotGenerator from './ScreenshotGenerator.js';
+import Sim from './Sim.js';
+
+const commandsStrings = JoistStrings.commands;
+
+const registerJoistCommands = ( sim: Sim ): void => {
+
+  // created when it is first opened
+  let commandPalette: CommandPalette | null = null;
+  commandRegistry.register( {
+    id: 'joist.commandPalette',
+    nameProperty: commandsStrings.openCommandPaletteStringProperty,
+    execute: () => {
+      commandPalette = commandPalette || new CommandPalette();
+      commandPalette.show();
+    },
+    defaultShortcut: 'alt+shift+KeyK'
+  } );
+
+  if ( sim.homeScreen ) {
+    const homeScreen = sim.homeScreen;
+    commandRegistry.register( {
+      id: 'joist.goToHomeScreen',
+      nameProperty: commandsStrings.goToHomeScreenStringProperty,
+      execute: () => { sim.selectedScreenProperty.value = homeScreen; },
+      enabledProperty: new DerivedProperty( [ sim.selectedScreenProperty ], screen => screen !== homeScreen )
+    } );
+  }
+
+  if ( sim.simScreens.length > 1 ) {
+    sim.simScreens.forEach( ( screen, index ) => {
+      commandRegistry.register( {
+        id: `joist.goToScreen${index + 1}`,
+        nameProperty: new PatternStringProperty( commandsStrings.goToScreenPatternStringProperty, {
+          screen: screen.nameProperty
+        } ),
+        execute: () => { sim.selectedScreenProperty.value = screen; },
+        enabledProperty: new DerivedProperty( [ sim.activeSimScreensProperty, sim.selectedScreenProperty ],
+          ( activeSimScreens, selectedScreen ) => activeSimScreens.includes( screen ) && selectedScreen !== screen )
+      } );
+    } );
+  }
+
+  if ( _.some( sim.simScreens, screen => screen.canResetAll() ) ) {
+    commandRegistry.register( {
+      id: 'joist.resetAll',
+      nameProperty: commandsStrings.resetAllStringProperty,
+      execute: () => {
+        resetAllSoundPlayer.play();
+        sim.selectedScreenProperty.value.resetAll();
+      },
+      enabledProperty: new DerivedProperty( [ sim.selectedScreenProperty ], screen => screen.canResetAll() )
+    } );
+  }
+
+  const audioModel = sim.preferencesModel.audioModel;
+  if ( audioModel.supportsSound ) {
+    commandRegistry.register( {
+      id: 'joist.toggleSound',
+      nameProperty: commandsStrings.toggleSoundStringProperty,
+      execute: () => { audioModel.soundEnabledProperty.value = !audioModel.soundEnabledProperty.value; }
+    } );
+  }
+  if ( audioModel.supportsVoicing ) {
+    commandRegistry.register( {
+      id: 'joist.toggleVoicing',
+      nameProperty: commandsStrings.toggleVoicingStringProperty,
+      execute: () => { audioModel.voicingEnabledProperty.value = !audioModel.voicingEnabledProperty.value; }
+    } );
+  }
+
+  // Like the "Take a Tour" item of the PhetMenu
+  const tourPlayer = sim.tourPlayer;
+  commandRegistry.register( {
+    id: 'joist.startTour',
+    nameProperty: commandsStrings.startTourStringProperty,
+    execute: () => tourPlayer.start( tourPlayer.getTour( sim.selectedScreenProperty.value )! ),
+    enabledProperty: tourPlayer.createCanStartProperty()
+  } );
+
+  // Like the "Screenshot" item of the PhetMenu
+  if ( window.Blob && !!new window.Blob() ) {
+    commandRegistry.register( {
+      id: 'joist.screenshot',
+      nameProperty: commandsStrings.screenshotStringProperty,
+      execute: () => {
+        saveToFile( ScreenshotGenerator.generateScreenshotBlob( sim ), `${stripEmbeddingMarks( sim.simNameProperty.value )} screenshot.png` );
+      }
+    } );
+  }
+
+  if ( FullScreen.isFullScreenEnabled() && !phet.chipper.queryParameters.preventFullScreen ) {
+    commandRegistry.register( {
+      id: 'joist.toggleFullScreen',
+      nameProperty: commandsStrings.toggleFullScreenStringProperty,
+      execute: () => FullScreen.toggleFullScreen( sim.display )
+    } );
+  }
+
+  if ( phet.chipper.queryParameters.keyboardLocaleSwitcher ) {
+    const bumpLocale = ( delta: number ) => {
+      const locales = localeProperty.validValues!;
+      const index = locales.indexOf( localeProperty.value );
+      localeProperty.value = locales[ ( index + delta + locales.length ) % locales.length ];
+
+      // Indicate the new locale on the console
+      console.log( localeProperty.value );
+    };
+
+    // DUPLICATION ALERT: don't change these shortcuts without consulting PHET_IO_WRAPPERS/Client.wireUpKeyboardLocaleSwitcher()
+    commandRegistry.register( {
+      id: 'joist.nextLocale',
+      nameProperty: commandsStrings.nextLocaleStringProperty,
+      execute: () => bumpLocale( +1 ),
+      defaultShortcut: 'ctrl+KeyI'
+    } );
+    commandRegistry.register( {
+      id: 'joist.previousLocale',
+      nameProperty: commandsStrings.previousLocaleStringProperty,
+      execute: () => bumpLocale( -1 ),
+
+      // Ctrl + u in Chrome on Windows is "view source" in a new tab, the registry prevents that default
+      defaultShortcut: 'ctrl+KeyU'
+    } );
+  }
+};
+
+joist.register( 'registerJoistCommands', registerJoistCommands );
+export default registerJoistCommands;
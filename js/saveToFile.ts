@@ -0,0 +1,27 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Saves content to a file on the user's file system with the FileSaver preload (window.saveAs). Nothing is saved
+ * while fuzzing, so that automated testing does not trigger downloads.
+ */
+
+import joist from './joist.js';
+
+/**
+ * @param content - the file content, strings are wrapped in a Blob of the provided mimeType
+ * @param filename - the preferred name for the saved file
+ * @param mimeType - used when content is a string
+ */
+const saveToFile = ( content: string | Blob, filename: string, mimeType = 'application/json' ): void => {
+  if ( phet.chipper.isFuzzEnabled() ) {
+    return;
+  }
+
+  const blob = typeof content === 'string' ? new window.Blob( [ content ], { type: mimeType } ) : content;
+
+  // @ts-ignore when typescript knows anything about window. . ..
+  window.saveAs( blob, filename );
+};
+
+joist.register( 'saveToFile', saveToFile );
+export default saveToFile;
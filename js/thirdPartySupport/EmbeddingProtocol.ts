@@ -0,0 +1,200 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * The commands and notifications that platforms embedding a sim (like an LMS or a tutoring system) can use to
+ * control it and observe it. This is independent of how messages are transported: EmbeddingSupport implements the
+ * postMessage protocol described in doc/EmbeddingProtocol.md, and adapters for specific platforms (like
+ * LegendsOfLearningSupport) translate their own messages into these commands, and these notifications into their own
+ * messages.
+ *
+ * execute() throws an Error for invalid commands, so that transports can report the problem to the sender.
+ */
+
+import TinyEmitter from '../../../axon/js/TinyEmitter.js';
+import IdleMonitor from '../IdleMonitor.js';
+import localeProperty from '../i18n/localeProperty.js';
+import joist from '../joist.js';
+import packageJSON from '../packageJSON.js';
+import Screen from '../Screen.js';
+import ScreenshotGenerator from '../ScreenshotGenerator.js';
+import Sim from '../Sim.js';
+
+// Increment when commands or notifications change in a way that is not compatible with older embedders
+export const EMBEDDING_PROTOCOL_VERSION = 1;
+
+export type EmbeddingCommand =
+  { type: 'pause' } |
+  { type: 'resume' } |
+  { type: 'step'; dt?: number; frames?: number } |
+  { type: 'selectScreen'; screen: string } |
+  { type: 'resetAll' } |
+  { type: 'screenshot'; mimeType?: string; region?: 'display' | 'screenView'; scale?: number } |
+  { type: 'setLocale'; locale: string };
+
+export type EmbeddingNotification =
+  { type: 'available' } |
+  { type: 'screenChanged'; screen: string } |
+  { type: 'activeChanged'; active: boolean } |
+  { type: 'idleChanged'; idle: boolean } |
+  { type: 'localeChanged'; locale: string } |
+  { type: 'error'; message: string };
+
+export type EmbeddingSimInfo = {
+  simName: string;
+  simVersion: string;
+  locale: string;
+  locales: string[];
+
+  // names of the screens that can be selected, and of the selected screen
+  screens: string[];
+  selectedScreen: string;
+  active: boolean;
+};
+
+// Names that identify screens in commands and notifications
+const getScreenName = ( screen: Screen ) => screen.tandem.name;
+
+// Limits of the step command, so that a single command can't keep the sim busy for long
+const MAX_STEP_FRAMES = 600;
+const MAX_STEP_DT = 1;
+
+class EmbeddingProtocol {
+
+  private readonly sim: Sim;
+
+  // Emits when something happens in the sim that the embedding platform may want to know about
+  public readonly notificationEmitter = new TinyEmitter<[ EmbeddingNotification ]>();
+
+  private readonly disposeEmbeddingProtocol: () => void;
+
+  /**
+   * Create before the sim has started up, so that the 'available' notification is emitted.
+   */
+  public constructor( sim: Sim ) {
+    this.sim = sim;
+
+    const notify = ( notification: EmbeddingNotification ) => this.notificationEmitter.emit( notification );
+
+    const constructionCompleteListener = ( isConstructionComplete: boolean ) => {
+      isConstructionComplete && notify( { type: 'available' } );
+    };
+    const screenListener = ( screen: Screen ) => notify( { type: 'screenChanged', screen: getScreenName( screen ) } );
+    const activeListener = ( active: boolean ) => notify( { type: 'activeChanged', active: active } );
+    const localeListener = ( locale: string ) => notify( { type: 'localeChanged', locale: locale } );
+    const idleListener = ( idle: boolean ) => notify( { type: 'idleChanged', idle: idle } );
+    const errorListener = ( event: ErrorEvent ) => notify( { type: 'error', message: event.message } );
+    const rejectionListener = ( event: PromiseRejectionEvent ) => notify( { type: 'error', message: `${event.reason}` } );
+
+    sim.isConstructionCompleteProperty.lazyLink( constructionCompleteListener );
+    sim.selectedScreenProperty.lazyLink( screenListener );
+    sim.activeProperty.lazyLink( activeListener );
+    localeProperty.lazyLink( localeListener );
+    const idleMonitor = new IdleMonitor( sim );
+    idleMonitor.isIdleProperty.lazyLink( idleListener );
+    window.addEventListener( 'error', errorListener );
+    window.addEventListener( 'unhandledrejection', rejectionListener );
+
+    this.disposeEmbeddingProtocol = () => {
+      sim.isConstructionCompleteProperty.unlink( constructionCompleteListener );
+      sim.selectedScreenProperty.unlink( screenListener );
+      sim.activeProperty.unlink( activeListener );
+      localeProperty.unlink( localeListener );
+      idleMonitor.dispose();
+      window.removeEventListener( 'error', errorListener );
+      window.removeEventListener( 'unhandledrejection', rejectionListener );
+    };
+  }
+
+  public dispose(): void {
+    this.disposeEmbeddingProtocol();
+  }
+
+  /**
+   * Describes the sim, for the start of a session.
+   */
+  public getSimInfo(): EmbeddingSimInfo {
+    return {
+      simName: packageJSON.name,
+      simVersion: packageJSON.version,
+      locale: localeProperty.value,
+      locales: localeProperty.validValues!.slice(),
+      screens: this.getSelectableScreens().map( getScreenName ),
+      selectedScreen: getScreenName( this.sim.selectedScreenProperty.value ),
+      active: this.sim.activeProperty.value
+    };
+  }
+
+  /**
+   * Executes a command, and returns its result (if any).
+   */
+  public execute( command: EmbeddingCommand ): string | null {
+    const sim = this.sim;
+
+    if ( command.type === 'pause' ) {
+
+      // Step once so that the display shows the latest state
+      sim.stepOneFrame();
+      sim.activeProperty.value = false;
+    }
+    else if ( command.type === 'resume' ) {
+      sim.activeProperty.value = true;
+    }
+    else if ( command.type === 'step' ) {
+      const frames = command.frames === undefined ? 1 : command.frames;
+      const dt = command.dt === undefined ? 1 / 60 : command.dt;
+      if ( !Number.isInteger( frames ) || frames < 0 || frames > MAX_STEP_FRAMES ||
+           typeof dt !== 'number' || !( dt >= 0 && dt <= MAX_STEP_DT ) ) {
+        throw new Error( `invalid step: frames=${frames}, dt=${dt}, at most ${MAX_STEP_FRAMES} frames of ${MAX_STEP_DT} s` );
+      }
+      for ( let i = 0; i < frames; i++ ) {
+
+        // A DeterministicDriver always steps with its own dt
+        sim.deterministicDriver ? sim.deterministicDriver.step() : sim.stepSimulation( dt );
+      }
+    }
+    else if ( command.type === 'selectScreen' ) {
+      const screen = _.find( this.getSelectableScreens(), screen => getScreenName( screen ) === command.screen );
+      if ( !screen ) {
+        throw new Error( `unknown screen: ${command.screen}` );
+      }
+      sim.selectedScreenProperty.value = screen;
+    }
+    else if ( command.type === 'resetAll' ) {
+
+      // Like the ResetAllButton of each screen, see the resetAllListener option of Screen
+      const screens = sim.simScreens.filter( screen => screen.canResetAll() );
+      if ( screens.length === 0 ) {
+        throw new Error( 'the sim can not be reset' );
+      }
+      screens.forEach( screen => screen.resetAll() );
+    }
+    else if ( command.type === 'screenshot' ) {
+      if ( command.region !== undefined && command.region !== 'display' && command.region !== 'screenView' ) {
+        throw new Error( `invalid region: ${command.region}` );
+      }
+      return ScreenshotGenerator.generateScreenshot( sim, command.mimeType, {
+        region: command.region,
+        scale: command.scale
+      } );
+    }
+    else if ( command.type === 'setLocale' ) {
+      if ( !localeProperty.validValues!.includes( command.locale ) ) {
+        throw new Error( `unsupported locale: ${command.locale}` );
+      }
+      localeProperty.value = command.locale;
+    }
+    else {
+      throw new Error( `unknown command: ${( command as { type: string } ).type}` );
+    }
+    return null;
+  }
+
+  // The home screen (if there is one) and the sim screens that are available
+  private getSelectableScreens(): Screen[] {
+    const homeScreen = this.sim.homeScreen;
+    return homeScreen ? [ homeScreen, ...this.sim.activeSimScreensProperty.value ] : this.sim.activeSimScreensProperty.value;
+  }
+}
+
+joist.register( 'EmbeddingProtocol', EmbeddingProtocol );
+export default EmbeddingProtocol;
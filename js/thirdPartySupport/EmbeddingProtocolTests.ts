@@ -0,0 +1,195 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for the commands and notifications of EmbeddingProtocol, and the postMessage handshake of
+ * EmbeddingSupport, with a stand-in for the Sim.
+ */
+
+import BooleanProperty from '../../../axon/js/BooleanProperty.js';
+import Property from '../../../axon/js/Property.js';
+import Screen from '../Screen.js';
+import Sim from '../Sim.js';
+import EmbeddingProtocol, { EMBEDDING_PROTOCOL_VERSION, EmbeddingCommand, EmbeddingNotification } from './EmbeddingProtocol.js';
+import EmbeddingSupport, { EMBEDDING_PROTOCOL_NAME } from './EmbeddingSupport.js';
+
+const ALLOWED_ORIGIN = 'https://lms.example.com';
+
+// Since these are tests, it is simpler to typecast than to create an actual Sim. Only the intro screen has a
+// resetAllListener. Records the dt of each step and the screens that were reset.
+const createSim = () => {
+  const dts: number[] = [];
+  const resetScreens: string[] = [];
+  const screens = [ 'introScreen', 'labScreen' ].map( name => ( {
+    tandem: { name: name },
+    canResetAll: () => name === 'introScreen',
+    resetAll: () => resetScreens.push( name )
+  } as unknown as Screen ) );
+  return {
+    dts: dts,
+    resetScreens: resetScreens,
+    screens: screens,
+    simScreens: screens,
+    homeScreen: null,
+    activeSimScreensProperty: new Property( screens ),
+    selectedScreenProperty: new Property( screens[ 0 ] ),
+    activeProperty: new BooleanProperty( true ),
+    isConstructionCompleteProperty: new BooleanProperty( false ),
+    deterministicDriver: null,
+    display: {
+      addInputListener: _.noop,
+      removeInputListener: _.noop
+    },
+    stepSimulation: ( dt: number ) => dts.push( dt ),
+    stepOneFrame: () => dts.push( 0 )
+  };
+};
+
+const createProtocol = ( sim: ReturnType<typeof createSim> ) => new EmbeddingProtocol( sim as unknown as Sim );
+
+QUnit.module( 'EmbeddingProtocol' );
+
+QUnit.test( 'commands', assert => {
+  const sim = createSim();
+  const protocol = createProtocol( sim );
+
+  protocol.execute( { type: 'pause' } );
+  assert.ok( !sim.activeProperty.value, 'paused' );
+  assert.deepEqual( sim.dts, [ 0 ], 'stepped once before pausing' );
+  protocol.execute( { type: 'resume' } );
+  assert.ok( sim.activeProperty.value, 'resumed' );
+
+  protocol.execute( { type: 'step' } );
+  protocol.execute( { type: 'step', frames: 2, dt: 0.5 } );
+  assert.deepEqual( sim.dts, [ 0, 1 / 60, 0.5, 0.5 ] );
+
+  const invalidSteps: EmbeddingCommand[] = [
+    { type: 'step', frames: -1 },
+    { type: 'step', frames: 1.5 },
+    { type: 'step', frames: 601 },
+    { type: 'step', dt: -1 },
+    { type: 'step', dt: 2 },
+    { type: 'step', dt: NaN }
+  ];
+  invalidSteps.forEach( command => {
+    assert.throws( () => protocol.execute( command ), /invalid step/, JSON.stringify( command ) );
+  } );
+  assert.equal( sim.dts.length, 4, 'invalid steps do not step' );
+
+  protocol.execute( { type: 'selectScreen', screen: 'labScreen' } );
+  assert.equal( sim.selectedScreenProperty.value, sim.screens[ 1 ] );
+  assert.throws( () => protocol.execute( { type: 'selectScreen', screen: 'homeScreen' } ), /unknown screen/ );
+
+  protocol.execute( { type: 'resetAll' } );
+  assert.deepEqual( sim.resetScreens, [ 'introScreen' ], 'only screens with a resetAllListener are reset' );
+
+  assert.throws( () => protocol.execute( { type: 'setLocale', locale: 'xx' } ), /unsupported locale/ );
+  assert.throws( () => protocol.execute( { type: 'crash' } as unknown as EmbeddingCommand ), /unknown command/ );
+
+  protocol.dispose();
+} );
+
+QUnit.test( 'resetAll without a resetAllListener', assert => {
+  const sim = createSim();
+  sim.simScreens = [ sim.screens[ 1 ] ];
+  const protocol = createProtocol( sim );
+
+  assert.throws( () => protocol.execute( { type: 'resetAll' } ), /can not be reset/ );
+
+  protocol.dispose();
+} );
+
+QUnit.test( 'notifications', assert => {
+  const sim = createSim();
+  const protocol = createProtocol( sim );
+  const notifications: EmbeddingNotification[] = [];
+  protocol.notificationEmitter.addListener( notification => notifications.push( notification ) );
+
+  sim.isConstructionCompleteProperty.value = true;
+  sim.selectedScreenProperty.value = sim.screens[ 1 ];
+  sim.activeProperty.value = false;
+  assert.deepEqual( notifications, [
+    { type: 'available' },
+    { type: 'screenChanged', screen: 'labScreen' },
+    { type: 'activeChanged', active: false }
+  ] );
+
+  protocol.dispose();
+  sim.selectedScreenProperty.value = sim.screens[ 0 ];
+  assert.equal( notifications.length, 3, 'no notifications after dispose' );
+} );
+
+QUnit.module( 'EmbeddingSupport' );
+
+QUnit.test( 'handshake and origins', assert => {
+  const sim = createSim();
+
+  // The parent frame, which records the messages that the sim posts to it
+  const iframe = document.createElement( 'iframe' );
+  document.body.appendChild( iframe );
+  const parentWindow = iframe.contentWindow!;
+  const posted: [ Record<string, unknown>, string ][] = [];
+  parentWindow.postMessage = ( ( message: Record<string, unknown>, targetOrigin: string ) => {
+    posted.push( [ message, targetOrigin ] );
+  } ) as Window['postMessage'];
+
+  const receive = ( message: Record<string, unknown>, origin = ALLOWED_ORIGIN, source: Window = parentWindow ) => {
+    window.dispatchEvent( new MessageEvent( 'message', {
+      data: _.assign( { protocol: EMBEDDING_PROTOCOL_NAME, version: EMBEDDING_PROTOCOL_VERSION }, message ),
+      origin: origin,
+      source: source
+    } ) );
+  };
+  const postedTypes = () => posted.map( ( [ message ] ) => message.type );
+
+  const embeddingSupport = new EmbeddingSupport( sim as unknown as Sim, [ ALLOWED_ORIGIN ], parentWindow );
+  embeddingSupport.start();
+
+  sim.isConstructionCompleteProperty.value = true;
+  assert.deepEqual( posted, [ [ {
+    protocol: EMBEDDING_PROTOCOL_NAME,
+    version: EMBEDDING_PROTOCOL_VERSION,
+    type: 'available'
+  }, ALLOWED_ORIGIN ] ], 'available is posted to the allowed origins' );
+
+  sim.selectedScreenProperty.value = sim.screens[ 1 ];
+  receive( { type: 'pause', id: 1 } );
+  assert.deepEqual( postedTypes(), [ 'available' ], 'no notifications or commands before the handshake' );
+  assert.ok( sim.activeProperty.value, 'the command was ignored' );
+
+  receive( { type: 'hello' }, 'https://evil.example.com' );
+  receive( { type: 'hello' }, ALLOWED_ORIGIN, window );
+  assert.deepEqual( postedTypes(), [ 'available' ], 'other origins and frames are ignored' );
+
+  receive( { type: 'hello', version: EMBEDDING_PROTOCOL_VERSION + 1 } );
+  assert.deepEqual( posted[ posted.length - 1 ][ 0 ].type, 'error', 'newer versions are refused' );
+
+  receive( { type: 'hello' } );
+  const welcome = posted[ posted.length - 1 ];
+  assert.equal( welcome[ 0 ].type, 'welcome' );
+  assert.equal( welcome[ 1 ], ALLOWED_ORIGIN );
+  assert.deepEqual( ( welcome[ 0 ].sim as Record<string, unknown> ).screens, [ 'introScreen', 'labScreen' ] );
+
+  receive( { type: 'step', frames: 1000, id: 2 } );
+  assert.deepEqual( _.pick( posted[ posted.length - 1 ][ 0 ], 'type', 'id', 'success' ), {
+    type: 'response',
+    id: 2,
+    success: false
+  }, 'invalid commands are reported' );
+
+  receive( { type: 'pause', id: 3 } );
+  const lastMessages = posted.slice( -2 ).map( ( [ message ] ) => message );
+  assert.deepEqual( lastMessages[ 0 ].notification, { type: 'activeChanged', active: false }, 'notifications after the handshake' );
+  assert.deepEqual( _.pick( lastMessages[ 1 ], 'type', 'id', 'success' ), {
+    type: 'response',
+    id: 3,
+    success: true
+  } );
+
+  embeddingSupport.dispose();
+  const postedCount = posted.length;
+  receive( { type: 'resume', id: 4 } );
+  assert.equal( posted.length, postedCount, 'no messages after dispose' );
+  assert.ok( !sim.activeProperty.value );
+
+  document.body.removeChild( iframe );
+} );
@@ -0,0 +1,132 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * Implements the postMessage embedding protocol, so that a parent frame can control and observe the sim. Enable it
+ * with ?embedding, and list the origins of the parent frames that may use it with ?embeddingOrigins. The messages are documented
+ * in doc/EmbeddingProtocol.md, and the commands and notifications are implemented by EmbeddingProtocol.
+ *
+ * A parent frame must send 'hello' before any commands. Messages from origins that are not allowed, and commands from
+ * origins that did not send 'hello', are ignored.
+ */
+
+import joist from '../joist.js';
+import joistQueryParameters from '../joistQueryParameters.js';
+import Sim from '../Sim.js';
+import EmbeddingProtocol, { EMBEDDING_PROTOCOL_VERSION, EmbeddingCommand, EmbeddingNotification } from './EmbeddingProtocol.js';
+
+// Identifies messages of this protocol, so that other messages that the sim receives are ignored
+export const EMBEDDING_PROTOCOL_NAME = 'phet-embedding';
+
+type EmbeddingMessage = {
+  protocol: typeof EMBEDDING_PROTOCOL_NAME;
+  version: number;
+  type: string;
+
+  // set by the parent frame on commands, and repeated on the response
+  id?: string | number;
+} & Record<string, unknown>;
+
+class EmbeddingSupport {
+
+  private readonly protocol: EmbeddingProtocol;
+  private readonly allowedOrigins: string[];
+
+  // The frame that may use the protocol, the window.parent except in tests
+  private readonly parentWindow: Window;
+
+  // The origin that completed the handshake, null before the handshake
+  private parentOrigin: string | null = null;
+
+  private readonly disposeEmbeddingSupport: () => void;
+
+  public constructor( sim: Sim, allowedOrigins: string[] = joistQueryParameters.embeddingOrigins,
+                      parentWindow: Window = window.parent ) {
+    this.protocol = new EmbeddingProtocol( sim );
+    this.allowedOrigins = allowedOrigins;
+    this.parentWindow = parentWindow;
+
+    if ( allowedOrigins.length === 0 ) {
+      console.warn( 'EmbeddingSupport: no parent frame can use the embedding protocol, list their origins with ?embeddingOrigins' );
+    }
+
+    const messageListener = ( event: MessageEvent ) => this.onMessage( event );
+    window.addEventListener( 'message', messageListener );
+
+    this.disposeEmbeddingSupport = () => {
+      window.removeEventListener( 'message', messageListener );
+      this.protocol.dispose();
+    };
+  }
+
+  /**
+   * Forwards the notifications of the protocol to the parent frame. The 'available' notification is sent to all
+   * allowed origins when the sim has started up, the others only after the handshake.
+   */
+  public start(): void {
+    this.protocol.notificationEmitter.addListener( notification => this.notify( notification ) );
+  }
+
+  public dispose(): void {
+    this.disposeEmbeddingSupport();
+  }
+
+  private onMessage( event: MessageEvent ): void {
+    const message = event.data;
+    if ( event.source !== this.parentWindow || !message || message.protocol !== EMBEDDING_PROTOCOL_NAME ||
+         !this.isAllowedOrigin( event.origin ) ) {
+      return;
+    }
+
+    // Sandboxed frames have an opaque origin, which can't be used as a postMessage target
+    const replyOrigin = event.origin === 'null' ? '*' : event.origin;
+
+    if ( message.type === 'hello' ) {
+      if ( message.version > EMBEDDING_PROTOCOL_VERSION ) {
+        this.post( { type: 'error', message: `unsupported version: ${message.version}` }, replyOrigin );
+      }
+      else {
+        this.parentOrigin = replyOrigin;
+        this.post( { type: 'welcome', sim: this.protocol.getSimInfo() }, replyOrigin );
+      }
+    }
+    else if ( this.parentOrigin !== null && replyOrigin === this.parentOrigin ) {
+      this.respond( message as EmbeddingMessage );
+    }
+  }
+
+  // Executes a command, and responds with its result or error
+  private respond( message: EmbeddingMessage ): void {
+    let response;
+    try {
+      const result = this.protocol.execute( _.omit( message, 'protocol', 'version', 'id' ) as EmbeddingCommand );
+      response = { type: 'response', id: message.id, success: true, result: result };
+    }
+    catch( e ) {
+      response = { type: 'response', id: message.id, success: false, error: ( e as Error ).message };
+    }
+    this.post( response, this.parentOrigin! );
+  }
+
+  private notify( notification: EmbeddingNotification ): void {
+    if ( notification.type === 'available' ) {
+      this.allowedOrigins.forEach( origin => this.post( { type: 'available' }, origin ) );
+    }
+    else if ( this.parentOrigin !== null ) {
+      this.post( { type: 'notification', notification: notification }, this.parentOrigin );
+    }
+  }
+
+  private isAllowedOrigin( origin: string ): boolean {
+    return this.allowedOrigins.includes( '*' ) || this.allowedOrigins.includes( origin );
+  }
+
+  private post( message: Record<string, unknown>, targetOrigin: string ): void {
+    this.parentWindow !== window && this.parentWindow.postMessage( _.assign( {
+      protocol: EMBEDDING_PROTOCOL_NAME,
+      version: EMBEDDING_PROTOCOL_VERSION
+    }, message ), targetOrigin );
+  }
+}
+
+joist.register( 'EmbeddingSupport', EmbeddingSupport );
+export default EmbeddingSupport;
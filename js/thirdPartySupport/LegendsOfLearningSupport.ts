@@ -2,6 +2,8 @@
 
 /**
  * Support for Legends of Learning platform. Sends init message after sim is constructed and supports pause/resume.
+ * This is an adapter of the EmbeddingProtocol: the pause and resume messages of Legends of Learning are translated into
+ * commands, and the 'available' notification into the init message.
  *
  * To test this class, follow the 'Legends of Learning Test' instructions at
  * https://github.com/phetsims/QA/blob/master/documentation/qa-book.md#legends-of-learning-test
@@ -11,22 +13,22 @@
 
 import joist from '../joist.js';
 import Sim from '../Sim.js';
+import EmbeddingProtocol, { EmbeddingNotification } from './EmbeddingProtocol.js';
 
 class LegendsOfLearningSupport {
 
-  private readonly sim: Sim;
+  private readonly protocol: EmbeddingProtocol;
 
   public constructor( sim: Sim ) {
-    this.sim = sim;
+    this.protocol = new EmbeddingProtocol( sim );
 
     // Respond to pause/resume commands from the Legends of Learning platform
     window.addEventListener( 'message', message => {
       if ( message.data.messageName === 'pause' ) {
-        sim.stepOneFrame();
-        sim.activeProperty.value = false;
+        this.protocol.execute( { type: 'pause' } );
       }
       else if ( message.data.messageName === 'resume' ) {
-        sim.activeProperty.value = true;
+        this.protocol.execute( { type: 'resume' } );
       }
     } );
   }
@@ -34,11 +36,11 @@ class LegendsOfLearningSupport {
   public start(): void {
 
     // Send init message when sim has started up so that Legends of Learning can remove their splash screen
-    this.sim.isConstructionCompleteProperty.link( isConstructionComplete => {
-      isConstructionComplete && ( window.parent !== window ) && window.parent.postMessage( { message: 'init' }, '*' );
+    this.protocol.notificationEmitter.addListener( ( notification: EmbeddingNotification ) => {
+      notification.type === 'available' && ( window.parent !== window ) && window.parent.postMessage( { message: 'init' }, '*' );
     } );
   }
 }
 
 joist.register( 'LegendsOfLearningSupport', LegendsOfLearningSupport );
-export default LegendsOfLearningSupport;
\ No newline at end of file
+export default LegendsOfLearningSupport;
@@ -5,13 +5,21 @@
  * updated version. See https://github.com/phetsims/joist/issues/189
  *
  * It exposes its current state (for UIs to hook into), and a check() function used to start checking the version.
+ * Information about the latest version comes from a TUpdateProvider. The phet brand uses the PhET website, and
+ * ?updateManifest selects a static manifest for any brand (see ManifestUpdateProvider). Failed requests are retried
+ * with increasing delays before the state becomes OFFLINE.
  *
  * @author Jonathan Olson <jonathan.olson@colorado.edu>
  */
 
 import EnumerationProperty from '../../axon/js/EnumerationProperty.js';
+import optionize from '../../phet-core/js/optionize.js';
 import joist from './joist.js';
+import joistQueryParameters from './joistQueryParameters.js';
+import ManifestUpdateProvider from './ManifestUpdateProvider.js';
 import packageJSON from './packageJSON.js'; // parse name/version out of the package.json
+import PhetWebsiteUpdateProvider from './PhetWebsiteUpdateProvider.js';
+import TUpdateProvider, { TSimVersion, UpdateCheckResult } from './TUpdateProvider.js';
 import UpdateState from './UpdateState.js';
 
 const SimVersion = phet.preloads.chipper.SimVersion; // use preload from chipper (auto-copied from perennial)
@@ -19,32 +27,62 @@ const SimVersion = phet.preloads.chipper.SimVersion; // use preload from chipper
 // constants
 const simName = packageJSON.name;
 const simVersion = SimVersion.parse( packageJSON.version, phet.chipper.buildTimestamp );
-const requestProtocolString = ( document.location.protocol === 'https:' ? 'https:' : 'http:' );
-const TIMEOUT_MILLISECONDS = 15000; // How many ms before we time out (set to 'offline')
+const TIMEOUT_MILLISECONDS = 15000; // How many ms before a request times out
+const RETRY_DELAYS = [ 2000, 8000, 30000 ]; // How many ms to wait before each retry of a failed request
 
-type TSimVersion = string & {
-  isSimNotPublished: boolean;
+type UpdateCheckOptions = {
+
+  // Where to get information about the latest version. If null, updates are not checked.
+  provider?: TUpdateProvider | null;
+
+  ourVersion?: TSimVersion;
+
+  // How many ms before a request times out, and is treated as a failure
+  timeout?: number;
+
+  // How many ms to wait before each retry of a failed request. After these are used up, the state becomes OFFLINE.
+  retryDelays?: number[];
 };
 
-class UpdateCheck {
+export class UpdateCheck {
   public readonly stateProperty: EnumerationProperty<UpdateState>;
   public latestVersion: TSimVersion | null; // {SimVersion|null} will be filled in by check() if applicable
   public readonly ourVersion: TSimVersion; // (joist-internal) {SimVersion} version of the sim that is running
-  private readonly timeoutCallback: () => void;
-  public readonly areUpdatesChecked: boolean; // Whether we actually allow checking for updates, or showing any update-related UIs.
   public updateURL: string; // The URL to be used for "New version available" clicks
-  private timeoutId: number; // Valid only if `state === UpdateState.CHECKING`, the timeout ID of our timeout listener
 
-  public constructor() {
+  // Describes what changed in the latest version, if the provider supports it
+  public releaseNotes: string[] = [];
+
+  private provider: TUpdateProvider | null;
+  private readonly timeoutMilliseconds: number;
+  private readonly retryDelays: number[];
+  private readonly timeoutCallback: () => void;
+  private timeoutId: number; // Valid only while a request is pending, the timeout ID of our timeout listener
+
+  // Identifies the pending request, so that responses to requests that timed out are ignored. null if none is pending.
+  private pendingRequestId: number | null = null;
+  private requestCount = 0;
+
+  // The number of failed requests since check() was called
+  private failedAttempts = 0;
+
+  public constructor( providedOptions?: UpdateCheckOptions ) {
+
+    const options = optionize<UpdateCheckOptions>()( {
+      provider: UpdateCheck.createDefaultProvider(),
+      ourVersion: simVersion,
+      timeout: TIMEOUT_MILLISECONDS,
+      retryDelays: RETRY_DELAYS
+    }, providedOptions );
 
     this.stateProperty = new EnumerationProperty( UpdateState.UNCHECKED );
     this.latestVersion = null;
-    this.ourVersion = simVersion;
+    this.ourVersion = options.ourVersion;
+    this.provider = options.provider;
+    this.timeoutMilliseconds = options.timeout;
+    this.retryDelays = options.retryDelays;
     this.timeoutCallback = this.timeout.bind( this );
 
-    // If it's not PhET-branded OR if it is phet-io or in the phet-app, do not check for updates
-    this.areUpdatesChecked = phet.chipper.brand === 'phet' && !phet.chipper.isApp;
-
     this.updateURL = `${'http://phet.colorado.edu/html-sim-update' +
                         '?simulation='}${encodeURIComponent( simName )
     }&version=${encodeURIComponent( simVersion.toString() )
@@ -53,6 +91,20 @@ class UpdateCheck {
     this.timeoutId = -1;
   }
 
+  // Whether we actually allow checking for updates, or showing any update-related UIs.
+  public get areUpdatesChecked(): boolean {
+    return !!this.provider;
+  }
+
+  /**
+   * Sets where information about the latest version comes from, or null to disable update checks. Update-related
+   * UIs are created with the Sim, so this must be called before the Sim is constructed.
+   */
+  public setProvider( provider: TUpdateProvider | null ): void {
+    assert && assert( this.stateProperty.value === UpdateState.UNCHECKED, 'provider must be set before checking' );
+    this.provider = provider;
+  }
+
   // Clears our timeout listener.
   private clearTimeout(): void {
     window.clearTimeout( this.timeoutId );
@@ -60,12 +112,12 @@ class UpdateCheck {
 
   //Sets our timeout listener.
   private setTimeout(): void { // eslint-disable-line bad-sim-text
-    this.timeoutId = window.setTimeout( this.timeoutCallback, TIMEOUT_MILLISECONDS ); // eslint-disable-line bad-sim-text
+    this.timeoutId = window.setTimeout( this.timeoutCallback, this.timeoutMilliseconds ); // eslint-disable-line bad-sim-text
   }
 
-  // If we are checking, it resets our timeout timer to TIMEOUT_MILLISECONDS
+  // If a request is pending, it resets our timeout timer
   public resetTimeout(): void {
-    if ( this.stateProperty.value === UpdateState.CHECKING ) {
+    if ( this.pendingRequestId !== null ) {
       this.clearTimeout();
       this.setTimeout();
     }
@@ -73,83 +125,88 @@ class UpdateCheck {
 
   // What happens when we actually time out.
   private timeout(): void {
-    this.stateProperty.value = UpdateState.OFFLINE;
+    this.onFailure( 'Request timed out' );
   }
 
   /**
    * Kicks off the version checking request (if able), resulting in state changes.
    */
   public check(): void {
-    if ( !this.areUpdatesChecked || ( this.stateProperty.value !== UpdateState.UNCHECKED && this.stateProperty.value !== UpdateState.OFFLINE ) ) {
+    if ( !this.provider || ( this.stateProperty.value !== UpdateState.UNCHECKED && this.stateProperty.value !== UpdateState.OFFLINE ) ) {
       return;
     }
 
-    // If our sim's version indicates it hasn't been published, don't attempt to send a request for now
-    if ( this.ourVersion.isSimNotPublished ) {
-      this.stateProperty.value = UpdateState.UP_TO_DATE;
+    this.failedAttempts = 0;
+    this.request();
+  }
+
+  private request(): void {
+    const requestId = ++this.requestCount;
+    this.pendingRequestId = requestId;
+    this.stateProperty.value = UpdateState.CHECKING;
+
+    this.setTimeout();
+
+    this.provider!.requestUpdate( this.ourVersion, result => {
+      if ( this.pendingRequestId === requestId ) {
+        this.onSuccess( result );
+      }
+    }, message => {
+      if ( this.pendingRequestId === requestId ) {
+        this.onFailure( message );
+      }
+    } );
+  }
+
+  private onSuccess( result: UpdateCheckResult ): void {
+    this.pendingRequestId = null;
+    this.clearTimeout();
+
+    try {
+      this.latestVersion = SimVersion.parse( result.latestVersion, result.buildTimestamp );
+    }
+    catch( e ) {
+      this.onFailure( `Invalid latest version: ${result.latestVersion}` );
       return;
     }
 
-    const req = new XMLHttpRequest();
+    if ( result.updateURL ) {
+      this.updateURL = result.updateURL;
+    }
+    this.releaseNotes = result.releaseNotes || [];
+
+    this.stateProperty.value = result.state === 'out-of-date' ? UpdateState.OUT_OF_DATE : UpdateState.UP_TO_DATE;
+  }
 
-    if ( 'withCredentials' in req ) {
+  /**
+   * Retries after a delay that increases with each failure, and becomes OFFLINE when there are no retries left.
+   * Stays in CHECKING while waiting to retry.
+   */
+  private onFailure( message: string ): void {
+    this.pendingRequestId = null;
+    this.clearTimeout();
 
-      // we'll be able to send the proper type of request, so we mark ourself as checking
-      this.stateProperty.value = UpdateState.CHECKING;
+    console.log( `Update check failure: ${message}` );
 
-      this.setTimeout();
+    this.failedAttempts++;
+    if ( this.failedAttempts <= this.retryDelays.length ) {
+      window.setTimeout( () => this.request(), this.retryDelays[ this.failedAttempts - 1 ] ); // eslint-disable-line bad-sim-text
+    }
+    else {
+      this.stateProperty.value = UpdateState.OFFLINE;
+    }
+  }
 
-      req.onload = () => {
-        this.clearTimeout();
-
-        try {
-          const data = JSON.parse( req.responseText );
-
-          if ( data.error ) {
-            console.log( `Update check failure: ${data.error}` );
-            this.stateProperty.value = UpdateState.OFFLINE;
-          }
-          else {
-            if ( this.updateURL ) {
-              this.updateURL = data.updateURL;
-            }
-            this.latestVersion = SimVersion.parse( data.latestVersion, data.buildTimestamp );
-
-            // these `state` strings come from the website service, and should be kept in sync with
-            // website\src\java\edu\colorado\phet\website\services\CheckHTMLUpdates.java
-            if ( data.state === 'out-of-date' ) {
-              this.stateProperty.value = UpdateState.OUT_OF_DATE;
-            }
-            else if ( data.state === 'up-to-date' ) {
-              this.stateProperty.value = UpdateState.UP_TO_DATE;
-            }
-            else {
-              console.log( `Failed to get proper state: ${data.state}` );
-              this.stateProperty.value = UpdateState.OFFLINE;
-            }
-          }
-        }
-        catch( e ) {
-          this.stateProperty.value = UpdateState.OFFLINE;
-        }
-      };
-      req.onerror = () => {
-        this.clearTimeout();
-
-        this.stateProperty.value = UpdateState.OFFLINE;
-      };
-      req.open( 'post', `${requestProtocolString}//phet.colorado.edu/services/check-html-updates`, true ); // enable CORS
-      req.send( JSON.stringify( {
-        api: '1.0',
-        simulation: simName,
-        locale: phet.joist.sim.locale,
-        currentVersion: this.ourVersion.toString(),
-        buildTimestamp: phet.chipper.buildTimestamp
-      } ) );
+  private static createDefaultProvider(): TUpdateProvider | null {
+    if ( joistQueryParameters.updateManifest ) {
+      return new ManifestUpdateProvider( joistQueryParameters.updateManifest );
     }
+
+    // If it's not PhET-branded OR if it is phet-io or in the phet-app, do not check for updates
+    return phet.chipper.brand === 'phet' && !phet.chipper.isApp ? new PhetWebsiteUpdateProvider( simName ) : null;
   }
 }
 
 const updateCheck = new UpdateCheck();
 joist.register( 'updateCheck', updateCheck );
-export default updateCheck;
\ No newline at end of file
+export default updateCheck;
@@ -0,0 +1,110 @@
+// Copyright 2022, University of Colorado Boulder
+
+/**
+ * QUnit tests for the UpdateState transitions of updateCheck, using stand-in manifests and providers.
+ */
+
+import ManifestUpdateProvider from './ManifestUpdateProvider.js';
+import TUpdateProvider from './TUpdateProvider.js';
+import { UpdateCheck } from './updateCheck.js';
+import UpdateState from './UpdateState.js';
+
+const SimVersion = phet.preloads.chipper.SimVersion;
+const ourVersion = SimVersion.parse( '1.2.0' );
+
+// Creates an UpdateCheck and records each state it goes through
+const createUpdateCheck = ( provider: TUpdateProvider, timeout = 1000 ) => {
+  const updateCheck = new UpdateCheck( {
+    provider: provider,
+    ourVersion: ourVersion,
+    timeout: timeout,
+    retryDelays: [ 0, 0 ]
+  } );
+  const states: UpdateState[] = [ updateCheck.stateProperty.value ];
+  updateCheck.stateProperty.lazyLink( state => states.push( state ) );
+  return { updateCheck: updateCheck, states: states };
+};
+
+// Calls back when the UpdateCheck is done checking
+const whenChecked = ( updateCheck: UpdateCheck, callback: () => void ) => {
+  const listener = ( state: UpdateState ) => {
+    if ( state !== UpdateState.CHECKING ) {
+      updateCheck.stateProperty.unlink( listener );
+      callback();
+    }
+  };
+  updateCheck.stateProperty.lazyLink( listener );
+};
+
+QUnit.test( 'manifest up to date', assert => {
+  const done = assert.async();
+  const { updateCheck, states } = createUpdateCheck( new ManifestUpdateProvider( { latestVersion: '1.2.0' } ) );
+  whenChecked( updateCheck, () => {
+    assert.deepEqual( states, [ UpdateState.UNCHECKED, UpdateState.CHECKING, UpdateState.UP_TO_DATE ], 'states' );
+    done();
+  } );
+  updateCheck.check();
+} );
+
+QUnit.test( 'manifest out of date', assert => {
+  const done = assert.async();
+  const { updateCheck, states } = createUpdateCheck( new ManifestUpdateProvider( {
+    latestVersion: '1.3.0',
+    updateURL: 'https://intranet.example/sims/',
+    releaseNotes: 'Added the Lab screen'
+  } ) );
+  whenChecked( updateCheck, () => {
+    assert.deepEqual( states, [ UpdateState.UNCHECKED, UpdateState.CHECKING, UpdateState.OUT_OF_DATE ], 'states' );
+    assert.equal( updateCheck.latestVersion!.toString(), '1.3.0', 'latest version' );
+    assert.equal( updateCheck.updateURL, 'https://intranet.example/sims/', 'update URL from manifest' );
+    assert.deepEqual( updateCheck.releaseNotes, [ 'Added the Lab screen' ], 'release notes from manifest' );
+    done();
+  } );
+  updateCheck.check();
+} );
+
+QUnit.test( 'failures are retried before going offline', assert => {
+  const done = assert.async();
+
+  let requests = 0;
+  let succeed = false;
+  const { updateCheck, states } = createUpdateCheck( {
+    requestUpdate: ( version, onSuccess, onFailure ) => {
+      requests++;
+      succeed ? onSuccess( { state: 'up-to-date', latestVersion: '1.2.0' } ) : onFailure( 'offline for testing' );
+    }
+  } );
+
+  whenChecked( updateCheck, () => {
+    assert.equal( requests, 3, 'first request and two retries' );
+    assert.deepEqual( states, [ UpdateState.UNCHECKED, UpdateState.CHECKING, UpdateState.OFFLINE ], 'checking during retries' );
+
+    // Checking again from OFFLINE is allowed
+    succeed = true;
+    whenChecked( updateCheck, () => {
+      assert.equal( updateCheck.stateProperty.value, UpdateState.UP_TO_DATE, 'recovered from offline' );
+      done();
+    } );
+    updateCheck.check();
+  } );
+  updateCheck.check();
+} );
+
+QUnit.test( 'requests that time out are ignored', assert => {
+  const done = assert.async();
+
+  const lateCallbacks: Array<() => void> = [];
+  const { updateCheck, states } = createUpdateCheck( {
+    requestUpdate: ( version, onSuccess ) => {
+      lateCallbacks.push( () => onSuccess( { state: 'out-of-date', latestVersion: '1.3.0' } ) );
+    }
+  }, 1 );
+
+  whenChecked( updateCheck, () => {
+    lateCallbacks.forEach( callback => callback() );
+    assert.equal( lateCallbacks.length, 3, 'each attempt timed out' );
+    assert.deepEqual( states, [ UpdateState.UNCHECKED, UpdateState.CHECKING, UpdateState.OFFLINE ], 'late responses ignored' );
+    done();
+  } );
+  updateCheck.check();
+} );